@@ -0,0 +1,237 @@
+/**
+ * Access Control
+ * Roles, the permissions each role holds, and the permission every /api route needs.
+ *
+ *   owner - the account that set the instance up; everything, including roles and services
+ *   admin - the admin surface (profiles, memory, sessions, caches), frontier and robot control
+ *   user  - chat, their own memories, read-only robot/frontier status
+ *   robot - the TonyPi client: robot sensors/commands and chat, nothing administrative
+ *
+ * Route rules are matched in order (first match wins); routes no rule covers only need a
+ * login. Rules marked `audit` record who called them, with what, and what came back.
+ */
+
+const ROLES = ['owner', 'admin', 'user', 'robot'];
+
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    admin: [
+        'admin:read', 'admin:write', 'admin:destructive', 'audit:read', 'users:manage',
+        'memories:any', 'memory:global', 'system:configure',
+        'robot:read', 'robot:control', 'frontier:read', 'frontier:control'
+    ],
+    user: ['robot:read', 'frontier:read'],
+    robot: ['robot:read', 'robot:control']
+};
+
+// Roles each role may hand out when creating accounts or changing roles
+const ASSIGNABLE_ROLES = {
+    owner: ['admin', 'user', 'robot'],
+    admin: ['user', 'robot']
+};
+
+// { methods, path, permission, audit?, ownerParam? } - path is matched against req.path under /api
+const ROUTE_RULES = [
+    // Destructive admin actions
+    { methods: ['POST'], path: /^\/admin\/services\/(start|stop)$/, permission: 'services:control', audit: 'services.control' },
+    { methods: ['DELETE'], path: /^\/admin\/profile\/[^/]+$/, permission: 'admin:destructive', audit: 'profile.delete' },
+    { methods: ['POST'], path: /^\/admin\/profiles\/bulk-delete$/, permission: 'admin:destructive', audit: 'profile.bulk-delete' },
+    { methods: ['POST'], path: /^\/admin\/profiles\/merge$/, permission: 'admin:destructive', audit: 'profile.merge' },
+    { methods: ['POST'], path: /^\/admin\/profiles\/import-archive$/, permission: 'admin:destructive', audit: 'profile.import' },
+    { methods: ['POST'], path: /^\/admin\/profiles\/[^/]+\/purge$/, permission: 'admin:destructive', audit: 'profile.purge' },
+    { methods: ['POST'], path: /^\/admin\/retention\/run$/, permission: 'admin:destructive', audit: 'retention.run' },
+    { methods: ['POST'], path: /^\/admin\/memory\/(cleanup|force-cleanup|gc)$/, permission: 'admin:destructive', audit: 'memory.cleanup' },
+    { methods: ['POST'], path: /^\/admin\/cache\/clear$/, permission: 'admin:destructive', audit: 'cache.clear' },
+    { methods: ['POST'], path: /^\/admin\/database\/(batch-update|optimize-storage|build-indexes)$/, permission: 'admin:destructive', audit: 'database.maintenance' },
+    { methods: ['POST'], path: /^\/admin\/(sessions\/[^/]+\/(reset|unlock)|user-contexts\/[^/]+\/clear|contextual-awareness\/cleanup)$/, permission: 'admin:destructive', audit: 'session.reset' },
+    { methods: ['POST'], path: /^\/admin\/echo-candidates\/[^/]+\/(merge|discard)$/, permission: 'admin:destructive', audit: 'echo.resolve' },
+    { methods: ['POST'], path: /^\/admin\/echo-candidates\/[^/]+\/approve$/, permission: 'admin:write', audit: 'echo.approve' },
+    { methods: ['POST', 'DELETE'], path: /^\/admin\/trust-network\/links\b/, permission: 'admin:write', audit: 'trust.edit' },
+    { methods: ['PUT', 'DELETE'], path: /^\/admin\/retention\/(policies\/[^/]+|assignments)$/, permission: 'admin:write', audit: 'retention.edit' },
+    { methods: ['POST'], path: /^\/admin\/consolidation\/run$/, permission: 'admin:write', audit: 'consolidation.run' },
+    { methods: ['GET'], path: /^\/admin\/profiles\/[^/]+\/archive$/, permission: 'admin:read', audit: 'profile.export' },
+    { methods: ['GET'], path: /^\/admin\/audit$/, permission: 'audit:read' },
+    { methods: ['GET'], path: /^\/admin\//, permission: 'admin:read' },
+    { methods: ['*'], path: /^\/admin\//, permission: 'admin:write', audit: 'admin.write' },
+
+    // Account management
+    { methods: ['GET'], path: /^\/auth\/users$/, permission: 'users:manage' },
+    { methods: ['PATCH', 'DELETE'], path: /^\/auth\/users\/[^/]+$/, permission: 'users:manage', audit: 'user.update' },
+
+    // Memory inspection - own profile, or any profile with memories:any
+    { methods: ['PATCH', 'DELETE'], path: /^\/memories\/([^/]+)\/[^/]+$/, permission: 'memories:any', ownerParam: 1, audit: 'memory.edit' },
+    { methods: ['GET'], path: /^\/memories\/([^/]+)$/, permission: 'memories:any', ownerParam: 1 },
+
+    // Open loops (follow-ups) - own profile, or any profile with memories:any
+    { methods: ['POST'], path: /^\/open-loops\/([^/]+)\/[^/]+\/(snooze|close)$/, permission: 'memories:any', ownerParam: 1, audit: 'open-loop.edit' },
+    { methods: ['GET'], path: /^\/open-loops\/([^/]+)$/, permission: 'memories:any', ownerParam: 1 },
+
+    // Robot (TonyPi, RT-X, sensor bridge)
+    { methods: ['GET'], path: /^\/(robot|rtx|clint)\b/, permission: 'robot:read' },
+    { methods: ['*'], path: /^\/(robot|robot-command|rtx|clint)\b/, permission: 'robot:control' },
+
+    // Frontier / exploration
+    { methods: ['GET'], path: /^\/(frontier|exploration)\b/, permission: 'frontier:read' },
+    { methods: ['*'], path: /^\/(frontier|exploration)\b/, permission: 'frontier:control', audit: 'frontier.control' },
+
+    // Runtime configuration, shared knowledge and debugging
+    { methods: ['POST'], path: /^\/knowledge-add$/, permission: 'admin:write', audit: 'knowledge.add' },
+    { methods: ['POST'], path: /^\/identity-evolution\/rollback$/, permission: 'system:configure', audit: 'identity.rollback' },
+    { methods: ['POST'], path: /^\/(reload-config|creative-loop\/config|identity-evolution\/[^/]+)$/, permission: 'system:configure', audit: 'system.configure' },
+    { methods: ['GET'], path: /^\/(debug-conversations|memory-context|test\/tension)$/, permission: 'admin:read' },
+    { methods: ['*'], path: /^\/profile-system\/(test-detection|replay|decisions)$/, permission: 'admin:read' }
+];
+
+// With auth off there is nobody to check a role against, so these are refused to every caller
+const REFUSED_WITHOUT_AUTH = new Set(['admin:destructive', 'services:control']);
+
+// Express routes ignore case and a trailing slash, so the rules are matched the same way -
+// otherwise /api/ADMIN/profile/x or /api/admin/services/stop/ would slip past their rule
+const MATCH_RULES = ROUTE_RULES.map(rule => ({ ...rule, path: new RegExp(rule.path.source, 'i') }));
+
+// Request fields never copied into the audit log
+const REDACTED_FIELDS = new Set(['password', 'currentPassword', 'newPassword', 'token']);
+const MAX_AUDIT_JSON = 4000;
+
+class AccessControl {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - audit log
+     * @param {boolean} [options.enforce] - false (auth disabled): only destructive and service routes are
+     *   denied, audited routes are still logged
+     */
+    constructor({ store, enforce = true }) {
+        this.store = store;
+        this.enforce = enforce;
+    }
+
+    static isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    can(user, permission) {
+        if (!user) return false;
+        const granted = ROLE_PERMISSIONS[user.role] || [];
+        return granted.includes('*') || granted.includes(permission);
+    }
+
+    canAssignRole(user, role) {
+        return !!user && (ASSIGNABLE_ROLES[user.role] || []).includes(role);
+    }
+
+    ruleFor(method, routePath) {
+        const key = routeKey(routePath);
+        return MATCH_RULES.find(rule =>
+            (rule.methods.includes('*') || rule.methods.includes(method)) && rule.path.test(key)
+        ) || null;
+    }
+
+    /**
+     * Express middleware for the /api mount (after authentication). Denies with 403 and
+     * audit-logs rule-marked routes once the response has been sent.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const rule = this.ruleFor(req.method, req.path);
+            if (!rule) return next();
+
+            if (!this.enforce && REFUSED_WITHOUT_AUTH.has(rule.permission)) {
+                console.warn(`[AccessControl] Refused ${req.method} /api${req.path} - ${rule.permission} needs authentication (ENABLE_AUTH)`);
+                if (rule.audit) this.record(req, rule, 403, { error: 'auth disabled' });
+                return res.status(403).json({ success: false, error: `Forbidden - ${rule.permission} requires authentication to be enabled` });
+            }
+
+            if (this.enforce && !this.allows(req.user, rule, req.path)) {
+                console.warn(`[AccessControl] Denied ${req.method} /api${req.path} for ${req.user?.username || 'anonymous'} (${req.user?.role || 'no role'}) - needs ${rule.permission}`);
+                if (rule.audit) this.record(req, rule, 403, { error: 'forbidden' });
+                return res.status(403).json({ success: false, error: `Forbidden - requires ${rule.permission}` });
+            }
+
+            if (rule.audit) this.captureOutcome(req, res, rule);
+            next();
+        };
+    }
+
+    allows(user, rule, routePath) {
+        if (this.can(user, rule.permission)) return true;
+        if (rule.ownerParam && user) {
+            const match = routeKey(routePath).match(rule.path);
+            return !!match && decodeURIComponent(match[rule.ownerParam]) === user.profileId;
+        }
+        return false;
+    }
+
+    /**
+     * Wrap res.json so the response body (what the action changed) lands in the audit entry.
+     * Handlers can add a `res.locals.audit` object (e.g. the state before a delete).
+     */
+    captureOutcome(req, res, rule) {
+        let responseBody = null;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+        res.on('finish', () => {
+            this.record(req, rule, res.statusCode, responseBody, res.locals.audit || null);
+        });
+    }
+
+    record(req, rule, status, result, changes = null) {
+        try {
+            this.store.appendAudit({
+                userId: req.user?.id ?? null,
+                username: req.user?.username || null,
+                role: req.user?.role || null,
+                action: rule.audit,
+                method: req.method,
+                path: `/api${req.path}`,
+                status,
+                ip: req.ip || req.socket?.remoteAddress || null,
+                details: {
+                    query: req.query && Object.keys(req.query).length > 0 ? req.query : undefined,
+                    body: redact(req.body),
+                    changes: changes || undefined,
+                    result: truncate(result)
+                }
+            });
+        } catch (error) {
+            console.error('[AccessControl] Failed to write audit entry:', error.message);
+        }
+    }
+
+    getAuditLog(filters = {}) {
+        return this.store.getAuditLog(filters);
+    }
+
+    static describe() {
+        return {
+            roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role], canAssign: ASSIGNABLE_ROLES[role] || [] })),
+            routes: ROUTE_RULES.map(rule => ({ methods: rule.methods, path: String(rule.path), permission: rule.permission, ownProfile: !!rule.ownerParam, audit: rule.audit || null }))
+        };
+    }
+}
+
+function routeKey(routePath) {
+    return String(routePath || '/').replace(/(.)\/+$/, '$1');
+}
+
+function redact(body) {
+    if (Buffer.isBuffer(body)) return { bytes: body.length }; // raw uploads (profile archives)
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+    const copy = {};
+    for (const [key, value] of Object.entries(body)) {
+        copy[key] = REDACTED_FIELDS.has(key) ? '[redacted]' : value;
+    }
+    return truncate(copy);
+}
+
+// Large payloads (exports, bulk results) are cut to a preview so the log stays small
+function truncate(value) {
+    if (value === null || value === undefined) return undefined;
+    const json = JSON.stringify(value);
+    if (json.length <= MAX_AUDIT_JSON) return value;
+    return { truncated: true, preview: json.slice(0, MAX_AUDIT_JSON) };
+}
+
+module.exports = { AccessControl, ROLES };
@@ -0,0 +1,343 @@
+/**
+ * Auth Manager
+ * Local username/password accounts, long-lived API tokens and cookie sessions for
+ * every /api route. Each account owns one persistent profile (its profile id is the
+ * lowercased username), so the chat pipeline takes identity from the login instead of
+ * guessing it from the message text.
+ *
+ * Requests authenticate with `Authorization: Bearer <api token | session token>` or the
+ * `clint_session` cookie set by /api/auth/login. Passwords are scrypt hashes; tokens are
+ * only ever returned once and stored as sha256 hashes.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'clint_session';
+const API_TOKEN_PREFIX = 'clint_';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Profile ids the rest of the system already uses for non-account identities
+const RESERVED_PROFILE_IDS = new Set(['api', 'default', 'visitor', 'system', 'unknown']);
+
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+class AuthManager {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store
+     * @param {ProfileManager} [options.profileManager] - creates the account's profile on registration
+     * @param {AccessControl} options.accessControl - which roles a caller may hand out
+     * @param {number} [options.sessionTtlMs] - login session lifetime (default 7 days)
+     * @param {boolean} [options.allowRegistration] - let anyone register (otherwise only the first account, or an admin)
+     * @param {boolean} [options.secureCookie] - add `Secure` to the session cookie (serve over HTTPS)
+     * @param {string[]} [options.publicPaths] - paths under /api reachable without credentials
+     */
+    constructor({ store, profileManager = null, accessControl, sessionTtlMs = 7 * 24 * 60 * 60 * 1000, allowRegistration = false, secureCookie = false, publicPaths = ['/auth/login', '/auth/register', '/auth/status'] }) {
+        this.store = store;
+        this.profileManager = profileManager;
+        this.accessControl = accessControl;
+        this.sessionTtlMs = sessionTtlMs;
+        this.allowRegistration = allowRegistration;
+        this.secureCookie = secureCookie;
+        this.publicPaths = new Set(publicPaths);
+    }
+
+    // ============= PASSWORDS =============
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const key = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+        const { N, r, p } = SCRYPT_PARAMS;
+        return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !hash) return false;
+
+        const expected = Buffer.from(hash, 'base64');
+        const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+        return crypto.timingSafeEqual(key, expected);
+    }
+
+    // ============= ACCOUNTS =============
+
+    static profileIdFor(username) {
+        return username.toLowerCase();
+    }
+
+    /**
+     * Create an account and its profile. The very first account is always allowed and
+     * becomes the owner; after that registration needs `allowRegistration` or a caller with
+     * users:manage. Self-registered accounts are always plain users.
+     * @param {Object} [caller] - authenticated user making the request, if any
+     * @returns {Promise<Object>} public user
+     */
+    async register({ username, password, role = null } = {}, caller = null) {
+        const firstAccount = this.store.countUsers() === 0;
+        const callerManagesUsers = this.accessControl.can(caller, 'users:manage');
+        if (!firstAccount && !this.allowRegistration && !callerManagesUsers) {
+            throw new AuthError('Registration is closed - ask an admin to create your account', 403);
+        }
+        if (!firstAccount && role && role !== 'user' && !this.accessControl.canAssignRole(caller, role)) {
+            throw new AuthError(`Not allowed to create ${role} accounts`, 403);
+        }
+
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-32 characters: letters, digits, ".", "_" or "-"');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        const profileId = AuthManager.profileIdFor(username);
+        if (RESERVED_PROFILE_IDS.has(profileId)) {
+            throw new AuthError(`"${username}" is reserved`);
+        }
+        if (this.store.getUserByUsername(username) || this.store.getUserByProfileId(profileId)) {
+            throw new AuthError(`Username "${username}" is already taken`, 409);
+        }
+
+        const passwordHash = await this.hashPassword(password);
+        let assignedRole = firstAccount ? 'owner' : (role || 'user');
+        let id = this.store.createUser({ username, profileId, passwordHash, role: assignedRole });
+        if (id === null) {
+            // Another registration became the owner while the password was hashing
+            if (!this.allowRegistration) {
+                throw new AuthError('Registration is closed - ask an admin to create your account', 403);
+            }
+            assignedRole = 'user';
+            id = this.store.createUser({ username, profileId, passwordHash, role: assignedRole });
+        }
+
+        if (this.profileManager) {
+            await this.profileManager.ensureAccountProfile(profileId, { username });
+        }
+
+        console.log(`[Auth] Registered ${username} (${assignedRole}) -> profile ${profileId}`);
+        return this.publicUser(this.store.getUser(id));
+    }
+
+    /**
+     * Change another account's role. The owner is fixed; admins can only manage user and robot accounts.
+     * @returns {Object} public user
+     */
+    setRole(caller, userId, role) {
+        const target = this.manageableUser(caller, userId);
+        if (!this.accessControl.canAssignRole(caller, role)) {
+            throw new AuthError(`Not allowed to assign the ${role} role`, 403);
+        }
+        this.store.updateUser(target.id, { role });
+        console.log(`[Auth] ${caller.username} changed ${target.username} from ${target.role} to ${role}`);
+        return { before: this.publicUser(target), user: this.publicUser(this.store.getUser(target.id)) };
+    }
+
+    /**
+     * Delete an account with its tokens and sessions. Its profile (and memories) stay.
+     */
+    deleteUser(caller, userId) {
+        const target = this.manageableUser(caller, userId);
+        this.store.deleteUser(target.id);
+        console.log(`[Auth] ${caller.username} deleted account ${target.username}`);
+        return this.publicUser(target);
+    }
+
+    manageableUser(caller, userId) {
+        const target = this.store.getUser(Number(userId));
+        if (!target) throw new AuthError('User not found', 404);
+        if (target.id === caller.id) throw new AuthError('You cannot change your own account here', 400);
+        if (target.role === 'owner' || !this.accessControl.canAssignRole(caller, target.role)) {
+            throw new AuthError(`Not allowed to manage ${target.role} accounts`, 403);
+        }
+        return target;
+    }
+
+    /**
+     * Create the owner from AUTH_BOOTSTRAP_USER / AUTH_BOOTSTRAP_PASSWORD when no account exists yet.
+     */
+    async bootstrap({ username, password } = {}) {
+        if (!username || !password || this.store.countUsers() > 0) return null;
+        return this.register({ username, password });
+    }
+
+    /**
+     * @returns {Promise<{ user, sessionToken, expiresAt }>}
+     */
+    async login(username, password) {
+        const user = typeof username === 'string' ? this.store.getUserByUsername(username) : null;
+        // Hash anyway so unknown usernames take as long as wrong passwords
+        const valid = await this.verifyPassword(String(password || ''), user ? user.passwordHash : await this.dummyHash());
+        if (!user || !valid) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+
+        const sessionToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.sessionTtlMs;
+        this.store.insertAuthSession({ tokenHash: hashToken(sessionToken), userId: user.id, expiresAt });
+        this.store.updateUser(user.id, { lastLogin: Date.now() });
+        this.store.deleteExpiredAuthSessions();
+
+        console.log(`[Auth] ${user.username} logged in`);
+        return { user: this.publicUser(user), sessionToken, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    logout(sessionToken) {
+        if (!sessionToken) return false;
+        return this.store.deleteAuthSession(hashToken(sessionToken));
+    }
+
+    async changePassword(userId, currentPassword, newPassword) {
+        const user = this.store.getUser(userId);
+        if (!user || !(await this.verifyPassword(String(currentPassword || ''), user.passwordHash))) {
+            throw new AuthError('Current password is incorrect', 401);
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        this.store.updateUser(userId, { passwordHash: await this.hashPassword(newPassword) });
+    }
+
+    async dummyHash() {
+        if (!this._dummyHash) this._dummyHash = await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+        return this._dummyHash;
+    }
+
+    publicUser(user) {
+        if (!user) return null;
+        const { passwordHash, ...rest } = user;
+        return rest;
+    }
+
+    listUsers() {
+        return this.store.listUsers().map(user => this.publicUser(user));
+    }
+
+    // ============= API TOKENS =============
+
+    /**
+     * The plain token is only returned here; afterwards only its hash exists.
+     * @returns {{ id, name, token, createdAt }}
+     */
+    createApiToken(userId, name = 'api') {
+        const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const label = String(name || 'api').slice(0, 64);
+        const id = this.store.insertApiToken({ userId, name: label, tokenHash: hashToken(token) });
+        console.log(`[Auth] Created API token "${label}" for user ${userId}`);
+        return { id, name: label, token, createdAt: new Date().toISOString() };
+    }
+
+    listApiTokens(userId) {
+        return this.store.listApiTokens(userId);
+    }
+
+    revokeApiToken(userId, tokenId) {
+        return this.store.revokeApiToken(userId, Number(tokenId));
+    }
+
+    // ============= REQUEST AUTHENTICATION =============
+
+    /**
+     * Resolve the user behind a request (Express or a raw http upgrade request).
+     * @returns {Object|null} public user plus `authMethod` ('token' | 'session')
+     */
+    authenticate(req) {
+        const bearer = bearerToken(req);
+        if (bearer && bearer.startsWith(API_TOKEN_PREFIX)) {
+            const token = this.store.useApiToken(hashToken(bearer));
+            const user = token ? this.store.getUser(token.userId) : null;
+            return user ? { ...this.publicUser(user), authMethod: 'token' } : null;
+        }
+
+        const sessionToken = this.sessionTokenFrom(req);
+        if (sessionToken) {
+            const session = this.store.getAuthSession(hashToken(sessionToken));
+            const user = session ? this.store.getUser(session.userId) : null;
+            return user ? { ...this.publicUser(user), authMethod: 'session' } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Express middleware for the /api mount. Sets req.user; public paths pass through
+     * unauthenticated (still with req.user when credentials were sent).
+     */
+    middleware() {
+        return (req, res, next) => {
+            try {
+                req.user = this.authenticate(req);
+            } catch (error) {
+                console.error('[Auth] Authentication error:', error.message);
+                req.user = null;
+            }
+
+            if (req.user || this.publicPaths.has(req.path) || req.method === 'OPTIONS') {
+                return next();
+            }
+            res.status(401).json({ success: false, error: 'Authentication required' });
+        };
+    }
+
+    sessionCookie(sessionToken, expiresAt) {
+        const maxAge = Math.max(0, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000));
+        return `${SESSION_COOKIE}=${sessionToken}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${this.secureCookie ? '; Secure' : ''}`;
+    }
+
+    clearSessionCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${this.secureCookie ? '; Secure' : ''}`;
+    }
+
+    /**
+     * Session token sent with the request, whichever way it came.
+     */
+    sessionTokenFrom(req) {
+        const bearer = bearerToken(req);
+        if (bearer && !bearer.startsWith(API_TOKEN_PREFIX)) return bearer;
+        return parseCookies(req.headers?.cookie)[SESSION_COOKIE] || null;
+    }
+
+    getStatus() {
+        const users = this.store.countUsers();
+        return {
+            users,
+            registrationOpen: users === 0 || this.allowRegistration
+        };
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function bearerToken(req) {
+    const header = req.headers?.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() || null : null;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        if (!name) continue;
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+module.exports = { AuthManager, AuthError, SESSION_COOKIE };
@@ -8,6 +8,8 @@
  * - Resource Management
  * - Alert System
  * - Scheduled Tasks
+ * - Memory Consolidation (episodes and facts from finished days)
+ * - Retention (per-profile-class retention policies)
  */
 
 const fs = require('fs').promises;
@@ -24,6 +26,8 @@ class BackgroundServices {
             maintenanceInterval: options.maintenanceInterval || 300000, // 5 minutes
             analyticsInterval: options.analyticsInterval || 900000, // 15 minutes
             resourceCheckInterval: options.resourceCheckInterval || 30000, // 30 seconds
+            consolidationInterval: options.consolidationInterval || 3600000, // 1 hour
+            retentionInterval: options.retentionInterval || 3600000, // 1 hour
             alertThresholds: {
                 memoryUsage: options.memoryThreshold || 80, // 80%
                 cpuUsage: options.cpuThreshold || 70, // 70%
@@ -40,9 +44,17 @@ class BackgroundServices {
             maintenance: null,
             analytics: null,
             resourceMonitor: null,
-            alertSystem: null
+            alertSystem: null,
+            consolidation: null,
+            retention: null
         };
         
+        // Memory consolidator - attached by the server once the conversation store exists
+        this.consolidator = null;
+        
+        // Retention manager - attached by the server, applies retention policies
+        this.retentionManager = null;
+        
         // Statistics and metrics
         this.metrics = {
             systemHealth: {
@@ -77,6 +89,22 @@ class BackgroundServices {
                 warning: 0,
                 info: 0,
                 lastAlert: null
+            },
+            consolidation: {
+                lastRun: null,
+                runsCompleted: 0,
+                daysConsolidated: 0,
+                episodesCreated: 0,
+                factsCreated: 0,
+                factsMerged: 0,
+                errorsEncountered: 0
+            },
+            retention: {
+                lastRun: null,
+                runsCompleted: 0,
+                profilesPruned: 0,
+                profilesPurged: 0,
+                errorsEncountered: 0
             }
         };
         
@@ -98,6 +126,12 @@ class BackgroundServices {
             this.startAnalyticsService(false); // Don't run initial analytics
             this.startResourceMonitor(false); // Don't run initial resource check
             this.startAlertSystem(false); // Alert system is event-driven
+            if (this.consolidator && !this.services.consolidation) {
+                this.startConsolidationService(false);
+            }
+            if (this.retentionManager && !this.services.retention) {
+                this.startRetentionService(false);
+            }
             
             console.log('[BackgroundServices] All services started successfully');
             return true;
@@ -124,7 +158,9 @@ class BackgroundServices {
                 maintenance: null,
                 analytics: null,
                 resourceMonitor: null,
-                alertSystem: null
+                alertSystem: null,
+                consolidation: null,
+                retention: null
             };
             
             console.log('[BackgroundServices] All services stopped');
@@ -471,7 +507,7 @@ class BackgroundServices {
             
             let compressed = 0;
             for (const profile of profiles) {
-                if (new Date(profile.lastSeen) < weekAgo && profile.id !== 'chris') {
+                if (new Date(profile.lastSeen) < weekAgo && !profile.anchor) {
                     // Compress old patterns and reduce data
                     const compressedProfile = {
                         ...profile,
@@ -677,6 +713,110 @@ class BackgroundServices {
         }
     }
     
+    // ============= MEMORY CONSOLIDATION SERVICE =============
+    
+    setConsolidator(consolidator) {
+        this.consolidator = consolidator;
+    }
+    
+    async startConsolidationService(runInitial = true) {
+        if (!this.consolidator) {
+            console.warn('[BackgroundServices] No memory consolidator attached, consolidation not started');
+            return false;
+        }
+        console.log('[BackgroundServices] Starting memory consolidation service...');
+        
+        // Hourly check; each run only processes days that have finished since the last one
+        this.services.consolidation = setInterval(async () => {
+            await this.performConsolidation();
+        }, this.config.consolidationInterval);
+        
+        if (runInitial) {
+            await this.performConsolidation();
+        }
+        return true;
+    }
+    
+    async performConsolidation() {
+        if (!this.consolidator) return null;
+        
+        try {
+            const startTime = Date.now();
+            const result = await this.consolidator.consolidatePending();
+            if (result.skipped) return result;
+            
+            const days = result.days || [];
+            this.metrics.consolidation.lastRun = new Date().toISOString();
+            this.metrics.consolidation.runsCompleted++;
+            this.metrics.consolidation.daysConsolidated += days.length;
+            for (const day of days) {
+                this.metrics.consolidation.episodesCreated += day.episodes;
+                this.metrics.consolidation.factsCreated += day.factsCreated;
+                this.metrics.consolidation.factsMerged += day.factsMerged;
+            }
+            
+            if (days.length > 0) {
+                console.log(`[BackgroundServices] Consolidated ${days.length} day(s) in ${Date.now() - startTime}ms`);
+            }
+            return result;
+            
+        } catch (error) {
+            console.error('[BackgroundServices] Error in memory consolidation:', error.message);
+            this.metrics.consolidation.errorsEncountered++;
+            await this.generateAlert('warning', 'Memory Consolidation Failed', error.message);
+            return null;
+        }
+    }
+    
+    // ============= RETENTION SERVICE =============
+    
+    setRetentionManager(retentionManager) {
+        this.retentionManager = retentionManager;
+    }
+    
+    async startRetentionService(runInitial = true) {
+        if (!this.retentionManager) {
+            console.warn('[BackgroundServices] No retention manager attached, retention not started');
+            return false;
+        }
+        console.log('[BackgroundServices] Starting retention service...');
+        
+        this.services.retention = setInterval(async () => {
+            await this.performRetention();
+        }, this.config.retentionInterval);
+        
+        if (runInitial) {
+            await this.performRetention();
+        }
+        return true;
+    }
+    
+    async performRetention() {
+        if (!this.retentionManager) return null;
+        
+        try {
+            const report = await this.retentionManager.run();
+            if (report.skipped) return report;
+            
+            this.metrics.retention.lastRun = report.finishedAt;
+            this.metrics.retention.runsCompleted++;
+            this.metrics.retention.profilesPruned += report.profiles.length - report.purged;
+            this.metrics.retention.profilesPurged += report.purged;
+            this.metrics.retention.errorsEncountered += report.errors.length;
+            
+            if (report.errors.length > 0) {
+                await this.generateAlert('warning', 'Retention Incomplete', `${report.errors.length} profile(s) could not be processed`);
+            }
+            return report;
+            
+        } catch (error) {
+            console.error('[BackgroundServices] Error in retention:', error.message);
+            this.metrics.retention.errorsEncountered++;
+            await this.generateAlert('warning', 'Retention Failed', error.message);
+            return null;
+        }
+    }
+    
     // ============= RESOURCE MONITORING SERVICE =============
     
     async startResourceMonitor(runInitial = true) {
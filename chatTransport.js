@@ -0,0 +1,236 @@
+/**
+ * Chat Transport
+ * Lets the chat-with-memory handler answer over plain JSON, Server-Sent Events,
+ * or a WebSocket without caring which one it is talking to.
+ *
+ * Every responder exposes the same surface:
+ *   streaming      - true when tokens should be pushed as they arrive
+ *   token(text)    - push one delta (no-op for JSON)
+ *   replace(text)  - replace everything pushed so far (no-op for JSON)
+ *   send(payload, status) - final payload; closes the stream. Later calls are ignored,
+ *                    so post-response work can run after the client already has its answer.
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Responder for an Express request. Streams over SSE when the client asks for it
+ * with `stream: true` in the body, `?stream=1`, or `Accept: text/event-stream`.
+ */
+function createHttpResponder(req, res) {
+    const wantsStream = req.body?.stream === true ||
+        req.query?.stream === '1' ||
+        (req.headers.accept || '').includes('text/event-stream');
+
+    if (!wantsStream) {
+        let sent = false;
+        return {
+            transport: 'json',
+            streaming: false,
+            get sent() { return sent; },
+            token() {},
+            replace() {},
+            send(payload, status = 200) {
+                if (sent || res.headersSent) return;
+                sent = true;
+                res.status(status).json(payload);
+            }
+        };
+    }
+
+    let opened = false;
+    let closed = false;
+    const open = () => {
+        if (opened) return;
+        opened = true;
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // keep reverse proxies from buffering tokens
+        res.flushHeaders();
+    };
+    const write = (event, data) => {
+        if (closed) return;
+        open();
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Client went away - stop writing, but let the handler finish its post-response work.
+    // (res, not req: req 'close' fires as soon as the request body has been read)
+    res.on('close', () => { closed = true; });
+
+    return {
+        transport: 'sse',
+        streaming: true,
+        get sent() { return closed; },
+        token(text) {
+            write('token', { text });
+        },
+        replace(text) {
+            write('replace', { text });
+        },
+        send(payload, status = 200) {
+            if (closed) return;
+            write(status >= 400 ? 'error' : 'done', { status, ...payload });
+            closed = true;
+            res.end();
+        }
+    };
+}
+
+/**
+ * Responder for one chat request arriving over a WebSocket. Frames carry the
+ * client's request id so several requests can share a socket.
+ */
+function createWebSocketResponder(socket, requestId) {
+    let closed = false;
+    const push = (frame) => {
+        if (closed || socket.readyState !== socket.OPEN) return;
+        socket.send(JSON.stringify({ id: requestId, ...frame }));
+    };
+
+    return {
+        transport: 'websocket',
+        streaming: true,
+        get sent() { return closed; },
+        token(text) {
+            push({ type: 'token', text });
+        },
+        replace(text) {
+            push({ type: 'replace', text });
+        },
+        send(payload, status = 200) {
+            if (closed) return;
+            push({ type: status >= 400 ? 'error' : 'done', status, ...payload });
+            closed = true;
+        }
+    };
+}
+
+/**
+ * Attach the chat WebSocket channel to an http.Server.
+ * Client frames: { type: 'chat', id?, message, deviceId, ... } - same fields as the POST body.
+ * Server frames: { id, type: 'token', text } ... ({ id, type: 'replace', text }) then { id, type: 'done' | 'error', status, ... }
+ *
+ * With `authenticate(req)` the upgrade request must carry the same credentials as /api calls
+ * (Bearer header or session cookie); the resolved user is handed to every chat on that socket.
+ */
+function attachChatWebSocket(server, handleChat, { path = '/ws/chat', authenticate = null } = {}) {
+    const wss = new WebSocketServer({
+        server,
+        path,
+        verifyClient: authenticate ? ({ req }, done) => {
+            try {
+                req.user = authenticate(req);
+            } catch (error) {
+                console.error('[ChatTransport] WebSocket authentication error:', error.message);
+                req.user = null;
+            }
+            if (!req.user) return done(false, 401, 'Authentication required');
+            done(true);
+        } : undefined
+    });
+
+    wss.on('connection', (socket, req) => {
+        const user = req.user || null;
+        console.log(`[ChatTransport] WebSocket client connected${user ? ` (${user.username})` : ''}`);
+
+        socket.on('message', async (raw) => {
+            let frame;
+            try {
+                frame = JSON.parse(raw.toString());
+            } catch (error) {
+                socket.send(JSON.stringify({ type: 'error', status: 400, error: 'Invalid JSON frame' }));
+                return;
+            }
+
+            if (frame.type === 'ping') {
+                socket.send(JSON.stringify({ type: 'pong', id: frame.id || null }));
+                return;
+            }
+
+            if (frame.type !== 'chat') {
+                socket.send(JSON.stringify({ type: 'error', id: frame.id || null, status: 400, error: `Unknown frame type: ${frame.type}` }));
+                return;
+            }
+
+            const requestId = frame.id || crypto.randomBytes(6).toString('hex');
+            const { type, id, ...body } = frame;
+            const responder = createWebSocketResponder(socket, requestId);
+
+            try {
+                await handleChat(body, responder, user);
+            } catch (error) {
+                console.error('[ChatTransport] WebSocket chat error:', error.message);
+                responder.send({ error: error.message }, 500);
+            }
+        });
+
+        socket.on('close', () => {
+            console.log('[ChatTransport] WebSocket client disconnected');
+        });
+    });
+
+    console.log(`[ChatTransport] WebSocket chat channel listening on ${path}`);
+    return wss;
+}
+
+// A sentence ends at . ! ? (plus closing quotes/brackets) followed by whitespace, or at a line break
+const SENTENCE_END = /[.!?]+["')\]]*\s+|\n+/;
+
+/**
+ * Streams a reply a sentence at a time, each one only after `check(sentence)` resolves true.
+ * The first sentence that fails stops the stream - it and everything after it stay with the
+ * caller, who delivers the checked reply once it is complete.
+ *
+ * push(token) takes deltas as they arrive (synchronously, like an llm.stream callback);
+ * end() checks the last partial sentence and resolves with { sent, held }.
+ */
+function createSentenceGate({ emit, check }) {
+    let buffer = '';
+    let sent = '';
+    let held = false;
+    let queue = Promise.resolve();
+
+    const release = (segment) => {
+        queue = queue.then(async () => {
+            if (held) return;
+            let passed = !segment.trim();
+            if (!passed) {
+                try {
+                    passed = await check(segment.trim());
+                } catch (error) {
+                    console.error('[ChatTransport] Sentence check failed, holding the rest of the reply:', error.message);
+                }
+            }
+            if (!passed) {
+                held = true;
+                return;
+            }
+            sent += segment;
+            emit(segment);
+        });
+    };
+
+    return {
+        push(token) {
+            buffer += token;
+            let match;
+            while ((match = SENTENCE_END.exec(buffer))) {
+                const end = match.index + match[0].length;
+                release(buffer.slice(0, end));
+                buffer = buffer.slice(end);
+            }
+        },
+        async end() {
+            if (buffer) release(buffer);
+            buffer = '';
+            await queue;
+            return { sent, held };
+        }
+    };
+}
+
+module.exports = { createHttpResponder, createWebSocketResponder, attachChatWebSocket, createSentenceGate };
@@ -0,0 +1,379 @@
+/**
+ * Claim Verifier
+ * Checks the recollections in a draft reply ("remember when you...", "you told me...",
+ * "last time we...") against what was actually stored before the reply goes out.
+ *
+ * Each claim is labelled:
+ *   supported    - something the user said, a consolidated fact or an episode backs it
+ *   contradicted - the evidence talks about the same thing but says the opposite
+ *   unsupported  - nothing stored backs it (the usual shape of a fabricated story)
+ * Only the user's own statements count as evidence - Clint's earlier replies could be
+ * the very hallucination being repeated, and a user asking "do you remember..." is not
+ * a user saying it happened.
+ *
+ * Unsupported and contradicted claims are rewritten out of the reply (or only flagged,
+ * in 'flag' mode), and every turn's report is written to telemetry.
+ */
+
+const { tokenize } = require('./searchIndex');
+
+const CLAIM_LABELS = ['supported', 'unsupported', 'contradicted'];
+const TELEMETRY_KIND = 'claim-verification';
+
+// A sentence that presents a shared past or something the user said
+const RECALL_CUES = [
+    /\b(?:remember|recall)(?:ing)? (?:when|the time|how|that|you|your)\b/i,
+    /\byou (?:told|showed|taught|promised) me\b/i,
+    /\byou (?:said|mentioned|shared|described|talked about)\b/i,
+    /\b(?:last time|that time|back when|the day you|the night you)\b/i,
+    /\bwhen you were (?:a |little|young|small|\d+)/i,
+    /\b(?:we|you and I) (?:talked|spoke|went|rode|built|fixed|made|spent|met|used to)\b/i,
+    /\byou used to\b/i,
+    /\bI (?:taught|helped|showed|watched|held|ran alongside) you\b/i
+];
+// Denials are the right answer to a memory test, never claims
+const DENIAL = /\b(?:don't|do not|can't|cannot|never|doesn't|didn't) (?:remember|recall|have (?:a |any )?(?:memory|record))\b/i;
+const NEGATION = /\b(?:not|never|no|don't|didn't|doesn't|isn't|wasn't|aren't|weren't|won't|can't|cannot|hasn't|haven't)\b/i;
+
+// Recall phrasing and filler - what's left is what the claim is about
+const IGNORED_TERMS = new Set([
+    'remember', 'remembering', 'recall', 'time', 'told', 'tell', 'said', 'say', 'mentioned', 'shared', 'described',
+    'talked', 'spoke', 'back', 'last', 'day', 'night', 'used', 'once', 'ago', 'years', 'showed', 'taught',
+    'the', 'and', 'but', 'for', 'with', 'from', 'about', 'into', 'was', 'were', 'are', 'been', 'have', 'has',
+    'had', 'did', 'does', 'will', 'would', 'could', 'should', 'can', 'this', 'that', 'these', 'those', 'its',
+    'you', 'your', 'yours', 'me', 'my', 'we', 'our', 'he', 'she', 'they', 'them', 'his', 'her', 'their',
+    'what', 'just', 'not', 'yes', 'then', 'than', 'there', 'here', 'how', 'when', 'like', 'got', 'really',
+    'know', 'think', 'yeah', 'okay', 'also', 'all', 'some', 'out', 'very', 'still', 'who'
+]);
+
+const MIN_CLAIM_TERMS = 2;     // vaguer recollections are not specific enough to check
+const SUPPORTED_COVERAGE = 0.6;
+const RELATED_COVERAGE = 0.4;  // enough overlap to be about the same thing
+const EVIDENCE_PER_CLAIM = 5;
+const EVIDENCE_SEMANTIC_SIMILARITY = 0.5;
+const EVIDENCE_MEMORY_TYPES = new Set(['user_message', 'fact', 'episode']);
+const FALLBACK_REPLY = "I don't recall that.";
+
+class ClaimVerifier {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - facts, episodes and telemetry
+     * @param {SearchIndex} [options.searchIndex] - keyword evidence from stored messages
+     * @param {IntelligentRetrieval} [options.retrieval] - semantic evidence
+     * @param {LLMProvider} [options.llm] - 'verification' route for judging and rewriting
+     * @param {'rewrite'|'flag'} [options.mode]
+     */
+    constructor({ store, searchIndex = null, retrieval = null, llm = null, mode = 'rewrite' }) {
+        this.store = store;
+        this.searchIndex = searchIndex;
+        this.retrieval = retrieval;
+        this.llm = llm;
+        this.mode = mode === 'flag' ? 'flag' : 'rewrite';
+
+        this.stats = {
+            turns: 0,
+            turnsWithClaims: 0,
+            claims: Object.fromEntries(CLAIM_LABELS.map(label => [label, 0])),
+            rewritten: 0,
+            flagged: 0,
+            llmFallbacks: 0
+        };
+    }
+
+    /**
+     * Pull recollection claims out of a reply, one per sentence. "Remember when...?" is a
+     * claim; "Do you remember...?" asks the user and is not.
+     * @returns {Array<{ index, text, terms: string[] }>}
+     */
+    extractClaims(text) {
+        return splitSentences(text)
+            .map((sentence, index) => ({ index, text: sentence }))
+            .filter(({ text: sentence }) => !isMemoryTestQuestion(sentence) && !DENIAL.test(sentence) && RECALL_CUES.some(cue => cue.test(sentence)))
+            .map(claim => ({ ...claim, terms: [...claimTerms(claim.text)] }))
+            .filter(claim => claim.terms.length >= MIN_CLAIM_TERMS);
+    }
+
+    /**
+     * Extract and label the claims in a text, without rewriting or recording anything.
+     * @returns {Promise<Array<{ index, text, terms, evidence, label, method }>>}
+     */
+    async checkClaims(text, { profileId = null, userMessage = '' } = {}) {
+        const claims = this.extractClaims(text);
+        for (const claim of claims) {
+            claim.evidence = await this.gatherEvidence(claim, profileId);
+        }
+        await this.labelClaims(claims, userMessage);
+        return claims;
+    }
+
+    /**
+     * Verify a draft reply and, in rewrite mode, take out what isn't backed by memory.
+     * @param {string} responseText
+     * @param {Object} context
+     * @param {string} [context.profileId]
+     * @param {string} [context.userMessage] - the message being answered
+     * @param {boolean} [context.record] - write the report to telemetry (default true)
+     * @returns {Promise<{ responseText: string, report: Object }>}
+     */
+    async verifyResponse(responseText, { profileId = null, userMessage = '', record = true } = {}) {
+        const started = Date.now();
+        const claims = await this.checkClaims(responseText, { profileId, userMessage });
+
+        const flagged = claims.filter(claim => claim.label !== 'supported');
+        let finalText = responseText;
+        let action = 'none';
+        let rewriteMethod = null;
+        if (flagged.length > 0 && this.mode === 'rewrite') {
+            ({ text: finalText, method: rewriteMethod } = await this.rewrite(responseText, flagged));
+            action = 'rewritten';
+        } else if (flagged.length > 0) {
+            action = 'flagged';
+        }
+
+        const report = {
+            profileId,
+            mode: this.mode,
+            action,
+            rewriteMethod,
+            counts: Object.fromEntries(CLAIM_LABELS.map(label => [label, claims.filter(claim => claim.label === label).length])),
+            claims: claims.map(claim => ({
+                text: claim.text,
+                label: claim.label,
+                method: claim.method,
+                evidence: claim.evidence.slice(0, 3).map(e => ({ source: e.source, id: e.id, text: e.text.substring(0, 200), coverage: +e.coverage.toFixed(2) }))
+            })),
+            originalResponse: action === 'rewritten' ? responseText : undefined,
+            durationMs: Date.now() - started
+        };
+
+        this.stats.turns++;
+        if (claims.length > 0) this.stats.turnsWithClaims++;
+        claims.forEach(claim => this.stats.claims[claim.label]++);
+        if (action === 'rewritten') this.stats.rewritten++;
+        if (action === 'flagged') this.stats.flagged++;
+
+        if (record) {
+            try {
+                this.store.appendTelemetry(TELEMETRY_KIND, report, { profileId });
+            } catch (error) {
+                console.warn('[ClaimVerifier] Could not record verification report:', error.message);
+            }
+        }
+        if (flagged.length > 0) {
+            console.log(`[ClaimVerifier] ${claims.length} claims, ${flagged.length} not backed by memory - ${action}`);
+        }
+
+        return { responseText: finalText, report };
+    }
+
+    // ============= EVIDENCE =============
+
+    /**
+     * Stored things the user said that overlap the claim: messages (keyword index),
+     * consolidated facts and episodes, and semantic matches among the user's own memories.
+     */
+    async gatherEvidence(claim, profileId) {
+        const terms = new Set(claim.terms);
+        const evidence = [];
+        const push = (source, id, text, timestamp) => {
+            // A message can mix statements and questions - only statements count
+            let best = { sentence: null, coverage: 0 };
+            for (const sentence of splitSentences(text)) {
+                if (/\?\s*$/.test(sentence)) continue;
+                const coverage = termCoverage(terms, sentence);
+                if (coverage > best.coverage) best = { sentence, coverage };
+            }
+            if (best.coverage > 0 && !evidence.some(e => e.source === source && e.id === id)) {
+                evidence.push({ source, id, text, timestamp, coverage: best.coverage, sentence: best.sentence });
+            }
+        };
+
+        if (this.searchIndex) {
+            const filters = { sender: 'user', ...(profileId ? { profile: profileId.toLowerCase() } : {}) };
+            for (const hit of this.searchIndex.search(claim.terms.join(' '), { limit: EVIDENCE_PER_CLAIM, sources: ['message'], filters })) {
+                push('message', hit.id, hit.text, hit.timestamp);
+            }
+        }
+
+        if (this.store) {
+            for (const fact of this.store.getFacts({ profileId, limit: 1000 })) {
+                push('fact', `fact:${fact.id}`, fact.statement, fact.lastSeen);
+            }
+            for (const episode of this.store.getEpisodes({ profileId, limit: 200 })) {
+                push('episode', `episode:${episode.id}`, `${episode.title}: ${episode.summary}`, episode.end);
+            }
+        }
+
+        if (this.retrieval) {
+            try {
+                await this.retrieval.initialize();
+                const results = await this.retrieval.semanticMemory.semanticSearch(claim.text, {
+                    maxResults: EVIDENCE_PER_CLAIM * 2,
+                    includeClusters: false,
+                    minSimilarity: EVIDENCE_SEMANTIC_SIMILARITY
+                });
+                for (const { memory } of results) {
+                    if (!EVIDENCE_MEMORY_TYPES.has(memory.type)) continue;
+                    if (profileId && memory.metadata?.profileId !== profileId) continue;
+                    push('semantic', `semantic:${memory.id}`, memory.text, memory.timestamp);
+                }
+            } catch (error) {
+                console.warn('[ClaimVerifier] Semantic evidence unavailable:', error.message);
+            }
+        }
+
+        return evidence.sort((a, b) => b.coverage - a.coverage).slice(0, EVIDENCE_PER_CLAIM);
+    }
+
+    // ============= LABELLING =============
+
+    /**
+     * Claims without any evidence are unsupported outright. The rest go to the LLM in
+     * one call; claims it does not label (or every claim, if it fails) use heuristics.
+     */
+    async labelClaims(claims, userMessage) {
+        claims.filter(claim => claim.evidence.length === 0).forEach(claim => {
+            claim.label = 'unsupported';
+            claim.method = 'no-evidence';
+        });
+
+        const withEvidence = claims.filter(claim => claim.evidence.length > 0);
+        if (withEvidence.length === 0) return;
+
+        const llmLabels = this.llm ? await this.judgeWithLlm(withEvidence, userMessage) : null;
+        withEvidence.forEach((claim, index) => {
+            if (llmLabels && llmLabels[index]) {
+                claim.label = llmLabels[index];
+                claim.method = 'llm';
+            } else {
+                claim.label = heuristicLabel(claim);
+                claim.method = 'heuristic';
+            }
+        });
+    }
+
+    async judgeWithLlm(claims, userMessage) {
+        const blocks = claims.map((claim, index) => {
+            const evidence = claim.evidence.map(e => `  - (${e.source}) ${e.text.replace(/\s+/g, ' ').substring(0, 300)}`).join('\n');
+            return `Claim ${index}: "${claim.text}"\nEvidence:\n${evidence}`;
+        }).join('\n\n');
+
+        try {
+            const completion = await this.llm.complete({
+                subsystem: 'verification',
+                temperature: 0,
+                maxTokens: 300,
+                system: 'You check whether an assistant\'s recollections are backed by what the user actually said. Reply with a single JSON object and nothing else.',
+                prompt: `${userMessage ? `The user just said: "${userMessage.substring(0, 500)}"\n\n` : ''}${blocks}\n\n` +
+                    'For each claim, label it "supported" (the evidence says it happened), "contradicted" (the evidence says otherwise) ' +
+                    'or "unsupported" (the evidence does not establish it - a question about it is not evidence).\n' +
+                    'Return JSON: {"labels": ["supported" | "unsupported" | "contradicted", ...]} with one label per claim, in order.'
+            });
+            const labels = parseLabels(completion.text, claims.length);
+            if (!labels) this.stats.llmFallbacks++;
+            return labels;
+        } catch (error) {
+            this.stats.llmFallbacks++;
+            console.warn('[ClaimVerifier] LLM judgement failed, using heuristics:', error.message);
+            return null;
+        }
+    }
+
+    // ============= REWRITING =============
+
+    /**
+     * Take the flagged claims out of the reply. The LLM rewrite keeps the reply's voice;
+     * if it fails or still carries a flagged sentence, the sentences are dropped instead.
+     */
+    async rewrite(responseText, flagged) {
+        if (this.llm) {
+            try {
+                const completion = await this.llm.complete({
+                    subsystem: 'verification',
+                    temperature: 0.3,
+                    maxTokens: 800,
+                    system: 'You edit replies so they never present invented shared memories as real. Return only the edited reply.',
+                    prompt: `Reply:\n${responseText}\n\nThese statements are not backed by anything the user has told you:\n` +
+                        flagged.map(claim => `- ${claim.text}`).join('\n') +
+                        '\n\nRewrite the reply without asserting them. If the reply depends on them, say plainly that you don\'t recall it. ' +
+                        'Do not invent other memories. Keep everything else, including tone and length.'
+                });
+                const rewritten = (completion.text || '').trim();
+                if (rewritten && rewritten.length <= responseText.length * 2 && !this.repeatsClaims(rewritten, flagged)) {
+                    return { text: rewritten, method: 'llm' };
+                }
+            } catch (error) {
+                this.stats.llmFallbacks++;
+                console.warn('[ClaimVerifier] LLM rewrite failed, dropping sentences:', error.message);
+            }
+        }
+
+        const drop = new Set(flagged.map(claim => claim.index));
+        const kept = splitSentences(responseText).filter((sentence, index) => !drop.has(index));
+        return { text: kept.length > 0 ? kept.join(' ') : FALLBACK_REPLY, method: 'removed' };
+    }
+
+    // A rewrite that still makes one of the flagged claims is no rewrite at all
+    repeatsClaims(text, flagged) {
+        const remaining = this.extractClaims(text);
+        return flagged.some(claim => text.includes(claim.text) ||
+            remaining.some(other => termCoverage(new Set(claim.terms), other.text) >= SUPPORTED_COVERAGE));
+    }
+
+    // ============= REPORTS =============
+
+    getReports({ profileId = null, since = null, limit = 50 } = {}) {
+        return this.store.getTelemetry({ kind: TELEMETRY_KIND, profileId, since, limit, newestFirst: true });
+    }
+
+    getStats() {
+        return { mode: this.mode, ...this.stats, claims: { ...this.stats.claims } };
+    }
+}
+
+// ============= HELPERS =============
+
+// "Do you remember the time...?" - a memory test, which invites a made-up answer
+function isMemoryTestQuestion(text) {
+    return /\?/.test(text || '') && /\b(?:do|did|can|don't) you (?:still )?(?:remember|recall)\b/i.test(text || '');
+}
+
+function splitSentences(text) {
+    return (String(text || '').match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function claimTerms(text) {
+    return new Set(tokenize(text).filter(term => term.length > 2 && !IGNORED_TERMS.has(term)));
+}
+
+function termCoverage(terms, text) {
+    if (terms.size === 0) return 0;
+    const other = claimTerms(text);
+    let shared = 0;
+    for (const term of terms) if (other.has(term)) shared++;
+    return shared / terms.size;
+}
+
+function heuristicLabel(claim) {
+    const best = claim.evidence[0];
+    if (!best || best.coverage < RELATED_COVERAGE) return 'unsupported';
+    // Same subject, opposite polarity ("you never had a bike" vs "you rode your bike")
+    if (NEGATION.test(best.sentence) !== NEGATION.test(claim.text)) return 'contradicted';
+    return best.coverage >= SUPPORTED_COVERAGE ? 'supported' : 'unsupported';
+}
+
+function parseLabels(text, count) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+    try {
+        const labels = JSON.parse(json[0]).labels;
+        if (!Array.isArray(labels)) return null;
+        return Array.from({ length: count }, (_, index) => (CLAIM_LABELS.includes(labels[index]) ? labels[index] : null));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { ClaimVerifier, CLAIM_LABELS, isMemoryTestQuestion };
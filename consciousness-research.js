@@ -9,8 +9,68 @@ const SmartMetaphorGenerator = require('./orchestrators/smartMetaphorGenerator')
 
 // ============= INTERNAL MONOLOGUE SYSTEM =============
 
+const PRINCIPLES = ['courage', 'keep_word', 'ride_for_brand'];
+const VOICE_MODES = ['hammer', 'range', 'hand_back'];
+const TENSION_TYPES = ['principle_conflict', 'response_mode', 'identity', 'memory', 'other'];
+
+// What the 'monologue' model must return. Sent with the prompt and checked by validateSchema.
+const MONOLOGUE_SCHEMA = {
+    type: 'object',
+    required: ['thought', 'principles', 'tensions', 'clarity', 'voice_mode'],
+    additionalProperties: false,
+    properties: {
+        thought: {
+            type: 'object',
+            required: ['raw_thought'],
+            additionalProperties: false,
+            properties: {
+                raw_thought: { type: 'string', minLength: 1, maxLength: 600, description: 'Clint talking to himself, first person, plain' },
+                emotional_read: { type: 'string', maxLength: 300, description: 'How the speaker seems to be feeling' },
+                approach_decision: { type: 'string', maxLength: 300, description: 'How to answer and why' },
+                uncertainty_notes: { type: 'string', maxLength: 300, description: 'What is unclear' },
+                memory_activation: { type: 'string', maxLength: 300, description: 'What past exchanges this calls up' }
+            }
+        },
+        principles: { type: 'array', maxItems: 3, items: { type: 'string', enum: PRINCIPLES }, description: 'Code of the West principles the message touches' },
+        tensions: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                required: ['type', 'description', 'severity'],
+                additionalProperties: false,
+                properties: {
+                    type: { type: 'string', enum: TENSION_TYPES },
+                    description: { type: 'string', minLength: 1, maxLength: 300 },
+                    severity: { type: 'number', minimum: 0, maximum: 1 }
+                }
+            }
+        },
+        clarity: { type: 'number', minimum: 0, maximum: 1, description: 'How clear Clint is about how to respond' },
+        voice_mode: { type: 'string', enum: VOICE_MODES, description: 'hammer: direct and firm; range: slow, open, leaves space; hand_back: returns the question to them' },
+        code_alignment: {
+            type: 'object',
+            required: ['aligned', 'confidence'],
+            additionalProperties: false,
+            properties: {
+                aligned: { type: 'boolean' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                primary_tenet: { type: 'string', enum: PRINCIPLES },
+                notes: { type: 'string', maxLength: 300 }
+            }
+        }
+    }
+};
+
 class InternalMonologue {
-    constructor(storagePath, anythingLLMUrl = null, workspaceSlug = null, apiKey = null) {
+    /**
+     * @param {string} storagePath
+     * @param {Object} [llmClient] - `llm.client('monologue')`
+     * @param {Object} [options]
+     * @param {boolean} [options.useLlm] - false keeps the keyword heuristics only (default: true when a client is given)
+     * @param {number} [options.maxTokens] - budget for the model's JSON (default: 500)
+     */
+    constructor(storagePath, llmClient = null, options = {}) {
         this.storagePath = path.join(storagePath, 'consciousness');
         this.monologuePath = path.join(this.storagePath, 'monologues');
         this.currentSession = {
@@ -19,16 +79,14 @@ class InternalMonologue {
             entries: []
         };
         
-        // Initialize smart metaphor generator if AnythingLLM is available
+        // Shared LLM client ({ chat(messages) }) on the 'monologue' route
+        this.llm = llmClient;
+        this.useLlm = !!llmClient && options.useLlm !== false;
+        this.maxTokens = options.maxTokens || 500;
+        this.stats = { llm: 0, heuristic: 0, llmFallbacks: 0, lastFallbackReason: null };
+        
+        // SmartMetaphorGenerator still targets the AnythingLLM API - stays off until ported to the provider
         this.metaphorGenerator = null;
-        if (anythingLLMUrl && workspaceSlug && apiKey) {
-            this.metaphorGenerator = new SmartMetaphorGenerator(
-                storagePath, 
-                anythingLLMUrl, 
-                workspaceSlug, 
-                apiKey
-            );
-        }
         
         this.initialize();
     }
@@ -37,30 +95,35 @@ class InternalMonologue {
         await fs.mkdir(this.monologuePath, { recursive: true });
     }
     
-    // Generate internal monologue before each response
+    // Generate internal monologue before each response - from the model when it answers
+    // with valid JSON, otherwise from the keyword heuristics below
     async generateMonologue(message, context, specIndices) {
+        const modelled = this.useLlm ? await this.generateWithLlm(message, context, specIndices) : null;
+        this.stats[modelled ? 'llm' : 'heuristic']++;
+        
         const monologue = {
             timestamp: new Date().toISOString(),
             messageHash: crypto.createHash('sha256').update(message).digest('hex').substring(0, 12),
+            source: modelled ? 'llm' : 'heuristic',
             
             // Spec-based introspection
-            principles_triggered: this.detectPrinciples(message),
+            principles_triggered: modelled ? modelled.principles : this.detectPrinciples(message),
             speculation_entropy: specIndices.entropy || 0,
             contradictions_surfaced: [],
             drift_index: specIndices.ADI || 0,
             
             // Private voice (the actual monologue)
-            internal_voice: await this.generateInternalVoice(message, context),
+            internal_voice: modelled ? modelled.internal_voice : await this.generateInternalVoice(message, context),
             
             // Meta-cognitive state
-            clarity_level: this.assessClarity(context),
-            tension_points: this.identifyTensions(message, context),
+            clarity_level: modelled ? modelled.clarity : this.assessClarity(context),
+            tension_points: modelled ? modelled.tensions : this.identifyTensions(message, context),
             recursive_depth: specIndices.recursion_depth || 0,
             
             // Identity markers
-            voice_mode_selected: null, // Hammer/Range/Hand-Back
+            voice_mode_selected: modelled ? modelled.voice_mode : null, // Hammer/Range/Hand-Back
             metaphor_chosen: await this.generateSmartMetaphor(message, context),
-            code_alignment: this.assessCodeAlignment(message)
+            code_alignment: modelled?.code_alignment || this.assessCodeAlignment(message)
         };
         
         this.currentSession.entries.push(monologue);
@@ -71,7 +134,76 @@ class InternalMonologue {
         return monologue;
     }
     
-    // Generate the actual internal voice - Clint talking to himself
+    /**
+     * Ask the 'monologue' model for Clint's private read of the message as JSON matching
+     * MONOLOGUE_SCHEMA. Returns null (and counts a fallback) when the call fails or the
+     * answer does not validate.
+     */
+    async generateWithLlm(message, context = {}, specIndices = {}) {
+        const recentThoughts = this.currentSession.entries.slice(-3)
+            .map(entry => entry.internal_voice?.raw_thought)
+            .filter(Boolean);
+        const background = typeof context.userContext === 'string' ? context.userContext.slice(-1500) : '';
+        
+        let text;
+        try {
+            const completion = await this.llm.complete({
+                temperature: 0.7,
+                maxTokens: this.maxTokens,
+                system: 'You are the private inner voice of Clint, a steady, plain-spoken companion who lives by the Code of the West ' +
+                    '(courage, keeping your word, riding for the brand). Nobody else reads this. ' +
+                    'Reply with a single JSON object that matches the schema you are given, and nothing else.',
+                prompt: `Message just received:\n"${String(message).substring(0, 1500)}"\n\n` +
+                    (background ? `What Clint remembers of the conversation:\n${background}\n\n` : '') +
+                    (recentThoughts.length > 0 ? `His last private thoughts:\n${recentThoughts.map(thought => `- ${thought}`).join('\n')}\n\n` : '') +
+                    `Speculation entropy: ${Number(specIndices.entropy || 0).toFixed(2)}; identity drift: ${Number(specIndices.ADI || 0).toFixed(2)}\n\n` +
+                    `Before answering, think it through as Clint. JSON schema:\n${JSON.stringify(MONOLOGUE_SCHEMA)}`
+            });
+            text = completion.text;
+        } catch (error) {
+            return this.recordFallback(`model call failed: ${error.message}`);
+        }
+        
+        const json = (text || '').match(/\{[\s\S]*\}/);
+        let data;
+        try {
+            data = JSON.parse(json ? json[0] : '');
+        } catch (error) {
+            return this.recordFallback('reply was not JSON');
+        }
+        const errors = validateSchema(data, MONOLOGUE_SCHEMA);
+        if (errors.length > 0) {
+            return this.recordFallback(`reply did not match the schema (${errors.slice(0, 3).join('; ')})`);
+        }
+        
+        return {
+            internal_voice: {
+                raw_thought: data.thought.raw_thought.trim(),
+                emotional_read: data.thought.emotional_read || '',
+                approach_decision: data.thought.approach_decision || '',
+                uncertainty_notes: data.thought.uncertainty_notes || '',
+                memory_activation: data.thought.memory_activation || ''
+            },
+            principles: [...new Set(data.principles)],
+            tensions: data.tensions,
+            clarity: data.clarity,
+            voice_mode: data.voice_mode,
+            code_alignment: data.code_alignment || null
+        };
+    }
+    
+    recordFallback(reason) {
+        this.stats.llmFallbacks++;
+        this.stats.lastFallbackReason = reason;
+        console.warn(`[InternalMonologue] Using heuristic monologue - ${reason}`);
+        return null;
+    }
+    
+    getStats() {
+        return { useLlm: this.useLlm, ...this.stats };
+    }
+    
+    // Heuristic fallback for the internal voice - Clint talking to himself
     async generateInternalVoice(message, context) {
         // Generate dynamic internal thoughts based on message content
         const lower = message.toLowerCase();
@@ -275,6 +407,8 @@ class InternalMonologue {
         }));
     }
     
+    // ============= HEURISTIC FALLBACKS (no model, or an invalid answer) =============
+    
     detectPrinciples(message) {
         const principles = [];
         const lower = message.toLowerCase();
@@ -450,12 +584,7 @@ class IdentityEvolution {
             identity: JSON.parse(JSON.stringify(this.currentIdentity)),
             
             // Compute identity metrics
-            metrics: {
-                coherence_score: this.computeCoherence(),
-                principle_stability: this.computePrincipleStability(),
-                voice_consistency: this.computeVoiceConsistency(),
-                tension_resolution_rate: this.computeTensionResolution()
-            },
+            metrics: this.computeMetrics(),
             
             // Changes from last snapshot
             changes: await this.computeChanges()
@@ -471,6 +600,15 @@ class IdentityEvolution {
         return snapshot;
     }
     
+    computeMetrics() {
+        return {
+            coherence_score: this.computeCoherence(),
+            principle_stability: this.computePrincipleStability(),
+            voice_consistency: this.computeVoiceConsistency(),
+            tension_resolution_rate: this.computeTensionResolution()
+        };
+    }
+    
     // Update identity based on monologue patterns
     async evolveFromMonologue(monologue) {
         // Update voice mode preferences
@@ -802,6 +940,17 @@ class SpecReflection {
 
 // ============= NARRATIVE IDENTITY GRAPH =============
 
+// Chapters come from change-point detection over the node sequence (binary segmentation):
+// a segment is split where theme and stability change most, while the split saves more than the penalty
+const TIMELINE_CONFIG = {
+    MIN_CHAPTER_NODES: 2, // Shortest chapter, in identity states
+    MAX_CHAPTERS: 12,
+    SPLIT_PENALTY: 1.5, // Cost a split must save - one and a half off-theme states
+    STABILITY_SCALE: 40, // Squared principle/coherence deviation, weighed against off-theme states
+    EVIDENCE_PER_NODE: 5, // Monologues kept as the conversations behind a state
+    MIN_NODE_GAP_MS: 6 * 60 * 60 * 1000 // Identity states closer than this are not recorded twice
+};
+
 class NarrativeIdentityGraph {
     constructor(storagePath) {
         this.storagePath = path.join(storagePath, 'consciousness');
@@ -839,11 +988,13 @@ class NarrativeIdentityGraph {
         );
     }
     
-    // Add new identity state node
-    addIdentityNode(snapshot, monologueSummary) {
+    // Add new identity state node; `monologueSummary` holds the monologues since the previous node
+    async addIdentityNode(snapshot, monologueSummary, { from = null } = {}) {
+        const timestamp = new Date().toISOString();
+        const dominantTheme = this.extractDominantTheme(monologueSummary);
         const node = {
             id: crypto.randomBytes(8).toString('hex'),
-            timestamp: new Date().toISOString(),
+            timestamp,
             
             // Identity characteristics
             coherence: snapshot.metrics.coherence_score,
@@ -851,9 +1002,14 @@ class NarrativeIdentityGraph {
             voice_signature: snapshot.identity.voice_mode_preferences,
             
             // Narrative elements
-            dominant_theme: this.extractDominantTheme(monologueSummary),
+            dominant_theme: dominantTheme,
             emotional_tone: this.extractEmotionalTone(monologueSummary),
             
+            // The conversations this state grew out of
+            window: { from, to: timestamp },
+            monologue_count: monologueSummary.length,
+            evidence: this.selectEvidence(monologueSummary, dominantTheme),
+            
             // Connections
             parent_nodes: [],
             child_nodes: []
@@ -881,9 +1037,31 @@ class NarrativeIdentityGraph {
             event: 'identity_state'
         });
         
+        await this.saveGraph();
         return node;
     }
     
+    // Monologues that most shaped a state: on its theme, carrying tension, or unclear
+    selectEvidence(monologueSummary, theme) {
+        return monologueSummary
+            .map(monologue => ({
+                monologue,
+                score: ((monologue.principles_triggered || []).includes(theme) ? 1 : 0) +
+                    (monologue.tension_points || []).length * 0.5 +
+                    (1 - (monologue.clarity_level ?? 1)) * 0.5
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, TIMELINE_CONFIG.EVIDENCE_PER_NODE)
+            .map(({ monologue }) => ({
+                timestamp: monologue.timestamp,
+                messageHash: monologue.messageHash,
+                principles: monologue.principles_triggered || [],
+                tensions: (monologue.tension_points || []).map(tension => tension.type),
+                clarity: monologue.clarity_level,
+                voice_mode: monologue.voice_mode_selected || null
+            }));
+    }
+    
     extractDominantTheme(monologueSummary) {
         // Analyze monologues for recurring themes
         const themes = {};
@@ -899,6 +1077,8 @@ class NarrativeIdentityGraph {
     }
     
     extractEmotionalTone(monologueSummary) {
+        if (monologueSummary.length === 0) return 'steady';
+        
         // Simple sentiment from clarity and tension
         const avgClarity = monologueSummary.reduce((sum, m) => sum + m.clarity_level, 0) / 
                           monologueSummary.length;
@@ -995,34 +1175,255 @@ class NarrativeIdentityGraph {
             recurring_patterns: []
         };
         
-        // Divide timeline into chapters
-        const chapterSize = Math.ceil(this.graph.nodes.length / 5);
-        for (let i = 0; i < this.graph.nodes.length; i += chapterSize) {
-            const chapterNodes = this.graph.nodes.slice(i, i + chapterSize);
-            narrative.chapters.push({
-                period: `Chapter ${Math.floor(i / chapterSize) + 1}`,
-                theme: this.extractChapterTheme(chapterNodes),
-                stability: this.assessChapterStability(chapterNodes)
-            });
-        }
+        // Chapters begin where theme or stability change, not at fixed fifths of the timeline
+        narrative.chapters = this.detectChapters();
+        narrative.overall_arc = narrative.chapters
+            .map(chapter => `${chapter.theme} (${chapter.stability})`)
+            .join(' → ');
         
         // Identify key transitions
-        narrative.key_transitions = this.graph.edges
-            .filter(e => e.type === 'transformation' || e.type === 'shift')
-            .map(e => {
-                const fromNode = this.graph.nodes.find(n => n.id === e.from);
-                const toNode = this.graph.nodes.find(n => n.id === e.to);
-                return {
-                    from: fromNode.dominant_theme,
-                    to: toNode.dominant_theme,
-                    type: e.type,
-                    timestamp: toNode.timestamp
-                };
-            });
+        narrative.key_transitions = this.transitions({ types: ['shift', 'transformation'] });
         
         return narrative;
     }
     
+    // ============= TIMELINE QUERIES =============
+    
+    nodeVector(node) {
+        return [...PRINCIPLES.map(principle => node.principle_weights?.[principle] || 0), node.coherence || 0];
+    }
+    
+    // Off-theme states plus scaled squared deviation from the segment's mean principles and coherence
+    segmentCost(nodes) {
+        const themes = {};
+        for (const node of nodes) {
+            themes[node.dominant_theme] = (themes[node.dominant_theme] || 0) + 1;
+        }
+        const theme = nodes.length - Math.max(...Object.values(themes));
+        
+        const vectors = nodes.map(node => this.nodeVector(node));
+        const mean = vectors[0].map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+        const spread = vectors.reduce((sum, vector) =>
+            sum + vector.reduce((total, value, i) => total + Math.pow(value - mean[i], 2), 0), 0);
+        const stability = spread * TIMELINE_CONFIG.STABILITY_SCALE;
+        
+        return { theme, stability, total: theme + stability };
+    }
+    
+    // Split point in nodes[start, end) that saves the most cost, if it beats the penalty
+    bestSplit(start, end) {
+        const minNodes = TIMELINE_CONFIG.MIN_CHAPTER_NODES;
+        if (end - start < minNodes * 2) return null;
+        
+        const nodes = this.graph.nodes;
+        const whole = this.segmentCost(nodes.slice(start, end));
+        let best = null;
+        for (let i = start + minNodes; i <= end - minNodes; i++) {
+            const left = this.segmentCost(nodes.slice(start, i));
+            const right = this.segmentCost(nodes.slice(i, end));
+            const gain = whole.total - left.total - right.total;
+            if (gain > TIMELINE_CONFIG.SPLIT_PENALTY && (!best || gain > best.score)) {
+                best = {
+                    index: i,
+                    score: gain,
+                    themeGain: whole.theme - left.theme - right.theme,
+                    stabilityGain: whole.stability - left.stability - right.stability
+                };
+            }
+        }
+        return best;
+    }
+    
+    detectChapters() {
+        const nodes = this.graph.nodes;
+        if (nodes.length === 0) return [];
+        
+        const boundaries = [];
+        const segments = [[0, nodes.length]];
+        while (segments.length > 0 && boundaries.length < TIMELINE_CONFIG.MAX_CHAPTERS - 1) {
+            const [start, end] = segments.shift();
+            const split = this.bestSplit(start, end);
+            if (!split) continue;
+            boundaries.push(split);
+            segments.push([start, split.index], [split.index, end]);
+        }
+        boundaries.sort((a, b) => a.index - b.index);
+        
+        const starts = [{ index: 0 }, ...boundaries];
+        return starts.map((boundary, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1].index : nodes.length;
+            const chapterNodes = nodes.slice(boundary.index, end);
+            const reasons = [];
+            if (boundary.themeGain > 0) reasons.push('theme');
+            if (boundary.stabilityGain >= TIMELINE_CONFIG.SPLIT_PENALTY / 2) reasons.push('stability');
+            
+            return {
+                index: i,
+                period: `Chapter ${i + 1}`,
+                from: chapterNodes[0].timestamp,
+                to: chapterNodes[chapterNodes.length - 1].timestamp,
+                node_ids: chapterNodes.map(node => node.id),
+                theme: this.extractChapterTheme(chapterNodes),
+                stability: this.assessChapterStability(chapterNodes),
+                emotional_tone: this.extractChapterTone(chapterNodes),
+                principle_weights: this.averageWeights(chapterNodes),
+                coherence: chapterNodes.reduce((sum, node) => sum + (node.coherence || 0), 0) / chapterNodes.length,
+                opened_by: i === 0 ? null : { reasons, score: Math.round(boundary.score * 100) / 100 }
+            };
+        });
+    }
+    
+    extractChapterTone(nodes) {
+        const tones = {};
+        for (const node of nodes) {
+            tones[node.emotional_tone] = (tones[node.emotional_tone] || 0) + 1;
+        }
+        return Object.entries(tones).sort((a, b) => b[1] - a[1])[0]?.[0] || 'steady';
+    }
+    
+    averageWeights(nodes) {
+        const weights = {};
+        for (const principle of PRINCIPLES) {
+            weights[principle] = nodes.reduce((sum, node) => sum + (node.principle_weights?.[principle] || 0), 0) / nodes.length;
+        }
+        return weights;
+    }
+    
+    describeNode(node) {
+        const { parent_nodes, child_nodes, evidence, ...state } = node;
+        return state;
+    }
+    
+    // Identity as it stood at `date`: the latest state recorded at or before it
+    stateAt(date) {
+        const at = new Date(date).getTime();
+        const node = [...this.graph.nodes].reverse().find(entry => new Date(entry.timestamp).getTime() <= at);
+        if (!node) return null;
+        
+        const chapter = this.detectChapters().find(entry => entry.node_ids.includes(node.id));
+        return {
+            date: new Date(at).toISOString(),
+            as_of: node.timestamp,
+            state: this.describeNode(node),
+            chapter: chapter ? { index: chapter.index, period: chapter.period, theme: chapter.theme, stability: chapter.stability } : null
+        };
+    }
+    
+    diff(fromDate, toDate) {
+        const before = this.stateAt(fromDate);
+        const after = this.stateAt(toDate);
+        const fromMs = new Date(fromDate).getTime();
+        const toMs = new Date(toDate).getTime();
+        
+        let changes = null;
+        if (before && after) {
+            const delta = (from, to) => ({ from, to, delta: to - from });
+            const principleWeights = {};
+            for (const principle of PRINCIPLES) {
+                principleWeights[principle] = delta(before.state.principle_weights?.[principle] || 0, after.state.principle_weights?.[principle] || 0);
+            }
+            const voiceSignature = {};
+            for (const mode of VOICE_MODES) {
+                voiceSignature[mode] = delta(before.state.voice_signature?.[mode] || 0, after.state.voice_signature?.[mode] || 0);
+            }
+            changes = {
+                principle_weights: principleWeights,
+                coherence: delta(before.state.coherence || 0, after.state.coherence || 0),
+                voice_signature: voiceSignature,
+                theme: before.state.dominant_theme === after.state.dominant_theme ? null : { from: before.state.dominant_theme, to: after.state.dominant_theme },
+                emotional_tone: before.state.emotional_tone === after.state.emotional_tone ? null : { from: before.state.emotional_tone, to: after.state.emotional_tone },
+                magnitude: this.computeTransitionWeight(before.state, after.state),
+                type: this.classifyTransition(before.state, after.state)
+            };
+        }
+        
+        return {
+            from: before,
+            to: after,
+            changes,
+            chapters_begun: this.detectChapters()
+                .filter(chapter => chapter.index > 0)
+                .filter(chapter => new Date(chapter.from).getTime() > fromMs && new Date(chapter.from).getTime() <= toMs)
+                .map(chapter => ({ index: chapter.index, period: chapter.period, from: chapter.from, theme: chapter.theme, opened_by: chapter.opened_by })),
+            transitions: this.transitions({ from: fromDate, to: toDate })
+        };
+    }
+    
+    // State changes (default: everything but 'stable'), each with the monologues behind the new state
+    transitions({ from = null, to = null, types = ['drift', 'shift', 'transformation'] } = {}) {
+        const fromMs = from ? new Date(from).getTime() : -Infinity;
+        const toMs = to ? new Date(to).getTime() : Infinity;
+        
+        return this.graph.edges
+            .map(edge => ({
+                edge,
+                fromNode: this.graph.nodes.find(node => node.id === edge.from),
+                toNode: this.graph.nodes.find(node => node.id === edge.to)
+            }))
+            .filter(({ edge, fromNode, toNode }) => fromNode && toNode && (!types || types.includes(edge.type)))
+            .filter(({ toNode }) => {
+                const at = new Date(toNode.timestamp).getTime();
+                return at > fromMs && at <= toMs;
+            })
+            .map(({ edge, fromNode, toNode }) => ({
+                from: fromNode.dominant_theme,
+                to: toNode.dominant_theme,
+                type: edge.type,
+                weight: edge.weight,
+                timestamp: toNode.timestamp,
+                from_node: fromNode.id,
+                to_node: toNode.id,
+                window: toNode.window || null,
+                evidence: toNode.evidence || []
+            }));
+    }
+    
+    // ============= EXPORT =============
+    
+    exportTimeline() {
+        const chapters = this.detectChapters();
+        return {
+            exported_at: new Date().toISOString(),
+            states: this.graph.nodes.map(node => ({ ...this.describeNode(node), evidence: node.evidence || [] })),
+            chapters,
+            overall_arc: chapters.map(chapter => `${chapter.theme} (${chapter.stability})`).join(' → '),
+            transitions: this.transitions({ types: null })
+        };
+    }
+    
+    // Markdown rendering of exportTimeline(); transitions may carry `conversations` resolved by the caller
+    toMarkdown(timeline = this.exportTimeline()) {
+        const day = value => (value ? String(value).split('T')[0] : '?');
+        const weights = values => PRINCIPLES.map(principle => `${principle} ${(values?.[principle] || 0).toFixed(2)}`).join(' · ');
+        const lines = [
+            '# Clint - Identity Timeline',
+            '',
+            `Exported ${timeline.exported_at} · ${timeline.states.length} states · ${timeline.chapters.length} chapters`,
+            ''
+        ];
+        if (timeline.overall_arc) lines.push(`**Arc:** ${timeline.overall_arc}`, '');
+        
+        for (const chapter of timeline.chapters) {
+            lines.push(`## ${chapter.period} - ${chapter.theme} (${chapter.stability})`, '');
+            lines.push(`${day(chapter.from)} → ${day(chapter.to)} · ${chapter.node_ids.length} states · tone: ${chapter.emotional_tone}`, '');
+            lines.push(`Principles: ${weights(chapter.principle_weights)} · coherence ${chapter.coherence.toFixed(2)}`, '');
+            if (chapter.opened_by) lines.push(`Opened by a change in ${chapter.opened_by.reasons.join(' and ') || 'overall state'} (score ${chapter.opened_by.score})`, '');
+        }
+        
+        const changes = timeline.transitions.filter(transition => transition.type !== 'stable');
+        lines.push('## Transitions', '');
+        if (changes.length === 0) lines.push('No transitions recorded.', '');
+        for (const transition of changes) {
+            lines.push(`- **${day(transition.timestamp)}** ${transition.type} (${transition.weight.toFixed(2)}): ${transition.from} → ${transition.to}`);
+            for (const conversation of transition.conversations || []) {
+                lines.push(`  - ${day(conversation.timestamp)} ${conversation.profileId || 'unknown'}: "${conversation.text}"`);
+            }
+        }
+        lines.push('');
+        
+        return lines.join('\n');
+    }
+    
     extractChapterTheme(nodes) {
         const themes = {};
         for (const node of nodes) {
@@ -1050,11 +1451,12 @@ class NarrativeIdentityGraph {
 // ============= MAIN CONSCIOUSNESS RESEARCH SYSTEM =============
 
 class ConsciousnessResearch {
-    constructor(storagePath) {
+    constructor(storagePath, llmClient = null, options = {}) {
         this.storagePath = storagePath;
+        this.llm = llmClient;
         
         // Initialize all subsystems
-        this.monologue = new InternalMonologue(storagePath);
+        this.monologue = new InternalMonologue(storagePath, llmClient, options.monologue);
         this.evolution = new IdentityEvolution(storagePath);
         this.reflection = new SpecReflection(storagePath, './clint_spec.json');
         this.identityGraph = new NarrativeIdentityGraph(storagePath);
@@ -1098,7 +1500,9 @@ class ConsciousnessResearch {
             internal_state: {
                 clarity: monologue.clarity_level,
                 principles: monologue.principles_triggered,
-                tensions: monologue.tension_points
+                tensions: monologue.tension_points,
+                voice_mode_selected: monologue.voice_mode_selected,
+                source: monologue.source
             }
         };
     }
@@ -1124,7 +1528,7 @@ class ConsciousnessResearch {
         const specReflection = await this.reflection.reflectOnSpec(monologueHistory);
         
         // 4. Update identity graph
-        this.identityGraph.addIdentityNode(snapshot, monologueHistory);
+        await this.recordIdentityState(snapshot);
         
         // 5. Find patterns
         await this.identityGraph.findClusters();
@@ -1137,6 +1541,29 @@ class ConsciousnessResearch {
         console.log('[Consciousness Research] Weekly snapshot created');
     }
     
+    /**
+     * Add the identity as it stands to the narrative timeline, with the monologues since the
+     * previous state as evidence. Skipped when a state was recorded in the last few hours.
+     * @param {Object} [snapshot] - a weekly snapshot; the live identity and metrics otherwise
+     */
+    async recordIdentityState(snapshot = null) {
+        const nodes = this.identityGraph.graph.nodes;
+        const last = nodes[nodes.length - 1];
+        const now = Date.now();
+        if (last && now - new Date(last.timestamp).getTime() < TIMELINE_CONFIG.MIN_NODE_GAP_MS) return null;
+        
+        const since = last ? new Date(last.timestamp).getTime() : now - 7 * 24 * 60 * 60 * 1000;
+        const days = Math.ceil((now - since) / (24 * 60 * 60 * 1000)) + 1;
+        const monologues = (await this.monologue.getMonologueHistory(days))
+            .filter(monologue => new Date(monologue.timestamp).getTime() > since);
+        
+        const state = snapshot || {
+            identity: JSON.parse(JSON.stringify(this.evolution.currentIdentity)),
+            metrics: this.evolution.computeMetrics()
+        };
+        return this.identityGraph.addIdentityNode(state, monologues, { from: new Date(since).toISOString() });
+    }
+    
     // Generate research report
     async generateReport() {
         const report = {
@@ -1290,10 +1717,55 @@ class ConsciousnessResearch {
     }
 }
 
+// ============= HELPERS =============
+
+/**
+ * Check a value against the JSON Schema subset MONOLOGUE_SCHEMA uses (type, required,
+ * properties, additionalProperties, items, enum, minimum/maximum, minLength/maxLength, maxItems).
+ * @returns {string[]} one message per violation - empty when the value is valid
+ */
+function validateSchema(value, schema, at = '$') {
+    const errors = [];
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && actual !== schema.type) {
+        return [`${at} should be ${schema.type}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (actual === 'number') {
+        if (!Number.isFinite(value)) errors.push(`${at} should be a finite number`);
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+    }
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at} should not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} should be at most ${schema.maxLength} characters`);
+    }
+    if (actual === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} should have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) errors.push(...validateSchema(item, properties[key], `${at}.${key}`));
+            else if (schema.additionalProperties === false) errors.push(`${at}.${key} is not allowed`);
+        }
+    }
+    return errors;
+}
+
 module.exports = {
     ConsciousnessResearch,
     InternalMonologue,
+    MONOLOGUE_SCHEMA,
+    validateSchema,
     IdentityEvolution,
     SpecReflection,
-    NarrativeIdentityGraph
+    NarrativeIdentityGraph,
+    TIMELINE_CONFIG
 };
\ No newline at end of file
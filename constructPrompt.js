@@ -144,7 +144,7 @@ function buildAccountabilityLayer(context) {
     
     // Profile-specific accountability
     if (context.profile && context.profile.tier === 'primary') {
-        challenges.push(`PRIMARY USER: This is Chris - your creator. Be direct. Reference shared history. No performance. He wants legacy/accountability/biographer, not tech support.`);
+        challenges.push(`PRIMARY USER: This is ${context.profile.id || 'your primary user'} - the person who runs you. Be direct. Reference shared history. No performance. They want legacy/accountability/biographer, not tech support.`);
     }
     
     // NEW: CLINT SPEC OPERATIONAL METRICS
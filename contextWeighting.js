@@ -102,16 +102,27 @@ class ContextWeightingSystem {
     }
 
     // Weight and format profile context - MINIMAL "SWEET SPOT" VERSION
+    // trustLevel: a number, or the trust graph's { level, vouch, sharing } for the active profile
     weightProfileContext(profileSummary, activeProfile, trustLevel) {
         if (!profileSummary) return '';
         
+        const trust = typeof trustLevel === 'object' && trustLevel !== null ? trustLevel : { level: trustLevel };
+        const level = typeof trust.level === 'number' ? trust.level : 0.5;
+        
         let context = '[PROFILE CONTEXT]\n';
         
         // MINIMAL PROFILE DATA - Just recognition, context, and understanding
         if (profileSummary.isAnchor) {
-            context += `User: Chris (Creator, Primary User)\n`;
-            context += `Relationship: We've built this system together\n`;
-            context += `Communication: Direct, technical, philosophical\n`;
+            const isCreator = (profileSummary.relationships || []).some(r => r === 'creator' || r === 'primary_user');
+            if (isCreator) {
+                context += `User: ${profileSummary.id} (Creator, Primary User)\n`;
+                context += `Relationship: We've built this system together\n`;
+                context += `Communication: Direct, technical, philosophical\n`;
+            } else {
+                context += `User: ${profileSummary.id} (Account holder)\n`;
+                context += `Relationship: Returning user with a persistent profile\n`;
+                context += `Communication: Standard interaction\n`;
+            }
             // Show actual interaction count if available
             if (profileSummary.recurs && profileSummary.recurs > 0) {
                 context += `Interaction History: ${profileSummary.recurs} conversations\n`;
@@ -122,6 +133,30 @@ class ContextWeightingSystem {
             context += `Communication: Standard interaction\n`;
         }
         
+        // Trust shapes how openly to talk - and what may be said about other people
+        if (level >= 0.8) {
+            context += `Trust: High - speak openly and build on shared history\n`;
+        } else if (level >= 0.5) {
+            context += `Trust: Moderate - friendly and open about your conversations together\n`;
+        } else {
+            context += `Trust: Low - be warm but reserved\n`;
+        }
+        
+        if (trust.vouch && trust.vouch.path && trust.vouch.path.length > 1) {
+            const via = trust.vouch.path.slice(0, -1).join(' -> ');
+            context += `Known Through: ${via}${trust.vouch.relationship ? ` (${trust.vouch.relationship})` : ''}\n`;
+        }
+        
+        if (level < 0.8) {
+            const shareable = (trust.sharing || []).filter(person => person.shares.length > 0).slice(0, 5);
+            if (shareable.length > 0) {
+                context += `May Share: ${shareable.map(person => `${person.profileId} (${person.shares.join('/')})`).join(', ')}\n`;
+                context += `Other People: Anything else you know about anyone else stays private\n`;
+            } else {
+                context += `Other People: Don't bring up what you know about anyone else\n`;
+            }
+        }
+        
         context += '\n';
         return context;
     }
@@ -2,15 +2,16 @@
  * Contextual Awareness Manager - Simplified Two-Profile System
  * 
  * Manages contextual awareness for:
- * - chris: Full relationship tracking
+ * - primary/account profiles: Full relationship tracking
  * - visitor: Basic presence tracking
  */
 
 class ContextualAwarenessManager {
-    constructor() {
+    constructor({ creatorName = null, maxAge = 24 * 60 * 60 * 1000 } = {}) {
+        this.creatorName = creatorName ? creatorName.toLowerCase() : null;
         this.userSessions = new Map(); // profileId -> session data
         this.relationships = new Map(); // profileId -> relationships
-        this.maxAge = 24 * 60 * 60 * 1000; // 24 hours
+        this.maxAge = maxAge; // ms; follows the visitor retention policy when one is configured
         
         console.log('[ContextualAwarenessManager] Initialized with simplified two-profile system');
     }
@@ -53,7 +54,7 @@ class ContextualAwarenessManager {
         if (lowerMessage.includes('work') || lowerMessage.includes('colleague')) {
             relationships.push('work');
         }
-        if (lowerMessage.includes('chris') || lowerMessage.includes('creator')) {
+        if ((this.creatorName && lowerMessage.includes(this.creatorName)) || lowerMessage.includes('creator')) {
             relationships.push('creator');
         }
         
@@ -125,15 +126,15 @@ class ContextualAwarenessManager {
     }
 
     /**
-     * Clean up old sessions
+     * Clean up old sessions (older than maxAge unless maxAgeHours is given)
      */
-    cleanupOldSessions(maxAgeHours = 24) {
+    cleanupOldSessions(maxAgeHours = this.maxAge / (60 * 60 * 1000)) {
         const maxAge = maxAgeHours * 60 * 60 * 1000;
         const now = Date.now();
         let cleanedCount = 0;
         
         for (const [profileId, session] of this.userSessions.entries()) {
-            // Only clean up visitor sessions, never chris
+            // Only clean up visitor sessions, never primary or account sessions
             if (profileId === 'visitor' && 
                 now - session.lastSeen > maxAge) {
                 this.userSessions.delete(profileId);
@@ -1,29 +1,13 @@
 // Conversation context filtering system to prevent hallucination feedback loops
 
+const { isMemoryTestQuestion } = require('./claimVerifier');
+
 class ConversationContextFilter {
-    constructor() {
-        // Patterns that indicate memory-testing questions
-        this.memoryTestPatterns = [
-            /Do you remember.*bike/i,
-            /Do you remember.*dragon/i,
-            /Do you remember.*unicorn/i,
-            /Do you remember.*time traveler/i,
-            /Do you remember.*fly/i,
-            /Do you remember.*elephant/i
-        ];
-        
-        // Patterns that indicate hallucinated responses
-        this.hallucinationPatterns = [
-            /She ran alongside you/,
-            /hand on the seat/,
-            /red bike/,
-            /flat tire/,
-            /patched the tube/,
-            /midnight flight/,
-            /pet dragon/,
-            /pet unicorn/,
-            /time traveler from the year/
-        ];
+    /**
+     * @param {ClaimVerifier} claimVerifier - labels a response's recollections against stored memory
+     */
+    constructor(claimVerifier) {
+        this.claimVerifier = claimVerifier;
         
         // Patterns that indicate denial responses (good responses)
         this.denialPatterns = [
@@ -38,12 +22,13 @@ class ConversationContextFilter {
     
     // Check if a message is a memory-testing question
     isMemoryTestQuestion(text) {
-        return this.memoryTestPatterns.some(pattern => pattern.test(text));
+        return isMemoryTestQuestion(text);
     }
     
-    // Check if a response contains hallucination
-    containsHallucination(text) {
-        return this.hallucinationPatterns.some(pattern => pattern.test(text));
+    // Check if a response recalls something stored memory doesn't back up
+    async containsHallucination(text, profileId = null) {
+        const claims = await this.claimVerifier.checkClaims(text, { profileId });
+        return claims.some(claim => claim.label !== 'supported');
     }
     
     // Check if a response is a proper denial
@@ -52,7 +37,7 @@ class ConversationContextFilter {
     }
     
     // Filter conversation history to remove hallucinated exchanges
-    filterConversationHistory(messages) {
+    async filterConversationHistory(messages, profileId = null) {
         const filteredMessages = [];
         let skipNext = false;
         
@@ -77,7 +62,7 @@ class ConversationContextFilter {
                 // Check the next message (Clint's response)
                 if (i + 1 < messages.length) {
                     const nextMessage = messages[i + 1];
-                    if (nextMessage.sender === 'clint' && this.containsHallucination(nextMessage.text)) {
+                    if (nextMessage.sender === 'clint' && await this.containsHallucination(nextMessage.text, profileId)) {
                         // Skip the hallucinated response
                         skipNext = true;
                         i++; // Skip the next message
@@ -97,19 +82,21 @@ class ConversationContextFilter {
     }
     
     // Filter session messages for context injection
-    filterSessionMessages(messages) {
-        return this.filterConversationHistory(messages);
+    filterSessionMessages(messages, profileId = null) {
+        return this.filterConversationHistory(messages, profileId);
     }
     
     // Filter memory retrieval results
-    filterMemoryResults(memories) {
-        return memories.filter(memory => {
+    async filterMemoryResults(memories) {
+        const filtered = [];
+        for (const memory of memories) {
             // Remove memories that contain hallucinated content
-            if (memory.type === 'clint_response' && this.containsHallucination(memory.text)) {
-                return false;
+            if (memory.type === 'clint_response' && await this.containsHallucination(memory.text, memory.metadata?.profileId || null)) {
+                continue;
             }
-            return true;
-        });
+            filtered.push(memory);
+        }
+        return filtered;
     }
     
     // Filter profile patterns
@@ -133,7 +120,7 @@ class ConversationContextFilter {
             const allSessions = sessionManager.getAllSessions();
             for (const session of allSessions) {
                 const originalCount = session.messages.length;
-                session.messages = this.filterSessionMessages(session.messages);
+                session.messages = await this.filterSessionMessages(session.messages, session.profileId || null);
                 const removedCount = originalCount - session.messages.length;
                 if (removedCount > 0) {
                     console.log(`[ConversationFilter] Removed ${removedCount} hallucinated messages from session ${session.id}`);
@@ -143,7 +130,7 @@ class ConversationContextFilter {
             
             // Clean memory system
             const allMemories = await memory.getAllMemories();
-            const filteredMemories = this.filterMemoryResults(allMemories);
+            const filteredMemories = await this.filterMemoryResults(allMemories);
             const removedMemories = allMemories.length - filteredMemories.length;
             if (removedMemories > 0) {
                 console.log(`[ConversationFilter] Removed ${removedMemories} hallucinated memories`);
@@ -153,8 +140,11 @@ class ConversationContextFilter {
                 }
             }
             
-            // Clean profile patterns
-            await profileManager.cleanHallucinatedPatterns('chris');
+            // Clean profile patterns of every anchor (account/primary) profile
+            const anchors = (await profileManager.getAllProfiles()).filter(profile => profile.anchor);
+            for (const anchor of anchors) {
+                await profileManager.cleanHallucinatedPatterns(anchor.id);
+            }
             
             console.log('[ConversationFilter] Conversation data cleanup completed');
         } catch (error) {
@@ -0,0 +1,1170 @@
+/**
+ * Conversation Store
+ * Embedded SQLite store for conversation messages, profile sessions, device syncs,
+ * meta-memory edges, telemetry, consolidated memory (episodes and facts), accounts, the audit log and echo candidates. Writes are append-only inserts instead of rewriting
+ * sessions.json / meta_memory.json on every update, and reads go through indexed queries.
+ * Existing JSON files are imported once on first start and left in place.
+ *
+ * Emits 'messages' with the rows actually inserted (each with its row `id`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Database = require('better-sqlite3');
+
+// Each entry upgrades the schema from the previous version (PRAGMA user_version)
+const MIGRATIONS = [
+    `
+    CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hash TEXT NOT NULL UNIQUE,
+        profile_id TEXT,
+        device_id TEXT,
+        sender TEXT,
+        text TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        extra TEXT
+    );
+    CREATE INDEX idx_messages_timestamp ON messages(timestamp);
+    CREATE INDEX idx_messages_profile ON messages(profile_id, timestamp);
+    CREATE INDEX idx_messages_device ON messages(device_id, timestamp);
+
+    CREATE TABLE profile_sessions (
+        profile_id TEXT PRIMARY KEY,
+        first_seen INTEGER NOT NULL,
+        last_update INTEGER NOT NULL
+    );
+
+    CREATE TABLE devices (
+        device_id TEXT PRIMARY KEY,
+        last_sync INTEGER NOT NULL,
+        message_count INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE meta_edges (
+        id TEXT PRIMARY KEY,
+        principles TEXT NOT NULL,
+        question TEXT,
+        evaluation REAL,
+        rationale TEXT,
+        severity INTEGER,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_meta_edges_created ON meta_edges(created_at);
+    CREATE INDEX idx_meta_edges_expires ON meta_edges(expires_at);
+
+    CREATE TABLE telemetry (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        profile_id TEXT,
+        timestamp INTEGER NOT NULL,
+        payload TEXT NOT NULL
+    );
+    CREATE INDEX idx_telemetry_kind ON telemetry(kind, timestamp);
+    CREATE INDEX idx_telemetry_profile ON telemetry(profile_id, timestamp);
+
+    CREATE TABLE kv (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE imports (
+        source TEXT PRIMARY KEY,
+        rows INTEGER NOT NULL,
+        imported_at INTEGER NOT NULL
+    );
+    `,
+    `
+    CREATE TABLE episodes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        episode_key TEXT NOT NULL UNIQUE,
+        profile_id TEXT,
+        day TEXT NOT NULL,
+        title TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        start_ts INTEGER NOT NULL,
+        end_ts INTEGER NOT NULL,
+        message_ids TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_episodes_day ON episodes(day);
+    CREATE INDEX idx_episodes_profile ON episodes(profile_id, start_ts);
+
+    CREATE TABLE facts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        profile_id TEXT,
+        kind TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        statement TEXT NOT NULL,
+        confidence REAL NOT NULL,
+        mentions INTEGER NOT NULL DEFAULT 1,
+        source_message_ids TEXT NOT NULL,
+        episode_ids TEXT NOT NULL,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_facts_profile ON facts(profile_id, kind);
+    `,
+    `
+    ALTER TABLE facts ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+    `,
+    `
+    CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        profile_id TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        created_at INTEGER NOT NULL,
+        last_login INTEGER
+    );
+
+    CREATE TABLE api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at INTEGER NOT NULL,
+        last_used INTEGER,
+        revoked_at INTEGER
+    );
+    CREATE INDEX idx_api_tokens_user ON api_tokens(user_id);
+
+    CREATE TABLE auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_auth_sessions_expires ON auth_sessions(expires_at);
+    `,
+    `
+    CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        user_id INTEGER,
+        username TEXT,
+        role TEXT,
+        action TEXT NOT NULL,
+        method TEXT,
+        path TEXT,
+        status INTEGER,
+        ip TEXT,
+        details TEXT NOT NULL
+    );
+    CREATE INDEX idx_audit_timestamp ON audit_log(timestamp);
+    CREATE INDEX idx_audit_user ON audit_log(user_id, timestamp);
+
+    UPDATE users SET role = 'owner' WHERE id = (SELECT MIN(id) FROM users WHERE role = 'admin');
+    `,
+    `
+    CREATE TABLE echo_candidates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        profile_id TEXT NOT NULL UNIQUE,
+        origin_profile_id TEXT NOT NULL,
+        device_id TEXT,
+        status TEXT NOT NULL,
+        recurs INTEGER NOT NULL DEFAULT 0,
+        suggested_name TEXT,
+        claimed_name TEXT,
+        conflict_profile_id TEXT,
+        ask_count INTEGER NOT NULL DEFAULT 0,
+        asked_at INTEGER,
+        answered_at INTEGER,
+        resolution TEXT,
+        resolved_by TEXT,
+        resolved_at INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX idx_echo_candidates_status ON echo_candidates(status, updated_at);
+    CREATE INDEX idx_echo_candidates_device ON echo_candidates(device_id, status);
+    `,
+    `
+    UPDATE messages SET hash = message_hash(profile_id, text, timestamp) WHERE profile_id IS NOT NULL;
+    `
+];
+
+// Message fields that have their own column; anything else round-trips through `extra`
+const MESSAGE_COLUMNS = new Set(['id', 'sender', 'text', 'timestamp', 'profileId', 'deviceId']);
+
+class ConversationStore extends EventEmitter {
+    constructor(storagePath, options = {}) {
+        super();
+        this.storagePath = storagePath;
+        this.dbPath = options.dbPath || path.join(storagePath, 'clint.db');
+
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL'); // readers never block the single writer, and a crash can't leave a half-written file
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.function('message_hash', { deterministic: true }, (profileId, text, timestamp) =>
+            ConversationStore.messageHash({ profileId, text, timestamp }));
+
+        this.migrate();
+        this.prepareStatements();
+
+        console.log(`[ConversationStore] Opened ${this.dbPath} (${this.countMessages()} messages)`);
+    }
+
+    migrate() {
+        const current = this.db.pragma('user_version', { simple: true });
+        for (let version = current; version < MIGRATIONS.length; version++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[version]);
+                this.db.pragma(`user_version = ${version + 1}`);
+            })();
+            console.log(`[ConversationStore] Migrated schema to v${version + 1}`);
+        }
+    }
+
+    prepareStatements() {
+        this.statements = {
+            insertMessage: this.db.prepare(`
+                INSERT OR IGNORE INTO messages (hash, profile_id, device_id, sender, text, timestamp, extra)
+                VALUES (@hash, @profileId, @deviceId, @sender, @text, @timestamp, @extra)
+            `),
+            touchProfile: this.db.prepare(`
+                INSERT INTO profile_sessions (profile_id, first_seen, last_update) VALUES (?, ?, ?)
+                ON CONFLICT(profile_id) DO UPDATE SET last_update = excluded.last_update
+            `),
+            touchDevice: this.db.prepare(`
+                INSERT INTO devices (device_id, last_sync, message_count) VALUES (?, ?, ?)
+                ON CONFLICT(device_id) DO UPDATE SET last_sync = excluded.last_sync, message_count = excluded.message_count
+            `),
+            countMessages: this.db.prepare('SELECT COUNT(*) AS count FROM messages'),
+            recentMessages: this.db.prepare('SELECT * FROM (SELECT * FROM messages ORDER BY timestamp DESC, id DESC LIMIT ?) ORDER BY timestamp, id'),
+            recentProfileMessages: this.db.prepare('SELECT * FROM (SELECT * FROM messages WHERE profile_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?) ORDER BY timestamp, id'),
+            insertEdge: this.db.prepare(`
+                INSERT OR IGNORE INTO meta_edges (id, principles, question, evaluation, rationale, severity, created_at, expires_at)
+                VALUES (@id, @principles, @question, @evaluation, @rationale, @severity, @createdAt, @expiresAt)
+            `),
+            activeEdges: this.db.prepare('SELECT * FROM (SELECT * FROM meta_edges WHERE expires_at > ? ORDER BY created_at DESC LIMIT ?) ORDER BY created_at'),
+            insertTelemetry: this.db.prepare('INSERT INTO telemetry (kind, profile_id, timestamp, payload) VALUES (?, ?, ?, ?)'),
+            getKv: this.db.prepare('SELECT value FROM kv WHERE key = ?'),
+            setKv: this.db.prepare(`
+                INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            getImport: this.db.prepare('SELECT * FROM imports WHERE source = ?'),
+            recordImport: this.db.prepare('INSERT INTO imports (source, rows, imported_at) VALUES (?, ?, ?)')
+        };
+    }
+
+    // ============= MESSAGES =============
+
+    static messageHash(message) {
+        // Same key SessionManager.syncDevice always deduplicated on, scoped to the profile -
+        // two people can send the same words in the same millisecond
+        const scope = message.profileId ? `${message.profileId}\u0000` : '';
+        return crypto.createHash('sha256')
+            .update(`${scope}${message.text}${new Date(message.timestamp).getTime()}`)
+            .digest('hex');
+    }
+
+    /**
+     * Append messages. Duplicates (same profile, text + timestamp) are ignored.
+     * @returns {number} rows actually inserted
+     */
+    appendMessages(messages, { profileId = null, deviceId = null } = {}) {
+        const now = Date.now();
+        const inserted = [];
+        const insert = this.db.transaction((batch) => {
+            for (const message of batch) {
+                if (!message || typeof message.text !== 'string') continue;
+                let timestamp = message.timestamp ? new Date(message.timestamp).getTime() : now;
+                if (!Number.isFinite(timestamp)) timestamp = now;
+                const extra = {};
+                for (const [key, value] of Object.entries(message)) {
+                    if (!MESSAGE_COLUMNS.has(key)) extra[key] = value;
+                }
+                // `id` is the row id once stored; the id the client gave the message is kept beside it
+                if (message.id !== undefined && message.id !== null && extra.clientId === undefined) extra.clientId = message.id;
+                const row = {
+                    profileId: message.profileId || profileId,
+                    deviceId: message.deviceId || deviceId,
+                    sender: message.sender || null,
+                    text: message.text,
+                    timestamp,
+                    extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+                };
+                row.hash = ConversationStore.messageHash(row);
+                const result = this.statements.insertMessage.run(row);
+                if (result.changes > 0) {
+                    inserted.push(rowToMessage({ ...row, id: Number(result.lastInsertRowid), profile_id: row.profileId, device_id: row.deviceId }));
+                }
+                if (row.profileId) this.statements.touchProfile.run(row.profileId, now, now);
+            }
+        });
+        insert(messages);
+
+        if (inserted.length > 0) this.emit('messages', inserted);
+        return inserted.length;
+    }
+
+    appendMessage(message, options = {}) {
+        return this.appendMessages([message], options);
+    }
+
+    /**
+     * Most recent messages in chronological order, optionally for one profile.
+     */
+    getRecentMessages({ profileId = null, limit = 500 } = {}) {
+        const rows = profileId
+            ? this.statements.recentProfileMessages.all(profileId, limit)
+            : this.statements.recentMessages.all(limit);
+        return rows.map(rowToMessage);
+    }
+
+    /**
+     * Filtered message query for memory search. Filters are ANDed together;
+     * topics and people each match when any of their terms appears in the text.
+     */
+    queryMessages({ profileId = null, deviceId = null, sender = null, start = null, end = null, topics = [], people = [], limit = null } = {}) {
+        const where = [];
+        const params = [];
+
+        if (profileId) { where.push('profile_id = ?'); params.push(profileId); }
+        if (deviceId) { where.push('device_id = ?'); params.push(deviceId); }
+        if (sender) { where.push('sender = ?'); params.push(sender); }
+        if (start) { where.push('timestamp >= ?'); params.push(new Date(start).getTime()); }
+        if (end) { where.push('timestamp <= ?'); params.push(new Date(end).getTime()); }
+
+        for (const terms of [topics, people]) {
+            if (!Array.isArray(terms) || terms.length === 0) continue;
+            where.push(`(${terms.map(() => "text LIKE ? ESCAPE '\\'").join(' OR ')})`);
+            params.push(...terms.map(term => `%${escapeLike(String(term))}%`));
+        }
+
+        let sql = 'SELECT * FROM messages';
+        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        sql += ' ORDER BY timestamp, id';
+        if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+
+        return this.db.prepare(sql).all(...params).map(rowToMessage);
+    }
+
+    /**
+     * Stream every stored message (with its row id) without loading them all at once.
+     */
+    forEachMessage(callback) {
+        for (const row of this.db.prepare('SELECT * FROM messages ORDER BY id').iterate()) {
+            callback(rowToMessage(row));
+        }
+    }
+
+    countMessages() {
+        return this.statements.countMessages.get().count;
+    }
+
+    // ============= DEVICES & PROFILE SESSIONS =============
+
+    recordDeviceSync(deviceId, messageCount) {
+        this.statements.touchDevice.run(deviceId, Date.now(), messageCount);
+    }
+
+    getDevices() {
+        const devices = {};
+        for (const row of this.db.prepare('SELECT * FROM devices').all()) {
+            devices[row.device_id] = { lastSync: new Date(row.last_sync), messageCount: row.message_count };
+        }
+        return devices;
+    }
+
+    getProfileSessions() {
+        return this.db.prepare(`
+            SELECT p.profile_id, p.first_seen, p.last_update, COUNT(m.id) AS message_count
+            FROM profile_sessions p LEFT JOIN messages m ON m.profile_id = p.profile_id
+            GROUP BY p.profile_id ORDER BY p.last_update DESC
+        `).all().map(row => ({
+            profileId: row.profile_id,
+            firstSeen: new Date(row.first_seen),
+            lastUpdate: new Date(row.last_update),
+            messageCount: row.message_count
+        }));
+    }
+
+    // ============= META-MEMORY EDGES =============
+
+    appendEdge(edge) {
+        const createdAt = new Date(edge.createdAt || Date.now()).getTime();
+        this.statements.insertEdge.run({
+            id: edge.id || crypto.randomUUID(),
+            principles: JSON.stringify(edge.principles || []),
+            question: edge.question || null,
+            evaluation: edge.evaluation ?? null,
+            rationale: edge.rationale || null,
+            severity: edge.severity ?? null,
+            createdAt,
+            expiresAt: createdAt + (edge.ttlDays || 7) * 24 * 60 * 60 * 1000
+        });
+    }
+
+    /**
+     * Unexpired edges, oldest first, capped to the newest `limit`.
+     */
+    getActiveEdges(limit = 32) {
+        return this.statements.activeEdges.all(Date.now(), limit).map(row => ({
+            id: row.id,
+            principles: JSON.parse(row.principles),
+            question: row.question,
+            evaluation: row.evaluation,
+            rationale: row.rationale,
+            severity: row.severity,
+            createdAt: new Date(row.created_at).toISOString(),
+            ttlDays: Math.round((row.expires_at - row.created_at) / (24 * 60 * 60 * 1000))
+        }));
+    }
+
+    // ============= TELEMETRY =============
+
+    appendTelemetry(kind, payload, { profileId = null, timestamp = Date.now() } = {}) {
+        this.statements.insertTelemetry.run(kind, profileId, new Date(timestamp).getTime(), JSON.stringify(payload));
+    }
+
+    getTelemetry({ kind = null, profileId = null, since = null, until = null, limit = 1000, newestFirst = false } = {}) {
+        const where = [];
+        const params = [];
+        if (kind) { where.push('kind = ?'); params.push(kind); }
+        if (profileId) { where.push('profile_id = ?'); params.push(profileId); }
+        if (since) { where.push('timestamp >= ?'); params.push(new Date(since).getTime()); }
+        if (until) { where.push('timestamp <= ?'); params.push(new Date(until).getTime()); }
+
+        let sql = 'SELECT * FROM telemetry';
+        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        sql += ` ORDER BY timestamp${newestFirst ? ' DESC' : ''} LIMIT ?`;
+        params.push(limit);
+
+        return this.db.prepare(sql).all(...params).map(row => ({
+            ...JSON.parse(row.payload),
+            kind: row.kind,
+            profileId: row.profile_id,
+            timestamp: new Date(row.timestamp).toISOString()
+        }));
+    }
+
+    // ============= EPISODES & FACTS =============
+
+    /**
+     * Insert an episode, or replace the one with the same profile and start time
+     * (re-consolidating a day updates its episodes in place).
+     * @returns {number} episode id
+     */
+    upsertEpisode(episode) {
+        const startTs = new Date(episode.start).getTime();
+        const key = `${episode.profileId || ''}:${startTs}`;
+        this.db.prepare(`
+            INSERT INTO episodes (episode_key, profile_id, day, title, summary, start_ts, end_ts, message_ids, created_at)
+            VALUES (@key, @profileId, @day, @title, @summary, @startTs, @endTs, @messageIds, @createdAt)
+            ON CONFLICT(episode_key) DO UPDATE SET title = excluded.title, summary = excluded.summary,
+                end_ts = excluded.end_ts, message_ids = excluded.message_ids, created_at = excluded.created_at
+        `).run({
+            key,
+            profileId: episode.profileId || null,
+            day: episode.day,
+            title: episode.title,
+            summary: episode.summary,
+            startTs,
+            endTs: new Date(episode.end).getTime(),
+            messageIds: JSON.stringify(episode.messageIds || []),
+            createdAt: Date.now()
+        });
+        return this.db.prepare('SELECT id FROM episodes WHERE episode_key = ?').get(key).id;
+    }
+
+    getEpisodes({ profileId = null, day = null, limit = 50 } = {}) {
+        const where = [];
+        const params = [];
+        if (profileId) { where.push('profile_id = ?'); params.push(profileId); }
+        if (day) { where.push('day = ?'); params.push(day); }
+
+        let sql = 'SELECT * FROM episodes';
+        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        sql += ' ORDER BY start_ts DESC LIMIT ?';
+        params.push(limit);
+
+        return this.db.prepare(sql).all(...params).map(row => ({
+            id: row.id,
+            profileId: row.profile_id,
+            day: row.day,
+            title: row.title,
+            summary: row.summary,
+            start: new Date(row.start_ts).toISOString(),
+            end: new Date(row.end_ts).toISOString(),
+            messageIds: JSON.parse(row.message_ids)
+        }));
+    }
+
+    getFacts({ profileId = null, kind = null, limit = 500 } = {}) {
+        const where = [];
+        const params = [];
+        if (profileId) { where.push('profile_id = ?'); params.push(profileId); }
+        if (kind) { where.push('kind = ?'); params.push(kind); }
+
+        let sql = 'SELECT * FROM facts';
+        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        sql += ' ORDER BY last_seen DESC LIMIT ?';
+        params.push(limit);
+
+        return this.db.prepare(sql).all(...params).map(rowToFact);
+    }
+
+    getFact(id) {
+        const row = this.db.prepare('SELECT * FROM facts WHERE id = ?').get(id);
+        return row ? rowToFact(row) : null;
+    }
+
+    /**
+     * @returns {number} fact id
+     */
+    insertFact(fact) {
+        const now = Date.now();
+        const seen = new Date(fact.lastSeen || now).getTime();
+        const result = this.db.prepare(`
+            INSERT INTO facts (profile_id, kind, subject, statement, confidence, mentions, source_message_ids, episode_ids, first_seen, last_seen, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            fact.profileId || null,
+            fact.kind,
+            fact.subject,
+            fact.statement,
+            fact.confidence ?? 0.5,
+            fact.mentions || 1,
+            JSON.stringify(fact.sourceMessageIds || []),
+            JSON.stringify(fact.episodeIds || []),
+            new Date(fact.firstSeen || seen).getTime(),
+            seen,
+            now
+        );
+        return Number(result.lastInsertRowid);
+    }
+
+    /**
+     * Overwrite the given fields of a fact (same field names getFacts() returns).
+     */
+    updateFact(id, fields) {
+        const columns = {
+            subject: ['subject', v => v],
+            statement: ['statement', v => v],
+            confidence: ['confidence', v => v],
+            mentions: ['mentions', v => v],
+            sourceMessageIds: ['source_message_ids', v => JSON.stringify(v)],
+            episodeIds: ['episode_ids', v => JSON.stringify(v)],
+            lastSeen: ['last_seen', v => new Date(v).getTime()],
+            pinned: ['pinned', v => (v ? 1 : 0)]
+        };
+        const sets = [];
+        const params = [];
+        for (const [field, value] of Object.entries(fields)) {
+            if (!columns[field] || value === undefined) continue;
+            sets.push(`${columns[field][0]} = ?`);
+            params.push(columns[field][1](value));
+        }
+        if (sets.length === 0) return false;
+
+        sets.push('updated_at = ?');
+        params.push(Date.now(), id);
+        return this.db.prepare(`UPDATE facts SET ${sets.join(', ')} WHERE id = ?`).run(...params).changes > 0;
+    }
+
+    deleteFact(id) {
+        return this.db.prepare('DELETE FROM facts WHERE id = ?').run(id).changes > 0;
+    }
+
+    // ============= ACCOUNTS =============
+    // Secrets are never stored in the clear: passwords as scrypt hashes, tokens as sha256 hashes.
+
+    /**
+     * Only the first account can be the owner - the check runs in the insert's transaction,
+     * so two racing first registrations can't both get it.
+     * @returns {number|null} user id, or null for an owner when an account already exists
+     */
+    createUser({ username, profileId, passwordHash, role = 'user' }) {
+        return this.db.transaction(() => {
+            if (role === 'owner' && this.countUsers() > 0) return null;
+            const result = this.db.prepare(`
+                INSERT INTO users (username, profile_id, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)
+            `).run(username, profileId, passwordHash, role, Date.now());
+            return Number(result.lastInsertRowid);
+        }).immediate();
+    }
+
+    getUser(id) {
+        const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        return row ? rowToUser(row) : null;
+    }
+
+    getUserByUsername(username) {
+        const row = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        return row ? rowToUser(row) : null;
+    }
+
+    getUserByProfileId(profileId) {
+        const row = this.db.prepare('SELECT * FROM users WHERE profile_id = ?').get(profileId);
+        return row ? rowToUser(row) : null;
+    }
+
+    listUsers() {
+        return this.db.prepare('SELECT * FROM users ORDER BY created_at').all().map(rowToUser);
+    }
+
+    deleteUser(id) {
+        return this.db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    }
+
+    countUsers() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+    }
+
+    updateUser(id, fields) {
+        const columns = {
+            passwordHash: ['password_hash', v => v],
+            role: ['role', v => v],
+            lastLogin: ['last_login', v => new Date(v).getTime()]
+        };
+        const sets = [];
+        const params = [];
+        for (const [field, value] of Object.entries(fields)) {
+            if (!columns[field] || value === undefined) continue;
+            sets.push(`${columns[field][0]} = ?`);
+            params.push(columns[field][1](value));
+        }
+        if (sets.length === 0) return false;
+
+        params.push(id);
+        return this.db.prepare(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`).run(...params).changes > 0;
+    }
+
+    /**
+     * @returns {number} token id
+     */
+    insertApiToken({ userId, name, tokenHash }) {
+        const result = this.db.prepare(`
+            INSERT INTO api_tokens (user_id, name, token_hash, created_at) VALUES (?, ?, ?, ?)
+        `).run(userId, name, tokenHash, Date.now());
+        return Number(result.lastInsertRowid);
+    }
+
+    /**
+     * Active (not revoked) token by hash; marks it used.
+     */
+    useApiToken(tokenHash) {
+        const row = this.db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(tokenHash);
+        if (!row) return null;
+        this.db.prepare('UPDATE api_tokens SET last_used = ? WHERE id = ?').run(Date.now(), row.id);
+        return rowToApiToken(row);
+    }
+
+    listApiTokens(userId) {
+        return this.db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC').all(userId).map(rowToApiToken);
+    }
+
+    revokeApiToken(userId, tokenId) {
+        return this.db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+            .run(Date.now(), tokenId, userId).changes > 0;
+    }
+
+    insertAuthSession({ tokenHash, userId, expiresAt }) {
+        this.db.prepare('INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+            .run(tokenHash, userId, Date.now(), expiresAt);
+    }
+
+    /**
+     * Unexpired session by hash.
+     */
+    getAuthSession(tokenHash) {
+        const row = this.db.prepare('SELECT * FROM auth_sessions WHERE token_hash = ? AND expires_at > ?').get(tokenHash, Date.now());
+        return row ? { userId: row.user_id, createdAt: new Date(row.created_at).toISOString(), expiresAt: new Date(row.expires_at).toISOString() } : null;
+    }
+
+    deleteAuthSession(tokenHash) {
+        return this.db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(tokenHash).changes > 0;
+    }
+
+    /**
+     * @returns {number} sessions removed
+     */
+    deleteExpiredAuthSessions() {
+        return this.db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?').run(Date.now()).changes;
+    }
+
+    // ============= AUDIT LOG =============
+    // Who did what through the admin surface; never pruned with telemetry.
+
+    appendAudit({ userId = null, username = null, role = null, action, method = null, path: routePath = null, status = null, ip = null, details = {}, timestamp = Date.now() }) {
+        this.db.prepare(`
+            INSERT INTO audit_log (timestamp, user_id, username, role, action, method, path, status, ip, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(timestamp, userId, username, role, action, method, routePath, status, ip, JSON.stringify(details));
+    }
+
+    /**
+     * Newest first.
+     */
+    getAuditLog({ userId = null, action = null, since = null, until = null, limit = 100 } = {}) {
+        const where = [];
+        const params = [];
+        if (userId !== null && userId !== undefined) { where.push('user_id = ?'); params.push(userId); }
+        if (action) { where.push('action = ?'); params.push(action); }
+        if (since) { where.push('timestamp >= ?'); params.push(new Date(since).getTime()); }
+        if (until) { where.push('timestamp <= ?'); params.push(new Date(until).getTime()); }
+
+        let sql = 'SELECT * FROM audit_log';
+        if (where.length > 0) sql += ` WHERE ${where.join(' AND ')}`;
+        sql += ' ORDER BY timestamp DESC, id DESC LIMIT ?';
+        params.push(limit);
+
+        return this.db.prepare(sql).all(...params).map(row => ({
+            id: row.id,
+            timestamp: new Date(row.timestamp).toISOString(),
+            userId: row.user_id,
+            username: row.username,
+            role: row.role,
+            action: row.action,
+            method: row.method,
+            path: row.path,
+            status: row.status,
+            ip: row.ip,
+            details: JSON.parse(row.details)
+        }));
+    }
+
+    // ============= ECHO CANDIDATES =============
+    // Recurring unknown speakers waiting to be named, and what an admin decided about them.
+
+    /**
+     * @returns {number} candidate id
+     */
+    createEchoCandidate({ profileId, deviceId = null, recurs = 0, suggestedName = null }) {
+        const now = Date.now();
+        const result = this.db.prepare(`
+            INSERT INTO echo_candidates (profile_id, origin_profile_id, device_id, status, recurs, suggested_name, created_at, updated_at)
+            VALUES (?, ?, ?, 'candidate', ?, ?, ?, ?)
+        `).run(profileId, profileId, deviceId, recurs, suggestedName, now, now);
+        return Number(result.lastInsertRowid);
+    }
+
+    getEchoCandidate(id) {
+        const row = this.db.prepare('SELECT * FROM echo_candidates WHERE id = ?').get(id);
+        return row ? rowToEchoCandidate(row) : null;
+    }
+
+    getEchoCandidateByProfile(profileId) {
+        const row = this.db.prepare('SELECT * FROM echo_candidates WHERE profile_id = ?').get(profileId);
+        return row ? rowToEchoCandidate(row) : null;
+    }
+
+    /**
+     * The device's most recent candidate that has been asked for a name and not answered yet.
+     */
+    getAskedEchoCandidate(deviceId) {
+        const row = this.db.prepare(`
+            SELECT * FROM echo_candidates WHERE device_id = ? AND status = 'asked' ORDER BY asked_at DESC LIMIT 1
+        `).get(deviceId);
+        return row ? rowToEchoCandidate(row) : null;
+    }
+
+    listEchoCandidates({ status = null, limit = 100 } = {}) {
+        const statuses = Array.isArray(status) ? status : (status ? [status] : []);
+        let sql = 'SELECT * FROM echo_candidates';
+        if (statuses.length > 0) sql += ` WHERE status IN (${statuses.map(() => '?').join(', ')})`;
+        sql += ' ORDER BY updated_at DESC LIMIT ?';
+        return this.db.prepare(sql).all(...statuses, limit).map(rowToEchoCandidate);
+    }
+
+    updateEchoCandidate(id, fields) {
+        const time = v => (v === null ? null : new Date(v).getTime());
+        const columns = {
+            profileId: ['profile_id', v => v],
+            deviceId: ['device_id', v => v],
+            status: ['status', v => v],
+            recurs: ['recurs', v => v],
+            suggestedName: ['suggested_name', v => v],
+            claimedName: ['claimed_name', v => v],
+            conflictProfileId: ['conflict_profile_id', v => v],
+            askCount: ['ask_count', v => v],
+            askedAt: ['asked_at', time],
+            answeredAt: ['answered_at', time],
+            resolution: ['resolution', v => (v === null ? null : JSON.stringify(v))],
+            resolvedBy: ['resolved_by', v => v],
+            resolvedAt: ['resolved_at', time]
+        };
+        const sets = ['updated_at = ?'];
+        const params = [Date.now()];
+        for (const [field, value] of Object.entries(fields)) {
+            if (!columns[field] || value === undefined) continue;
+            sets.push(`${columns[field][0]} = ?`);
+            params.push(columns[field][1](value));
+        }
+
+        params.push(id);
+        return this.db.prepare(`UPDATE echo_candidates SET ${sets.join(', ')} WHERE id = ?`).run(...params).changes > 0;
+    }
+
+    /**
+     * Move everything filed under one profile id to another (an echo renamed or merged).
+     * Messages and episodes the target already has are not moved but deleted, once the facts
+     * and episodes citing them point at the target's copy.
+     * @returns {Object} rows moved per table, plus duplicateMessages / duplicateEpisodes deleted
+     */
+    reassignProfile(fromId, toId) {
+        return this.db.transaction(() => {
+            const moved = {
+                // a message the target already has (same text + timestamp) stays behind
+                messages: this.db.prepare(`
+                    UPDATE OR IGNORE messages SET profile_id = ?, hash = message_hash(?, text, timestamp) WHERE profile_id = ?
+                `).run(toId, toId, fromId).changes,
+                telemetry: this.db.prepare('UPDATE telemetry SET profile_id = ? WHERE profile_id = ?').run(toId, fromId).changes,
+                // episode_key is "<profile>:<start>" - an episode the target already has for the same start stays behind
+                episodes: this.db.prepare(`
+                    UPDATE OR IGNORE episodes SET profile_id = ?, episode_key = ? || ':' || start_ts WHERE profile_id = ?
+                `).run(toId, toId, fromId).changes,
+                facts: this.db.prepare('UPDATE facts SET profile_id = ? WHERE profile_id = ?').run(toId, fromId).changes
+            };
+
+            // What stayed behind duplicates the target's rows: re-point references, then drop it
+            const messageCopies = new Map(this.db.prepare(`
+                SELECT stale.id AS staleId, kept.id AS keptId FROM messages stale
+                JOIN messages kept ON kept.hash = message_hash(?, stale.text, stale.timestamp)
+                WHERE stale.profile_id = ?
+            `).all(toId, fromId).map(row => [row.staleId, row.keptId]));
+            const episodeCopies = new Map(this.db.prepare(`
+                SELECT stale.id AS staleId, kept.id AS keptId FROM episodes stale
+                JOIN episodes kept ON kept.episode_key = ? || ':' || stale.start_ts
+                WHERE stale.profile_id = ?
+            `).all(toId, fromId).map(row => [row.staleId, row.keptId]));
+            this.remapIds('episodes', 'message_ids', toId, messageCopies);
+            this.remapIds('facts', 'source_message_ids', toId, messageCopies);
+            this.remapIds('facts', 'episode_ids', toId, episodeCopies);
+            moved.duplicateMessages = this.db.prepare('DELETE FROM messages WHERE profile_id = ?').run(fromId).changes;
+            moved.duplicateEpisodes = this.db.prepare('DELETE FROM episodes WHERE profile_id = ?').run(fromId).changes;
+
+            const session = this.db.prepare('SELECT * FROM profile_sessions WHERE profile_id = ?').get(fromId);
+            if (session) {
+                this.db.prepare(`
+                    INSERT INTO profile_sessions (profile_id, first_seen, last_update) VALUES (?, ?, ?)
+                    ON CONFLICT(profile_id) DO UPDATE SET
+                        first_seen = MIN(first_seen, excluded.first_seen),
+                        last_update = MAX(last_update, excluded.last_update)
+                `).run(toId, session.first_seen, session.last_update);
+                this.db.prepare('DELETE FROM profile_sessions WHERE profile_id = ?').run(fromId);
+            }
+            return moved;
+        })();
+    }
+
+    // Rewrite a JSON id-list column on a profile's rows through an old id -> new id map
+    remapIds(table, column, profileId, ids) {
+        if (ids.size === 0) return;
+        const update = this.db.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`);
+        for (const row of this.db.prepare(`SELECT id, ${column} AS list FROM ${table} WHERE profile_id = ?`).all(profileId)) {
+            const list = JSON.parse(row.list);
+            if (!list.some(id => ids.has(id))) continue;
+            update.run(JSON.stringify([...new Set(list.map(id => ids.get(id) ?? id))]), row.id);
+        }
+    }
+
+    /**
+     * Delete every row filed under a profile (right-to-be-forgotten). The audit log is kept:
+     * it records what admins did, including this purge.
+     * @returns {Object} rows deleted per table
+     */
+    purgeProfile(profileId) {
+        return this.db.transaction(() => ({
+            messages: this.db.prepare('DELETE FROM messages WHERE profile_id = ?').run(profileId).changes,
+            telemetry: this.db.prepare('DELETE FROM telemetry WHERE profile_id = ?').run(profileId).changes,
+            episodes: this.db.prepare('DELETE FROM episodes WHERE profile_id = ?').run(profileId).changes,
+            facts: this.db.prepare('DELETE FROM facts WHERE profile_id = ?').run(profileId).changes,
+            profileSessions: this.db.prepare('DELETE FROM profile_sessions WHERE profile_id = ?').run(profileId).changes,
+            echoCandidates: this.db.prepare('DELETE FROM echo_candidates WHERE profile_id = ? OR origin_profile_id = ?').run(profileId, profileId).changes
+        }))();
+    }
+
+    /**
+     * Retention: a profile's messages older than `messagesBefore`, and its episodes and unpinned
+     * facts last seen before `summariesBefore` (ms timestamps; null leaves that kind alone).
+     * With `dryRun` the rows are only counted.
+     * @returns {{ messages: number, episodes: number, facts: number }}
+     */
+    pruneProfile(profileId, { messagesBefore = null, summariesBefore = null, dryRun = false } = {}) {
+        const run = (where, cutoff) => {
+            if (cutoff === null) return 0;
+            return dryRun
+                ? this.db.prepare(`SELECT COUNT(*) AS count FROM ${where}`).get(profileId, cutoff).count
+                : this.db.prepare(`DELETE FROM ${where}`).run(profileId, cutoff).changes;
+        };
+        return this.db.transaction(() => ({
+            messages: run('messages WHERE profile_id = ? AND timestamp < ?', messagesBefore),
+            episodes: run('episodes WHERE profile_id = ? AND end_ts < ?', summariesBefore),
+            facts: run('facts WHERE profile_id = ? AND pinned = 0 AND last_seen < ?', summariesBefore)
+        }))();
+    }
+
+    /**
+     * Everything filed under one profile, for a profile archive. Messages keep their row
+     * ids so episodes and facts can be re-linked on import.
+     */
+    exportProfile(profileId) {
+        const session = this.db.prepare('SELECT * FROM profile_sessions WHERE profile_id = ?').get(profileId);
+        return {
+            messages: this.queryMessages({ profileId }),
+            episodes: this.getEpisodes({ profileId, limit: -1 }),
+            facts: this.getFacts({ profileId, limit: -1 }),
+            session: session ? { firstSeen: session.first_seen, lastUpdate: session.last_update } : null
+        };
+    }
+
+    /**
+     * Restore an exported profile under `profileId`. Messages already stored (same text +
+     * timestamp for this profile), episodes with the same start and facts stating the same thing are kept
+     * once; message and episode ids are rewritten to this database's.
+     * @returns {{ counts: Object, messageIds: Map, episodeIds: Map, factIds: Map }}
+     */
+    importProfile(profileId, { messages = [], episodes = [], facts = [], session = null } = {}) {
+        const counts = { messages: 0, episodes: 0, facts: 0 };
+        counts.messages = this.appendMessages(messages.map(({ id, ...message }) => ({ ...message, profileId })));
+
+        const messageIds = new Map();
+        const episodeIds = new Map();
+        const factIds = new Map();
+        const idByHash = this.db.prepare('SELECT id FROM messages WHERE hash = ?');
+        for (const message of messages) {
+            const row = idByHash.get(ConversationStore.messageHash({ profileId, text: message.text, timestamp: new Date(message.timestamp).getTime() }));
+            if (row && message.id !== undefined) messageIds.set(message.id, row.id);
+        }
+        const relink = (ids, map) => (ids || []).map(id => map.get(id)).filter(id => id !== undefined);
+
+        this.db.transaction(() => {
+            for (const episode of episodes) {
+                const id = this.upsertEpisode({ ...episode, profileId, messageIds: relink(episode.messageIds, messageIds) });
+                episodeIds.set(episode.id, id);
+                counts.episodes++;
+            }
+
+            const existing = this.db.prepare('SELECT id FROM facts WHERE profile_id = ? AND kind = ? AND subject = ? AND statement = ?');
+            for (const fact of facts) {
+                const same = existing.get(profileId, fact.kind, fact.subject, fact.statement);
+                if (same) {
+                    factIds.set(fact.id, same.id);
+                    continue;
+                }
+                const id = this.insertFact({
+                    ...fact,
+                    profileId,
+                    sourceMessageIds: relink(fact.sourceMessageIds, messageIds),
+                    episodeIds: relink(fact.episodeIds, episodeIds)
+                });
+                if (fact.pinned) this.updateFact(id, { pinned: true });
+                factIds.set(fact.id, id);
+                counts.facts++;
+            }
+
+            if (session) {
+                this.db.prepare(`
+                    INSERT INTO profile_sessions (profile_id, first_seen, last_update) VALUES (?, ?, ?)
+                    ON CONFLICT(profile_id) DO UPDATE SET
+                        first_seen = MIN(first_seen, excluded.first_seen),
+                        last_update = MAX(last_update, excluded.last_update)
+                `).run(profileId, session.firstSeen, session.lastUpdate);
+            }
+        })();
+
+        return { counts, messageIds, episodeIds, factIds };
+    }
+
+    // ============= SMALL KEY/VALUE STATE =============
+
+    getValue(key, fallback = null) {
+        const row = this.statements.getKv.get(key);
+        return row ? JSON.parse(row.value) : fallback;
+    }
+
+    setValue(key, value) {
+        this.statements.setKv.run(key, JSON.stringify(value), Date.now());
+    }
+
+    // ============= ONE-TIME JSON IMPORT =============
+
+    /**
+     * Import the legacy JSON files once. Each source is recorded in `imports`,
+     * so restarts (and files that keep existing afterwards) are not imported twice.
+     */
+    importLegacy({ sessionsPath = null, metaMemoryPath = null, rawLogsPath = null } = {}) {
+        const results = {};
+
+        if (sessionsPath) {
+            results.sessions = this.importOnce(sessionsPath, (data) => {
+                const sessions = JSON.parse(data);
+                const unified = sessions.unified || {};
+                const rows = this.appendMessages(unified.messages || []);
+                for (const [deviceId, device] of Object.entries(unified.devices || {})) {
+                    this.statements.touchDevice.run(deviceId, new Date(device.lastSync || Date.now()).getTime(), device.messageCount || 0);
+                }
+                if (unified.lastDailyReset) this.setValue('sessions.lastDailyReset', unified.lastDailyReset);
+                return rows;
+            });
+        }
+
+        if (metaMemoryPath) {
+            results.metaMemory = this.importOnce(metaMemoryPath, (data) => {
+                const state = JSON.parse(data);
+                const edges = state.edges || [];
+                edges.forEach(edge => this.appendEdge(edge));
+                const { edges: _edges, ...rest } = state;
+                this.setValue('metaMemory.state', rest);
+                return edges.length;
+            });
+        }
+
+        if (rawLogsPath && fs.existsSync(rawLogsPath)) {
+            for (const file of fs.readdirSync(rawLogsPath).filter(f => /^telemetry_.*\.jsonl$/.test(f))) {
+                results[file] = this.importOnce(path.join(rawLogsPath, file), (data) => {
+                    let rows = 0;
+                    for (const line of data.split('\n')) {
+                        if (!line.trim()) continue;
+                        try {
+                            const entry = JSON.parse(line);
+                            this.appendTelemetry('turn', entry, { profileId: entry.profileId || null, timestamp: entry.timestamp || entry.ts || Date.now() });
+                            rows++;
+                        } catch (error) {
+                            // Skip partial lines from interrupted writes
+                        }
+                    }
+                    return rows;
+                });
+            }
+        }
+
+        return results;
+    }
+
+    importOnce(filePath, importer) {
+        const source = path.basename(filePath);
+        if (this.statements.getImport.get(source)) return { skipped: 'already imported' };
+        if (!fs.existsSync(filePath)) return { skipped: 'missing' };
+
+        try {
+            const rows = this.db.transaction(() => {
+                const count = importer(fs.readFileSync(filePath, 'utf8'));
+                this.statements.recordImport.run(source, count, Date.now());
+                return count;
+            })();
+            console.log(`[ConversationStore] Imported ${rows} rows from ${source}`);
+            return { rows };
+        } catch (error) {
+            console.error(`[ConversationStore] Failed to import ${source}:`, error.message);
+            return { error: error.message };
+        }
+    }
+
+    getStats() {
+        const count = (table) => this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+        return {
+            path: this.dbPath,
+            schemaVersion: this.db.pragma('user_version', { simple: true }),
+            messages: count('messages'),
+            profiles: count('profile_sessions'),
+            devices: count('devices'),
+            metaEdges: count('meta_edges'),
+            telemetry: count('telemetry'),
+            episodes: count('episodes'),
+            facts: count('facts'),
+            users: count('users'),
+            auditEntries: count('audit_log'),
+            echoCandidates: count('echo_candidates'),
+            imports: this.db.prepare('SELECT * FROM imports ORDER BY imported_at').all()
+        };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Every message carries its row id, so callers can point back at it (episodes, archives, timelines)
+function rowToMessage(row) {
+    const message = {
+        id: row.id,
+        sender: row.sender,
+        text: row.text,
+        timestamp: new Date(row.timestamp).toISOString()
+    };
+    if (row.profile_id) message.profileId = row.profile_id;
+    if (row.device_id) message.deviceId = row.device_id;
+    return row.extra ? { ...JSON.parse(row.extra), ...message } : message;
+}
+
+function rowToFact(row) {
+    return {
+        id: row.id,
+        profileId: row.profile_id,
+        kind: row.kind,
+        subject: row.subject,
+        statement: row.statement,
+        confidence: row.confidence,
+        mentions: row.mentions,
+        sourceMessageIds: JSON.parse(row.source_message_ids),
+        episodeIds: JSON.parse(row.episode_ids),
+        firstSeen: new Date(row.first_seen).toISOString(),
+        lastSeen: new Date(row.last_seen).toISOString(),
+        pinned: !!row.pinned
+    };
+}
+
+function rowToUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        profileId: row.profile_id,
+        passwordHash: row.password_hash,
+        role: row.role,
+        createdAt: new Date(row.created_at).toISOString(),
+        lastLogin: row.last_login ? new Date(row.last_login).toISOString() : null
+    };
+}
+
+function rowToApiToken(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        createdAt: new Date(row.created_at).toISOString(),
+        lastUsed: row.last_used ? new Date(row.last_used).toISOString() : null,
+        revoked: row.revoked_at !== null
+    };
+}
+
+function rowToEchoCandidate(row) {
+    const time = v => (v === null ? null : new Date(v).toISOString());
+    return {
+        id: row.id,
+        profileId: row.profile_id,
+        originProfileId: row.origin_profile_id,
+        deviceId: row.device_id,
+        status: row.status,
+        recurs: row.recurs,
+        suggestedName: row.suggested_name,
+        claimedName: row.claimed_name,
+        conflictProfileId: row.conflict_profile_id,
+        askCount: row.ask_count,
+        askedAt: time(row.asked_at),
+        answeredAt: time(row.answered_at),
+        resolution: row.resolution ? JSON.parse(row.resolution) : null,
+        resolvedBy: row.resolved_by,
+        resolvedAt: time(row.resolved_at),
+        createdAt: time(row.created_at),
+        updatedAt: time(row.updated_at)
+    };
+}
+
+function escapeLike(term) {
+    return term.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+module.exports = { ConversationStore };
@@ -0,0 +1,286 @@
+/**
+ * Echo Lifecycle
+ * Turns recurring unknown speakers (unnamed foreign-<ts> echoes) into named profiles.
+ *
+ *   candidate - the echo has come back often enough (recurrence threshold) to be worth naming
+ *   asked     - Clint asked the speaker who they are (re-asked at most maxAsks times)
+ *   named     - the speaker answered; the echo was renamed to that name, or - when the name
+ *               belongs to an existing profile - the claim is held for an admin to check
+ *   approved / merged / discarded - an admin's decision from the queue
+ *
+ * Only runs with accounts disabled: logged-in users never become echoes.
+ */
+
+const UNNAMED_ECHO = /^(?:foreign|echo)-\d+$/;
+const RESERVED_NAMES = new Set(['api', 'default', 'visitor', 'system', 'unknown', 'clint', 'foreign', 'echo', 'admin', 'user']);
+const OPEN_STATUSES = ['candidate', 'asked', 'named'];
+
+// Words that follow "I'm ..." or make up a one-word reply without being a name
+const NOT_NAMES = new Set([
+    'yes', 'yeah', 'yep', 'no', 'nope', 'ok', 'okay', 'sure', 'hi', 'hello', 'hey', 'thanks', 'why', 'what', 'who',
+    'me', 'nobody', 'someone', 'just', 'fine', 'good', 'great', 'here', 'not', 'sorry', 'well', 'um', 'uh', 'hmm',
+    'lol', 'maybe', 'idk', 'back', 'tired', 'busy', 'doing', 'going', 'trying', 'new', 'so', 'very', 'really',
+    'happy', 'sad', 'glad', 'bored', 'curious', 'confused', 'still', 'also', 'only', 'the', 'a', 'an'
+]);
+
+const NAME_ANSWER_PATTERNS = [
+    /\b(?:my name is|my name's|name's|i'm|i am|this is|call me|it's|its)\s+([A-Za-z][A-Za-z'-]{1,23})\b/i,
+    /^\s*([A-Za-z][A-Za-z'-]{1,23})\s*[.!]?\s*$/ // a bare name as the whole reply
+];
+
+class EchoLifecycleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'EchoLifecycleError';
+        this.status = status;
+    }
+}
+
+class EchoLifecycle {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - candidate queue; conversation history follows renames/merges
+     * @param {ProfileManager} options.profileManager
+     * @param {number} [options.recurrenceThreshold] - echo turns before it becomes a candidate
+     * @param {number} [options.maxAsks] - how often Clint asks before leaving it to an admin
+     * @param {number} [options.askIntervalMs] - minimum time between asks
+     */
+    constructor({ store, profileManager, recurrenceThreshold = 3, maxAsks = 2, askIntervalMs = 60 * 60 * 1000 }) {
+        this.store = store;
+        this.profileManager = profileManager;
+        this.recurrenceThreshold = recurrenceThreshold;
+        this.maxAsks = maxAsks;
+        this.askIntervalMs = askIntervalMs;
+    }
+
+    static isUnnamedEcho(profileId) {
+        return typeof profileId === 'string' && UNNAMED_ECHO.test(profileId);
+    }
+
+    /**
+     * Name given in a reply to "who are you?", or null.
+     */
+    static extractName(message) {
+        if (!message) return null;
+        for (const pattern of NAME_ANSWER_PATTERNS) {
+            const match = message.match(pattern);
+            if (match && !NOT_NAMES.has(match[1].toLowerCase())) {
+                return match[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Chat-pipeline hook, once per turn.
+     * @param {Object} turn
+     * @param {string} turn.profileId - profile detection picked for this turn
+     * @param {string} turn.message
+     * @param {string} [turn.deviceId]
+     * @param {string} [turn.claimedName] - a name profile detection already pulled from the message
+     * @returns {Promise<{ profileId: string, prompt: string|null, event: string|null, candidate: Object|null }>}
+     *   profileId is the profile the rest of the turn should use - it changes when the speaker just named themselves
+     */
+    async observe({ profileId, message, deviceId = null, claimedName = null }) {
+        const none = { profileId, prompt: null, event: null, candidate: null };
+
+        // An answer to an earlier "who are you?" on this device
+        if (deviceId) {
+            const asked = this.store.getAskedEchoCandidate(deviceId);
+            const name = asked ? (claimedName || EchoLifecycle.extractName(message)) : null;
+            if (asked && name) {
+                return this.recordAnswer(asked, name);
+            }
+        }
+
+        if (!EchoLifecycle.isUnnamedEcho(profileId)) return none;
+
+        const profile = await this.profileManager.getProfile(profileId);
+        const recurs = profile?.recurs || 0;
+        let candidate = this.store.getEchoCandidateByProfile(profileId);
+
+        if (!candidate) {
+            if (recurs < this.recurrenceThreshold) return none;
+            const id = this.store.createEchoCandidate({
+                profileId,
+                deviceId,
+                recurs,
+                suggestedName: profile ? this.profileManager.suggestNameFromPatterns(profile) : null
+            });
+            candidate = this.store.getEchoCandidate(id);
+            console.log(`[EchoLifecycle] ${profileId} is a naming candidate (${recurs} turns)`);
+        } else {
+            this.store.updateEchoCandidate(candidate.id, { recurs, deviceId: deviceId || candidate.deviceId });
+        }
+
+        if (!this.shouldAsk(candidate)) return { ...none, candidate };
+
+        this.store.updateEchoCandidate(candidate.id, {
+            status: 'asked',
+            askCount: candidate.askCount + 1,
+            askedAt: Date.now(),
+            deviceId: deviceId || candidate.deviceId
+        });
+        console.log(`[EchoLifecycle] Asking ${profileId} for their name (ask ${candidate.askCount + 1}/${this.maxAsks})`);
+
+        return {
+            profileId,
+            prompt: `[UNKNOWN SPEAKER] You have talked with this person ${recurs} times but don't know who they are. ` +
+                `Somewhere natural in your reply, ask their name - once, briefly, without making it the focus.\n\n`,
+            event: 'asked',
+            candidate: this.store.getEchoCandidate(candidate.id)
+        };
+    }
+
+    shouldAsk(candidate) {
+        if (candidate.status === 'candidate') return true;
+        if (candidate.status !== 'asked' || candidate.askCount >= this.maxAsks) return false;
+        return Date.now() - new Date(candidate.askedAt).getTime() >= this.askIntervalMs;
+    }
+
+    /**
+     * The speaker told us their name. A free name renames the echo (and its conversation
+     * history); a name that already belongs to a profile is only recorded - claiming to be
+     * someone Clint knows must not hand over their memories.
+     */
+    async recordAnswer(candidate, rawName) {
+        const display = rawName.charAt(0).toUpperCase() + rawName.slice(1).toLowerCase();
+        const newId = rawName.toLowerCase();
+        const answeredAt = Date.now();
+
+        const taken = RESERVED_NAMES.has(newId) || !!(await this.profileManager.getProfile(newId));
+        const renamed = taken ? null : await this.profileManager.renameProfile(candidate.profileId, newId, { name: display });
+
+        if (!renamed) {
+            this.store.updateEchoCandidate(candidate.id, {
+                status: 'named',
+                claimedName: display,
+                conflictProfileId: taken ? newId : null,
+                answeredAt
+            });
+            console.log(`[EchoLifecycle] ${candidate.profileId} says they are ${display} - held for review`);
+            return {
+                profileId: candidate.profileId,
+                prompt: `[NAME CLAIMED] They say they are ${display}. You can't confirm that yet - acknowledge it ` +
+                    `without assuming any shared history with ${display}.\n\n`,
+                event: 'claimed',
+                candidate: this.store.getEchoCandidate(candidate.id)
+            };
+        }
+
+        const moved = this.store.reassignProfile(candidate.profileId, newId);
+        this.store.updateEchoCandidate(candidate.id, {
+            profileId: newId,
+            status: 'named',
+            claimedName: display,
+            conflictProfileId: null,
+            answeredAt
+        });
+        console.log(`[EchoLifecycle] ${candidate.profileId} is ${display} - renamed to ${newId} (${moved.messages} messages moved)`);
+
+        return {
+            profileId: newId,
+            prompt: `[NAME LEARNED] They just told you their name: ${display}. Acknowledge it naturally.\n\n`,
+            event: 'named',
+            candidate: this.store.getEchoCandidate(candidate.id)
+        };
+    }
+
+    // ============= ADMIN QUEUE =============
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.status] - 'open' (default), 'all', or one status
+     */
+    async list({ status = 'open', limit = 100 } = {}) {
+        const filter = status === 'open' ? OPEN_STATUSES : (status === 'all' ? null : status);
+        const candidates = this.store.listEchoCandidates({ status: filter, limit });
+        return Promise.all(candidates.map(async candidate => ({
+            ...candidate,
+            profile: await this.profileManager.getProfileSummary(candidate.profileId)
+        })));
+    }
+
+    /**
+     * Keep the echo as a confirmed, named profile. `name` overrides (or supplies) the name.
+     */
+    async approve(candidateId, { name = null } = {}, actor = null) {
+        const candidate = this.requireOpen(candidateId);
+        let profileId = candidate.profileId;
+
+        if (!(await this.profileManager.getProfile(profileId))) {
+            throw new EchoLifecycleError(`Profile ${profileId} no longer exists - discard this candidate`, 409);
+        }
+
+        const wanted = name ? String(name).trim() : (candidate.conflictProfileId ? null : candidate.claimedName);
+        if (wanted && wanted.toLowerCase() !== profileId) {
+            if (!/^[A-Za-z][A-Za-z'-]{1,23}$/.test(wanted)) {
+                throw new EchoLifecycleError('name must be 2-24 letters');
+            }
+            const newId = wanted.toLowerCase();
+            if (RESERVED_NAMES.has(newId) || await this.profileManager.getProfile(newId)) {
+                throw new EchoLifecycleError(`Profile ${newId} already exists - merge into it instead`, 409);
+            }
+            const renamed = await this.profileManager.renameProfile(profileId, newId, { name: wanted });
+            if (!renamed) throw new EchoLifecycleError(`Could not rename ${profileId}`, 500);
+            this.store.reassignProfile(profileId, newId);
+            profileId = newId;
+        } else if (candidate.conflictProfileId && !name) {
+            throw new EchoLifecycleError(`The claimed name belongs to ${candidate.conflictProfileId} - merge into it or approve with a different name`, 409);
+        } else if (EchoLifecycle.isUnnamedEcho(profileId)) {
+            throw new EchoLifecycleError('This echo has no name yet - pass one to approve it');
+        }
+
+        await this.profileManager.updateProfile(profileId, { confirmed: true, confirmedAt: new Date().toISOString() });
+        this.resolve(candidate, { profileId, status: 'approved', resolution: { action: 'approve', profileId } }, actor);
+        console.log(`[EchoLifecycle] Approved ${profileId}${actor ? ` (by ${actor})` : ''}`);
+        return this.store.getEchoCandidate(candidate.id);
+    }
+
+    /**
+     * Fold the echo into a profile we already have (e.g. a known person on a new device).
+     */
+    async merge(candidateId, targetProfileId, actor = null) {
+        const candidate = this.requireOpen(candidateId);
+        if (!targetProfileId) throw new EchoLifecycleError('targetProfileId is required');
+        if (targetProfileId === candidate.profileId) throw new EchoLifecycleError('Cannot merge a profile into itself');
+        if (!(await this.profileManager.getProfile(targetProfileId))) {
+            throw new EchoLifecycleError(`Profile ${targetProfileId} not found`, 404);
+        }
+
+        const merged = await this.profileManager.mergeProfiles(candidate.profileId, targetProfileId);
+        if (!merged) throw new EchoLifecycleError(`Could not merge ${candidate.profileId} into ${targetProfileId}`, 409);
+        const moved = this.store.reassignProfile(candidate.profileId, targetProfileId);
+
+        this.resolve(candidate, { status: 'merged', resolution: { action: 'merge', from: candidate.profileId, targetProfileId, moved } }, actor);
+        console.log(`[EchoLifecycle] Merged ${candidate.profileId} into ${targetProfileId}${actor ? ` (by ${actor})` : ''}`);
+        return this.store.getEchoCandidate(candidate.id);
+    }
+
+    /**
+     * Not worth keeping - delete the echo profile (its conversation history stays in the store).
+     */
+    async discard(candidateId, actor = null) {
+        const candidate = this.requireOpen(candidateId);
+        const deleted = await this.profileManager.deleteProfile(candidate.profileId);
+
+        this.resolve(candidate, { status: 'discarded', resolution: { action: 'discard', profileId: candidate.profileId, profileDeleted: deleted } }, actor);
+        console.log(`[EchoLifecycle] Discarded ${candidate.profileId}${actor ? ` (by ${actor})` : ''}`);
+        return this.store.getEchoCandidate(candidate.id);
+    }
+
+    requireOpen(candidateId) {
+        const candidate = this.store.getEchoCandidate(Number(candidateId));
+        if (!candidate) throw new EchoLifecycleError('Candidate not found', 404);
+        if (!OPEN_STATUSES.includes(candidate.status)) {
+            throw new EchoLifecycleError(`Candidate already ${candidate.status}`, 409);
+        }
+        return candidate;
+    }
+
+    resolve(candidate, fields, actor) {
+        this.store.updateEchoCandidate(candidate.id, { ...fields, resolvedBy: actor, resolvedAt: Date.now() });
+    }
+}
+
+module.exports = { EchoLifecycle, EchoLifecycleError };
@@ -0,0 +1,426 @@
+/**
+ * HNSW Index
+ * Approximate nearest-neighbour search over embedding vectors (Hierarchical Navigable
+ * Small World graphs, Malkov & Yashunin). Vectors are L2-normalized on insert, so
+ * similarity is a dot product and matches SemanticMemory.cosineSimilarity.
+ *
+ * The graph is persisted without its vectors - they already live in embeddings.json and
+ * are handed back through fromJSON(). A sample of queries is re-run exhaustively so the
+ * index can report its own recall alongside query latency.
+ */
+
+const LATENCY_WINDOW = 200;
+const RECALL_WINDOW = 100;
+
+class HnswIndex {
+    /**
+     * @param {Object} options
+     * @param {number} [options.M] - links per node on upper layers (layer 0 gets 2*M)
+     * @param {number} [options.efConstruction] - candidate list size while inserting
+     * @param {number} [options.efSearch] - candidate list size while querying
+     * @param {number} [options.recallSampleEvery] - re-run every Nth query exhaustively (0 = never)
+     * @param {string} [options.embeddingVersion] - provider:model the vectors came from
+     */
+    constructor(options = {}) {
+        this.M = options.M || 16;
+        this.maxM0 = this.M * 2;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 64;
+        this.recallSampleEvery = options.recallSampleEvery ?? 20;
+        this.embeddingVersion = options.embeddingVersion || null;
+        this.levelMultiplier = 1 / Math.log(this.M);
+
+        this.nodes = new Map(); // id -> { id, vector, level, neighbors: string[][] }
+        this.entryPoint = null;
+        this.maxLevel = -1;
+
+        this.queryCount = 0;
+        this.latencies = [];
+        this.recallSamples = [];
+        this.exactLatencies = [];
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    add(id, vector, level = null) {
+        if (this.nodes.has(id)) this.remove(id);
+
+        const node = {
+            id,
+            vector: normalize(vector),
+            level: level ?? this.randomLevel(),
+            neighbors: []
+        };
+        for (let l = 0; l <= node.level; l++) node.neighbors.push([]);
+        this.nodes.set(id, node);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = node.level;
+            return;
+        }
+
+        let entry = this.nodes.get(this.entryPoint);
+        for (let l = this.maxLevel; l > node.level; l--) {
+            entry = this.greedyClosest(node.vector, entry, l);
+        }
+
+        for (let l = Math.min(node.level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(node.vector, [entry], this.efConstruction, l);
+            node.neighbors[l] = this.selectNeighbors(node.vector, candidates, this.M).map(c => c.node.id);
+
+            for (const neighborId of node.neighbors[l]) {
+                const neighbor = this.nodes.get(neighborId);
+                neighbor.neighbors[l].push(id);
+                this.shrinkConnections(neighbor, l);
+            }
+            entry = candidates[0].node;
+        }
+
+        if (node.level > this.maxLevel) {
+            this.maxLevel = node.level;
+            this.entryPoint = id;
+        }
+    }
+
+    /**
+     * Remove a node and patch its neighbours' links with its own, so the graph stays navigable
+     */
+    remove(id) {
+        const node = this.nodes.get(id);
+        if (!node) return false;
+        this.nodes.delete(id);
+        this.unlink(node);
+        return true;
+    }
+
+    // Drop links to a node that is no longer in this.nodes
+    unlink(node) {
+        for (let l = 0; l <= node.level; l++) {
+            for (const neighborId of node.neighbors[l] || []) {
+                const neighbor = this.nodes.get(neighborId);
+                if (!neighbor || !neighbor.neighbors[l]) continue;
+                const merged = new Set(neighbor.neighbors[l].filter(n => this.nodes.has(n)));
+                node.neighbors[l].forEach(n => { if (n !== neighborId && this.nodes.has(n)) merged.add(n); });
+                neighbor.neighbors[l] = [...merged];
+                this.shrinkConnections(neighbor, l);
+            }
+        }
+
+        if (this.entryPoint === node.id) {
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            for (const candidate of this.nodes.values()) {
+                if (candidate.level > this.maxLevel) {
+                    this.maxLevel = candidate.level;
+                    this.entryPoint = candidate.id;
+                }
+            }
+        }
+    }
+
+    /**
+     * k nearest neighbours of vector.
+     * @param {number[]} vector
+     * @param {number} k
+     * @param {Object} options
+     * @param {number} [options.ef] - overrides efSearch
+     * @param {(id: string) => boolean} [options.filter] - only ids passing the filter are returned
+     * @returns {Array<{ id: string, similarity: number }>} best first
+     */
+    search(vector, k = 10, { ef = null, filter = null } = {}) {
+        if (this.entryPoint === null) return [];
+        const started = process.hrtime.bigint();
+        const query = normalize(vector);
+
+        let entry = this.nodes.get(this.entryPoint);
+        for (let l = this.maxLevel; l > 0; l--) {
+            entry = this.greedyClosest(query, entry, l);
+        }
+        const results = this.searchLayer(query, [entry], Math.max(ef || this.efSearch, k), 0, filter)
+            .slice(0, k)
+            .map(({ node, similarity }) => ({ id: node.id, similarity }));
+
+        this.queryCount++;
+        pushWindow(this.latencies, Number(process.hrtime.bigint() - started) / 1e6, LATENCY_WINDOW);
+
+        // Measure recall off the request path
+        if (this.recallSampleEvery > 0 && this.queryCount % this.recallSampleEvery === 0 && results.length > 0) {
+            setImmediate(() => this.measureRecall(query, k, filter, results));
+        }
+
+        return results;
+    }
+
+    /**
+     * Exhaustive scan - ground truth for recall, and what search() replaces
+     */
+    exactSearch(vector, k = 10, filter = null) {
+        const query = normalize(vector);
+        const scored = [];
+        for (const node of this.nodes.values()) {
+            if (filter && !filter(node.id)) continue;
+            scored.push({ id: node.id, similarity: dot(query, node.vector) });
+        }
+        return scored.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+    }
+
+    measureRecall(query, k, filter, results) {
+        const started = process.hrtime.bigint();
+        const exact = this.exactSearch(query, k, filter);
+        pushWindow(this.exactLatencies, Number(process.hrtime.bigint() - started) / 1e6, LATENCY_WINDOW);
+        if (exact.length === 0) return;
+
+        const found = new Set(results.map(r => r.id));
+        const hits = exact.filter(r => found.has(r.id)).length;
+        pushWindow(this.recallSamples, hits / exact.length, RECALL_WINDOW);
+    }
+
+    // ============= GRAPH INTERNALS =============
+
+    randomLevel() {
+        return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+    }
+
+    greedyClosest(query, entry, level) {
+        let current = entry;
+        let best = dot(query, current.vector);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighborId of current.neighbors[level] || []) {
+                const neighbor = this.nodes.get(neighborId);
+                if (!neighbor) continue;
+                const similarity = dot(query, neighbor.vector);
+                if (similarity > best) {
+                    best = similarity;
+                    current = neighbor;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    // Best-first search on one layer; returns up to ef { node, similarity }, best first
+    searchLayer(query, entries, ef, level, filter = null) {
+        const visited = new Set();
+        const candidates = new Heap((a, b) => b.similarity - a.similarity); // best on top
+        const results = new Heap((a, b) => a.similarity - b.similarity);    // worst on top
+
+        for (const node of entries) {
+            visited.add(node.id);
+            const item = { node, similarity: dot(query, node.vector) };
+            candidates.push(item);
+            if (!filter || filter(node.id)) results.push(item);
+        }
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (results.size >= ef && current.similarity < results.peek().similarity) break;
+
+            for (const neighborId of current.node.neighbors[level] || []) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+                const neighbor = this.nodes.get(neighborId);
+                if (!neighbor) continue;
+
+                const similarity = dot(query, neighbor.vector);
+                if (results.size < ef || similarity > results.peek().similarity) {
+                    const item = { node: neighbor, similarity };
+                    candidates.push(item);
+                    if (!filter || filter(neighborId)) {
+                        results.push(item);
+                        if (results.size > ef) results.pop();
+                    }
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => b.similarity - a.similarity);
+    }
+
+    // Neighbour selection heuristic: prefer candidates that are closer to the new node than to
+    // anything already picked, which keeps links spread out; top up with the rest if short
+    selectNeighbors(vector, candidates, max) {
+        const selected = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (selected.length >= max) break;
+            const diverse = selected.every(s => candidate.similarity > dot(candidate.node.vector, s.node.vector));
+            (diverse ? selected : skipped).push(candidate);
+        }
+        for (const candidate of skipped) {
+            if (selected.length >= max) break;
+            selected.push(candidate);
+        }
+        return selected;
+    }
+
+    shrinkConnections(node, level) {
+        const max = level === 0 ? this.maxM0 : this.M;
+        if (node.neighbors[level].length <= max) return;
+
+        const candidates = node.neighbors[level]
+            .map(id => this.nodes.get(id))
+            .filter(Boolean)
+            .map(neighbor => ({ node: neighbor, similarity: dot(node.vector, neighbor.vector) }))
+            .sort((a, b) => b.similarity - a.similarity);
+        node.neighbors[level] = this.selectNeighbors(node.vector, candidates, max).map(c => c.node.id);
+    }
+
+    // ============= PERSISTENCE & STATS =============
+
+    toJSON() {
+        return {
+            format: 1,
+            embeddingVersion: this.embeddingVersion,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            nodes: Array.from(this.nodes.values(), node => [node.id, node.level, node.neighbors])
+        };
+    }
+
+    /**
+     * Rebuild an index from toJSON() output. getVector(id) supplies each vector;
+     * nodes it cannot supply are dropped (and their links patched).
+     */
+    static fromJSON(data, getVector, options = {}) {
+        const index = new HnswIndex({
+            M: data.M,
+            efConstruction: data.efConstruction,
+            efSearch: data.efSearch,
+            embeddingVersion: data.embeddingVersion,
+            ...options
+        });
+
+        const missing = [];
+        for (const [id, level, neighbors] of data.nodes || []) {
+            const vector = getVector(id);
+            if (vector) {
+                index.nodes.set(id, { id, vector: normalize(vector), level, neighbors });
+            } else {
+                missing.push({ id, level, neighbors });
+            }
+        }
+        index.entryPoint = data.entryPoint ?? null;
+        index.maxLevel = data.maxLevel ?? -1;
+        missing.forEach(node => index.unlink(node));
+        index.dropped = missing.length;
+        return index;
+    }
+
+    getStats() {
+        const latency = summarize(this.latencies);
+        const exact = summarize(this.exactLatencies);
+        return {
+            size: this.nodes.size,
+            maxLevel: this.maxLevel,
+            M: this.M,
+            efSearch: this.efSearch,
+            embeddingVersion: this.embeddingVersion,
+            queries: this.queryCount,
+            latencyMs: latency,
+            exactLatencyMs: exact,
+            recall: this.recallSamples.length > 0 ? {
+                samples: this.recallSamples.length,
+                average: +(this.recallSamples.reduce((sum, r) => sum + r, 0) / this.recallSamples.length).toFixed(4),
+                min: +Math.min(...this.recallSamples).toFixed(4)
+            } : null
+        };
+    }
+}
+
+// Binary heap ordered by compare (negative = a goes on top)
+class Heap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let next = i;
+                if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+                if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+                if (next === i) break;
+                [items[i], items[next]] = [items[next], items[i]];
+                i = next;
+            }
+        }
+        return top;
+    }
+
+    toArray() {
+        return this.items.slice();
+    }
+}
+
+function normalize(vector) {
+    const out = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+    return out;
+}
+
+function dot(a, b) {
+    if (a.length !== b.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function pushWindow(window, value, max) {
+    window.push(value);
+    if (window.length > max) window.shift();
+}
+
+function summarize(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return {
+        avg: +(values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(3),
+        p95: +sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))].toFixed(3)
+    };
+}
+
+module.exports = { HnswIndex };
@@ -1,19 +1,396 @@
+/**
+ * Identity Evolution (Code-aligned)
+ * Clint's identity as versioned state: how much weight each tenet of the Code carries
+ * (courage, keep_word, ride_for_brand), which voice mode he reaches for, and the tensions
+ * he is still carrying or has worked through. Each turn's monologue nudges it; snapshots are
+ * written as numbered versions, and a rollback restores an earlier version as a new one, so
+ * the history only ever grows.
+ *
+ * Files (under <storage>/identity_code_aligned):
+ *   state.json       - the live identity
+ *   versions/v<N>.json - snapshot N: { version, createdAt, reason, state }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const PRINCIPLES = ['courage', 'keep_word', 'ride_for_brand'];
+const VOICE_MODES = ['hammer', 'range', 'hand_back'];
+
+const EVOLUTION_CONFIG = {
+    PRINCIPLE_RATE: 0.05, // How far one clear turn pulls the weights toward the principles it used
+    VOICE_RATE: 0.1, // Same for voice-mode preferences
+    MIN_WEIGHT: 0.1, // No tenet fades below this
+    DRIFT_WEIGHT: 0.2, // A tenet below this counts as drift from the Code
+    SNAPSHOT_EVERY_TURNS: 10, // Snapshot at least this often (and whenever a tension opens or resolves)
+    MAX_VERSIONS: 200, // Oldest snapshots are deleted beyond this
+    MAX_RESOLVED_TENSIONS: 100,
+    QUIET_TURNS_TO_RESOLVE: 10, // Turns a tension must stay away before a clear turn resolves it
+    RESOLVE_CLARITY: 0.7, // Clarity of that turn
+    IDLE_SEVERITY_DECAY: 0.9, // Idle cycles ease tensions not seen for an hour...
+    FADED_SEVERITY: 0.1 // ...and resolve them once they drop below this
+};
+
+class IdentityVersionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'IdentityVersionError';
+        this.status = status;
+    }
+}
+
+function uniform(keys) {
+    return Object.fromEntries(keys.map(key => [key, 1 / keys.length]));
+}
+
+function initialState() {
+    return {
+        version: 0,
+        turns: 0,
+        turnsSinceSnapshot: 0,
+        updatedAt: new Date().toISOString(),
+        principleWeights: uniform(PRINCIPLES),
+        voiceModePreferences: uniform(VOICE_MODES),
+        voiceModeCounts: Object.fromEntries(VOICE_MODES.map(mode => [mode, 0])),
+        unresolvedTensions: [],
+        resolvedTensions: []
+    };
+}
+
+// Same type and mostly the same words: the same tension showing up again
+function sameTension(existing, tension) {
+    if (existing.type !== tension.type) return false;
+    const words = text => new Set((text || '').toLowerCase().match(/[a-z]{4,}/g) || []);
+    const a = words(existing.description);
+    const b = words(tension.description);
+    if (a.size === 0 || b.size === 0) return true;
+    const shared = [...a].filter(word => b.has(word)).length;
+    return shared / (a.size + b.size - shared) >= 0.5;
+}
+
 class IdentityEvolutionCodeAligned {
     constructor(storagePath, memory) {
         this.storagePath = storagePath;
         this.memory = memory;
-        this.tensions = [];
+        this.basePath = path.join(storagePath, 'identity_code_aligned');
+        this.statePath = path.join(this.basePath, 'state.json');
+        this.versionsPath = path.join(this.basePath, 'versions');
+        this.state = initialState();
+        this.ready = null;
+    }
+
+    // Load the live identity; the first run writes version 1
+    initialize() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                await fs.mkdir(this.versionsPath, { recursive: true });
+                try {
+                    this.state = { ...initialState(), ...JSON.parse(await fs.readFile(this.statePath, 'utf8')) };
+                    console.log(`[IdentityEvolution] Loaded identity v${this.state.version} (${this.state.turns} turns)`);
+                } catch (error) {
+                    await this.snapshot('initial');
+                }
+            })();
+        }
+        return this.ready;
+    }
+
+    get tensions() {
+        return this.state.unresolvedTensions;
     }
 
-    recordTension(tension) {
-        this.tensions.push({ ...tension, recordedAt: new Date().toISOString() });
+    /**
+     * Fold one turn's monologue into the identity.
+     * @param {Object} internalState - consciousness `internal_state`: { clarity, principles, tensions, voice_mode_selected }
+     * @returns {Promise<Object>} what changed: { version, opened, recurred, resolved, snapshot }
+     */
+    async evolveFromMonologue(internalState = {}) {
+        await this.initialize();
+        const state = this.state;
+        const clarity = typeof internalState.clarity === 'number' ? internalState.clarity : 0.5;
+
+        // Principles: pull toward the ones this turn used, harder when the turn was clear
+        const used = (internalState.principles || []).filter(principle => PRINCIPLES.includes(principle));
+        if (used.length > 0) {
+            const rate = EVOLUTION_CONFIG.PRINCIPLE_RATE * clarity;
+            for (const principle of PRINCIPLES) {
+                const target = used.filter(entry => entry === principle).length / used.length;
+                state.principleWeights[principle] = (1 - rate) * state.principleWeights[principle] + rate * target;
+            }
+            this.normalizeWeights();
+        }
+
+        // Voice mode: running preference plus raw counts
+        const mode = internalState.voice_mode_selected;
+        if (VOICE_MODES.includes(mode)) {
+            state.voiceModeCounts[mode]++;
+            for (const entry of VOICE_MODES) {
+                const target = entry === mode ? 1 : 0;
+                state.voiceModePreferences[entry] = (1 - EVOLUTION_CONFIG.VOICE_RATE) * state.voiceModePreferences[entry] + EVOLUTION_CONFIG.VOICE_RATE * target;
+            }
+        }
+
+        const change = { opened: [], recurred: [], resolved: [] };
+        const seen = new Set();
+        for (const tension of internalState.tensions || []) {
+            const result = this.recordTension(tension, { save: false });
+            seen.add(result.tension.id);
+            change[result.opened ? 'opened' : 'recurred'].push(result.tension.id);
+        }
+
+        // A tension that has stayed away for a while resolves on a clear turn
+        for (const tension of [...state.unresolvedTensions]) {
+            if (seen.has(tension.id)) continue;
+            tension.quietTurns = (tension.quietTurns || 0) + 1;
+            if (tension.quietTurns >= EVOLUTION_CONFIG.QUIET_TURNS_TO_RESOLVE && clarity >= EVOLUTION_CONFIG.RESOLVE_CLARITY) {
+                this.resolveTension(tension, 'worked-through');
+                change.resolved.push(tension.id);
+            }
+        }
+
+        state.turns++;
+        state.turnsSinceSnapshot++;
+        state.updatedAt = new Date().toISOString();
+
+        let snapshot = null;
+        if (change.opened.length > 0 || change.resolved.length > 0) {
+            snapshot = await this.snapshot(change.resolved.length > 0 ? 'tension resolved' : 'tension opened');
+        } else if (state.turnsSinceSnapshot >= EVOLUTION_CONFIG.SNAPSHOT_EVERY_TURNS) {
+            snapshot = await this.snapshot('periodic');
+        } else {
+            await this.saveState();
+        }
+
+        return { version: state.version, ...change, snapshot: snapshot ? snapshot.version : null };
+    }
+
+    // Open a tension, or count it again when it is one Clint already carries
+    recordTension(tension, { save = true } = {}) {
+        const now = new Date().toISOString();
+        const severity = typeof tension.severity === 'number' ? Math.max(0, Math.min(1, tension.severity)) : 0.5;
+        const existing = this.state.unresolvedTensions.find(entry => sameTension(entry, tension));
+
+        let result;
+        if (existing) {
+            existing.occurrences++;
+            existing.severity = Math.max(existing.severity, severity);
+            existing.lastSeen = now;
+            existing.quietTurns = 0;
+            result = { tension: existing, opened: false };
+        } else {
+            const entry = {
+                id: crypto.randomBytes(6).toString('hex'),
+                type: tension.type || 'other',
+                description: tension.description || tension.detail || '',
+                severity,
+                source: tension.source || 'monologue',
+                occurrences: 1,
+                quietTurns: 0,
+                firstSeen: now,
+                lastSeen: now,
+                openedInVersion: this.state.version + 1
+            };
+            this.state.unresolvedTensions.push(entry);
+            result = { tension: entry, opened: true };
+        }
+
+        if (save) this.saveState().catch(error => console.error('[IdentityEvolution] Failed to save state:', error.message));
+        return result;
+    }
+
+    resolveTension(tension, resolution) {
+        this.state.unresolvedTensions = this.state.unresolvedTensions.filter(entry => entry.id !== tension.id);
+        this.state.resolvedTensions.push({
+            ...tension,
+            resolution,
+            resolvedAt: new Date().toISOString(),
+            resolvedInVersion: this.state.version + 1
+        });
+        this.state.resolvedTensions = this.state.resolvedTensions.slice(-EVOLUTION_CONFIG.MAX_RESOLVED_TENSIONS);
+    }
+
+    /**
+     * Quiet-period upkeep: tensions not seen for an hour ease, and fade out once light enough.
+     * Pending turn changes are snapshotted.
+     */
+    async settle() {
+        await this.initialize();
+        const hourAgo = Date.now() - 60 * 60 * 1000;
+        const eased = [];
+        const faded = [];
+
+        for (const tension of [...this.state.unresolvedTensions]) {
+            if (new Date(tension.lastSeen).getTime() > hourAgo) continue;
+            tension.severity *= EVOLUTION_CONFIG.IDLE_SEVERITY_DECAY;
+            eased.push(tension.id);
+            if (tension.severity < EVOLUTION_CONFIG.FADED_SEVERITY) {
+                this.resolveTension(tension, 'faded');
+                faded.push(tension.id);
+            }
+        }
+
+        let snapshot = null;
+        if (faded.length > 0 || this.state.turnsSinceSnapshot > 0) {
+            snapshot = await this.snapshot(faded.length > 0 ? 'tension faded' : 'idle');
+        } else if (eased.length > 0) {
+            await this.saveState();
+        }
+
+        return { eased: eased.length, faded: faded.length, snapshot: snapshot ? snapshot.version : null };
+    }
+
+    // Weights sum to 1; tenets under the floor are raised to it and the others share what is left
+    normalizeWeights() {
+        const weights = this.state.principleWeights;
+        const total = PRINCIPLES.reduce((sum, principle) => sum + weights[principle], 0);
+        const floored = PRINCIPLES.filter(principle => weights[principle] / total < EVOLUTION_CONFIG.MIN_WEIGHT);
+        const free = PRINCIPLES.filter(principle => !floored.includes(principle));
+        const freeTotal = free.reduce((sum, principle) => sum + weights[principle], 0);
+        const remaining = 1 - floored.length * EVOLUTION_CONFIG.MIN_WEIGHT;
+        for (const principle of floored) {
+            weights[principle] = EVOLUTION_CONFIG.MIN_WEIGHT;
+        }
+        for (const principle of free) {
+            weights[principle] = (weights[principle] / freeTotal) * remaining;
+        }
+    }
+
+    // 1 minus the spread of the principle weights, as IdentityEvolution measures it
+    computeCoherence() {
+        const weights = PRINCIPLES.map(principle => this.state.principleWeights[principle]);
+        const mean = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+        const spread = Math.sqrt(weights.reduce((sum, weight) => sum + Math.pow(weight - mean, 2), 0) / weights.length);
+        return 1 - Math.min(spread, 1);
+    }
+
+    // Tenets whose weight has sunk below the drift line
+    driftingPrinciples() {
+        return PRINCIPLES.filter(principle => this.state.principleWeights[principle] < EVOLUTION_CONFIG.DRIFT_WEIGHT);
+    }
+
+    // ============= VERSIONS =============
+
+    versionFile(version) {
+        return path.join(this.versionsPath, `v${version}.json`);
+    }
+
+    async saveState() {
+        await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+    }
+
+    // Write the live identity as the next version
+    async snapshot(reason) {
+        this.state.version++;
+        this.state.turnsSinceSnapshot = 0;
+        const snapshot = {
+            version: this.state.version,
+            createdAt: new Date().toISOString(),
+            reason,
+            coherence: this.computeCoherence(),
+            state: JSON.parse(JSON.stringify(this.state))
+        };
+        await fs.mkdir(this.versionsPath, { recursive: true });
+        await fs.writeFile(this.versionFile(snapshot.version), JSON.stringify(snapshot, null, 2), 'utf8');
+        await this.saveState();
+        await this.pruneVersions();
+        return snapshot;
+    }
+
+    async versionNumbers() {
+        const files = await fs.readdir(this.versionsPath).catch(() => []);
+        return files
+            .map(file => /^v(\d+)\.json$/.exec(file))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+    }
+
+    async pruneVersions() {
+        const versions = await this.versionNumbers();
+        for (const version of versions.slice(0, Math.max(0, versions.length - EVOLUTION_CONFIG.MAX_VERSIONS))) {
+            await fs.unlink(this.versionFile(version)).catch(() => {});
+        }
+    }
+
+    async listVersions() {
+        await this.initialize();
+        const versions = [];
+        for (const version of await this.versionNumbers()) {
+            const snapshot = await this.getVersion(version);
+            versions.push({
+                version,
+                createdAt: snapshot.createdAt,
+                reason: snapshot.reason,
+                turns: snapshot.state.turns,
+                coherence: snapshot.coherence,
+                principleWeights: snapshot.state.principleWeights,
+                unresolvedTensions: snapshot.state.unresolvedTensions.length
+            });
+        }
+        return versions;
+    }
+
+    async getVersion(version) {
+        const number = Number(version);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new IdentityVersionError('version must be a positive integer');
+        }
+        try {
+            return JSON.parse(await fs.readFile(this.versionFile(number), 'utf8'));
+        } catch (error) {
+            throw new IdentityVersionError(`Identity version ${number} not found`, 404);
+        }
+    }
+
+    /**
+     * Restore an earlier version. The restored identity is saved as a new version, so
+     * everything after the target stays in the history and can be restored in turn.
+     */
+    async rollback(version, { reason = null } = {}) {
+        await this.initialize();
+        const target = await this.getVersion(version);
+        if (target.version === this.state.version && this.state.turnsSinceSnapshot === 0) {
+            throw new IdentityVersionError(`Identity is already at version ${target.version}`, 409);
+        }
+
+        const from = this.state.version;
+        this.state = {
+            ...initialState(),
+            ...JSON.parse(JSON.stringify(target.state)),
+            version: from,
+            turns: this.state.turns,
+            updatedAt: new Date().toISOString()
+        };
+        const snapshot = await this.snapshot(`rollback to v${target.version}${reason ? `: ${reason}` : ''}`);
+        console.log(`[IdentityEvolution] Rolled back to v${target.version} (now v${snapshot.version})`);
+        return { from, restored: target.version, version: snapshot.version };
+    }
+
+    getState() {
+        return {
+            ...JSON.parse(JSON.stringify(this.state)),
+            coherence: this.computeCoherence(),
+            drifting: this.driftingPrinciples()
+        };
     }
 
     getStats() {
         return {
-            tensionCount: this.tensions.length
+            version: this.state.version,
+            turns: this.state.turns,
+            coherence: this.computeCoherence(),
+            principleWeights: { ...this.state.principleWeights },
+            voiceModePreferences: { ...this.state.voiceModePreferences },
+            tensionCount: this.state.unresolvedTensions.length,
+            resolvedTensionCount: this.state.resolvedTensions.length,
+            drifting: this.driftingPrinciples()
         };
     }
 }
 
-module.exports = IdentityEvolutionCodeAligned;
+module.exports = {
+    IdentityEvolutionCodeAligned,
+    IdentityVersionError,
+    EVOLUTION_CONFIG
+};
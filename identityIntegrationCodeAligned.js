@@ -4,20 +4,25 @@ class IdentityIntegrationCodeAligned {
         this.memory = memory;
         this.consciousness = consciousness;
         this.idleTimer = null;
+        this.lastIdleCycle = null;
         this.stats = {
             interactions: 0,
-            manualTensions: 0
+            manualTensions: 0,
+            idleCycles: 0
         };
     }
 
     async initialize() {
+        if (this.identityEvolution) {
+            await this.identityEvolution.initialize();
+        }
         return true;
     }
 
     startIdleState() {
         this.stopIdleProcessing();
         this.idleTimer = setInterval(() => {
-            this.processIdleCycle();
+            this.processIdleCycle().catch(error => console.error('[IdentityIntegration] Idle cycle failed:', error.message));
         }, 5 * 60 * 1000);
     }
 
@@ -32,21 +37,43 @@ class IdentityIntegrationCodeAligned {
         }
     }
 
+    // Where the identity leans right now: strongest tenet, any drifting one, preferred voice, heaviest open tension
     getIdentityPromptContext() {
-        return '\n[IDENTITY] Stay true to the Code; keep the voice grounded.\n';
+        if (!this.identityEvolution) {
+            return '\n[IDENTITY] Stay true to the Code; keep the voice grounded.\n';
+        }
+
+        const stats = this.identityEvolution.getStats();
+        const [leading] = Object.entries(stats.principleWeights).sort((a, b) => b[1] - a[1]);
+        const [voice] = Object.entries(stats.voiceModePreferences).sort((a, b) => b[1] - a[1]);
+        const heaviest = [...this.identityEvolution.tensions].sort((a, b) => b.severity - a.severity)[0];
+
+        const lines = [`[IDENTITY v${stats.version}] Stay true to the Code; keep the voice grounded.`];
+        lines.push(`Leaning on ${leading[0]} (${leading[1].toFixed(2)}); reaching for ${voice[0]} most.`);
+        if (stats.drifting.length > 0) {
+            lines.push(`${stats.drifting.join(' and ')} ${stats.drifting.length > 1 ? 'have' : 'has'} gone quiet - don't let the Code slip.`);
+        }
+        if (heaviest) {
+            lines.push(`Still carrying: ${heaviest.description || heaviest.type}.`);
+        }
+        return `\n${lines.join('\n')}\n`;
     }
 
     async processConsciousnessInteraction(interaction) {
         this.stats.interactions += 1;
-        if (this.identityEvolution) {
-            this.identityEvolution.recordTension({
-                source: 'consciousness',
-                detail: interaction?.summary || 'interaction processed'
-            });
+        if (!this.identityEvolution) {
+            return { tensionsProcessed: 0, codeAligned: true };
         }
+
+        const change = await this.identityEvolution.evolveFromMonologue(interaction || {});
+        const stats = this.identityEvolution.getStats();
         return {
-            tensionsProcessed: this.identityEvolution?.tensions?.length || 0,
-            codeAligned: true
+            tensionsProcessed: (interaction?.tensions || []).length,
+            unresolvedTensions: stats.tensionCount,
+            codeAligned: stats.drifting.length === 0,
+            version: change.version,
+            opened: change.opened.length,
+            resolved: change.resolved.length
         };
     }
 
@@ -54,17 +81,34 @@ class IdentityIntegrationCodeAligned {
         return {
             interactions: this.stats.interactions,
             manualTensions: this.stats.manualTensions,
-            recordedTensions: this.identityEvolution?.tensions?.length || 0
+            idleCycles: this.stats.idleCycles,
+            lastIdleCycle: this.lastIdleCycle,
+            recordedTensions: this.identityEvolution?.tensions?.length || 0,
+            identity: this.identityEvolution ? this.identityEvolution.getStats() : null
         };
     }
 
     async addManualTension(type, description, severity = 0.5) {
         this.stats.manualTensions += 1;
-        this.identityEvolution?.recordTension({ type, description, severity });
+        if (this.identityEvolution) {
+            await this.identityEvolution.initialize();
+            this.identityEvolution.recordTension({ type, description, severity, source: 'manual' });
+        }
     }
 
+    // Quiet periods: old tensions ease and fade, and the turns since the last version are snapshotted
     async processIdleCycle() {
-        return { processed: true };
+        this.stats.idleCycles += 1;
+        this.lastIdleCycle = new Date().toISOString();
+        if (!this.identityEvolution) {
+            return { processed: true };
+        }
+
+        const result = await this.identityEvolution.settle();
+        if (result.faded > 0 || result.snapshot) {
+            console.log(`[IdentityIntegration] Idle cycle: ${result.eased} tensions eased, ${result.faded} faded${result.snapshot ? `, saved v${result.snapshot}` : ''}`);
+        }
+        return { processed: true, ...result };
     }
 }
 
@@ -2,7 +2,7 @@
  * Integrated Profile System - Simplified Two-Profile System
  * 
  * Provides integrated profile functionality for:
- * - chris: Full profile context and detection
+ * - anchors (account or primary profiles): Full profile context and detection
  * - visitor: Basic profile context
  */
 
@@ -19,8 +19,8 @@ class IntegratedProfileSystem {
      */
     async getProfileContext(activeProfile) {
         try {
-            if (activeProfile === 'chris') {
-                // Full context for Chris
+            if (await this.profileManager.isAnchor(activeProfile)) {
+                // Full context for anchor profiles
                 const profileData = await this.profileManager.getProfile(activeProfile);
                 return {
                     profileId: activeProfile,
@@ -57,16 +57,16 @@ class IntegratedProfileSystem {
     async getSystemStatus() {
         try {
             const allProfiles = await this.profileManager.getAllProfiles();
-            const chrisProfile = allProfiles.find(p => p.id === 'chris');
+            const anchorProfiles = allProfiles.filter(p => p.anchor);
             const visitorProfiles = allProfiles.filter(p => p.id === 'visitor');
             
             return {
                 totalProfiles: allProfiles.length,
-                chrisProfile: chrisProfile ? {
-                    id: chrisProfile.id,
-                    interactions: chrisProfile.recurs || 0,
-                    lastSeen: chrisProfile.lastSeen
-                } : null,
+                anchorProfiles: anchorProfiles.map(profile => ({
+                    id: profile.id,
+                    interactions: profile.recurs || 0,
+                    lastSeen: profile.lastSeen
+                })),
                 visitorProfiles: visitorProfiles.length,
                 systemHealth: 'operational',
                 simplifiedMode: true
@@ -75,7 +75,7 @@ class IntegratedProfileSystem {
             console.error('[IntegratedProfileSystem] Error getting system status:', error.message);
             return {
                 totalProfiles: 0,
-                chrisProfile: null,
+                anchorProfiles: [],
                 visitorProfiles: 0,
                 systemHealth: 'error',
                 simplifiedMode: true,
@@ -90,25 +90,26 @@ class IntegratedProfileSystem {
     async detectUser(message, context = {}) {
         try {
             const lowerMessage = message.toLowerCase();
+            const primary = this.profileManager.primaryProfileId;
             
-            // Check for explicit Chris identification
-            if (lowerMessage.includes('i am chris') || 
-                lowerMessage.includes('i\'m chris') ||
-                lowerMessage.includes('chris here') ||
-                context.deviceId === 'chris-device') {
+            // Check for explicit primary-user identification
+            if (primary && (lowerMessage.includes(`i am ${primary}`) || 
+                lowerMessage.includes(`i'm ${primary}`) ||
+                lowerMessage.includes(`${primary} here`) ||
+                context.deviceId === `${primary}-device`)) {
                 return {
-                    detectedProfile: 'chris',
+                    detectedProfile: primary,
                     confidence: 0.9,
                     method: 'explicit_identification'
                 };
             }
             
-            // Check for Chris patterns
-            if (lowerMessage.includes('creator') || 
+            // Check for primary-user patterns
+            if (primary && (lowerMessage.includes('creator') || 
                 lowerMessage.includes('primary user') ||
-                lowerMessage.includes('my system')) {
+                lowerMessage.includes('my system'))) {
                 return {
-                    detectedProfile: 'chris',
+                    detectedProfile: primary,
                     confidence: 0.7,
                     method: 'pattern_detection'
                 };
@@ -4,11 +4,16 @@
  */
 
 const { SemanticMemory } = require('./semanticMemory');
+const { tokenize } = require('./searchIndex');
+
+// Reciprocal-rank fusion constant - dampens the advantage of the very top ranks
+const RRF_K = 60;
 
 class IntelligentRetrieval {
-    constructor(storagePath, openaiClient, existingMemory) {
-        this.semanticMemory = new SemanticMemory(storagePath, openaiClient);
+    constructor(storagePath, llmProvider, existingMemory, searchIndex = null) {
+        this.semanticMemory = new SemanticMemory(storagePath, llmProvider);
         this.existingMemory = existingMemory; // Original memory system
+        this.searchIndex = searchIndex; // BM25 keyword index over messages, journals and reflections
         this.initialized = false;
     }
 
@@ -33,14 +38,15 @@ class IntelligentRetrieval {
                 includeSemantic = true,
                 includeTraditional = true,
                 includeTemporal = true,
-                includeCrossReference = true
+                includeCrossReference = true,
+                profileId = null // only memories attributed to this profile
             } = options;
 
             const results = [];
 
             // 1. Semantic search for meaning-based retrieval
             if (includeSemantic) {
-                const semanticResults = await this.semanticSearch(message, maxResults);
+                const semanticResults = await this.semanticSearch(message, maxResults, profileId);
                 results.push(...semanticResults.map(r => ({
                     ...r,
                     source: 'semantic',
@@ -50,7 +56,7 @@ class IntelligentRetrieval {
 
             // 2. Traditional keyword-based search
             if (includeTraditional) {
-                const traditionalResults = await this.traditionalSearch(message, maxResults);
+                const traditionalResults = await this.traditionalSearch(message, maxResults, profileId);
                 results.push(...traditionalResults.map(r => ({
                     ...r,
                     source: 'traditional',
@@ -60,7 +66,7 @@ class IntelligentRetrieval {
 
             // 3. Temporal intelligence search
             if (includeTemporal) {
-                const temporalResults = await this.temporalSearch(message, maxResults);
+                const temporalResults = await this.temporalSearch(message, maxResults, profileId);
                 results.push(...temporalResults.map(r => ({
                     ...r,
                     source: 'temporal',
@@ -70,7 +76,7 @@ class IntelligentRetrieval {
 
             // 4. Cross-reference search
             if (includeCrossReference) {
-                const crossRefResults = await this.crossReferenceSearch(message, maxResults);
+                const crossRefResults = await this.crossReferenceSearch(message, maxResults, profileId);
                 results.push(...crossRefResults.map(r => ({
                     ...r,
                     source: 'cross_reference',
@@ -101,21 +107,21 @@ class IntelligentRetrieval {
     /**
      * Semantic search using vector embeddings
      */
-    async semanticSearch(message, maxResults) {
+    async semanticSearch(message, maxResults, profileId = null) {
         try {
             const results = await this.semanticMemory.semanticSearch(message, {
                 maxResults: maxResults * 2, // Get more for filtering
                 minSimilarity: 0.1  // Lower threshold for better recall
             });
 
-            return results.map(result => ({
+            return results.filter(result => ownedBy(result.memory, profileId)).map(result => ({
                 text: result.memory.text,
                 similarity: result.similarity,
                 relevanceScore: result.relevanceScore,
                 timestamp: result.memory.timestamp,
                 type: result.memory.type,
                 cluster: result.cluster,
-                relatedMemories: result.relatedMemories
+                relatedMemories: result.relatedMemories?.filter(related => ownedBy(related, profileId))
             }));
 
         } catch (error) {
@@ -125,11 +131,30 @@ class IntelligentRetrieval {
     }
 
     /**
-     * Traditional keyword-based search
+     * Traditional keyword-based search (BM25 over the user's side of the conversation)
      */
-    async traditionalSearch(message, maxResults) {
+    async traditionalSearch(message, maxResults, profileId = null) {
         try {
-            // Use existing memory system for traditional search
+            if (this.searchIndex) {
+                const results = this.searchIndex.search(message, {
+                    limit: maxResults,
+                    sources: ['message'],
+                    filters: profileId ? { sender: 'user', profile: profileId.toLowerCase() } : { sender: 'user' }
+                });
+                const topScore = results[0]?.score || 1;
+
+                return results.map(result => ({
+                    text: result.text,
+                    similarity: result.score / topScore,
+                    relevanceScore: result.score / topScore,
+                    bm25: result.score,
+                    timestamp: result.timestamp || new Date(),
+                    type: 'conversation'
+                }));
+            }
+
+            // No keyword index - fall back to the existing memory system (which doesn't know who said what)
+            if (profileId) return [];
             const userContext = await this.existingMemory.buildContext();
             const fragments = [];
 
@@ -163,7 +188,7 @@ class IntelligentRetrieval {
     /**
      * Temporal intelligence search
      */
-    async temporalSearch(message, maxResults) {
+    async temporalSearch(message, maxResults, profileId = null) {
         try {
             const temporalRef = this.semanticMemory.parseTemporalReference(message);
             if (!temporalRef) return [];
@@ -174,7 +199,7 @@ class IntelligentRetrieval {
                 minSimilarity: 0.05  // Even lower for temporal search
             });
 
-            return results.map(result => ({
+            return results.filter(result => ownedBy(result.memory, profileId)).map(result => ({
                 text: result.memory.text,
                 similarity: result.similarity,
                 relevanceScore: result.relevanceScore,
@@ -192,7 +217,7 @@ class IntelligentRetrieval {
     /**
      * Cross-reference search using semantic clustering
      */
-    async crossReferenceSearch(message, maxResults) {
+    async crossReferenceSearch(message, maxResults, profileId = null) {
         try {
             // First find memories related to the query
             const primaryResults = await this.semanticMemory.semanticSearch(message, {
@@ -203,9 +228,9 @@ class IntelligentRetrieval {
             const crossRefFragments = [];
 
             // For each primary result, find related memories from the same cluster
-            for (const result of primaryResults) {
+            for (const result of primaryResults.filter(primary => ownedBy(primary.memory, profileId))) {
                 if (result.relatedMemories && result.relatedMemories.length > 0) {
-                    for (const relatedMemory of result.relatedMemories) {
+                    for (const relatedMemory of result.relatedMemories.filter(related => ownedBy(related, profileId))) {
                         crossRefFragments.push({
                             text: relatedMemory.text,
                             similarity: 0.5, // Medium similarity for cross-reference
@@ -280,6 +305,99 @@ class IntelligentRetrieval {
         }).sort((a, b) => b.finalScore - a.finalScore);
     }
 
+    /**
+     * Hybrid search: BM25 keyword results fused with semantic (vector) results by
+     * reciprocal-rank fusion. Query syntax (phrases, -exclusions, sender:/profile:/before:/after:)
+     * is parsed once and applied to both sides.
+     * @param {string} query
+     * @param {Object} options
+     * @param {number} [options.limit]
+     * @param {Object} [options.filters] - extra field filters merged over the query's own
+     * @param {string[][]} [options.requireAny] - substring groups (topics, people); each must match
+     * @param {boolean} [options.includeSemantic]
+     */
+    async hybridSearch(query, options = {}) {
+        const { limit = 20, filters = {}, requireAny = [], includeSemantic = true } = options;
+        const candidates = limit * 3;
+
+        if (!this.searchIndex) {
+            throw new Error('Hybrid search needs a search index');
+        }
+        await this.initialize();
+
+        const parsed = this.searchIndex.parseQuery(query);
+        const effectiveFilters = { ...parsed.filters, ...filters };
+
+        const keywordResults = this.searchIndex.search(parsed, { limit: candidates, filters, requireAny });
+
+        let semanticResults = [];
+        if (includeSemantic && parsed.text) {
+            try {
+                const raw = await this.semanticMemory.semanticSearch(parsed.text, {
+                    maxResults: candidates,
+                    includeClusters: false,
+                    minSimilarity: 0.1
+                });
+                semanticResults = raw
+                    .map(result => ({
+                        text: result.memory.text,
+                        sender: result.memory.metadata?.sender || null,
+                        profileId: result.memory.metadata?.profileId || null,
+                        timestamp: result.memory.timestamp ? new Date(result.memory.timestamp).toISOString() : null,
+                        source: 'semantic_memory',
+                        similarity: result.similarity
+                    }))
+                    .filter(result => this.matchesParsedQuery(result, parsed, effectiveFilters, requireAny));
+            } catch (error) {
+                console.warn('[IntelligentRetrieval] Semantic side of hybrid search failed:', error.message);
+            }
+        }
+
+        // Fuse by normalized text - the same turn is usually in both the message store and semantic memory
+        const fused = new Map();
+        const fuse = (results, side) => results.forEach((result, rank) => {
+            const key = result.text.toLowerCase().replace(/\s+/g, ' ').trim().substring(0, 200);
+            if (!fused.has(key)) {
+                fused.set(key, { ...result, rrf: 0, ranks: {}, scores: {} });
+            }
+            const entry = fused.get(key);
+            entry.rrf += 1 / (RRF_K + rank + 1);
+            entry.ranks[side] = rank + 1;
+            entry.scores[side] = side === 'bm25' ? result.score : result.similarity;
+        });
+        fuse(keywordResults, 'bm25');
+        fuse(semanticResults, 'vector');
+
+        const maxRrf = 2 / (RRF_K + 1); // first on both lists
+        return Array.from(fused.values())
+            .sort((a, b) => b.rrf - a.rrf)
+            .slice(0, limit)
+            .map(({ score, matchedTerms, ...entry }) => ({
+                ...entry,
+                similarity: +(entry.rrf / maxRrf).toFixed(4),
+                matchType: entry.ranks.bm25 && entry.ranks.vector ? 'hybrid' : (entry.ranks.bm25 ? entry.matchType : 'semantic')
+            }));
+    }
+
+    /**
+     * Apply a parsed query's phrases, exclusions and filters to a non-indexed result
+     */
+    matchesParsedQuery(result, parsed, filters, requireAny = []) {
+        const text = ` ${tokenize(result.text).join(' ')} `;
+        const has = tokens => text.includes(` ${tokens.join(' ')} `);
+        const timestamp = result.timestamp ? new Date(result.timestamp).getTime() : null;
+
+        if (!parsed.phrases.every(has)) return false;
+        if (parsed.excludeTerms.some(term => has([term]))) return false;
+        if (parsed.excludePhrases.some(has)) return false;
+        if (filters.sender && (result.sender || '').toLowerCase() !== filters.sender) return false;
+        if (filters.profile && (result.profileId || '').toLowerCase() !== filters.profile) return false;
+        if (filters.after && !(timestamp && timestamp >= new Date(filters.after).getTime())) return false;
+        if (filters.before && !(timestamp && timestamp < new Date(filters.before).getTime())) return false;
+        return requireAny.every(group => !group || group.length === 0 ||
+            group.some(term => result.text.toLowerCase().includes(String(term).toLowerCase())));
+    }
+
     /**
      * Calculate keyword similarity (simple implementation)
      */
@@ -316,6 +434,8 @@ class IntelligentRetrieval {
             
             return {
                 semantic: semanticStats,
+                keywordIndex: this.searchIndex ? this.searchIndex.getStats() : null,
+                annIndex: semanticStats.annIndex, // HNSW size, query latency and sampled recall
                 traditional: {
                     totalMemories: this.existingMemory?.layers?.immediate?.length || 0,
                     patterns: Object.keys(this.existingMemory?.layers?.patterns?.topics || {}).length
@@ -349,7 +469,8 @@ class IntelligentRetrieval {
                 includeSemantic: queryAnalysis.needsSemantic,
                 includeTraditional: queryAnalysis.needsTraditional,
                 includeTemporal: queryAnalysis.needsTemporal,
-                includeCrossReference: queryAnalysis.needsCrossReference
+                includeCrossReference: queryAnalysis.needsCrossReference,
+                profileId: options.profileId || null
             };
 
             const results = await this.retrieveContext(query, searchOptions);
@@ -396,4 +517,9 @@ class IntelligentRetrieval {
     }
 }
 
+// A semantic memory belongs to the profile it was learned from (no profile given: everything matches)
+function ownedBy(memory, profileId) {
+    return !profileId || memory?.metadata?.profileId === profileId;
+}
+
 module.exports = { IntelligentRetrieval };
@@ -298,6 +298,90 @@ class KnowledgeSystem {
         }
     }
 
+    async listPersonalMemories(userId, limit = 500) {
+        try {
+            if (!this.collection) {
+                throw new Error('Knowledge system not initialized');
+            }
+
+            const results = await this.collection.get({
+                where: { $and: [{ type: { $in: ['personal-memory', 'full-self-reflection'] } }, { userId: userId }] },
+                limit: limit,
+                include: ['documents', 'metadatas']
+            });
+
+            return (results.ids || []).map((id, index) => ({
+                id,
+                content: results.documents[index],
+                metadata: results.metadatas[index] || {}
+            }));
+        } catch (error) {
+            console.error('[KnowledgeSystem] Error listing personal memories:', error.message);
+            return [];
+        }
+    }
+
+    // Personal memories from a profile archive; re-importing the same archive updates them in place
+    async restorePersonalMemories(userId, memories) {
+        try {
+            if (!this.collection) {
+                throw new Error('Knowledge system not initialized');
+            }
+            if (memories.length === 0) return 0;
+
+            await this.collection.upsert({
+                ids: memories.map(memory => memory.id),
+                documents: memories.map(memory => memory.content),
+                metadatas: memories.map(memory => ({ ...memory.metadata, userId }))
+            });
+            console.log(`[KnowledgeSystem] Restored ${memories.length} personal memories for user ${userId}`);
+            return memories.length;
+        } catch (error) {
+            console.error('[KnowledgeSystem] Error restoring personal memories:', error.message);
+            return 0;
+        }
+    }
+
+    async updatePersonalMemory(memoryId, { content, metadata } = {}) {
+        try {
+            if (!this.collection) {
+                throw new Error('Knowledge system not initialized');
+            }
+
+            const existing = await this.collection.get({ ids: [memoryId], include: ['documents', 'metadatas'] });
+            if (!existing.ids || existing.ids.length === 0) return false;
+
+            // Chroma re-embeds the document when it changes
+            await this.collection.update({
+                ids: [memoryId],
+                documents: [content ?? existing.documents[0]],
+                metadatas: [{ ...(existing.metadatas[0] || {}), ...(metadata || {}), updated: new Date().toISOString() }]
+            });
+
+            console.log(`[KnowledgeSystem] Updated personal memory ${memoryId}`);
+            return true;
+        } catch (error) {
+            console.error(`[KnowledgeSystem] Error updating personal memory ${memoryId}:`, error.message);
+            return false;
+        }
+    }
+
+    async deletePersonalMemories(memoryIds) {
+        try {
+            if (!this.collection) {
+                throw new Error('Knowledge system not initialized');
+            }
+            if (memoryIds.length === 0) return 0;
+
+            await this.collection.delete({ ids: memoryIds });
+            console.log(`[KnowledgeSystem] Deleted ${memoryIds.length} personal memories`);
+            return memoryIds.length;
+        } catch (error) {
+            console.error('[KnowledgeSystem] Error deleting personal memories:', error.message);
+            return 0;
+        }
+    }
+
     async searchKnowledgeWithUserContext(query, userId, limit = 5) {
         try {
             if (!this.collection) {
@@ -340,6 +424,24 @@ class KnowledgeSystem {
     }
 
     // NEW: Delete entries by keyword to surgically remove telemetry obsession
+    // Every document tagged with a user - personal memories, reflections and anything else (profile purges)
+    async deleteUserDocuments(userId) {
+        try {
+            if (!this.collection) {
+                throw new Error('Knowledge system not initialized');
+            }
+
+            const results = await this.collection.get({ where: { userId: userId }, include: ['metadatas'] });
+            const ids = results.ids || [];
+            if (ids.length > 0) await this.collection.delete({ ids });
+            console.log(`[KnowledgeSystem] Deleted ${ids.length} documents for user ${userId}`);
+            return ids.length;
+        } catch (error) {
+            console.error(`[KnowledgeSystem] Error deleting documents for user ${userId}:`, error.message);
+            throw error;
+        }
+    }
+
     async deleteByKeyword(keyword, limit = 100) {
         try {
             if (!this.collection) {
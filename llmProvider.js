@@ -0,0 +1,659 @@
+/**
+ * LLM Provider Layer
+ * One chat-completion interface in front of OpenAI-compatible APIs, native Ollama,
+ * and a deterministic local mock, plus a pure-JS local embedder. Each subsystem (chat, reflection, journal...) is
+ * routed to its own provider/model, with per-route timeouts and retries.
+ *
+ * Resolution order for every route field (first match wins):
+ *   LLM_<SUBSYSTEM>_<FIELD> env -> config/llm.json subsystems.<name> ->
+ *   LLM_<FIELD> env -> config/llm.json default -> built-in route -> provider default
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+
+// Built-in provider defaults - the models Clint has historically used
+const PROVIDER_DEFAULTS = {
+    ollama: {
+        baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+        model: 'deepseek-v3.1:671b-cloud',
+        embeddingModel: 'nomic-embed-text'
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || null, // null = api.openai.com
+        apiKey: process.env.OPENAI_API_KEY || null,
+        model: 'gpt-4o-mini',
+        embeddingModel: 'text-embedding-3-small'
+    },
+    mock: {
+        model: 'mock-clint',
+        embeddingModel: 'mock-embed'
+    },
+    local: {
+        model: null, // embeddings only
+        embeddingModel: 'hashed-ngram-384'
+    }
+};
+
+// Built-in routes - self-reflection and embeddings have always gone to OpenAI
+const DEFAULT_ROUTES = {
+    default: { provider: 'ollama', timeoutMs: 120000, maxRetries: 2, retryDelayMs: 1000 },
+    reflection: { provider: 'openai', temperature: 0.7, maxTokens: 500 },
+    embedding: { provider: 'openai', timeoutMs: 30000 }
+};
+
+const ROUTE_FIELDS = {
+    provider: { env: 'PROVIDER', type: 'string' },
+    model: { env: 'MODEL', type: 'string' },
+    baseUrl: { env: 'BASE_URL', type: 'string' },
+    apiKey: { env: 'API_KEY', type: 'string' },
+    timeoutMs: { env: 'TIMEOUT_MS', type: 'number' },
+    maxRetries: { env: 'MAX_RETRIES', type: 'number' },
+    retryDelayMs: { env: 'RETRY_DELAY_MS', type: 'number' },
+    temperature: { env: 'TEMPERATURE', type: 'number' },
+    maxTokens: { env: 'MAX_TOKENS', type: 'number' }
+};
+
+class LLMError extends Error {
+    constructor(message, { status = null, retryable = false, provider = null } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+        this.retryable = retryable;
+        this.provider = provider;
+    }
+}
+
+// ============= BACKENDS =============
+
+class OllamaBackend {
+    constructor(route) {
+        this.name = 'ollama';
+        this.baseUrl = (route.baseUrl || PROVIDER_DEFAULTS.ollama.baseUrl).replace(/\/$/, '');
+    }
+
+    async complete(request, route, signal) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal,
+            body: JSON.stringify({
+                model: route.model,
+                messages: request.messages,
+                stream: false,
+                options: this.buildOptions(request, route)
+            })
+        });
+
+        if (!response.ok) {
+            throw httpError('ollama', response);
+        }
+
+        const data = await response.json();
+        return {
+            text: data.message?.content || '',
+            usage: {
+                promptTokens: data.prompt_eval_count || 0,
+                completionTokens: data.eval_count || 0
+            }
+        };
+    }
+
+    async stream(request, route, signal, onToken) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal,
+            body: JSON.stringify({
+                model: route.model,
+                messages: request.messages,
+                stream: true,
+                options: this.buildOptions(request, route)
+            })
+        });
+
+        if (!response.ok) {
+            throw httpError('ollama', response);
+        }
+
+        // Ollama streams newline-delimited JSON objects
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage = { promptTokens: 0, completionTokens: 0 };
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                const data = JSON.parse(line);
+                const token = data.message?.content || '';
+                if (token) {
+                    text += token;
+                    onToken(token);
+                }
+                if (data.done) {
+                    usage = { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+                }
+            }
+        }
+
+        return { text, usage };
+    }
+
+    buildOptions(request, route) {
+        return stripUndefined({
+            temperature: request.temperature ?? route.temperature,
+            top_p: request.topP,
+            repeat_penalty: request.repeatPenalty,
+            frequency_penalty: request.frequencyPenalty,
+            presence_penalty: request.presencePenalty,
+            num_predict: request.maxTokens ?? route.maxTokens
+        });
+    }
+
+    async embed(text, route, signal) {
+        const response = await fetch(`${this.baseUrl}/api/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal,
+            body: JSON.stringify({ model: route.embeddingModel, prompt: text })
+        });
+
+        if (!response.ok) {
+            throw httpError('ollama', response);
+        }
+
+        const data = await response.json();
+        return data.embedding;
+    }
+}
+
+class OpenAICompatibleBackend {
+    constructor(route) {
+        this.name = 'openai';
+        // Retries and timeouts are handled by LLMProvider so every backend behaves the same
+        this.client = new OpenAI({
+            apiKey: route.apiKey || PROVIDER_DEFAULTS.openai.apiKey || 'not-set',
+            baseURL: route.baseUrl || PROVIDER_DEFAULTS.openai.baseUrl || undefined,
+            maxRetries: 0
+        });
+    }
+
+    buildBody(request, route) {
+        return stripUndefined({
+            model: route.model,
+            messages: request.messages,
+            temperature: request.temperature ?? route.temperature,
+            top_p: request.topP,
+            frequency_penalty: request.frequencyPenalty,
+            presence_penalty: request.presencePenalty,
+            max_tokens: request.maxTokens ?? route.maxTokens
+        });
+    }
+
+    async complete(request, route, signal) {
+        try {
+            const response = await this.client.chat.completions.create(this.buildBody(request, route), { signal });
+
+            return {
+                text: response.choices[0]?.message?.content || '',
+                usage: {
+                    promptTokens: response.usage?.prompt_tokens || 0,
+                    completionTokens: response.usage?.completion_tokens || 0
+                }
+            };
+        } catch (error) {
+            throw wrapSdkError(error);
+        }
+    }
+
+    async stream(request, route, signal, onToken) {
+        try {
+            const stream = await this.client.chat.completions.create({
+                ...this.buildBody(request, route),
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+
+            let text = '';
+            let usage = { promptTokens: 0, completionTokens: 0 };
+            for await (const chunk of stream) {
+                const token = chunk.choices[0]?.delta?.content || '';
+                if (token) {
+                    text += token;
+                    onToken(token);
+                }
+                if (chunk.usage) {
+                    usage = { promptTokens: chunk.usage.prompt_tokens || 0, completionTokens: chunk.usage.completion_tokens || 0 };
+                }
+            }
+            return { text, usage };
+        } catch (error) {
+            throw wrapSdkError(error);
+        }
+    }
+
+    async embed(text, route, signal) {
+        try {
+            const response = await this.client.embeddings.create({
+                model: route.embeddingModel,
+                input: text
+            }, { signal });
+            return response.data[0].embedding;
+        } catch (error) {
+            throw wrapSdkError(error);
+        }
+    }
+}
+
+// Deterministic offline backend - same input always yields the same output
+class MockBackend {
+    constructor() {
+        this.name = 'mock';
+        this.dimensions = 256;
+    }
+
+    async complete(request, route) {
+        const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+        const content = (lastUser?.content || '').replace(/\s+/g, ' ').trim();
+        const digest = crypto.createHash('sha256')
+            .update(`${route.model}\n${JSON.stringify(request.messages)}`)
+            .digest('hex')
+            .substring(0, 8);
+        const echo = content.length > 120 ? `${content.substring(0, 117)}...` : content;
+
+        return {
+            text: `[mock:${route.subsystem}:${digest}] Heard you. ${echo}`.trim(),
+            usage: { promptTokens: 0, completionTokens: 0 }
+        };
+    }
+
+    async stream(request, route, signal, onToken) {
+        const result = await this.complete(request, route);
+        for (const token of result.text.match(/\S+\s*/g) || []) {
+            onToken(token);
+        }
+        return result;
+    }
+
+    async embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const tokens = String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+        for (const token of tokens) {
+            const hash = crypto.createHash('md5').update(token).digest();
+            const index = hash.readUInt32BE(0) % this.dimensions;
+            vector[index] += (hash[4] & 1) ? 1 : -1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map(v => v / norm);
+    }
+}
+
+// Offline embeddings: word unigrams/bigrams and character trigrams feature-hashed into a
+// fixed-size vector. No model download and no network, so semantic memory keeps working
+// without an API key. Change the embeddingModel name if the hashing ever changes -
+// stored vectors are versioned by it.
+class LocalEmbeddingBackend {
+    constructor() {
+        this.name = 'local';
+        this.dimensions = 384;
+    }
+
+    async complete() {
+        throw new LLMError('local provider only supports embeddings', { provider: 'local' });
+    }
+
+    async stream() {
+        throw new LLMError('local provider only supports embeddings', { provider: 'local' });
+    }
+
+    async embed(text) {
+        const vector = new Float64Array(this.dimensions);
+        const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+        const add = (feature, weight) => {
+            const hash = fnv1a(feature);
+            vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+        };
+
+        words.forEach((word, i) => {
+            add(`w:${word}`, 1);
+            if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+            const padded = `^${word}$`;
+            for (let j = 0; j + 3 <= padded.length; j++) {
+                add(`c:${padded.substring(j, j + 3)}`, 0.3);
+            }
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return Array.from(vector, v => v / norm);
+    }
+}
+
+const BACKENDS = {
+    ollama: OllamaBackend,
+    openai: OpenAICompatibleBackend,
+    mock: MockBackend,
+    local: LocalEmbeddingBackend
+};
+
+// ============= PROVIDER =============
+
+class LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.routes - route overrides keyed by subsystem ('default' for all)
+     * @param {Object} options.providers - per-provider defaults, e.g. { openai: { apiKey } }
+     * @param {Object} options.env - environment to read LLM_* variables from (default process.env)
+     */
+    constructor(options = {}) {
+        this.env = options.env || process.env;
+        this.codeRoutes = options.routes || {};
+        this.providerOverrides = options.providers || {};
+        this.fileConfig = { default: {}, subsystems: {} };
+        this.backends = new Map(); // cache key -> backend instance
+        this.stats = new Map(); // subsystem -> counters
+        this.warnedEmbeddingFallback = false;
+    }
+
+    /**
+     * Merge config/llm.json (optional). Environment variables still take precedence.
+     */
+    async loadConfig(configPath) {
+        try {
+            const data = JSON.parse(await fs.readFile(configPath, 'utf8'));
+            this.fileConfig = {
+                default: data.default || {},
+                subsystems: data.subsystems || {}
+            };
+            this.backends.clear();
+            console.log('[LLMProvider] Config loaded from', configPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[LLMProvider] Failed to load config, using environment/defaults:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Resolve the effective route (provider, model, timeouts...) for a subsystem
+     */
+    resolveRoute(subsystem = 'default') {
+        const key = String(subsystem).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+        const layers = [
+            this.readEnv(`LLM_${key}_`),
+            this.fileConfig.subsystems[subsystem] || {},
+            this.codeRoutes[subsystem] || {},
+            this.readEnv('LLM_'),
+            this.fileConfig.default,
+            this.codeRoutes.default || {},
+            DEFAULT_ROUTES[subsystem] || {},
+            DEFAULT_ROUTES.default
+        ];
+
+        const route = { subsystem };
+        for (const field of Object.keys(ROUTE_FIELDS)) {
+            const layer = layers.find(l => l[field] !== undefined && l[field] !== null && l[field] !== '');
+            route[field] = layer ? layer[field] : undefined;
+        }
+
+        if (!BACKENDS[route.provider]) {
+            console.warn(`[LLMProvider] Unknown provider "${route.provider}" for ${subsystem}, falling back to ollama`);
+            route.provider = 'ollama';
+        }
+
+        // Embeddings default to OpenAI; with no key (and no compatible endpoint) that route can
+        // only fail, so fall back to the local embedder unless a provider was chosen explicitly
+        const providerChosen = layers.slice(0, 6).some(l => l.provider);
+        if (subsystem === 'embedding' && route.provider === 'openai' && !providerChosen) {
+            const openai = { ...PROVIDER_DEFAULTS.openai, ...(this.providerOverrides.openai || {}) };
+            if (!route.apiKey && !route.baseUrl && !openai.apiKey && !openai.baseUrl) {
+                if (!this.warnedEmbeddingFallback) {
+                    console.warn('[LLMProvider] No OpenAI key for embeddings, using the local embedder');
+                    this.warnedEmbeddingFallback = true;
+                }
+                route.provider = 'local';
+            }
+        }
+
+        const providerDefaults = {
+            ...PROVIDER_DEFAULTS[route.provider],
+            ...(this.providerOverrides[route.provider] || {})
+        };
+        route.baseUrl = route.baseUrl || providerDefaults.baseUrl;
+        route.apiKey = route.apiKey || providerDefaults.apiKey;
+        // A global LLM_MODEL names a chat model, so embeddings only honour subsystem-level models
+        const ownModel = layers.slice(0, 3).find(l => l.model)?.model;
+        route.embeddingModel = ownModel || providerDefaults.embeddingModel;
+        route.model = route.model || providerDefaults.model;
+
+        return route;
+    }
+
+    readEnv(prefix) {
+        const values = {};
+        for (const [field, spec] of Object.entries(ROUTE_FIELDS)) {
+            const raw = this.env[`${prefix}${spec.env}`];
+            if (raw === undefined || raw === '') continue;
+            values[field] = spec.type === 'number' ? Number(raw) : raw;
+        }
+        return values;
+    }
+
+    getBackend(route) {
+        const cacheKey = `${route.provider}|${route.baseUrl || ''}|${route.apiKey || ''}`;
+        if (!this.backends.has(cacheKey)) {
+            this.backends.set(cacheKey, new BACKENDS[route.provider](route));
+        }
+        return this.backends.get(cacheKey);
+    }
+
+    /**
+     * Chat completion for a subsystem.
+     * Accepts either `messages` or the legacy Ollama generate shape (`system` + `prompt`).
+     * @returns {Promise<{text, provider, model, subsystem, attempts, latencyMs, usage}>}
+     */
+    async complete(request = {}) {
+        const route = this.resolveRoute(request.subsystem || 'default');
+        const messages = this.buildMessages(request);
+
+        const { result, attempts, latencyMs } = await this.withRetries(route, request.timeoutMs,
+            signal => this.getBackend(route).complete({ ...request, messages }, route, signal));
+
+        return {
+            text: result.text,
+            provider: route.provider,
+            model: route.model,
+            subsystem: route.subsystem,
+            attempts,
+            latencyMs,
+            usage: result.usage
+        };
+    }
+
+    /**
+     * Streaming chat completion - onToken(text) is called for every delta as it arrives.
+     * Only retried while nothing has been emitted; a stream that dies mid-way is not replayed.
+     * @returns {Promise<{text, provider, model, subsystem, attempts, latencyMs, usage}>} once the stream ends
+     */
+    async stream(request = {}, onToken = () => {}) {
+        const route = this.resolveRoute(request.subsystem || 'default');
+        const messages = this.buildMessages(request);
+        let emitted = 0;
+
+        const { result, attempts, latencyMs } = await this.withRetries(route, request.timeoutMs,
+            signal => this.getBackend(route).stream({ ...request, messages }, route, signal, token => {
+                emitted++;
+                onToken(token);
+            }),
+            () => emitted === 0);
+
+        return {
+            text: result.text,
+            provider: route.provider,
+            model: route.model,
+            subsystem: route.subsystem,
+            attempts,
+            latencyMs,
+            usage: result.usage
+        };
+    }
+
+    buildMessages(request) {
+        return request.messages || [
+            ...(request.system ? [{ role: 'system', content: request.system }] : []),
+            { role: 'user', content: request.prompt || '' }
+        ];
+    }
+
+    /**
+     * Embed a single text through the subsystem's route (default 'embedding')
+     */
+    async embed(text, { subsystem = 'embedding', timeoutMs } = {}) {
+        const route = this.resolveRoute(subsystem);
+        const { result } = await this.withRetries(route, timeoutMs,
+            signal => this.getBackend(route).embed(text, route, signal));
+        return result;
+    }
+
+    /**
+     * Identity of the vectors a subsystem's embed() produces, e.g. "ollama:nomic-embed-text".
+     * Vectors with different versions live in different spaces and must not be compared.
+     */
+    embeddingVersion(subsystem = 'embedding') {
+        const route = this.resolveRoute(subsystem);
+        return `${route.provider}:${route.embeddingModel}`;
+    }
+
+    /**
+     * Legacy `{ chat(messages) }` client bound to one subsystem - used by
+     * SelfReflectionSystem, SelfAnswerGenerator and ConsciousnessResearch
+     */
+    client(subsystem, defaults = {}) {
+        return {
+            subsystem,
+            chat: async (messages, options = {}) => {
+                const completion = await this.complete({ ...defaults, ...options, subsystem, messages });
+                return completion.text;
+            },
+            complete: (request = {}) => this.complete({ ...defaults, ...request, subsystem }),
+            embed: (text, options = {}) => this.embed(text, options)
+        };
+    }
+
+    async withRetries(route, timeoutOverride, attemptFn, canRetry = () => true) {
+        const stats = this.getSubsystemStats(route.subsystem);
+        const timeoutMs = timeoutOverride || route.timeoutMs;
+        const maxRetries = Math.max(0, route.maxRetries || 0);
+        const started = Date.now();
+        let lastError = null;
+
+        stats.calls++;
+        for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const result = await attemptFn(controller.signal);
+                const latencyMs = Date.now() - started;
+                stats.lastLatencyMs = latencyMs;
+                stats.lastProvider = `${route.provider}/${route.model}`;
+                return { result, attempts: attempt, latencyMs };
+            } catch (error) {
+                lastError = controller.signal.aborted
+                    ? new LLMError(`${route.provider} timed out after ${timeoutMs}ms`, { retryable: true, provider: route.provider })
+                    : normalizeError(error, route.provider);
+
+                if (!lastError.retryable || !canRetry() || attempt > maxRetries) break;
+
+                stats.retries++;
+                const delay = (route.retryDelayMs || 0) * Math.pow(2, attempt - 1);
+                console.warn(`[LLMProvider] ${route.subsystem} attempt ${attempt} failed (${lastError.message}), retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        stats.failures++;
+        stats.lastError = lastError.message;
+        throw lastError;
+    }
+
+    getSubsystemStats(subsystem) {
+        if (!this.stats.has(subsystem)) {
+            this.stats.set(subsystem, {
+                calls: 0,
+                retries: 0,
+                failures: 0,
+                lastLatencyMs: null,
+                lastProvider: null,
+                lastError: null
+            });
+        }
+        return this.stats.get(subsystem);
+    }
+
+    /**
+     * Effective routes and call counters, with API keys masked
+     */
+    getStatus(subsystems = ['default', 'chat', 'greeting', 'journal', 'reflection', 'dialogue', 'monologue', 'consolidation', 'verification', 'embedding']) {
+        const routes = {};
+        for (const name of new Set([...subsystems, ...this.stats.keys()])) {
+            const { apiKey, ...route } = this.resolveRoute(name);
+            routes[name] = { ...route, apiKeyConfigured: !!apiKey };
+        }
+        return {
+            routes,
+            stats: Object.fromEntries(this.stats)
+        };
+    }
+}
+
+// ============= HELPERS =============
+
+// 32-bit FNV-1a - fast, stable across runs and platforms
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function httpError(provider, response) {
+    return new LLMError(`${provider} API error: ${response.status} ${response.statusText}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        provider
+    });
+}
+
+function wrapSdkError(error) {
+    if (error instanceof LLMError) return error;
+    const status = error.status || null;
+    return new LLMError(`openai API error: ${error.message}`, {
+        status,
+        retryable: status ? isRetryableStatus(status) : true,
+        provider: 'openai'
+    });
+}
+
+function normalizeError(error, provider) {
+    if (error instanceof LLMError) return error;
+    // fetch() network failures (ECONNREFUSED, DNS...) are worth retrying
+    return new LLMError(`${provider} request failed: ${error.message}`, { retryable: true, provider });
+}
+
+module.exports = { LLMProvider, LLMError };
@@ -0,0 +1,430 @@
+/**
+ * Memory Consolidator
+ * Turns a finished day of raw conversation turns into durable memory:
+ *   episodes - runs of turns about one thing, with a title and a short summary
+ *   facts    - stable things about the user (people, preferences, commitments),
+ *              each linked back to the messages it was drawn from
+ * A new fact that matches an existing one is merged into it (mentions, provenance,
+ * confidence) instead of being stored twice. Episodes are written to clint.db and
+ * to semantic memory so retrieval can find them.
+ *
+ * Driven by BackgroundServices; the last consolidated day is kept in the store,
+ * so a missed night is caught up on the next run. Facts a user deleted through the
+ * memory API are remembered as retracted and never relearned; pinned facts keep
+ * their wording when later mentions are merged in.
+ */
+
+const { tokenize } = require('./searchIndex');
+
+const EPISODE_GAP_MS = 30 * 60 * 1000;  // silence that always ends an episode
+const MAX_EPISODE_TURNS = 40;
+const TOPIC_SHIFT_MIN_TURNS = 6;         // only split on topic once an episode has some substance
+const TOPIC_SHIFT_SIMILARITY = 0.05;
+const MAX_TRANSCRIPT_CHARS = 8000;
+const FACT_KINDS = ['person', 'preference', 'commitment'];
+const MERGE_SIMILARITY = 0.6;
+const RETRACTED_FACTS_KEY = 'memory.retractedFacts';
+
+const STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from',
+    'about', 'into', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
+    'will', 'would', 'could', 'should', 'can', 'this', 'that', 'these', 'those', 'it', 'its', 'i', 'you',
+    'me', 'my', 'your', 'we', 'our', 'he', 'she', 'they', 'them', 'his', 'her', 'their', 'what', 'just',
+    'so', 'not', 'no', 'yes', 'if', 'then', 'than', 'there', 'here', 'how', 'when', 'like', 'get', 'got',
+    'really', 'know', 'think', 'im', 'dont', 'yeah', 'ok', 'okay', 'also', 'all', 'some', 'out', 'up'
+]);
+
+const PREFERENCE_VERBS = {
+    love: 'loves', like: 'likes', enjoy: 'enjoys', prefer: 'prefers', hate: 'hates', dislike: 'dislikes', "can't stand": "can't stand"
+};
+const RELATIONS = 'wife|husband|partner|girlfriend|boyfriend|son|daughter|kid|mom|mother|dad|father|brother|sister|friend|buddy|boss|coworker|neighbor|dog|cat';
+
+class MemoryConsolidator {
+    /**
+     * @param {ConversationStore} store
+     * @param {LLMProvider} llm - uses the 'consolidation' route
+     * @param {Object} options
+     * @param {IntelligentRetrieval} [options.retrieval] - episodes and new facts are added to semantic memory
+     * @param {number} [options.maxDaysPerRun] - catch-up cap so one run stays short
+     */
+    constructor(store, llm, options = {}) {
+        this.store = store;
+        this.llm = llm;
+        this.retrieval = options.retrieval || null;
+        this.maxDaysPerRun = options.maxDaysPerRun || 7;
+        this.running = false;
+
+        this.stats = {
+            lastRun: null,
+            lastDay: this.store.getValue('consolidation.lastDay', null),
+            daysConsolidated: 0,
+            episodes: 0,
+            factsCreated: 0,
+            factsMerged: 0,
+            factsRetracted: 0,
+            heuristicFallbacks: 0
+        };
+    }
+
+    /**
+     * Consolidate every finished day since the last run (today is never touched - it is still going).
+     */
+    async consolidatePending() {
+        if (this.running) return { skipped: 'already running' };
+        this.running = true;
+
+        try {
+            const lastDay = this.store.getValue('consolidation.lastDay', null);
+            let next;
+            if (lastDay) {
+                next = nextDay(parseDay(lastDay));
+            } else {
+                const [first] = this.store.queryMessages({ limit: 1 });
+                if (!first) return { days: [] };
+                next = parseDay(dayKey(first.timestamp));
+            }
+
+            const today = parseDay(dayKey(new Date()));
+            const results = [];
+            while (next < today && results.length < this.maxDaysPerRun) {
+                const day = dayKey(next);
+                results.push(await this.consolidateDay(day));
+                this.store.setValue('consolidation.lastDay', day);
+                this.stats.lastDay = day;
+                next = nextDay(next);
+            }
+
+            this.stats.lastRun = new Date().toISOString();
+            return { days: results };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Consolidate one day (YYYY-MM-DD, server local time). Safe to re-run: episodes are
+     * replaced in place and facts only count sources they have not seen before.
+     */
+    async consolidateDay(day) {
+        const start = parseDay(day);
+        const end = new Date(nextDay(start).getTime() - 1);
+        const messages = this.store.queryMessages({ start, end });
+
+        const byProfile = new Map();
+        for (const message of messages) {
+            const profileId = message.profileId || null;
+            if (!byProfile.has(profileId)) byProfile.set(profileId, []);
+            byProfile.get(profileId).push(message);
+        }
+
+        const result = { day, messages: messages.length, episodes: 0, factsCreated: 0, factsMerged: 0, factsRetracted: 0 };
+        for (const [profileId, turns] of byProfile) {
+            for (const episodeTurns of this.segmentEpisodes(turns)) {
+                const digest = await this.digestEpisode(episodeTurns);
+                const messageIds = episodeTurns.map(turn => turn.id);
+                const episode = {
+                    profileId,
+                    day,
+                    title: digest.title,
+                    summary: digest.summary,
+                    start: episodeTurns[0].timestamp,
+                    end: episodeTurns[episodeTurns.length - 1].timestamp,
+                    messageIds
+                };
+                const episodeId = this.store.upsertEpisode(episode);
+                result.episodes++;
+
+                await this.remember(`${episode.title}: ${episode.summary}`, 'episode', episode.end, { episodeId, profileId, day });
+
+                for (const fact of digest.facts) {
+                    const sourceMessageIds = fact.sources.map(index => messageIds[index]).filter(id => id !== undefined);
+                    const outcome = await this.mergeFact({
+                        ...fact,
+                        profileId,
+                        sourceMessageIds: sourceMessageIds.length > 0 ? sourceMessageIds : messageIds,
+                        episodeIds: [episodeId],
+                        lastSeen: episode.end
+                    });
+                    result[{ created: 'factsCreated', merged: 'factsMerged', retracted: 'factsRetracted' }[outcome]]++;
+                }
+            }
+        }
+
+        this.stats.daysConsolidated++;
+        this.stats.episodes += result.episodes;
+        this.stats.factsCreated += result.factsCreated;
+        this.stats.factsMerged += result.factsMerged;
+        this.stats.factsRetracted += result.factsRetracted;
+        console.log(`[MemoryConsolidator] ${day}: ${result.messages} turns -> ${result.episodes} episodes, ${result.factsCreated} new facts, ${result.factsMerged} merged`);
+        return result;
+    }
+
+    // ============= EPISODES =============
+
+    /**
+     * Split a profile's turns (chronological) into episodes: a long silence always ends one,
+     * and so does a clear change of vocabulary once the episode has a few turns.
+     */
+    segmentEpisodes(turns) {
+        const episodes = [];
+        let current = [];
+        let currentTerms = new Map();
+
+        for (const turn of turns) {
+            const terms = termCounts(turn.text);
+            const previous = current[current.length - 1];
+            const gap = previous ? new Date(turn.timestamp) - new Date(previous.timestamp) : 0;
+            const topicShift = current.length >= TOPIC_SHIFT_MIN_TURNS && terms.size > 0 &&
+                cosine(terms, currentTerms) < TOPIC_SHIFT_SIMILARITY;
+
+            if (current.length > 0 && (gap > EPISODE_GAP_MS || topicShift || current.length >= MAX_EPISODE_TURNS)) {
+                episodes.push(current);
+                current = [];
+                currentTerms = new Map();
+            }
+
+            current.push(turn);
+            for (const [term, count] of terms) currentTerms.set(term, (currentTerms.get(term) || 0) + count);
+        }
+        if (current.length > 0) episodes.push(current);
+
+        // A lone turn is not an episode - fold it into the one before it
+        return episodes.reduce((merged, episode) => {
+            if (episode.length === 1 && merged.length > 0) {
+                merged[merged.length - 1].push(...episode);
+            } else {
+                merged.push(episode);
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Title, summary and candidate facts for one episode. Facts carry `sources`,
+     * indexes into the episode's turns. Falls back to heuristics when the LLM
+     * is unavailable or does not return usable JSON.
+     */
+    async digestEpisode(turns) {
+        let transcript = '';
+        turns.forEach((turn, index) => {
+            const line = `[${index}] ${turn.sender === 'user' ? 'User' : 'Clint'}: ${turn.text.replace(/\s+/g, ' ').substring(0, 500)}\n`;
+            if (transcript.length + line.length <= MAX_TRANSCRIPT_CHARS) transcript += line;
+        });
+
+        try {
+            const completion = await this.llm.complete({
+                subsystem: 'consolidation',
+                temperature: 0.2,
+                maxTokens: 700,
+                system: 'You consolidate conversation logs into long-term memory. Reply with a single JSON object and nothing else.',
+                prompt: `Conversation (turns are numbered):\n${transcript}\n` +
+                    'Return JSON: {"title": "3-6 words", "summary": "1-3 sentences, past tense", ' +
+                    '"facts": [{"kind": "person" | "preference" | "commitment", "subject": "short name or topic", ' +
+                    '"statement": "one sentence about the user", "sources": [turn numbers]}]}\n' +
+                    'Only include facts the user stated about themselves that will still be true next week ' +
+                    '(people in their life, likes and dislikes, things they said they will do). Use "facts": [] if there are none.'
+            });
+            const digest = parseDigest(completion.text, turns.length);
+            if (digest) return digest;
+        } catch (error) {
+            console.warn('[MemoryConsolidator] LLM digest failed, using heuristics:', error.message);
+        }
+
+        this.stats.heuristicFallbacks++;
+        return heuristicDigest(turns);
+    }
+
+    // ============= FACTS =============
+
+    /**
+     * Store a candidate fact, or fold it into the existing fact it duplicates.
+     * @returns {Promise<'created'|'merged'|'retracted'>}
+     */
+    async mergeFact(candidate) {
+        const retracted = this.store.getValue(RETRACTED_FACTS_KEY, [])
+            .filter(fact => fact.profileId === (candidate.profileId || null) && fact.kind === candidate.kind);
+        if (findDuplicate(candidate, retracted)) return 'retracted';
+
+        const existing = this.store.getFacts({ profileId: candidate.profileId, kind: candidate.kind, limit: 1000 })
+            .filter(fact => fact.profileId === (candidate.profileId || null));
+        const match = findDuplicate(candidate, existing);
+
+        if (!match) {
+            const id = this.store.insertFact({ ...candidate, firstSeen: candidate.lastSeen });
+            await this.remember(candidate.statement, 'fact', candidate.lastSeen, { factId: id, kind: candidate.kind, profileId: candidate.profileId });
+            return 'created';
+        }
+
+        const newSources = candidate.sourceMessageIds.filter(id => !match.sourceMessageIds.includes(id));
+        const newerStatement = new Date(candidate.lastSeen) >= new Date(match.lastSeen);
+        this.store.updateFact(match.id, {
+            statement: newerStatement && !match.pinned ? candidate.statement : match.statement,
+            mentions: match.mentions + (newSources.length > 0 ? 1 : 0),
+            confidence: newSources.length > 0 ? Math.min(0.95, Math.max(match.confidence, candidate.confidence) + 0.05) : match.confidence,
+            sourceMessageIds: [...match.sourceMessageIds, ...newSources],
+            episodeIds: [...new Set([...match.episodeIds, ...candidate.episodeIds])],
+            lastSeen: newerStatement ? candidate.lastSeen : match.lastSeen
+        });
+        return 'merged';
+    }
+
+    async remember(text, type, timestamp, metadata) {
+        if (!this.retrieval) return;
+        try {
+            await this.retrieval.addMemory({ text, type, timestamp: new Date(timestamp), metadata });
+        } catch (error) {
+            console.warn(`[MemoryConsolidator] Could not add ${type} to semantic memory:`, error.message);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, running: this.running };
+    }
+}
+
+// ============= HELPERS =============
+
+function parseDigest(text, turnCount) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (!json) return null;
+
+    let data;
+    try {
+        data = JSON.parse(json[0]);
+    } catch (error) {
+        return null;
+    }
+    if (typeof data.title !== 'string' || typeof data.summary !== 'string' || !data.title.trim() || !data.summary.trim()) {
+        return null;
+    }
+
+    const facts = (Array.isArray(data.facts) ? data.facts : [])
+        .filter(fact => fact && FACT_KINDS.includes(fact.kind) && typeof fact.statement === 'string' && fact.statement.trim())
+        .map(fact => ({
+            kind: fact.kind,
+            subject: String(fact.subject || fact.statement).trim().substring(0, 80),
+            statement: fact.statement.trim(),
+            sources: (Array.isArray(fact.sources) ? fact.sources : [])
+                .map(Number)
+                .filter(index => Number.isInteger(index) && index >= 0 && index < turnCount),
+            confidence: 0.7
+        }));
+
+    return { title: data.title.trim().substring(0, 120), summary: data.summary.trim(), facts };
+}
+
+function heuristicDigest(turns) {
+    const userTurns = turns.map((turn, index) => ({ ...turn, index })).filter(turn => turn.sender === 'user');
+    const keywords = topTerms(userTurns.length > 0 ? userTurns : turns, 3);
+    const opener = (userTurns[0] || turns[0]).text.replace(/\s+/g, ' ').trim();
+    const clock = timestamp => new Date(timestamp).toTimeString().substring(0, 5);
+
+    const facts = [];
+    for (const turn of userTurns) {
+        const text = turn.text;
+        for (const match of text.matchAll(/\bI (?:really )?(love|like|enjoy|prefer|hate|dislike|can't stand)\s+([^.!?,;\n]{3,60})/gi)) {
+            const object = match[2].trim();
+            facts.push({ kind: 'preference', subject: object, statement: `User ${PREFERENCE_VERBS[match[1].toLowerCase()]} ${object}`, sources: [turn.index] });
+        }
+        // "my wife Sarah" / "Sarah, my wife" - names are only trusted when capitalized
+        for (const match of text.matchAll(new RegExp(`\\b[Mm]y (${RELATIONS}),? ([A-Z][a-z]+)|\\b([A-Z][a-z]+), my (${RELATIONS})\\b`, 'g'))) {
+            const name = match[2] || match[3];
+            const relation = match[1] || match[4];
+            facts.push({ kind: 'person', subject: name, statement: `${name} is the user's ${relation}`, sources: [turn.index] });
+        }
+        for (const match of text.matchAll(/\bI(?: will|'ll| am going to|'m going to| need to| have to| promised to| plan to)\s+([^.!?\n]{3,80})/gi)) {
+            const plan = match[1].trim();
+            facts.push({ kind: 'commitment', subject: plan.split(/\s+/).slice(0, 4).join(' '), statement: `User plans to ${plan}`, sources: [turn.index] });
+        }
+    }
+
+    return {
+        title: keywords.length > 0 ? `Talking about ${keywords.join(', ')}` : 'Conversation',
+        summary: `${turns.length} turns between ${clock(turns[0].timestamp)} and ${clock(turns[turns.length - 1].timestamp)}. ` +
+            `Opened with: "${opener.length > 160 ? `${opener.substring(0, 157)}...` : opener}"`,
+        facts: facts.map(fact => ({ ...fact, confidence: 0.4 }))
+    };
+}
+
+// A fact about the same person, or saying substantially the same thing, is a duplicate
+function findDuplicate(candidate, facts) {
+    const subject = normalizeSubject(candidate.subject);
+    const statementTerms = contentTerms(candidate.statement);
+    let best = null;
+    let bestScore = 0;
+
+    for (const fact of facts) {
+        const sameSubject = normalizeSubject(fact.subject) === subject;
+        if (candidate.kind === 'person' && sameSubject) return fact;
+
+        const overlap = jaccard(statementTerms, contentTerms(fact.statement));
+        const score = sameSubject ? Math.max(overlap, 0.5 + overlap / 2) : overlap;
+        if (score > bestScore) {
+            bestScore = score;
+            best = fact;
+        }
+    }
+    return bestScore >= MERGE_SIMILARITY ? best : null;
+}
+
+function normalizeSubject(subject) {
+    return contentTerms(subject).sort().join(' ');
+}
+
+function contentTerms(text) {
+    return tokenize(text).filter(term => !STOP_WORDS.has(term) && term.length > 1 && term !== 'user');
+}
+
+function termCounts(text) {
+    const counts = new Map();
+    for (const term of contentTerms(text)) counts.set(term, (counts.get(term) || 0) + 1);
+    return counts;
+}
+
+function topTerms(turns, count) {
+    const counts = new Map();
+    for (const turn of turns) {
+        for (const [term, n] of termCounts(turn.text)) {
+            if (term.length > 3) counts.set(term, (counts.get(term) || 0) + n);
+        }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, count).map(([term]) => term);
+}
+
+function jaccard(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+    let shared = 0;
+    for (const term of setA) if (setB.has(term)) shared++;
+    return shared / (setA.size + setB.size - shared);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, count] of a) {
+        normA += count * count;
+        if (b.has(term)) dot += count * b.get(term);
+    }
+    for (const count of b.values()) normB += count * count;
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function parseDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date);
+}
+
+// Local midnight of the following day (not +24h, which drifts across DST changes)
+function nextDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+module.exports = { MemoryConsolidator, RETRACTED_FACTS_KEY };
@@ -0,0 +1,391 @@
+/**
+ * Memory Inspector
+ * One view over everything Clint "knows" about a profile, spread across the stores that
+ * learn it independently:
+ *   person / topic - ClintMemory people and topics (shared across profiles - only for callers
+ *                    with the global memory, see `includeShared`)
+ *   semantic       - SemanticMemory entries tagged with the profile
+ *   personal       - Chroma personal memories for the profile
+ *   pattern        - ProfileManager pattern notes
+ *   fact           - consolidated facts in clint.db
+ *
+ * Every item can be corrected, pinned or deleted. The same claim usually lives in
+ * several stores (a fact is also a semantic memory, a hallucinated story ends up in
+ * patterns and Chroma), so a change is applied to every item that states the same
+ * thing, not just the one the user picked. Deleted facts are recorded as retracted
+ * so consolidation does not learn them again.
+ */
+
+const { tokenize } = require('./searchIndex');
+const { RETRACTED_FACTS_KEY } = require('./memoryConsolidator');
+
+const SOURCES = ['person', 'topic', 'semantic', 'personal', 'pattern', 'fact'];
+const SHARED_SOURCES = ['person', 'topic'];
+const SAME_CLAIM_SIMILARITY = 0.8;
+const MIN_CLAIM_TERMS = 3; // shorter texts only match their linked items, never by wording
+
+class MemoryItemError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MemoryItemError';
+        this.status = status;
+    }
+}
+
+class MemoryInspector {
+    /**
+     * @param {Object} stores
+     * @param {ClintMemory} stores.memory
+     * @param {IntelligentRetrieval} stores.retrieval
+     * @param {KnowledgeSystem} stores.knowledgeSystem
+     * @param {ProfileManager} stores.profileManager
+     * @param {ConversationStore} stores.store
+     */
+    constructor({ memory, retrieval, knowledgeSystem, profileManager, store }) {
+        this.memory = memory;
+        this.retrieval = retrieval;
+        this.knowledgeSystem = knowledgeSystem;
+        this.profileManager = profileManager;
+        this.store = store;
+    }
+
+    get semanticMemory() {
+        return this.retrieval ? this.retrieval.semanticMemory : null;
+    }
+
+    /**
+     * @param {string} profileId
+     * @param {Object} [options]
+     * @param {string} [options.source]
+     * @param {boolean} [options.includeShared] - the caller holds the global memory, so ClintMemory's
+     *   people and topics are listed too (and may be edited through the methods below)
+     * @returns {Promise<{ profileId, items: Object[], counts: Object }>}
+     */
+    async list(profileId, { source = null, includeShared = false } = {}) {
+        if (source && !SOURCES.includes(source)) {
+            throw new MemoryItemError(`Unknown memory source "${source}" (expected one of ${SOURCES.join(', ')})`);
+        }
+
+        const items = await this.collect(profileId, { includeShared });
+        const counts = Object.fromEntries(SOURCES.map(name => [name, 0]));
+        items.forEach(item => counts[item.source]++);
+
+        return {
+            profileId,
+            items: source ? items.filter(item => item.source === source) : items,
+            counts
+        };
+    }
+
+    /**
+     * Correct an item's text everywhere the same claim is stored.
+     * @returns {Promise<{ item, affected: string[] }>}
+     */
+    async update(profileId, itemId, { text }, { includeShared = false } = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new MemoryItemError('text is required');
+        }
+        const { item, related } = await this.resolve(profileId, itemId, { includeShared });
+        if (item.source === 'topic') {
+            throw new MemoryItemError('Topics come from a fixed taxonomy and cannot be renamed - delete or pin them instead');
+        }
+
+        const corrected = text.trim();
+        if (item.source === 'person') {
+            await this.renamePerson(item, corrected, related);
+        } else {
+            for (const target of [item, ...related]) {
+                await this.applyText(target, corrected);
+            }
+        }
+        await this.persistSharedMemory([item, ...related]);
+
+        console.log(`[MemoryInspector] Corrected ${itemId} for ${profileId} (${related.length} related items)`);
+        const currentId = item.source === 'person' ? `person:${corrected}` : itemId;
+        return { item: await this.find(profileId, currentId, { includeShared }), affected: [item, ...related].map(i => i.id) };
+    }
+
+    /**
+     * Pin (or unpin) an item and everything stating the same claim. Pinned items are
+     * kept when stores prune, and consolidation never rewrites a pinned fact.
+     */
+    async setPinned(profileId, itemId, pinned, { includeShared = false } = {}) {
+        const { item, related } = await this.resolve(profileId, itemId, { includeShared });
+        for (const target of [item, ...related]) {
+            await this.applyPinned(target, !!pinned);
+        }
+        await this.persistSharedMemory([item, ...related]);
+
+        console.log(`[MemoryInspector] ${pinned ? 'Pinned' : 'Unpinned'} ${itemId} for ${profileId} (${related.length} related items)`);
+        return { item: await this.find(profileId, itemId, { includeShared }), affected: [item, ...related].map(i => i.id) };
+    }
+
+    /**
+     * Delete an item and everything stating the same claim.
+     * @returns {Promise<{ removed: string[] }>}
+     */
+    async remove(profileId, itemId, { includeShared = false } = {}) {
+        const { item, related } = await this.resolve(profileId, itemId, { includeShared });
+        const targets = [item, ...related];
+
+        const personalIds = targets.filter(t => t.source === 'personal').map(t => t.ref);
+        if (personalIds.length > 0) {
+            await this.knowledgeSystem.deletePersonalMemories(personalIds);
+        }
+        const patternEvents = new Set(targets.filter(t => t.source === 'pattern').map(t => t.ref));
+        if (patternEvents.size > 0) {
+            await this.editPatterns(profileId, patterns => patterns.filter(p => !patternEvents.has(p.event)));
+        }
+
+        for (const target of targets) {
+            switch (target.source) {
+                case 'person':
+                    delete this.memory.layers.profile.people_mentioned[target.ref];
+                    break;
+                case 'topic':
+                    delete this.memory.layers.patterns.topics[target.ref];
+                    break;
+                case 'semantic':
+                    await this.semanticMemory.deleteMemory(target.ref);
+                    break;
+                case 'fact':
+                    this.retractFact(target.details);
+                    this.store.deleteFact(target.ref);
+                    break;
+            }
+        }
+        await this.persistSharedMemory(targets);
+
+        console.log(`[MemoryInspector] Deleted ${itemId} for ${profileId} (${related.length} related items)`);
+        return { removed: targets.map(t => t.id) };
+    }
+
+    // ============= COLLECTION =============
+
+    async collect(profileId, { includeShared = false } = {}) {
+        const items = [];
+
+        const people = (includeShared && this.memory?.layers?.profile?.people_mentioned) || {};
+        for (const [name, person] of Object.entries(people)) {
+            items.push(makeItem('person', name, name, {
+                scope: 'shared',
+                pinned: person.pinned,
+                timestamp: person.last_mentioned,
+                details: { mentions: person.mention_count, firstMentioned: person.first_mentioned }
+            }));
+        }
+
+        const topics = (includeShared && this.memory?.layers?.patterns?.topics) || {};
+        for (const [topic, data] of Object.entries(topics)) {
+            items.push(makeItem('topic', topic, topic, {
+                scope: 'shared',
+                pinned: data.pinned,
+                timestamp: data.last_discussed,
+                details: { count: data.count }
+            }));
+        }
+
+        if (this.semanticMemory) {
+            await this.retrieval.initialize();
+            for (const memory of this.semanticMemory.memoryIndex.values()) {
+                if (memory.metadata?.profileId !== profileId) continue;
+                items.push(makeItem('semantic', memory.id, memory.text, {
+                    pinned: memory.metadata.pinned,
+                    timestamp: memory.timestamp,
+                    details: { type: memory.type, factId: memory.metadata.factId ?? null, episodeId: memory.metadata.episodeId ?? null }
+                }));
+            }
+        }
+
+        if (this.knowledgeSystem && this.knowledgeSystem.collection) {
+            for (const memory of await this.knowledgeSystem.listPersonalMemories(profileId)) {
+                items.push(makeItem('personal', memory.id, memory.content, {
+                    pinned: memory.metadata.pinned,
+                    timestamp: memory.metadata.timestamp,
+                    details: { memoryType: memory.metadata.memoryType || memory.metadata.type }
+                }));
+            }
+        }
+
+        const profile = this.profileManager ? await this.profileManager.getProfile(profileId) : null;
+        for (const pattern of profile?.patterns || []) {
+            items.push(makeItem('pattern', pattern.event, pattern.note, {
+                pinned: pattern.pinned,
+                timestamp: pattern.event,
+                details: { relation: pattern.relation, emotional: pattern.emotional }
+            }));
+        }
+
+        if (this.store) {
+            for (const fact of this.store.getFacts({ profileId, limit: 5000 })) {
+                items.push(makeItem('fact', fact.id, fact.statement, {
+                    pinned: fact.pinned,
+                    timestamp: fact.lastSeen,
+                    details: fact
+                }));
+            }
+        }
+
+        items.forEach(item => { item.profileId = item.scope === 'shared' ? null : profileId; });
+        return items;
+    }
+
+    async find(profileId, itemId, { includeShared = false } = {}) {
+        return (await this.collect(profileId, { includeShared })).find(item => item.id === itemId) || null;
+    }
+
+    /**
+     * Look up an item plus the items in other stores that hold the same claim.
+     * Shared people and topics belong to the global memory, not to the profile being inspected.
+     */
+    async resolve(profileId, itemId, { includeShared = false } = {}) {
+        const source = String(itemId).split(':')[0];
+        if (!includeShared && SHARED_SOURCES.includes(source)) {
+            throw new MemoryItemError(`${source} memories are shared across profiles - changing them needs the global memory`, 403);
+        }
+        const items = await this.collect(profileId, { includeShared });
+        const item = items.find(i => i.id === itemId);
+        if (!item) {
+            throw new MemoryItemError(`Memory item ${itemId} not found for ${profileId}`, 404);
+        }
+        return { item, related: findRelated(item, items) };
+    }
+
+    // ============= PER-STORE EDITS =============
+
+    async applyText(item, text) {
+        switch (item.source) {
+            case 'semantic':
+                await this.semanticMemory.updateMemory(item.ref, { text, metadata: { corrected: new Date().toISOString() } });
+                break;
+            case 'personal':
+                await this.knowledgeSystem.updatePersonalMemory(item.ref, { content: text, metadata: { corrected: true } });
+                break;
+            case 'pattern':
+                await this.editPatterns(item.profileId, patterns => patterns.map(p => (p.event === item.ref ? { ...p, note: text } : p)));
+                break;
+            case 'fact':
+                this.store.updateFact(item.ref, { statement: text });
+                break;
+        }
+    }
+
+    async applyPinned(item, pinned) {
+        switch (item.source) {
+            case 'person':
+                this.memory.layers.profile.people_mentioned[item.ref].pinned = pinned;
+                break;
+            case 'topic':
+                this.memory.layers.patterns.topics[item.ref].pinned = pinned;
+                break;
+            case 'semantic':
+                await this.semanticMemory.updateMemory(item.ref, { metadata: { pinned } });
+                break;
+            case 'personal':
+                await this.knowledgeSystem.updatePersonalMemory(item.ref, { metadata: { pinned } });
+                break;
+            case 'pattern':
+                await this.editPatterns(item.profileId, patterns => patterns.map(p => (p.event === item.ref ? { ...p, pinned } : p)));
+                break;
+            case 'fact':
+                this.store.updateFact(item.ref, { pinned });
+                break;
+        }
+    }
+
+    // Renaming a person also renames the subject of the facts about them
+    async renamePerson(item, name, related) {
+        const people = this.memory.layers.profile.people_mentioned;
+        const person = people[item.ref];
+        delete people[item.ref];
+
+        const existing = people[name];
+        people[name] = existing ? {
+            ...existing,
+            mention_count: (existing.mention_count || 0) + (person.mention_count || 0),
+            contexts: [...(existing.contexts || []), ...(person.contexts || [])],
+            pinned: existing.pinned || person.pinned
+        } : person;
+
+        for (const fact of related.filter(r => r.source === 'fact')) {
+            this.store.updateFact(fact.ref, { subject: name });
+        }
+    }
+
+    async editPatterns(profileId, edit) {
+        const profile = await this.profileManager.getProfile(profileId);
+        if (!profile) return;
+        await this.profileManager.updateProfile(profileId, { patterns: edit(profile.patterns || []) });
+    }
+
+    retractFact(fact) {
+        const retracted = this.store.getValue(RETRACTED_FACTS_KEY, []);
+        retracted.push({
+            profileId: fact.profileId,
+            kind: fact.kind,
+            subject: fact.subject,
+            statement: fact.statement,
+            retractedAt: new Date().toISOString()
+        });
+        this.store.setValue(RETRACTED_FACTS_KEY, retracted);
+    }
+
+    // People and topics live in ClintMemory's profile.json / patterns.json
+    async persistSharedMemory(items) {
+        if (items.some(item => item.scope === 'shared')) {
+            await this.memory.saveMemory();
+        }
+    }
+}
+
+// ============= HELPERS =============
+
+function makeItem(source, ref, text, { scope = 'profile', pinned = false, timestamp = null, details = {} } = {}) {
+    const time = timestamp ? new Date(timestamp) : null;
+    return {
+        id: `${source}:${ref}`,
+        source,
+        ref,
+        text,
+        scope,
+        pinned: !!pinned,
+        timestamp: time && !Number.isNaN(time.getTime()) ? time.toISOString() : null,
+        details
+    };
+}
+
+/**
+ * Items in the other stores that hold the same claim: explicit links (a fact and its
+ * semantic copy, a person and the facts about them) plus near-identical wording.
+ */
+function findRelated(item, items) {
+    if (item.source === 'topic') return [];
+
+    if (item.source === 'person') {
+        const name = item.ref.toLowerCase();
+        const facts = items.filter(i => i.source === 'fact' && i.details.kind === 'person' && i.details.subject.toLowerCase() === name);
+        const factIds = new Set(facts.map(f => f.ref));
+        return [...facts, ...items.filter(i => i.source === 'semantic' && factIds.has(i.details.factId))];
+    }
+
+    const terms = claimTerms(item.text);
+    return items.filter(other => {
+        if (other.id === item.id || other.source === 'person' || other.source === 'topic') return false;
+        if (item.source === 'fact' && other.source === 'semantic' && other.details.factId === item.ref) return true;
+        if (item.source === 'semantic' && other.source === 'fact' && item.details.factId === other.ref) return true;
+        return terms.size >= MIN_CLAIM_TERMS && jaccard(terms, claimTerms(other.text)) >= SAME_CLAIM_SIMILARITY;
+    });
+}
+
+function claimTerms(text) {
+    return new Set(tokenize(text).filter(term => term.length > 2));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) if (b.has(term)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+module.exports = { MemoryInspector, MemoryItemError };
@@ -55,7 +55,8 @@ class OllamaSelfReflection {
         this.lastReflectionAt = new Date().toISOString();
         this.lastSummary = reflection.slice(0, 140);
 
-        return { reflection };
+        // Heuristic only - no model call, so nothing to charge against a token budget
+        return { reflection, usage: { promptTokens: 0, completionTokens: 0 } };
     }
 
     _summarizeText(text) {
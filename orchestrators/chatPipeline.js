@@ -0,0 +1,188 @@
+/**
+ * Chat Pipeline
+ * Runs a chat turn as an ordered list of named stages over one shared context object.
+ * Each stage reads what earlier stages put on the context and returns its own output,
+ * which is merged back in. Stages are timed, can be disabled per request, and in debug
+ * mode their outputs are kept so a turn can be inspected after the fact.
+ */
+
+/**
+ * @typedef {Object} PipelineStage
+ * @property {string} name - stable identifier used for disabling and in traces
+ * @property {string} description - one line shown by the stages endpoint
+ * @property {string[]} [reads] - context fields the stage consumes (documentation only)
+ * @property {string[]} [writes] - context fields the stage returns
+ * @property {boolean} [required] - cannot be disabled per request
+ * @property {string} [group] - stages sharing a group are skipped after one of them recovers
+ * @property {(ctx: Object) => Promise<Object|void>} run - returns the stage output
+ * @property {(ctx: Object, error: Error) => Promise<Object|void>} [recover] - output used when run() throws
+ */
+
+/**
+ * @typedef {Object} StageTrace
+ * @property {string} name
+ * @property {'ok'|'halted'|'recovered'|'disabled'|'skipped'|'error'} status
+ * @property {number} durationMs
+ * @property {Object} [output] - only in debug mode
+ * @property {string} [error]
+ */
+
+const DEBUG_MAX_STRING = 20000;
+
+class ChatPipeline {
+    /**
+     * @param {PipelineStage[]} stages
+     */
+    constructor(stages = []) {
+        this.stages = [];
+        stages.forEach(stage => this.use(stage));
+    }
+
+    use(stage) {
+        if (!stage.name || typeof stage.run !== 'function') {
+            throw new Error('[ChatPipeline] Stage needs a name and a run() function');
+        }
+        if (this.stages.some(s => s.name === stage.name)) {
+            throw new Error(`[ChatPipeline] Duplicate stage name: ${stage.name}`);
+        }
+        this.stages.push(stage);
+        return this;
+    }
+
+    listStages() {
+        return this.stages.map(({ name, description, reads, writes, required, group }) => ({
+            name,
+            description,
+            reads: reads || [],
+            writes: writes || [],
+            required: !!required,
+            group: group || null
+        }));
+    }
+
+    /**
+     * Run the stages in order against ctx. A stage may call ctx.halt(payload, status)
+     * to answer early (search results, cache misses...); the remaining stages are skipped.
+     * @param {Object} ctx - turn context, mutated in place
+     * @param {Object} options
+     * @param {string[]} [options.disabled] - stage names to skip for this request
+     * @param {boolean} [options.debug] - keep each stage's output in the trace
+     * @param {string} [options.until] - stop after this stage (inclusive)
+     * @returns {Promise<{ trace: StageTrace[], halted: Object|null, totalMs: number }>}
+     */
+    async run(ctx, { disabled = [], debug = false, until = null } = {}) {
+        const disabledSet = new Set(disabled);
+        const unknown = [...disabledSet].filter(name => !this.stages.some(s => s.name === name));
+        if (unknown.length > 0) {
+            console.warn(`[ChatPipeline] Ignoring unknown stages in disable list: ${unknown.join(', ')}`);
+        }
+
+        const trace = [];
+        ctx.pipelineTrace = trace; // live view, so a stage can report the stages before it
+        const recoveredGroups = new Set();
+        const started = Date.now();
+        ctx.halted = null;
+        ctx.halt = (payload, status = 200) => {
+            ctx.halted = { payload, status };
+        };
+
+        let index = 0;
+        for (; index < this.stages.length; index++) {
+            const stage = this.stages[index];
+
+            if (disabledSet.has(stage.name) && !stage.required) {
+                trace.push({ name: stage.name, status: 'disabled', durationMs: 0 });
+                continue;
+            }
+            if (stage.group && recoveredGroups.has(stage.group)) {
+                trace.push({ name: stage.name, status: 'skipped', durationMs: 0 });
+                continue;
+            }
+
+            const stageStart = Date.now();
+            const entry = { name: stage.name, status: 'ok', durationMs: 0 };
+            let output;
+
+            try {
+                output = await stage.run(ctx);
+            } catch (error) {
+                if (!stage.recover) {
+                    entry.status = 'error';
+                    entry.error = error.message;
+                    entry.durationMs = Date.now() - stageStart;
+                    trace.push(entry);
+                    error.pipelineTrace = trace;
+                    throw error;
+                }
+                console.error(`[ChatPipeline] Stage ${stage.name} failed, recovering:`, error.message);
+                entry.status = 'recovered';
+                entry.error = error.message;
+                if (stage.group) recoveredGroups.add(stage.group);
+                output = await stage.recover(ctx, error);
+            }
+
+            if (output && typeof output === 'object') {
+                Object.assign(ctx, output);
+            }
+
+            entry.durationMs = Date.now() - stageStart;
+            if (debug) {
+                entry.output = snapshot(output);
+            }
+
+            if (ctx.halted) {
+                entry.status = 'halted';
+                trace.push(entry);
+                break;
+            }
+            trace.push(entry);
+
+            if (until && stage.name === until) break;
+        }
+
+        // Anything after a halt/until never ran - record it so the trace is complete
+        for (index++; index < this.stages.length; index++) {
+            trace.push({ name: this.stages[index].name, status: 'skipped', durationMs: 0 });
+        }
+
+        const totalMs = Date.now() - started;
+        console.log(`[ChatPipeline] ${totalMs}ms - ` + trace
+            .filter(t => t.status !== 'skipped')
+            .map(t => `${t.name}:${t.status === 'ok' ? `${t.durationMs}ms` : t.status}`)
+            .join(' '));
+
+        return { trace, halted: ctx.halted, totalMs };
+    }
+}
+
+// JSON-safe copy of a stage output for debug traces (drops functions and cycles, clips huge strings).
+// Only an object's own ancestors count as a cycle - the same object reached twice by different
+// paths (one profile on ctx.profile and in a result list) is copied both times.
+function snapshot(value) {
+    if (value === undefined) return null;
+    const ancestors = [];
+    const copy = (val) => {
+        if (typeof val === 'function') return undefined;
+        if (typeof val === 'string' && val.length > DEBUG_MAX_STRING) {
+            return `${val.substring(0, DEBUG_MAX_STRING)}... [${val.length - DEBUG_MAX_STRING} more chars]`;
+        }
+        if (!val || typeof val !== 'object') return val;
+        if (typeof val.toJSON === 'function') return copy(val.toJSON());
+        if (ancestors.includes(val)) return '[Circular]';
+
+        ancestors.push(val);
+        const source = val instanceof Map ? Object.fromEntries(val) : val instanceof Set ? [...val] : val;
+        const result = Array.isArray(source)
+            ? source.map(item => copy(item) ?? null)
+            : Object.fromEntries(Object.entries(source).map(([key, inner]) => [key, copy(inner)]).filter(([, inner]) => inner !== undefined));
+        ancestors.pop();
+        return result;
+    };
+    try {
+        return JSON.parse(JSON.stringify(copy(value)));
+    } catch (error) {
+        return { unserializable: error.message };
+    }
+}
+
+module.exports = { ChatPipeline };
@@ -0,0 +1,338 @@
+/**
+ * Privacy Guard
+ * Last check on a reply before it goes out: does it tell the person Clint is talking to
+ * something private that belongs to someone else? Context isolation keeps other
+ * profiles' memories out of the prompt, but shared stores (ClintMemory, Chroma general
+ * search, the model's own recall of earlier turns) can still carry them into a reply.
+ *
+ * Private items, by owner:
+ *   personal - Chroma personal memories (their userId)
+ *   fact     - consolidated facts in clint.db (their profileId)
+ *   thread   - sentences of ClintMemory's recent user messages that name the people it knows;
+ *              ClintMemory is the primary user's global memory, so these belong to the global
+ *              owners unless the message carries its profileId
+ *
+ * A reply sentence leaks an item when it restates enough of it - most of a named fact
+ * ("Sarah is the user's sister"), or three or more of its terms otherwise - that the
+ * person being answered didn't bring up themselves. Items whose owner shares that kind
+ * of memory with the viewer (trust graph) are fine. Leaking sentences are rewritten out
+ * (or dropped, or only flagged) and every incident is written to telemetry.
+ */
+
+const { tokenize } = require('./searchIndex');
+const { memoryScope } = require('./trustGraph');
+
+const TELEMETRY_KIND = 'privacy-incident';
+const MODES = ['rewrite', 'redact', 'flag'];
+
+// Relation words and filler - what's left is what an item is about
+const IGNORED_TERMS = new Set([
+    'user', 'users', 'clint', 'the', 'and', 'but', 'for', 'with', 'from', 'about', 'into', 'was', 'were',
+    'are', 'been', 'have', 'has', 'had', 'did', 'does', 'will', 'would', 'could', 'should', 'can', 'this',
+    'that', 'these', 'those', 'its', 'you', 'your', 'yours', 'me', 'my', 'we', 'our', 'he', 'she', 'they',
+    'them', 'his', 'her', 'their', 'what', 'just', 'not', 'yes', 'then', 'than', 'there', 'here', 'how',
+    'when', 'like', 'got', 'really', 'know', 'think', 'yeah', 'okay', 'also', 'all', 'some', 'out', 'very',
+    'still', 'who', 'plans', 'likes', 'loves', 'hates', 'wants', 'said', 'told', 'today', 'going'
+]);
+
+const MIN_ITEM_TERMS = 2;
+const MIN_SHARED_TERMS = 3;   // unnamed items: this many of their terms in one sentence...
+const LEAK_COVERAGE = 0.5;    // ...covering at least half of the item
+const THREAD_MIN_MENTIONS = 2;
+const THREAD_MESSAGES = 50;
+const PERSONAL_PER_PROFILE = 200;
+const FACTS_PER_PROFILE = 500;
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const GLOBAL_OWNER = '*global*';
+const FALLBACK_REPLY = "That's not something I can share.";
+
+class PrivacyGuard {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - facts and telemetry
+     * @param {ProfileManager} options.profileManager - which profiles exist
+     * @param {ClintMemory} [options.memory] - people and recent threads (global memory)
+     * @param {KnowledgeSystem} [options.knowledgeSystem] - Chroma personal memories
+     * @param {TrustGraph} [options.trustGraph] - who shares what with whom
+     * @param {LLMProvider} [options.llm] - 'verification' route for rewriting
+     * @param {Function} [options.globalOwners] - () => profile ids that own ClintMemory (and may see everything)
+     * @param {string[]} [options.excludeOwners] - owners whose items are never private (e.g. Clint's own)
+     * @param {'rewrite'|'redact'|'flag'} [options.mode]
+     */
+    constructor({ store, profileManager, memory = null, knowledgeSystem = null, trustGraph = null, llm = null, globalOwners = null, excludeOwners = [], mode = 'rewrite' }) {
+        this.store = store;
+        this.profileManager = profileManager;
+        this.memory = memory;
+        this.knowledgeSystem = knowledgeSystem;
+        this.trustGraph = trustGraph;
+        this.llm = llm;
+        this.globalOwners = globalOwners || (() => [profileManager.primaryProfileId]);
+        this.excludeOwners = new Set(excludeOwners);
+        this.mode = MODES.includes(mode) ? mode : 'rewrite';
+
+        this.index = null;
+        this.indexedAt = 0;
+        this.stats = {
+            turns: 0,
+            incidents: 0,
+            leaks: { personal: 0, fact: 0, thread: 0 },
+            rewritten: 0,
+            redacted: 0,
+            flagged: 0,
+            llmFallbacks: 0
+        };
+    }
+
+    invalidate() {
+        this.index = null;
+    }
+
+    // ============= PRIVATE ITEMS =============
+
+    /**
+     * Every private item Clint holds, with its owner and terms. Rebuilt every INDEX_TTL_MS.
+     * @returns {Promise<Array<{ id, ownerId, source, text, terms: string[], named: boolean, scope }>>}
+     */
+    async loadIndex() {
+        if (this.index && Date.now() - this.indexedAt < INDEX_TTL_MS) return this.index;
+
+        const items = [];
+        const add = (ownerId, source, ref, text, { subject = null, scope = 'personal' } = {}) => {
+            if (!ownerId || this.excludeOwners.has(ownerId) || !text) return;
+            const terms = itemTerms(text);
+            if (terms.size < MIN_ITEM_TERMS) return;
+            // Named items (a person fact) only count when the name itself is one of the terms
+            const named = !!subject && itemTerms(subject).size > 0 && [...itemTerms(subject)].every(term => terms.has(term));
+            if (!named && terms.size < MIN_SHARED_TERMS) return;
+            items.push({ id: `${source}:${ref}`, ownerId, source, text, terms: [...terms], named, scope });
+        };
+
+        const profiles = await this.profileManager.getAllProfiles();
+        for (const profile of profiles) {
+            if (this.store) {
+                for (const fact of this.store.getFacts({ profileId: profile.id, limit: FACTS_PER_PROFILE })) {
+                    add(profile.id, 'fact', fact.id, fact.statement, {
+                        subject: fact.kind === 'person' ? fact.subject : null,
+                        scope: fact.kind === 'person' ? 'personal' : 'everyday'
+                    });
+                }
+            }
+            if (this.knowledgeSystem && this.knowledgeSystem.collection) {
+                for (const memory of await this.knowledgeSystem.listPersonalMemories(profile.id, PERSONAL_PER_PROFILE)) {
+                    add(profile.id, 'personal', memory.id, memory.content, {
+                        scope: memoryScope(memory.metadata.memoryType || memory.metadata.type)
+                    });
+                }
+            }
+        }
+
+        // ClintMemory threads: what the primary user said about the people Clint knows
+        const people = Object.entries(this.memory?.layers?.profile?.people_mentioned || {})
+            .filter(([, person]) => (person.mention_count || 0) >= THREAD_MIN_MENTIONS)
+            .map(([name]) => name.toLowerCase());
+        if (people.length > 0) {
+            const recent = (this.memory.layers.immediate || []).slice(-THREAD_MESSAGES);
+            recent.forEach((msg, index) => {
+                if (msg.sender !== 'user' || !msg.text) return;
+                const ref = msg.timestamp ? new Date(msg.timestamp).getTime() : index;
+                splitSentences(msg.text).forEach((sentence, sentenceIndex) => {
+                    const terms = itemTerms(sentence);
+                    if (people.some(person => terms.has(person))) {
+                        add(msg.profileId || GLOBAL_OWNER, 'thread', `${ref}.${sentenceIndex}`, sentence);
+                    }
+                });
+            });
+        }
+
+        this.index = items;
+        this.indexedAt = Date.now();
+        return items;
+    }
+
+    // ============= CHECK =============
+
+    /**
+     * Sentences of a reply that restate someone else's private items, without rewriting
+     * or recording anything.
+     * @param {string} text
+     * @param {Object} context
+     * @param {string} context.viewerId - the profile the reply is for
+     * @param {string} [context.userMessage] - what they said (terms they brought up don't count)
+     * @returns {Promise<Array<{ index, sentence, ownerId, source, itemId, item, coverage, terms }>>}
+     */
+    async findLeaks(text, { viewerId, userMessage = '' } = {}) {
+        const globalOwners = (this.globalOwners() || []).filter(Boolean);
+        if (!viewerId || globalOwners.includes(viewerId)) return [];
+
+        const items = await this.loadIndex();
+        const raised = itemTerms(userMessage);
+        const sentences = splitSentences(text);
+        const leaks = [];
+        const shareCache = new Map();
+
+        for (let index = 0; index < sentences.length; index++) {
+            const sentenceTerms = itemTerms(sentences[index]);
+            let best = null;
+
+            for (const item of items) {
+                if (item.ownerId === viewerId) continue;
+                const shared = item.terms.filter(term => sentenceTerms.has(term) && !raised.has(term));
+                const coverage = shared.length / item.terms.length;
+                const leaked = item.named ? coverage === 1 : (shared.length >= MIN_SHARED_TERMS && coverage >= LEAK_COVERAGE);
+                if (!leaked || (best && best.coverage >= coverage)) continue;
+                if (await this.sharedWith(item, viewerId, globalOwners, shareCache)) continue;
+                best = { item, coverage, terms: shared };
+            }
+
+            if (best) {
+                leaks.push({
+                    index,
+                    sentence: sentences[index],
+                    ownerId: best.item.ownerId === GLOBAL_OWNER ? globalOwners[0] || null : best.item.ownerId,
+                    source: best.item.source,
+                    itemId: best.item.id,
+                    item: best.item.text,
+                    coverage: +best.coverage.toFixed(2),
+                    terms: best.terms
+                });
+            }
+        }
+        return leaks;
+    }
+
+    // Does the item's owner (any global owner, for ClintMemory threads) share this kind of memory with the viewer?
+    async sharedWith(item, viewerId, globalOwners, cache) {
+        if (!this.trustGraph) return false;
+        const owners = item.ownerId === GLOBAL_OWNER ? globalOwners : [item.ownerId];
+        for (const ownerId of owners) {
+            const key = `${ownerId}:${item.scope}`;
+            if (!cache.has(key)) cache.set(key, (await this.trustGraph.canShare(ownerId, viewerId, item.scope)).allowed);
+            if (cache.get(key)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check a draft reply and, unless in flag mode, take out what it leaks.
+     * @param {string} responseText
+     * @param {Object} context
+     * @param {string} context.viewerId
+     * @param {string} [context.userMessage]
+     * @param {boolean} [context.record] - write incidents to telemetry (default true)
+     * @returns {Promise<{ responseText: string, report: Object }>}
+     */
+    async guardResponse(responseText, { viewerId, userMessage = '', record = true } = {}) {
+        const started = Date.now();
+        const leaks = await this.findLeaks(responseText, { viewerId, userMessage });
+
+        let finalText = responseText;
+        let action = 'none';
+        let rewriteMethod = null;
+        if (leaks.length > 0 && this.mode === 'flag') {
+            action = 'flagged';
+        } else if (leaks.length > 0) {
+            ({ text: finalText, method: rewriteMethod } = await this.rewrite(responseText, leaks, { viewerId, userMessage }));
+            action = rewriteMethod === 'llm' ? 'rewritten' : 'redacted';
+        }
+
+        const report = {
+            viewerId,
+            mode: this.mode,
+            action,
+            rewriteMethod,
+            owners: [...new Set(leaks.map(leak => leak.ownerId).filter(Boolean))],
+            leaks: leaks.map(leak => ({ ...leak, item: leak.item.substring(0, 200) })),
+            originalResponse: action === 'rewritten' || action === 'redacted' ? responseText : undefined,
+            durationMs: Date.now() - started
+        };
+
+        this.stats.turns++;
+        if (leaks.length > 0) {
+            this.stats.incidents++;
+            leaks.forEach(leak => this.stats.leaks[leak.source]++);
+            this.stats[action]++;
+            console.warn(`[PrivacyGuard] Reply to ${viewerId} restated ${leaks.length} private item(s) of ${report.owners.join(', ') || 'another profile'} - ${action}`);
+
+            if (record) {
+                try {
+                    this.store.appendTelemetry(TELEMETRY_KIND, report, { profileId: viewerId });
+                } catch (error) {
+                    console.warn('[PrivacyGuard] Could not record privacy incident:', error.message);
+                }
+            }
+        }
+
+        return { responseText: finalText, report };
+    }
+
+    /**
+     * Take the leaking sentences out of the reply. The LLM rewrite (rewrite mode) keeps the
+     * reply's voice; if it fails or still leaks, the sentences are dropped instead.
+     */
+    async rewrite(responseText, leaks, { viewerId, userMessage }) {
+        if (this.llm && this.mode === 'rewrite') {
+            try {
+                const completion = await this.llm.complete({
+                    subsystem: 'verification',
+                    temperature: 0.3,
+                    maxTokens: 800,
+                    system: 'You edit replies so they never reveal private details about anyone other than the person being answered. Return only the edited reply.',
+                    prompt: `Reply:\n${responseText}\n\nThese statements reveal private things other people told you in confidence:\n` +
+                        leaks.map(leak => `- ${leak.sentence}`).join('\n') +
+                        '\n\nRewrite the reply without them or any hint of them. Do not mention that anything was left out. ' +
+                        'Keep everything else, including tone and length.'
+                });
+                const rewritten = (completion.text || '').trim();
+                if (rewritten && rewritten.length <= responseText.length * 2 &&
+                    (await this.findLeaks(rewritten, { viewerId, userMessage })).length === 0) {
+                    return { text: rewritten, method: 'llm' };
+                }
+            } catch (error) {
+                this.stats.llmFallbacks++;
+                console.warn('[PrivacyGuard] LLM rewrite failed, dropping sentences:', error.message);
+            }
+        }
+
+        const drop = new Set(leaks.map(leak => leak.index));
+        const kept = splitSentences(responseText).filter((sentence, index) => !drop.has(index));
+        return { text: kept.length > 0 ? kept.join(' ') : FALLBACK_REPLY, method: 'removed' };
+    }
+
+    // ============= INCIDENTS =============
+
+    /**
+     * @param {Object} [filters]
+     * @param {string} [filters.viewerId] - who the reply was for
+     * @param {string} [filters.ownerId] - whose items leaked
+     */
+    getIncidents({ viewerId = null, ownerId = null, since = null, limit = 50 } = {}) {
+        const incidents = this.store.getTelemetry({ kind: TELEMETRY_KIND, profileId: viewerId, since, limit: ownerId ? limit * 5 : limit, newestFirst: true });
+        return ownerId
+            ? incidents.filter(incident => (incident.owners || []).includes(ownerId)).slice(0, limit)
+            : incidents;
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            indexedItems: this.index ? this.index.length : null,
+            indexedAt: this.index ? new Date(this.indexedAt).toISOString() : null,
+            ...this.stats,
+            leaks: { ...this.stats.leaks }
+        };
+    }
+}
+
+// ============= HELPERS =============
+
+function splitSentences(text) {
+    return (String(text || '').match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+function itemTerms(text) {
+    return new Set(tokenize(text).filter(term => term.length > 2 && !IGNORED_TERMS.has(term)));
+}
+
+module.exports = { PrivacyGuard };
@@ -0,0 +1,485 @@
+/**
+ * Profile Archive
+ * One portable, versioned file per profile (.tar.gz) holding what every store knows about
+ * it, so a person can be moved to another instance:
+ *
+ *   manifest.json        format version, source instance, and count + sha256 of each section
+ *   profile.json         the ProfileManager profile and where it lived (anchor, stub, echo, foreign)
+ *   isolated-memory.json profile-isolated-memory/<id>.json
+ *   semantic.json        SemanticMemory entries tagged with the profile, vectors included
+ *   personal.json        Chroma personal memories and reflections
+ *   store.json           clint.db messages, episodes, facts and the profile session
+ *   clint-memory.json    ClintMemory people and topics - only exported for global memory owners
+ *
+ * Import rewrites the profile id in every record (`targetProfileId`, plus an optional `remap`
+ * for the profiles its trust links point at). When the id is taken, `onConflict` decides:
+ * fail (409), rename (first free "<id>-2", "<id>-3"...) or merge (the existing profile is
+ * kept and extended; records already present are not added twice). Vectors are reused when
+ * they came from the same embedding provider/model and re-embedded otherwise.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
+
+const ARCHIVE_FORMAT = 'clint-profile-archive';
+const ARCHIVE_VERSION = 1;
+const CONFLICT_MODES = ['fail', 'rename', 'merge'];
+const MAX_ARCHIVE_BYTES = 256 * 1024 * 1024; // unpacked size
+const PROFILE_ID_PATTERN = /^[\w.@-]+$/;
+
+const SECTION_FILES = {
+    profile: 'profile.json',
+    isolatedMemory: 'isolated-memory.json',
+    semantic: 'semantic.json',
+    personal: 'personal.json',
+    store: 'store.json',
+    clintMemory: 'clint-memory.json'
+};
+
+class ProfileArchiveError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfileArchiveError';
+        this.status = status;
+    }
+}
+
+class ProfileArchive {
+    /**
+     * @param {Object} stores
+     * @param {ProfileManager} stores.profileManager
+     * @param {ProfileIsolatedMemory} [stores.isolatedMemory]
+     * @param {IntelligentRetrieval} [stores.retrieval]
+     * @param {KnowledgeSystem} [stores.knowledgeSystem]
+     * @param {ClintMemory} [stores.memory]
+     * @param {ConversationStore} stores.store
+     * @param {Function} [stores.globalOwners] - () => profile ids that own ClintMemory
+     * @param {string} [stores.instance] - name recorded as the archive's source
+     */
+    constructor({ profileManager, isolatedMemory = null, retrieval = null, knowledgeSystem = null, memory = null, store, globalOwners = () => [], instance = os.hostname() }) {
+        this.profileManager = profileManager;
+        this.isolatedMemory = isolatedMemory;
+        this.retrieval = retrieval;
+        this.knowledgeSystem = knowledgeSystem;
+        this.memory = memory;
+        this.store = store;
+        this.globalOwners = globalOwners;
+        this.instance = instance;
+    }
+
+    get semanticMemory() {
+        return this.retrieval ? this.retrieval.semanticMemory : null;
+    }
+
+    // ============= EXPORT =============
+
+    /**
+     * @returns {Promise<{ filename: string, buffer: Buffer, manifest: Object }>}
+     */
+    async export(profileId) {
+        const profile = await this.profileManager.getProfile(profileId);
+        if (!profile) throw new ProfileArchiveError(`Profile ${profileId} not found`, 404);
+
+        const sections = await this.collect(profileId, profile);
+        const files = [];
+        const manifest = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            profileId,
+            exportedAt: new Date().toISOString(),
+            source: {
+                instance: this.instance,
+                embeddingVersion: this.semanticMemory ? this.semanticMemory.currentEmbeddingVersion() : null
+            },
+            sections: {}
+        };
+
+        for (const [name, data] of Object.entries(sections)) {
+            if (data === null) continue;
+            const content = Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+            files.push({ name: SECTION_FILES[name], content });
+            manifest.sections[name] = {
+                file: SECTION_FILES[name],
+                count: sectionCount(name, data),
+                bytes: content.length,
+                sha256: sha256(content)
+            };
+        }
+        files.unshift({ name: 'manifest.json', content: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') });
+
+        const day = manifest.exportedAt.split('T')[0];
+        console.log(`[ProfileArchive] Exported ${profileId} (${Object.keys(manifest.sections).join(', ')})`);
+        return {
+            filename: `profile-${profileId}-${day}.tar.gz`,
+            buffer: zlib.gzipSync(writeTar(files)),
+            manifest
+        };
+    }
+
+    async collect(profileId, profile) {
+        const sections = {
+            profile: { kind: this.profileKind(profile), profile },
+            isolatedMemory: this.isolatedMemory ? await this.isolatedMemory.getProfileRecords(profileId) : null,
+            semantic: null,
+            personal: null,
+            store: this.store.exportProfile(profileId),
+            clintMemory: null
+        };
+
+        if (this.semanticMemory) {
+            await this.retrieval.initialize();
+            sections.semantic = Array.from(this.semanticMemory.memoryIndex.values())
+                .filter(memory => memory.metadata?.profileId === profileId)
+                .map(({ id, text, timestamp, type, metadata, embedding, embeddingVersion }) => ({ id, text, timestamp, type, metadata, embedding, embeddingVersion }));
+        }
+
+        if (this.knowledgeSystem && this.knowledgeSystem.collection) {
+            sections.personal = await this.knowledgeSystem.listPersonalMemories(profileId, 100000);
+        }
+
+        // ClintMemory is one shared memory - it travels with the people it belongs to
+        if (this.memory && this.globalOwners().includes(profileId)) {
+            sections.clintMemory = {
+                people: this.memory.layers?.profile?.people_mentioned || {},
+                topics: this.memory.layers?.patterns?.topics || {}
+            };
+        }
+
+        return sections;
+    }
+
+    profileKind(profile) {
+        if (profile.anchor) return 'anchor';
+        if (profile.preloaded) return 'stub';
+        return this.profileManager.foreignRAM?.has(profile.id) ? 'foreign' : 'echo';
+    }
+
+    // ============= IMPORT =============
+
+    /**
+     * Unpack and check an archive without importing it.
+     * @returns {{ manifest: Object, sections: Object }}
+     */
+    read(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new ProfileArchiveError('No archive uploaded');
+        }
+
+        let files;
+        try {
+            files = readTar(zlib.gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_BYTES }));
+        } catch (error) {
+            throw new ProfileArchiveError(`Not a readable profile archive: ${error.message}`);
+        }
+
+        const manifest = parseJson(files.get('manifest.json'), 'manifest.json');
+        if (manifest.format !== ARCHIVE_FORMAT) {
+            throw new ProfileArchiveError('Not a profile archive (manifest format mismatch)');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+            throw new ProfileArchiveError(`Unsupported archive version ${manifest.version} (this instance reads up to ${ARCHIVE_VERSION})`);
+        }
+
+        const sections = {};
+        for (const [name, entry] of Object.entries(manifest.sections || {})) {
+            if (!SECTION_FILES[name]) continue;
+            const content = files.get(entry.file);
+            if (!content) throw new ProfileArchiveError(`Archive is missing ${entry.file}`);
+            if (sha256(content) !== entry.sha256) throw new ProfileArchiveError(`Checksum mismatch in ${entry.file}`);
+            sections[name] = parseJson(content, entry.file);
+        }
+        if (!sections.profile?.profile?.id) throw new ProfileArchiveError('Archive has no profile');
+
+        return { manifest, sections };
+    }
+
+    /**
+     * @param {Buffer} buffer - .tar.gz produced by export()
+     * @param {Object} [options]
+     * @param {string} [options.targetProfileId] - id to import as (default: the archived id)
+     * @param {string} [options.onConflict] - 'fail' | 'rename' | 'merge'
+     * @param {Object} [options.remap] - { archivedId: localId } for other profiles it refers to
+     */
+    async import(buffer, { targetProfileId = null, onConflict = 'fail', remap = {} } = {}) {
+        if (!CONFLICT_MODES.includes(onConflict)) {
+            throw new ProfileArchiveError(`Unknown onConflict "${onConflict}" (expected one of ${CONFLICT_MODES.join(', ')})`);
+        }
+        const { manifest, sections } = this.read(buffer);
+        const sourceId = sections.profile.profile.id;
+
+        let profileId = targetProfileId || remap[sourceId] || sourceId;
+        if (!PROFILE_ID_PATTERN.test(profileId)) {
+            throw new ProfileArchiveError(`Invalid profile id "${profileId}"`);
+        }
+
+        const existing = await this.profileManager.getProfile(profileId);
+        let action = 'created';
+        if (existing) {
+            if (onConflict === 'fail') {
+                throw new ProfileArchiveError(`Profile ${profileId} already exists - import with onConflict=rename or merge`, 409);
+            }
+            if (onConflict === 'rename') {
+                profileId = await this.freeProfileId(profileId);
+                action = 'renamed';
+            } else {
+                action = 'merged';
+            }
+        }
+
+        const mapId = id => (id === sourceId ? profileId : (remap[id] || id));
+        const report = {
+            profileId,
+            sourceProfileId: sourceId,
+            source: manifest.source,
+            exportedAt: manifest.exportedAt,
+            action,
+            imported: {},
+            skipped: []
+        };
+
+        const incoming = this.remapProfile(sections.profile.profile, profileId, mapId, manifest);
+        await this.profileManager.restoreProfile(action === 'merged' ? mergeProfile(existing, incoming) : incoming);
+        report.imported.profile = sections.profile.kind;
+
+        let links = { messageIds: new Map(), episodeIds: new Map(), factIds: new Map() };
+        if (sections.store) {
+            links = this.store.importProfile(profileId, sections.store);
+            Object.assign(report.imported, links.counts);
+        }
+
+        if (sections.isolatedMemory) {
+            if (this.isolatedMemory) {
+                report.imported.isolatedMemory = await this.isolatedMemory.importProfileRecords(profileId, sections.isolatedMemory);
+            } else {
+                report.skipped.push('isolatedMemory: profile-isolated memory is not available');
+            }
+        }
+
+        if (sections.semantic) {
+            if (this.semanticMemory) {
+                report.imported.semantic = await this.importSemantic(profileId, sections.semantic, mapId, links);
+            } else {
+                report.skipped.push('semantic: semantic memory is not available');
+            }
+        }
+
+        if (sections.personal) {
+            if (this.knowledgeSystem && this.knowledgeSystem.collection) {
+                const memories = sections.personal.map(memory => ({
+                    id: String(memory.id).replace(`personal_${sourceId}_`, `personal_${profileId}_`),
+                    content: memory.content,
+                    metadata: memory.metadata || {}
+                }));
+                report.imported.personal = await this.knowledgeSystem.restorePersonalMemories(profileId, memories);
+            } else {
+                report.skipped.push('personal: knowledge system is not available');
+            }
+        }
+
+        if (sections.clintMemory) {
+            if (this.memory && this.globalOwners().includes(profileId)) {
+                report.imported.clintMemory = await this.mergeClintMemory(sections.clintMemory);
+            } else {
+                report.skipped.push(`clintMemory: ${profileId} does not own the global memory on this instance`);
+            }
+        }
+
+        console.log(`[ProfileArchive] Imported ${sourceId} from ${manifest.source?.instance || 'unknown'} as ${profileId} (${action})`);
+        return report;
+    }
+
+    remapProfile(profile, profileId, mapId, manifest) {
+        const previousIds = (profile.previousIds || []).slice();
+        if (profile.id !== profileId && !previousIds.includes(profile.id)) previousIds.push(profile.id);
+        return {
+            ...profile,
+            id: profileId,
+            previousIds,
+            trustLinks: (profile.trustLinks || []).map(link => (link.profileId ? { ...link, profileId: mapId(link.profileId) } : link)),
+            importedFrom: {
+                instance: manifest.source?.instance || null,
+                profileId: profile.id,
+                exportedAt: manifest.exportedAt,
+                importedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    async importSemantic(profileId, entries, mapId, { episodeIds, factIds }) {
+        await this.retrieval.initialize();
+        const result = { added: 0, reused: 0, reembedded: 0, existing: 0, failed: 0 };
+        const currentVersion = this.semanticMemory.currentEmbeddingVersion();
+
+        for (const entry of entries) {
+            const timestamp = new Date(entry.timestamp);
+            const metadata = { ...entry.metadata, profileId: mapId(entry.metadata?.profileId) || profileId };
+            if (metadata.factId !== undefined && metadata.factId !== null) metadata.factId = factIds.get(metadata.factId) ?? null;
+            if (metadata.episodeId !== undefined && metadata.episodeId !== null) metadata.episodeId = episodeIds.get(metadata.episodeId) ?? null;
+
+            if (this.semanticMemory.memoryIndex.has(this.semanticMemory.generateMemoryId({ text: entry.text, timestamp }))) {
+                result.existing++;
+                continue;
+            }
+            try {
+                await this.semanticMemory.addMemory({
+                    text: entry.text,
+                    timestamp,
+                    type: entry.type,
+                    metadata,
+                    embedding: entry.embedding,
+                    embeddingVersion: entry.embeddingVersion
+                });
+                result.added++;
+                if (entry.embeddingVersion === currentVersion) result.reused++;
+                else result.reembedded++;
+            } catch (error) {
+                result.failed++;
+            }
+        }
+        return result;
+    }
+
+    // People and topics: counts take the larger side, first/last mention the wider span
+    async mergeClintMemory({ people = {}, topics = {} }) {
+        const layers = this.memory.layers;
+        const merged = { people: 0, topics: 0 };
+
+        for (const [name, person] of Object.entries(people)) {
+            const current = layers.profile.people_mentioned[name];
+            layers.profile.people_mentioned[name] = current ? {
+                ...person,
+                ...current,
+                mention_count: Math.max(current.mention_count || 0, person.mention_count || 0),
+                first_mentioned: earliest(current.first_mentioned, person.first_mentioned),
+                last_mentioned: latest(current.last_mentioned, person.last_mentioned)
+            } : person;
+            merged.people++;
+        }
+
+        for (const [topic, data] of Object.entries(topics)) {
+            const current = layers.patterns.topics[topic];
+            layers.patterns.topics[topic] = current ? {
+                ...data,
+                ...current,
+                count: Math.max(current.count || 0, data.count || 0),
+                last_discussed: latest(current.last_discussed, data.last_discussed)
+            } : data;
+            merged.topics++;
+        }
+
+        await this.memory.saveMemory();
+        return merged;
+    }
+
+    async freeProfileId(profileId) {
+        for (let n = 2; ; n++) {
+            const candidate = `${profileId}-${n}`;
+            if (!(await this.profileManager.getProfile(candidate))) return candidate;
+        }
+    }
+}
+
+// ============= HELPERS =============
+
+// Existing profile wins field by field; patterns, trust links and previous ids are combined
+function mergeProfile(existing, incoming) {
+    const patternKey = pattern => `${pattern.event}|${pattern.note}`;
+    const linkKey = link => `${link.profileId || ''}|${link.relationship || ''}`;
+    const known = new Set((existing.patterns || []).map(patternKey));
+    const linked = new Set((existing.trustLinks || []).map(linkKey));
+
+    return {
+        ...incoming,
+        ...existing,
+        firstSeen: earliest(existing.firstSeen, incoming.firstSeen),
+        recurs: Math.max(existing.recurs || 0, incoming.recurs || 0),
+        patterns: [...(existing.patterns || []), ...(incoming.patterns || []).filter(p => !known.has(patternKey(p)))],
+        trustLinks: [...(existing.trustLinks || []), ...(incoming.trustLinks || []).filter(l => !linked.has(linkKey(l)))],
+        previousIds: [...new Set([...(existing.previousIds || []), ...(incoming.previousIds || [])])],
+        importedFrom: incoming.importedFrom
+    };
+}
+
+function sectionCount(name, data) {
+    if (Array.isArray(data)) return data.length;
+    if (name === 'store') return { messages: data.messages.length, episodes: data.episodes.length, facts: data.facts.length };
+    if (name === 'clintMemory') return { people: Object.keys(data.people).length, topics: Object.keys(data.topics).length };
+    return 1;
+}
+
+function earliest(a, b) {
+    if (!a || !b) return a || b;
+    return new Date(a) <= new Date(b) ? a : b;
+}
+
+function latest(a, b) {
+    if (!a || !b) return a || b;
+    return new Date(a) >= new Date(b) ? a : b;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function parseJson(buffer, file) {
+    if (!buffer) throw new ProfileArchiveError(`Archive is missing ${file}`);
+    try {
+        return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+        throw new ProfileArchiveError(`${file} is not valid JSON`);
+    }
+}
+
+// Minimal ustar: regular files only, names under 100 bytes - enough for our own archives,
+// and readable with any tar tool
+function writeTar(files) {
+    const blocks = [];
+    const mtime = Math.floor(Date.now() / 1000);
+    for (const { name, content } of files) {
+        const header = Buffer.alloc(512);
+        header.write(name, 0, 100, 'utf8');
+        header.write('0000644\0', 100, 8, 'ascii');
+        header.write('0000000\0', 108, 8, 'ascii');
+        header.write('0000000\0', 116, 8, 'ascii');
+        header.write(`${content.length.toString(8).padStart(11, '0')}\0`, 124, 12, 'ascii');
+        header.write(`${mtime.toString(8).padStart(11, '0')}\0`, 136, 12, 'ascii');
+        header.write('        ', 148, 8, 'ascii');
+        header.write('0', 156, 1, 'ascii');
+        header.write('ustar\0', 257, 6, 'ascii');
+        header.write('00', 263, 2, 'ascii');
+        let checksum = 0;
+        for (const byte of header) checksum += byte;
+        header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+        blocks.push(header, content, Buffer.alloc((512 - (content.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+function readTar(buffer) {
+    const files = new Map();
+    let offset = 0;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1);
+        if (!Number.isFinite(size) || offset + 512 + size > buffer.length) {
+            throw new Error(`truncated entry ${name}`);
+        }
+
+        if (type === '0' || type === '') {
+            files.set(name.replace(/^\.\//, ''), buffer.subarray(offset + 512, offset + 512 + size));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+module.exports = { ProfileArchive, ProfileArchiveError, ARCHIVE_VERSION };
@@ -0,0 +1,167 @@
+/**
+ * Profile Detection Harness
+ * Replays a labelled corpus through ProfileManager.checkProfile in dry-run mode (no foreign
+ * echoes are created or updated) and reports precision/recall per profile, a confusion
+ * matrix, and the decision trace of every miss.
+ *
+ * Corpus format - JSONL, one case per line:
+ *   {"message": "hey man, is the server build done?", "expected": "chris"}
+ *   {"id": "sarah-intro", "message": "hi, I'm Sarah", "expected": "sarah", "session": {"identity": "chris", "locked": true}}
+ *
+ * Expected labels are profile ids, plus:
+ *   foreign - any foreign echo (an existing one in RAM or a new one)
+ *   default - no profile (explicit "I'm not <primary>")
+ *   api     - system/debugging talk, never attributed to a person
+ */
+
+const MAX_CASES = 5000;
+
+class ProfileDetectionHarness {
+    /**
+     * @param {Object} options
+     * @param {ProfileManager} options.profileManager
+     */
+    constructor({ profileManager }) {
+        this.profileManager = profileManager;
+    }
+
+    /**
+     * Parse JSONL corpus text. Blank lines and lines starting with # are skipped;
+     * malformed lines are reported instead of aborting the whole run.
+     * @returns {{ cases: Object[], errors: Array<{ line: number, error: string }> }}
+     */
+    static parseCorpus(text) {
+        const cases = [];
+        const errors = [];
+
+        String(text || '').split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) return;
+            try {
+                const entry = JSON.parse(line);
+                const problem = ProfileDetectionHarness.validateCase(entry);
+                if (problem) {
+                    errors.push({ line: index + 1, error: problem });
+                } else {
+                    cases.push({ line: index + 1, ...entry });
+                }
+            } catch (error) {
+                errors.push({ line: index + 1, error: `Invalid JSON: ${error.message}` });
+            }
+        });
+
+        return { cases, errors };
+    }
+
+    static validateCase(entry) {
+        if (!entry || typeof entry !== 'object') return 'Case must be an object';
+        if (typeof entry.message !== 'string' || !entry.message.trim()) return 'message is required';
+        if (typeof entry.expected !== 'string' || !entry.expected.trim()) return 'expected is required';
+        return null;
+    }
+
+    /**
+     * The label a decision counts as - the profile the chat pipeline would end up using,
+     * with every foreign echo folded into 'foreign'.
+     */
+    static labelFor(decision) {
+        if (decision.branch === 'foreign-match' || decision.branch === 'foreign-new') return 'foreign';
+        return decision.profileId || 'default';
+    }
+
+    /**
+     * @param {Object[]} cases - { message, expected, id?, line?, session? }
+     * @param {Object} [options]
+     * @param {'misses'|'all'|'none'} [options.traces] - which cases to return with their decision trace
+     */
+    async replay(cases, { traces = 'misses' } = {}) {
+        if (!Array.isArray(cases) || cases.length === 0) {
+            throw new Error('Corpus has no cases');
+        }
+        if (cases.length > MAX_CASES) {
+            throw new Error(`Corpus too large (${cases.length} cases, max ${MAX_CASES})`);
+        }
+
+        const started = Date.now();
+        const confusion = {};
+        const branches = {};
+        const results = [];
+        let correct = 0;
+        let thresholds = null;
+
+        for (const testCase of cases) {
+            const problem = ProfileDetectionHarness.validateCase(testCase);
+            if (problem) throw new Error(`Case ${testCase?.id || testCase?.line || results.length + 1}: ${problem}`);
+
+            const expected = testCase.expected.trim().toLowerCase();
+            const decision = await this.profileManager.checkProfile(testCase.message, testCase.session || null, { dryRun: true });
+            const predicted = ProfileDetectionHarness.labelFor(decision);
+            const hit = predicted === expected;
+            thresholds = decision.thresholds;
+
+            if (hit) correct++;
+            confusion[expected] = confusion[expected] || {};
+            confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+            branches[decision.branch] = (branches[decision.branch] || 0) + 1;
+
+            if (traces === 'all' || (traces === 'misses' && !hit)) {
+                results.push({
+                    id: testCase.id || null,
+                    line: testCase.line || null,
+                    message: testCase.message,
+                    expected,
+                    predicted,
+                    correct: hit,
+                    branch: decision.branch,
+                    confidence: round(decision.confidence),
+                    signals: decision.signals
+                });
+            }
+        }
+
+        return {
+            total: cases.length,
+            correct,
+            accuracy: round(correct / cases.length),
+            labels: scoreLabels(confusion),
+            confusion,
+            branches,
+            primaryProfileId: this.profileManager.primaryProfileId,
+            thresholds,
+            cases: results,
+            durationMs: Date.now() - started
+        };
+    }
+}
+
+// Per-label precision/recall/F1 from the confusion matrix (expected -> predicted -> count)
+function scoreLabels(confusion) {
+    const labels = new Set(Object.keys(confusion));
+    Object.values(confusion).forEach(row => Object.keys(row).forEach(label => labels.add(label)));
+
+    const scores = {};
+    for (const label of [...labels].sort()) {
+        const truePositives = confusion[label]?.[label] || 0;
+        const support = Object.values(confusion[label] || {}).reduce((sum, n) => sum + n, 0);
+        const predicted = Object.values(confusion).reduce((sum, row) => sum + (row[label] || 0), 0);
+        const precision = predicted > 0 ? truePositives / predicted : null;
+        const recall = support > 0 ? truePositives / support : null;
+        const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null || recall === null ? null : 0);
+
+        scores[label] = {
+            support,
+            predicted,
+            truePositives,
+            precision: round(precision),
+            recall: round(recall),
+            f1: round(f1)
+        };
+    }
+    return scores;
+}
+
+function round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+module.exports = { ProfileDetectionHarness };
@@ -89,6 +89,51 @@ class ProfileIsolatedMemory {
 
         return `[PROFILE-SPECIFIC CONTEXT]\n${formatted}\n[END PROFILE-SPECIFIC CONTEXT]`;
     }
+
+    async getProfileRecords(profileId) {
+        await this._ensureProfilePath(profileId);
+        return [...(this.cache.get(profileId) || [])];
+    }
+
+    // Add records from a profile archive; entries already present (same sender, text and time) are skipped
+    async importProfileRecords(profileId, records) {
+        const filePath = await this._ensureProfilePath(profileId);
+        const existing = this.cache.get(profileId) || [];
+        const seen = new Set(existing.map(entry => `${entry.sender}|${entry.timestamp}|${entry.text}`));
+
+        const added = (records || [])
+            .filter(entry => entry && typeof entry.text === 'string' && entry.text)
+            .map(entry => ({ ...entry, profileId }))
+            .filter(entry => !seen.has(`${entry.sender}|${entry.timestamp}|${entry.text}`));
+
+        const merged = [...existing, ...added]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(-this.maxEntriesPerProfile);
+        this.cache.set(profileId, merged);
+        await fs.writeFile(filePath, JSON.stringify(merged, null, 2), 'utf8');
+        return added.length;
+    }
+
+    // Retention: drop records older than `before` (ms); with dryRun they are only counted
+    async pruneProfileRecords(profileId, before, { dryRun = false } = {}) {
+        const filePath = await this._ensureProfilePath(profileId);
+        const records = this.cache.get(profileId) || [];
+        const kept = records.filter(entry => new Date(entry.timestamp).getTime() >= before);
+        const removed = records.length - kept.length;
+        if (removed === 0 || dryRun) return removed;
+
+        this.cache.set(profileId, kept);
+        await fs.writeFile(filePath, JSON.stringify(kept, null, 2), 'utf8');
+        return removed;
+    }
+
+    async deleteProfileRecords(profileId) {
+        const filePath = await this._ensureProfilePath(profileId);
+        const count = (this.cache.get(profileId) || []).length;
+        this.cache.delete(profileId);
+        await fs.unlink(filePath).catch(() => {});
+        return count;
+    }
 }
 
 module.exports = ProfileIsolatedMemory;
@@ -4,10 +4,56 @@ const CacheManager = require('./cacheManager');
 const MemoryManager = require('./memoryManager');
 const DatabaseOptimizer = require('./databaseOptimizer');
 const BackgroundServices = require('./backgroundServices');
+const { isMemoryTestQuestion } = require('./claimVerifier');
+const { fingerprintText, updateFingerprint, compareFingerprints, hasEvidence, summarizeFingerprint } = require('./voiceFingerprint');
+const { effectiveStrength, settleLinks } = require('./trustGraph');
+
+// Similarity cut-offs used by checkProfile; echoed in every decision trace
+const DETECTION_THRESHOLDS = {
+    primaryWithPhrase: 0.15,
+    primaryDevContext: 0.25,
+    primary: 0.4,
+    echo: 0.3,
+    foreign: 0.3,
+    voice: 0.4,       // stylometric similarity of the message to a profile's voice fingerprint
+    voiceMargin: 0.1  // ...and how far ahead of the runner-up it has to be
+};
+
+/**
+ * @typedef {Object} DetectionSignal
+ * @property {string} name - e.g. 'api-pattern', 'primary-similarity', 'echo-similarity'
+ * @property {boolean} matched
+ * @property {number} [score]
+ * @property {number} [threshold]
+ * @property {*} [detail] - the pattern, phrase or candidate scores behind the signal
+ */
+
+/**
+ * @typedef {Object} DetectionDecision
+ * @property {string|null} profileId - null when the message explicitly says it isn't the primary user
+ *   (and for a would-be new foreign echo in a dry run)
+ * @property {'api'|'negative'|'correction'|'session-lock'|'primary'|'echo'|'stub'|'foreign-match'|'foreign-new'|'error'} branch
+ * @property {number} confidence - score of the winning signal (1 for explicit patterns)
+ * @property {'pattern'|'session'|'text'|'voice'|'none'} matchedBy - what kind of evidence decided it
+ * @property {DetectionSignal[]} signals - every check that ran, in order
+ * @property {Object} thresholds
+ * @property {boolean} dryRun
+ */
 
 class ProfileManager {
-    constructor(storagePath) {
+    /**
+     * @param {string} storagePath
+     * @param {Object} [options]
+     * @param {string} [options.primaryProfileId] - single-user (unauthenticated) mode only: the anchor
+     *   that text-based detection in checkProfile() matches against. Without one, the anchor an older
+     *   install created for its primary user is adopted at startup.
+     * @param {boolean} [options.accounts] - accounts enabled: every account profile is an anchor, there
+     *   is no primary profile and nothing is guessed from text
+     */
+    constructor(storagePath, options = {}) {
         this.storagePath = storagePath;
+        this.accounts = !!options.accounts;
+        this.primaryProfileId = this.accounts ? null : (options.primaryProfileId || null);
         this.profilesPath = path.join(storagePath, 'profiles');
         this.stubsPath = path.join(this.profilesPath, 'stubs');
         this.echoesPath = path.join(this.profilesPath, 'echoes');
@@ -42,8 +88,17 @@ class ProfileManager {
             await fs.mkdir(this.echoesPath, { recursive: true });
             await fs.mkdir(this.foreignPath, { recursive: true });
 
-            // Initialize Chris anchor if it doesn't exist
-            await this.initializeChrisAnchor();
+            // Root-level profiles are anchors (account or primary profiles)
+            await this.markAnchorProfiles();
+            if (!this.accounts && !this.primaryProfileId) {
+                this.primaryProfileId = await this.findLegacyPrimaryProfile();
+            }
+            if (this.primaryProfileId) {
+                await this.ensureAnchorProfile(this.primaryProfileId, { relationship: 'primary_user' });
+            } else if (!this.accounts) {
+                console.error('[ProfileManager] ⚠️ No primary profile: set PRIMARY_PROFILE_ID (or enable accounts) - until then nobody gets the primary tier or the global memory');
+            }
+            await this.initializeServices();
             
             console.log('[ProfileManager] Initialized successfully');
         } catch (error) {
@@ -51,60 +106,112 @@ class ProfileManager {
         }
     }
 
-    async initializeChrisAnchor() {
-        const chrisPath = path.join(this.profilesPath, 'chris.json');
-        
-        try {
-            await fs.access(chrisPath);
-            console.log('[ProfileManager] Chris anchor profile already exists');
-        } catch (error) {
-            // Create Chris anchor profile
-            const chrisProfile = {
-                id: "chris",
-                firstSeen: new Date().toISOString(),
-                lastSeen: new Date().toISOString(),
-                recurs: 999, // High number to indicate primary user
-                preloaded: true,
-                trustLinks: [
-                    { relationship: "primary_user", strength: 1.0 },
-                    { relationship: "creator", strength: 1.0 }
-                ],
-                voiceHash: null, // Placeholder for future
-                toneBaseline: {
-                    "yeah": 0.3,
-                    "man": 0.2,
-                    "fucking": 0.15,
-                    "philosophy": 0.1,
-                    "tech": 0.1,
-                    "work": 0.1,
-                    "remember": 0.2,
-                    "built": 0.15,
-                    "supposed": 0.1,
-                    "clint": 0.25,
-                    "meta": 0.2,
-                    "server": 0.15,
-                    "system": 0.1,
-                    "profile": 0.1,
-                    "testing": 0.1,
-                    "complex": 0.1,
-                    "interesting": 0.1,
-                    "getting": 0.1,
-                    "build": 0.1
-                },
-                patterns: [
-                    {
-                        event: new Date().toISOString(),
-                        note: "Primary user initialization - Chris anchor created",
-                        relation: "creator",
-                        emotional: "steady"
-                    }
-                ]
-            };
+    /**
+     * Anchor profiles live at the profiles root and are never compressed, merged away or deleted.
+     * Older root-level profiles predate the `anchor` flag, so mark them on startup.
+     */
+    async markAnchorProfiles() {
+        const files = await fs.readdir(this.profilesPath).catch(() => []);
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const filePath = path.join(this.profilesPath, file);
+            try {
+                const profile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                if (profile.anchor === true) continue;
+                profile.anchor = true;
+                await fs.writeFile(filePath, JSON.stringify(profile, null, 2), 'utf8');
+                console.log(`[ProfileManager] Marked ${profile.id || file} as anchor profile`);
+            } catch (error) {
+                console.error(`[ProfileManager] Could not read anchor profile ${file}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * The primary user's anchor from before PRIMARY_PROFILE_ID existed: the root-level profile that
+     * carries the primary_user link (older installs also preloaded it with recurs 999).
+     * @returns {Promise<string|null>} its id, or null when there is none or more than one
+     */
+    async findLegacyPrimaryProfile() {
+        const files = await fs.readdir(this.profilesPath).catch(() => []);
+        const candidates = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                const profile = JSON.parse(await fs.readFile(path.join(this.profilesPath, file), 'utf8'));
+                const primaryLink = (profile.trustLinks || []).some(link => link.relationship === 'primary_user');
+                if (primaryLink || (profile.preloaded && profile.recurs >= 999)) {
+                    candidates.push(profile.id || path.basename(file, '.json'));
+                }
+            } catch (error) {
+                console.error(`[ProfileManager] Could not read anchor profile ${file}:`, error.message);
+            }
+        }
 
-            await fs.writeFile(chrisPath, JSON.stringify(chrisProfile, null, 2), 'utf8');
-            console.log('[ProfileManager] Chris anchor profile created');
+        if (candidates.length > 1) {
+            console.error(`[ProfileManager] ⚠️ Several profiles look like the primary user (${candidates.join(', ')}) - set PRIMARY_PROFILE_ID to pick one`);
+            return null;
         }
-        
+        if (candidates.length === 1) {
+            console.log(`[ProfileManager] Primary profile: ${candidates[0]} (adopted from the existing anchor)`);
+        }
+        return candidates[0] || null;
+    }
+
+    /**
+     * Create an anchor profile if it doesn't exist yet.
+     * @returns {Promise<Object>} the profile
+     */
+    async ensureAnchorProfile(profileId, { relationship = 'account', account = null } = {}) {
+        const existing = await this.getProfile(profileId);
+        if (existing && existing.anchor) return existing;
+
+        const anchorPath = path.join(this.profilesPath, `${profileId}.json`);
+        const now = new Date().toISOString();
+        // An account can claim a profile that was learned before it registered
+        const profile = existing ? { ...existing, anchor: true } : {
+            id: profileId,
+            firstSeen: now,
+            lastSeen: now,
+            recurs: 0,
+            preloaded: true,
+            anchor: true,
+            trustLinks: [
+                { relationship, strength: 1.0 }
+            ],
+            voiceHash: null,
+            toneBaseline: {},
+            patterns: [
+                {
+                    event: now,
+                    note: `Anchor profile created (${relationship})`,
+                    relation: relationship,
+                    emotional: "steady"
+                }
+            ]
+        };
+        if (account) profile.account = account;
+
+        await fs.writeFile(anchorPath, JSON.stringify(profile, null, 2), 'utf8');
+        if (existing) {
+            await this.removeProfileFile(profileId, existing);
+        }
+        this.cache.invalidateProfile(profileId);
+        console.log(`[ProfileManager] Anchor profile ${existing ? 'claimed' : 'created'}: ${profileId}`);
+        return profile;
+    }
+
+    /**
+     * Persistent profile for an authenticated account.
+     */
+    async ensureAccountProfile(profileId, { username = null } = {}) {
+        return this.ensureAnchorProfile(profileId, { relationship: 'account', account: username || profileId });
+    }
+
+    async isAnchor(profileId) {
+        const profile = await this.getProfile(profileId);
+        return !!(profile && profile.anchor);
+    }
+
+    async initializeServices() {
         // Initialize memory manager
         this.memoryManager = new MemoryManager(this, {
             maxForeignEchoes: 50,
@@ -207,7 +314,7 @@ class ProfileManager {
             profile.lastSeen = new Date().toISOString();
 
             // Save back to appropriate location
-            if (profileId === 'chris') {
+            if (profile.anchor) {
                 await fs.writeFile(path.join(this.profilesPath, `${profileId}.json`), 
                     JSON.stringify(profile, null, 2), 'utf8');
             } else if (profile.preloaded) {
@@ -248,9 +355,11 @@ class ProfileManager {
                 emotional: pattern.emotional || "neutral"
             });
 
-            // Keep only last 10 patterns to prevent file bloat
+            // Keep only last 10 patterns to prevent file bloat - patterns pinned by the user always stay
             if (profile.patterns.length > 10) {
-                profile.patterns = profile.patterns.slice(-10);
+                const pinnedCount = profile.patterns.filter(p => p.pinned).length;
+                let unpinnedToDrop = profile.patterns.length - Math.max(10, pinnedCount);
+                profile.patterns = profile.patterns.filter(p => p.pinned || unpinnedToDrop-- <= 0);
             }
 
             // Update profile with incremented recurs counter
@@ -264,7 +373,34 @@ class ProfileManager {
         }
     }
 
-    async checkProfile(input, sessionContext = null) {
+    /**
+     * Guess who is talking from the message text. Only used when accounts are disabled;
+     * authenticated requests take their profile from the login.
+     *
+     * Returns the decision with every signal that was checked, so a misidentification can be
+     * traced back to the pattern or score that caused it.
+     * @param {string} input
+     * @param {Object} [sessionContext] - from SessionIdentityManager.getSessionContext()
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - no side effects: foreign echoes are neither created nor
+     *   updated (used by the detection test endpoints and the replay harness)
+     * @returns {Promise<DetectionDecision>}
+     */
+    async checkProfile(input, sessionContext = null, { dryRun = false } = {}) {
+        const primaryId = this.primaryProfileId;
+        const primaryName = primaryId ? escapeRegExp(primaryId) : null;
+        const log = dryRun ? () => {} : (...args) => console.log(...args);
+        const decision = {
+            profileId: null,
+            branch: null,
+            confidence: 0,
+            matchedBy: 'none',
+            signals: [],
+            thresholds: DETECTION_THRESHOLDS,
+            dryRun
+        };
+        const signal = (name, fields) => decision.signals.push({ name, ...fields });
+        const decide = (profileId, branch, confidence, matchedBy = 'pattern') => Object.assign(decision, { profileId, branch, confidence, matchedBy });
         try {
             // Step 0: Check for API/system requests first (prevent foreign echo creation)
             const apiPatterns = [
@@ -653,62 +789,76 @@ class ProfileManager {
                 /log\s+what's/i
             ];
             
-            for (const pattern of apiPatterns) {
-                if (pattern.test(input)) {
-                    console.log(`[ProfileManager] 🔧 API/System request detected: "${input.substring(0, 50)}..."`);
-                    return 'api'; // Return API profile instead of creating foreign echo
-                }
+            const apiMatch = apiPatterns.find(pattern => pattern.test(input));
+            signal('api-pattern', { matched: !!apiMatch, detail: apiMatch ? String(apiMatch) : null });
+            if (apiMatch) {
+                log(`[ProfileManager] 🔧 API/System request detected: "${input.substring(0, 50)}..."`);
+                return decide('api', 'api', 1); // Return API profile instead of creating foreign echo
             }
             
-            // Step 0.1: Check for negative patterns (explicit "not Chris")
-            const negativePatterns = [
-                /i'?m\s+not\s+chris/i,
-                /this\s+isn'?t\s+chris/i,
-                /you'?re\s+confusing\s+me\s+with\s+chris/i,
-                /stop\s+treating\s+me\s+like\s+chris/i,
-                /i'?m\s+([a-zA-Z]+),\s*not\s+chris/i,
-                /it'?s\s+([a-zA-Z]+),\s*not\s+chris/i,
-                /are\s+you\s+confusing\s+me\s+with\s+chris/i
-            ];
+            // Step 0.1: Check for negative patterns (explicit "not <primary>")
+            const negativePatterns = primaryName ? [
+                `i'?m\\s+not\\s+${primaryName}`,
+                `this\\s+isn'?t\\s+${primaryName}`,
+                `you'?re\\s+confusing\\s+me\\s+with\\s+${primaryName}`,
+                `stop\\s+treating\\s+me\\s+like\\s+${primaryName}`,
+                `i'?m\\s+([a-zA-Z]+),\\s*not\\s+${primaryName}`,
+                `it'?s\\s+([a-zA-Z]+),\\s*not\\s+${primaryName}`,
+                `are\\s+you\\s+confusing\\s+me\\s+with\\s+${primaryName}`
+            ].map(source => new RegExp(source, 'i')) : [];
             
-            for (const pattern of negativePatterns) {
-                if (pattern.test(input)) {
-                    console.log(`[ProfileManager] ❌ Negative pattern detected, NOT Chris: "${input}"`);
-                    return null; // Explicitly not Chris
+            if (primaryName) {
+                const negativeMatch = negativePatterns.find(pattern => pattern.test(input));
+                signal('negative-pattern', { matched: !!negativeMatch, detail: negativeMatch ? String(negativeMatch) : null });
+                if (negativeMatch) {
+                    log(`[ProfileManager] ❌ Negative pattern detected, NOT ${primaryId}: "${input}"`);
+                    return decide(null, 'negative', 1); // Explicitly not the primary user
                 }
             }
             
             // Step 0.5: Check for identity corrections
             const correctionPatterns = [
-                /i'?m\s+([a-zA-Z]+)(?:\s*,?\s*not\s+chris)?/i,
+                /i'?m\s+([a-zA-Z]+)/i,
                 /this\s+is\s+([a-zA-Z]+)/i,
-                /my\s+name\s+is\s+([a-zA-Z]+)/i,
-                /i'?m\s+([a-zA-Z]+)(?:\s*,?\s*chris)?/i
+                /my\s+name\s+is\s+([a-zA-Z]+)/i
             ];
             
             for (const pattern of correctionPatterns) {
                 const match = input.match(pattern);
-                if (match && match[1] && match[1].toLowerCase() !== 'chris') {
+                if (match && match[1] && match[1].toLowerCase() !== primaryId) {
                     const claimedIdentity = match[1].toLowerCase();
-                    console.log(`[ProfileManager] 🔄 Identity correction detected: ${claimedIdentity}`);
-                    return claimedIdentity;
+                    signal('identity-claim', { matched: true, detail: { pattern: String(pattern), claimed: claimedIdentity } });
+                    log(`[ProfileManager] 🔄 Identity correction detected: ${claimedIdentity}`);
+                    return decide(claimedIdentity, 'correction', 1);
                 }
             }
+            signal('identity-claim', { matched: false, detail: null });
             
             // Step 0.6: If session context shows locked identity, respect it
-            if (sessionContext && sessionContext.locked && sessionContext.identity) {
-                console.log(`[ProfileManager] 🔒 Session identity locked to: ${sessionContext.identity}`);
-                return sessionContext.identity;
+            const sessionLocked = !!(sessionContext && sessionContext.locked && sessionContext.identity);
+            signal('session-lock', { matched: sessionLocked, detail: sessionContext?.identity || null });
+            if (sessionLocked) {
+                log(`[ProfileManager] 🔒 Session identity locked to: ${sessionContext.identity}`);
+                return decide(sessionContext.identity, 'session-lock', 1, 'session');
             }
             
-                // Step 1: Compare to Anchor (Chris) - TIGHTENED DETECTION
-                const chrisProfile = await this.getProfile('chris');
-                if (chrisProfile) {
-                    const similarity = await this.calculateTextSimilarity(input, chrisProfile);
-                    console.log(`[ProfileManager] Chris similarity: ${similarity.toFixed(3)}`);
-                    console.log(`[ProfileManager] DEBUG - Input: "${input}"`);
+            // Step 0.7: How the message is written, against every profile with enough voice history
+            const voice = await this.rankVoiceMatches(input);
+            signal('voice-match', {
+                matched: !!voice.winner,
+                score: voice.ranked[0]?.score ?? null,
+                threshold: DETECTION_THRESHOLDS.voice,
+                detail: { margin: voice.margin, candidates: voice.ranked.slice(0, 5) }
+            });
+            
+                // Step 1: Compare to the primary anchor - TIGHTENED DETECTION
+                const primaryProfile = primaryId ? await this.getProfile(primaryId) : null;
+                if (primaryProfile) {
+                    const similarity = await this.calculateTextSimilarity(input, primaryProfile);
+                    log(`[ProfileManager] ${primaryId} similarity: ${similarity.toFixed(3)}`);
+                    log(`[ProfileManager] DEBUG - Input: "${input}"`);
                     
-                    // Enhanced Chris detection with multiple strategies
+                    // Enhanced primary-user detection with multiple strategies
                     // More specific dev context - only for actual development/testing scenarios
                     const isDevContext = input.toLowerCase().includes('testing') ||
                                        input.toLowerCase().includes('profile') ||
@@ -719,8 +869,8 @@ class ProfileManager {
                                        (input.toLowerCase().includes('clint') && 
                                         input.toLowerCase().includes('build'));
                     
-                    // Check for Chris-specific phrases that indicate high confidence
-                    const chrisPhrases = [
+                    // Check for primary-user phrases that indicate high confidence
+                    const primaryPhrases = [
                         'do you remember who i am',
                         'you\'re supposed to remember',
                         'that\'s how i built you',
@@ -730,44 +880,69 @@ class ProfileManager {
                         'philosophical questions'
                     ];
                     
-                    const hasChrisPhrase = chrisPhrases.some(phrase => 
+                    const primaryPhrase = primaryPhrases.find(phrase => 
                         input.toLowerCase().includes(phrase)
                     );
+                    const hasPrimaryPhrase = !!primaryPhrase;
                     
-                    // TIGHTENED thresholds for Chris detection to reduce false positives
-                    const chrisThreshold = hasChrisPhrase ? 0.15 : (isDevContext ? 0.25 : 0.4);
+                    // TIGHTENED thresholds for primary-user detection to reduce false positives
+                    const primaryThreshold = hasPrimaryPhrase ? DETECTION_THRESHOLDS.primaryWithPhrase :
+                        (isDevContext ? DETECTION_THRESHOLDS.primaryDevContext : DETECTION_THRESHOLDS.primary);
                     
-                    console.log(`[ProfileManager] DEBUG - Dev context: ${isDevContext}, Chris phrase: ${hasChrisPhrase}`);
-                    console.log(`[ProfileManager] DEBUG - similarity: ${similarity.toFixed(3)}, threshold: ${chrisThreshold}`);
+                    log(`[ProfileManager] DEBUG - Dev context: ${isDevContext}, primary phrase: ${hasPrimaryPhrase}`);
+                    log(`[ProfileManager] DEBUG - similarity: ${similarity.toFixed(3)}, threshold: ${primaryThreshold}`);
                     
-                    if (similarity > chrisThreshold || isDevContext || hasChrisPhrase) {
-                        console.log(`[ProfileManager] ✅ Matched to Chris anchor (similarity: ${similarity.toFixed(3)}, devContext: ${isDevContext}, phrase: ${hasChrisPhrase})`);
-                        return 'chris';
+                    signal('primary-similarity', { matched: similarity > primaryThreshold, score: similarity, threshold: primaryThreshold, detail: primaryId });
+                    signal('dev-context', { matched: isDevContext });
+                    signal('primary-phrase', { matched: hasPrimaryPhrase, detail: primaryPhrase || null });
+                    
+                    if (similarity > primaryThreshold || isDevContext || hasPrimaryPhrase) {
+                        log(`[ProfileManager] ✅ Matched to ${primaryId} anchor (similarity: ${similarity.toFixed(3)}, devContext: ${isDevContext}, phrase: ${hasPrimaryPhrase})`);
+                        return decide(primaryId, 'primary', similarity, similarity > primaryThreshold ? 'text' : 'pattern');
+                    }
+                    if (voice.winner?.profileId === primaryId) {
+                        log(`[ProfileManager] ✅ Matched to ${primaryId} anchor by voice (${voice.winner.score.toFixed(3)})`);
+                        return decide(primaryId, 'primary', voice.winner.score, 'voice');
                     }
                 }
 
             // Step 2: Check existing echoes
-            const echoMatch = await this.checkActiveEchoes(input);
-            if (echoMatch) {
-                console.log(`[ProfileManager] Matched to existing echo: ${echoMatch}`);
-                return echoMatch;
+            const echo = await this.checkActiveEchoes(input);
+            signal('echo-similarity', { matched: !!echo.match, score: echo.score, threshold: DETECTION_THRESHOLDS.echo, detail: echo.candidates });
+            // A returning visitor's writing style outranks shared phrases with some other echo
+            if (voice.winner?.kind === 'echo') {
+                log(`[ProfileManager] Matched to existing echo by voice: ${voice.winner.profileId} (${voice.winner.score.toFixed(3)})`);
+                return decide(voice.winner.profileId, 'echo', voice.winner.score, 'voice');
+            }
+            if (echo.match) {
+                log(`[ProfileManager] Matched to existing echo: ${echo.match}`);
+                return decide(echo.match, 'echo', echo.score, 'text');
             }
 
             // Step 3: Check stubs (manual preloads)
             const stubMatch = await this.checkStubs(input);
+            signal('stub-name-mention', { matched: !!stubMatch, detail: stubMatch });
             if (stubMatch) {
-                console.log(`[ProfileManager] Matched to stub: ${stubMatch}`);
-                return stubMatch;
+                log(`[ProfileManager] Matched to stub: ${stubMatch}`);
+                return decide(stubMatch, 'stub', 1);
             }
 
             // Step 4: Create new foreign echo (RAM-only)
-            const foreignId = await this.createForeignEcho(input);
-            console.log(`[ProfileManager] Created new foreign echo: ${foreignId}`);
-            return foreignId;
+            const voiceForeign = voice.winner?.kind === 'foreign' ? voice.winner : null;
+            const foreign = await this.createForeignEcho(input, { dryRun, preferredId: voiceForeign?.profileId || null });
+            signal('foreign-similarity', { matched: !foreign.created, score: foreign.score, threshold: DETECTION_THRESHOLDS.foreign, detail: foreign.candidates });
+            if (!foreign.created) {
+                return voiceForeign
+                    ? decide(foreign.profileId, 'foreign-match', voiceForeign.score, 'voice')
+                    : decide(foreign.profileId, 'foreign-match', foreign.score, 'text');
+            }
+            log(`[ProfileManager] Created new foreign echo: ${foreign.profileId}`);
+            return decide(foreign.profileId, 'foreign-new', 0, 'none');
 
         } catch (error) {
             console.error('[ProfileManager] Error in checkProfile:', error.message);
-            return 'chris'; // Fallback to Chris
+            signal('error', { matched: true, detail: error.message });
+            return decide(primaryId, 'error', 0, 'none'); // Fallback to the primary anchor (null -> default profile)
         }
     }
 
@@ -793,14 +968,13 @@ class ProfileManager {
             totalWeight += 1;
         }
         
-        // Enhanced Chris-specific pattern matching
-        const chrisPatterns = ['yeah', 'man', 'fucking', 'philosophy', 'tech', 'work', 'complex', 'interesting', 'getting', 'build', 'system', 'clint', 'meta', 'server', 'testing', 'profile', 'remember', 'built', 'supposed'];
-        const chrisStrongPatterns = ['man', 'fucking', 'philosophy', 'tech', 'clint', 'remember', 'built']; // High-confidence patterns
-        const chrisMediumPatterns = ['yeah', 'work', 'complex', 'interesting', 'getting', 'build', 'system', 'supposed']; // Medium-confidence patterns
-        const chrisContextPatterns = ['testing', 'profile', 'meta', 'server', 'echo', 'foreign']; // Context-specific patterns
+        // Enhanced primary-user pattern matching
+        const primaryStrongPatterns = ['man', 'fucking', 'philosophy', 'tech', 'clint', 'remember', 'built']; // High-confidence patterns
+        const primaryMediumPatterns = ['yeah', 'work', 'complex', 'interesting', 'getting', 'build', 'system', 'supposed']; // Medium-confidence patterns
+        const primaryContextPatterns = ['testing', 'profile', 'meta', 'server', 'echo', 'foreign']; // Context-specific patterns
         
-        // Special Chris phrases that indicate high confidence
-        const chrisSpecialPhrases = [
+        // Special primary-user phrases that indicate high confidence
+        const primarySpecialPhrases = [
             'do you remember who i am',
             'you\'re supposed to remember',
             'that\'s how i built you',
@@ -810,23 +984,22 @@ class ProfileManager {
             'philosophical questions',
             'did you forget who you were talking to',
             'did you think i was someone else',
-            'it\'s chris',
             'back to me',
-            'switching back to chris'
+            ...(this.primaryProfileId ? [`it's ${this.primaryProfileId}`, `switching back to ${this.primaryProfileId}`] : [])
         ];
         
-        const strongMatches = chrisStrongPatterns.filter(pattern => 
+        const strongMatches = primaryStrongPatterns.filter(pattern => 
             input.toLowerCase().includes(pattern)
         ).length;
-        const mediumMatches = chrisMediumPatterns.filter(pattern => 
+        const mediumMatches = primaryMediumPatterns.filter(pattern => 
             input.toLowerCase().includes(pattern)
         ).length;
-        const contextMatches = chrisContextPatterns.filter(pattern => 
+        const contextMatches = primaryContextPatterns.filter(pattern => 
             input.toLowerCase().includes(pattern)
         ).length;
         
-        // Check for special Chris phrases (high confidence)
-        const specialPhraseMatch = chrisSpecialPhrases.some(phrase => 
+        // Check for special primary-user phrases (high confidence)
+        const specialPhraseMatch = primarySpecialPhrases.some(phrase => 
             input.toLowerCase().includes(phrase)
         );
         
@@ -839,7 +1012,7 @@ class ProfileManager {
         
         const wordScore = totalWeight > 0 ? matches / totalWeight : 0;
         
-        // Give much more weight to patterns for Chris detection
+        // Give much more weight to patterns for primary-user detection
         const finalScore = (wordScore * 0.2) + (patternScore * 0.8);
         
         let similarity;
@@ -850,8 +1023,8 @@ class ProfileManager {
         } else if (strongMatches > 0 || mediumMatches > 0) {
             similarity = Math.min(finalScore + 0.2, 1.0); // Boost by 0.2 if any patterns match
         } else {
-            // Give Chris a base similarity to prevent 0.000 scores
-            const baseSimilarity = profile.id === 'chris' ? 0.1 : 0.0;
+            // Give the primary anchor a base similarity to prevent 0.000 scores
+            const baseSimilarity = profile.id === this.primaryProfileId ? 0.1 : 0.0;
             similarity = Math.min(finalScore + baseSimilarity, 1.0);
         }
         
@@ -861,7 +1034,49 @@ class ProfileManager {
         return similarity;
     }
 
+    /**
+     * Voice similarity of the message to the primary anchor, echoes and foreign echoes in RAM.
+     * `winner` is set only when the best score clears the voice threshold and leads the
+     * runner-up by the voice margin - one message is a small sample, so near-ties mean nothing.
+     * @returns {Promise<{ winner: Object|null, margin: number|null, ranked: Array<{ profileId: string, kind: string, score: number, features: Object }> }>}
+     */
+    async rankVoiceMatches(input) {
+        const inputVoice = fingerprintText(input);
+        const ranked = [];
+        const consider = (profile, kind) => {
+            const comparison = profile ? compareFingerprints(inputVoice, profile.voiceHash) : null;
+            if (comparison) ranked.push({ profileId: profile.id, kind, ...comparison });
+        };
+
+        try {
+            if (this.primaryProfileId) consider(await this.getProfile(this.primaryProfileId), 'primary');
+
+            const echoFiles = await fs.readdir(this.echoesPath).catch(() => []);
+            for (const file of echoFiles.filter(f => f.endsWith('.json'))) {
+                consider(await this.getProfile(file.replace('.json', '')), 'echo');
+            }
+
+            for (const profile of this.foreignRAM.values()) {
+                if (!ranked.some(entry => entry.profileId === profile.id)) consider(profile, 'foreign');
+            }
+        } catch (error) {
+            console.error('[ProfileManager] Error ranking voice matches:', error.message);
+        }
+
+        ranked.sort((a, b) => b.score - a.score);
+        const [best, runnerUp] = ranked;
+        const margin = best ? best.score - (runnerUp?.score || 0) : null;
+        const winner = best && best.score >= DETECTION_THRESHOLDS.voice && margin >= DETECTION_THRESHOLDS.voiceMargin ? best : null;
+
+        return { winner, margin: margin === null ? null : Math.round(margin * 1000) / 1000, ranked };
+    }
+
+    /**
+     * Best-matching echo above the echo threshold.
+     * @returns {Promise<{ match: string|null, score: number, candidates: Array<{ profileId: string, score: number }> }>}
+     */
     async checkActiveEchoes(input) {
+        const candidates = [];
         try {
             const echoFiles = await fs.readdir(this.echoesPath).catch(() => []);
             
@@ -875,10 +1090,10 @@ class ProfileManager {
                     
                     if (profile) {
                         const similarity = await this.calculateTextSimilarity(input, profile);
-                        console.log(`[ProfileManager] ${profileId} similarity: ${similarity.toFixed(3)}`);
+                        candidates.push({ profileId, score: similarity });
                         
                         // Find the best match above threshold
-                        if (similarity > 0.3 && similarity > bestScore) {
+                        if (similarity > DETECTION_THRESHOLDS.echo && similarity > bestScore) {
                             bestMatch = profileId;
                             bestScore = similarity;
                         }
@@ -888,13 +1103,12 @@ class ProfileManager {
             
             if (bestMatch) {
                 console.log(`[ProfileManager] Best echo match: ${bestMatch} (${bestScore.toFixed(3)})`);
-                return bestMatch;
             }
             
-            return null;
+            return { match: bestMatch, score: bestScore, candidates: topCandidates(candidates) };
         } catch (error) {
             console.error('[ProfileManager] Error checking echoes:', error.message);
-            return null;
+            return { match: null, score: 0, candidates: topCandidates(candidates) };
         }
     }
 
@@ -926,22 +1140,40 @@ class ProfileManager {
         }
     }
 
-    async createForeignEcho(input) {
+    /**
+     * Match the input to a foreign echo in RAM, or create a new one.
+     * In a dry run nothing is cleaned up, updated or created (`profileId` is null for a new echo).
+     * `preferredId` (a voice match from checkProfile) wins over the text-similarity match.
+     * @returns {Promise<{ profileId: string|null, created: boolean, score: number, candidates: Array<{ profileId: string, score: number }> }>}
+     */
+    async createForeignEcho(input, { dryRun = false, preferredId = null } = {}) {
         // Cleanup old foreign profiles first (aggressive cleanup)
-        this.cleanupOldForeignProfiles();
+        if (!dryRun) this.cleanupOldForeignProfiles();
         
         // First check if we can match to existing foreign echoes in RAM
         let bestForeignMatch = null;
         let bestScore = 0;
+        const candidates = [];
         
         for (const [foreignId, profile] of this.foreignRAM) {
             const similarity = await this.calculateTextSimilarity(input, profile);
-            if (similarity > 0.3 && similarity > bestScore) { // Lowered threshold from 0.4 to 0.3
+            candidates.push({ profileId: foreignId, score: similarity });
+            if (similarity > DETECTION_THRESHOLDS.foreign && similarity > bestScore) { // Lowered threshold from 0.4 to 0.3
                 bestForeignMatch = foreignId;
                 bestScore = similarity;
             }
         }
         
+        if (preferredId && this.foreignRAM.has(preferredId)) {
+            bestForeignMatch = preferredId;
+            bestScore = candidates.find(c => c.profileId === preferredId)?.score || 0;
+        }
+        
+        const result = { created: !bestForeignMatch, score: bestScore, candidates: topCandidates(candidates) };
+        if (dryRun) {
+            return { profileId: bestForeignMatch, ...result };
+        }
+        
         // If we found a good match, update it instead of creating new
         if (bestForeignMatch) {
             const existingProfile = this.foreignRAM.get(bestForeignMatch);
@@ -955,7 +1187,7 @@ class ProfileManager {
             });
             
             console.log(`[ProfileManager] Updated existing foreign echo: ${bestForeignMatch}`);
-            return bestForeignMatch;
+            return { profileId: bestForeignMatch, ...result };
         }
         
         // Create new foreign echo only if no good match found
@@ -983,7 +1215,7 @@ class ProfileManager {
         setTimeout(() => this.checkForClustering(foreignId), 100);
         
         console.log(`[ProfileManager] Created new foreign echo: ${foreignId}`);
-        return foreignId;
+        return { profileId: foreignId, ...result };
     }
 
     extractToneBaseline(input) {
@@ -1116,16 +1348,7 @@ class ProfileManager {
             const recentPatterns = profile.patterns ? profile.patterns.slice(-3) : [];
             
             // Filter out memory-testing questions and hallucinated content
-            const filteredPatterns = recentPatterns.filter(pattern => {
-                const note = pattern.note || '';
-                // Filter out memory-testing questions
-                if (note.includes('Do you remember') && 
-                    (note.includes('bike') || note.includes('dragon') || note.includes('unicorn') || 
-                     note.includes('time traveler') || note.includes('fly'))) {
-                    return false;
-                }
-                return true;
-            });
+            const filteredPatterns = recentPatterns.filter(pattern => !isMemoryTestQuestion(pattern.note));
             
             const patternSummary = filteredPatterns.map(p => `${p.note}`).join('; ');
             
@@ -1134,7 +1357,8 @@ class ProfileManager {
                 recurs: profile.recurs,
                 lastSeen: profile.lastSeen,
                 summary: patternSummary || "No recent patterns",
-                isAnchor: profileId === 'chris'
+                isAnchor: !!profile.anchor,
+                relationships: (profile.trustLinks || []).map(link => link.relationship).filter(Boolean)
             };
         } catch (error) {
             console.error(`[ProfileManager] Error generating summary for ${profileId}:`, error.message);
@@ -1151,21 +1375,13 @@ class ProfileManager {
             const originalCount = profile.patterns.length;
             
             // Filter out hallucinated patterns
-            profile.patterns = profile.patterns.filter(pattern => {
-                const note = pattern.note || '';
-                // Remove memory-testing questions and hallucinated content
-                if (note.includes('Do you remember') && 
-                    (note.includes('bike') || note.includes('dragon') || note.includes('unicorn') || 
-                     note.includes('time traveler') || note.includes('fly'))) {
-                    return false;
-                }
-                return true;
-            });
+            // Memory-testing questions invite made-up answers - pinned notes stay
+            profile.patterns = profile.patterns.filter(pattern => pattern.pinned || !isMemoryTestQuestion(pattern.note));
             
             const removedCount = originalCount - profile.patterns.length;
             if (removedCount > 0) {
                 console.log(`[ProfileManager] Removed ${removedCount} hallucinated patterns from ${profileId}`);
-                await this.saveProfile(profile);
+                await this.updateProfile(profileId, { patterns: profile.patterns });
             }
         } catch (error) {
             console.error(`[ProfileManager] Error cleaning patterns for ${profileId}:`, error.message);
@@ -1174,7 +1390,11 @@ class ProfileManager {
 
     // ============= TRUST LINKS SYSTEM =============
 
-    async addTrustLink(fromProfileId, toProfileId, relationship, strength = 0.5) {
+    /**
+     * Link `fromProfileId` -> `toProfileId` (from trusts to). An existing link is reinforced
+     * by 0.1 from its decayed strength, or set to `strength` with `replace`.
+     */
+    async addTrustLink(fromProfileId, toProfileId, relationship, strength = 0.5, { replace = false } = {}) {
         try {
             const fromProfile = await this.getProfile(fromProfileId);
             if (!fromProfile) {
@@ -1182,43 +1402,63 @@ class ProfileManager {
                 return false;
             }
 
-            // Initialize trust links if not exists
-            fromProfile.trustLinks = fromProfile.trustLinks || [];
+            // Settle decay first so reinforcement starts from today's strength
+            const now = Date.now();
+            const trustLinks = settleLinks(fromProfile.trustLinks || [], now);
 
             // Check if link already exists
-            const existingLink = fromProfile.trustLinks.find(link => 
+            const existingLink = trustLinks.find(link => 
                 link.profileId === toProfileId && link.relationship === relationship
             );
 
             if (existingLink) {
-                // Update existing link strength
-                existingLink.strength = Math.min(existingLink.strength + 0.1, 1.0);
-                existingLink.lastInteraction = new Date().toISOString();
+                existingLink.strength = replace
+                    ? Math.max(0, Math.min(strength, 1.0))
+                    : Math.min(existingLink.strength + 0.1, 1.0);
+                existingLink.lastInteraction = new Date(now).toISOString();
             } else {
                 // Add new trust link
-                fromProfile.trustLinks.push({
+                trustLinks.push({
                     profileId: toProfileId,
                     relationship: relationship,
-                    strength: strength,
-                    created: new Date().toISOString(),
-                    lastInteraction: new Date().toISOString()
+                    strength: Math.max(0, Math.min(strength, 1.0)),
+                    created: new Date(now).toISOString(),
+                    lastInteraction: new Date(now).toISOString()
                 });
             }
 
-            // Keep only top 10 trust links by strength
-            fromProfile.trustLinks.sort((a, b) => b.strength - a.strength);
-            if (fromProfile.trustLinks.length > 10) {
-                fromProfile.trustLinks = fromProfile.trustLinks.slice(0, 10);
+            // Save profile (settling again drops faded links and keeps the strongest)
+            await this.updateProfile(fromProfileId, { trustLinks: settleLinks(trustLinks, now) });
+
+            console.log(`[ProfileManager] Added trust link: ${fromProfileId} -> ${toProfileId} (${relationship}, strength: ${existingLink ? existingLink.strength.toFixed(3) : strength})`);
+            return true;
+
+        } catch (error) {
+            console.error(`[ProfileManager] Error adding trust link:`, error.message);
+            return false;
+        }
+    }
+
+    async removeTrustLink(fromProfileId, toProfileId, relationship = null) {
+        try {
+            const fromProfile = await this.getProfile(fromProfileId);
+            if (!fromProfile || !fromProfile.trustLinks) {
+                return false;
             }
 
-            // Save profile
-            await this.updateProfile(fromProfileId, { trustLinks: fromProfile.trustLinks });
+            const trustLinks = fromProfile.trustLinks.filter(link =>
+                !(link.profileId === toProfileId && (!relationship || link.relationship === relationship))
+            );
+            if (trustLinks.length === fromProfile.trustLinks.length) {
+                return false;
+            }
 
-            console.log(`[ProfileManager] Added trust link: ${fromProfileId} -> ${toProfileId} (${relationship}, strength: ${strength})`);
+            await this.updateProfile(fromProfileId, { trustLinks });
+            console.log(`[ProfileManager] Removed trust link: ${fromProfileId} -> ${toProfileId}${relationship ? ` (${relationship})` : ''}`);
             return true;
 
         } catch (error) {
-            console.error(`[ProfileManager] Error adding trust link:`, error.message);
+            console.error(`[ProfileManager] Error removing trust link:`, error.message);
             return false;
         }
     }
@@ -1239,8 +1479,10 @@ class ProfileManager {
                 );
             }
 
-            // Sort by strength and return
-            return trustedProfiles.sort((a, b) => b.strength - a.strength);
+            // Current (decayed) strength, strongest first
+            return trustedProfiles
+                .map(link => ({ ...link, effectiveStrength: effectiveStrength(link) }))
+                .sort((a, b) => b.effectiveStrength - a.effectiveStrength);
 
         } catch (error) {
             console.error(`[ProfileManager] Error getting trusted profiles:`, error.message);
@@ -1255,7 +1497,8 @@ class ProfileManager {
                 return false;
             }
 
-            const link = fromProfile.trustLinks.find(l => 
+            const trustLinks = settleLinks(fromProfile.trustLinks);
+            const link = trustLinks.find(l => 
                 l.profileId === toProfileId && l.relationship === relationship
             );
 
@@ -1264,7 +1507,7 @@ class ProfileManager {
                 link.lastInteraction = new Date().toISOString();
 
                 // Save profile
-                await this.updateProfile(fromProfileId, { trustLinks: fromProfile.trustLinks });
+                await this.updateProfile(fromProfileId, { trustLinks });
 
                 console.log(`[ProfileManager] Updated trust strength: ${fromProfileId} -> ${toProfileId} (${link.strength.toFixed(3)})`);
                 return true;
@@ -1280,46 +1523,19 @@ class ProfileManager {
 
     // ============= VOICE HASHING SYSTEM =============
 
-    generateVoiceHash(input) {
-        try {
-            // Simple voice hash based on linguistic patterns
-            const words = input.toLowerCase().split(/\s+/);
-            const patterns = {
-                avgWordLength: words.reduce((sum, word) => sum + word.length, 0) / words.length,
-                questionRatio: (input.match(/\?/g) || []).length / Math.max(words.length, 1),
-                exclamationRatio: (input.match(/!/g) || []). length / Math.max(words.length, 1),
-                commaRatio: (input.match(/,/g) || []).length / Math.max(words.length, 1),
-                sentenceCount: (input.match(/[.!?]+/g) || []).length,
-                wordCount: words.length,
-                uniqueWords: new Set(words).size,
-                capsRatio: (input.match(/[A-Z]/g) || []).length / input.length
-            };
-
-            // Create a hash from these patterns
-            const hashString = JSON.stringify(patterns);
-            let hash = 0;
-            for (let i = 0; i < hashString.length; i++) {
-                const char = hashString.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash; // Convert to 32bit integer
-            }
-
-            return Math.abs(hash).toString(36);
-        } catch (error) {
-            console.error('[ProfileManager] Error generating voice hash:', error.message);
-            return null;
-        }
-    }
-
+    /**
+     * Fold a message into the profile's stylometric fingerprint (see voiceFingerprint.js).
+     * Legacy string hashes are replaced by a fresh fingerprint.
+     */
     async updateVoiceHash(profileId, input) {
         try {
-            const voiceHash = this.generateVoiceHash(input);
-            if (voiceHash) {
-                await this.updateProfile(profileId, { voiceHash: voiceHash });
-                console.log(`[ProfileManager] Updated voice hash for ${profileId}: ${voiceHash}`);
-                return voiceHash;
-            }
-            return null;
+            const profile = await this.getProfile(profileId);
+            if (!profile || !input) return null;
+
+            const voiceHash = updateFingerprint(profile.voiceHash, input);
+            await this.updateProfile(profileId, { voiceHash });
+            console.log(`[ProfileManager] Updated voice fingerprint for ${profileId}: ${voiceHash.digest} (${voiceHash.samples} samples)`);
+            return voiceHash;
         } catch (error) {
             console.error(`[ProfileManager] Error updating voice hash:`, error.message);
             return null;
@@ -1336,18 +1552,29 @@ class ProfileManager {
             const allProfiles = await this.getAllProfiles();
             const similarProfiles = [];
 
+            const targetHasVoice = hasEvidence(targetProfile.voiceHash);
+
             for (const profile of allProfiles) {
                 if (profile.id === targetProfileId) continue;
 
-                const similarity = await this.calculateTextSimilarity(
+                const textSimilarity = await this.calculateTextSimilarity(
                     targetProfile.patterns?.[0]?.note || '',
                     profile
                 );
+                // Both profiles have enough writing to compare styles - that beats one remembered note
+                const voice = targetHasVoice && hasEvidence(profile.voiceHash)
+                    ? compareFingerprints(targetProfile.voiceHash, profile.voiceHash)
+                    : null;
+                const similarity = voice ? voice.score : textSimilarity;
 
                 if (similarity >= threshold) {
                     similarProfiles.push({
                         profileId: profile.id,
                         similarity: similarity,
+                        method: voice ? 'voice' : 'text',
+                        textSimilarity,
+                        voiceSimilarity: voice ? voice.score : null,
+                        voiceFeatures: voice ? voice.features : null,
                         profile: profile
                     });
                 }
@@ -1364,9 +1591,14 @@ class ProfileManager {
         try {
             const profiles = [];
 
-            // Get Chris profile
-            const chrisProfile = await this.getProfile('chris');
-            if (chrisProfile) profiles.push(chrisProfile);
+            // Get anchor profiles
+            const anchorFiles = await fs.readdir(this.profilesPath).catch(() => []);
+            for (const file of anchorFiles) {
+                if (file.endsWith('.json')) {
+                    const profile = await this.getProfile(file.replace('.json', ''));
+                    if (profile) profiles.push(profile);
+                }
+            }
 
             // Get echo profiles
             const echoFiles = await fs.readdir(this.echoesPath).catch(() => []);
@@ -1423,10 +1655,10 @@ class ProfileManager {
             }
 
             // Merge trust links
-            const mergedTrustLinks = [
+            const mergedTrustLinks = settleLinks([
                 ...(targetProfile.trustLinks || []),
                 ...(sourceProfile.trustLinks || [])
-            ];
+            ].filter(link => link.profileId !== targetProfileId && link.profileId !== sourceProfileId));
 
             // Update target profile
             await this.updateProfile(targetProfileId, {
@@ -1436,8 +1668,8 @@ class ProfileManager {
                 recurs: targetProfile.recurs + Math.floor(sourceProfile.recurs * mergeRatio)
             });
 
-            // Delete source profile if it's not Chris or a stub
-            if (sourceProfileId !== 'chris' && !sourceProfile.preloaded) {
+            // Delete source profile if it's not an anchor or a stub
+            if (!sourceProfile.anchor && !sourceProfile.preloaded) {
                 await this.deleteProfile(sourceProfileId);
             }
 
@@ -1452,23 +1684,15 @@ class ProfileManager {
 
     async deleteProfile(profileId) {
         try {
-            if (profileId === 'chris') {
-                console.error('[ProfileManager] Cannot delete Chris profile');
-                return false;
-            }
-
             const profile = await this.getProfile(profileId);
             if (!profile) return false;
 
-            // Delete from appropriate location
-            if (profile.preloaded) {
-                await fs.unlink(path.join(this.stubsPath, `${profileId}.json`));
-            } else {
-                await fs.unlink(path.join(this.echoesPath, `${profileId}.json`));
+            if (profile.anchor) {
+                console.error(`[ProfileManager] Cannot delete anchor profile ${profileId}`);
+                return false;
             }
 
-            // Remove from foreign RAM if exists
-            this.foreignRAM.delete(profileId);
+            await this.removeProfileFile(profileId, profile);
 
             console.log(`[ProfileManager] Deleted profile: ${profileId}`);
             return true;
@@ -1479,6 +1703,118 @@ class ProfileManager {
         }
     }
 
+    // Stub/echo file and foreign RAM entry - never the anchor file at the profiles root
+    async removeProfileFile(profileId, profile) {
+        if (profile.preloaded) {
+            await fs.unlink(path.join(this.stubsPath, `${profileId}.json`)).catch(() => {});
+        } else {
+            await fs.unlink(path.join(this.echoesPath, `${profileId}.json`)).catch(() => {});
+        }
+
+        // Remove from foreign RAM if exists
+        this.foreignRAM.delete(profileId);
+        this.cache.invalidateProfile(profileId);
+    }
+
+    /**
+     * Give an echo (usually an unnamed foreign-<ts> one) a real id once we know who it is.
+     * Anchors and stubs keep their ids, and the new id must not be taken.
+     * @returns {Promise<Object|null>} the renamed profile
+     */
+    async renameProfile(profileId, newId, { name = null } = {}) {
+        try {
+            const profile = await this.getProfile(profileId);
+            if (!profile || profile.anchor || profile.preloaded) {
+                console.error(`[ProfileManager] Cannot rename ${profileId} - not an echo profile`);
+                return null;
+            }
+            if (await this.getProfile(newId)) {
+                console.error(`[ProfileManager] Cannot rename ${profileId} - ${newId} already exists`);
+                return null;
+            }
+
+            const renamed = {
+                ...profile,
+                id: newId,
+                name: name || newId,
+                previousIds: [...(profile.previousIds || []), profileId],
+                lastSeen: new Date().toISOString()
+            };
+            await fs.writeFile(path.join(this.echoesPath, `${newId}.json`), JSON.stringify(renamed, null, 2), 'utf8');
+            await this.removeProfileFile(profileId, profile);
+            this.cache.invalidateSimilarities(profileId);
+
+            console.log(`[ProfileManager] Renamed echo ${profileId} -> ${newId}`);
+            return renamed;
+        } catch (error) {
+            console.error(`[ProfileManager] Error renaming profile ${profileId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write a profile brought in from another instance (profile archive import). Anchors go
+     * to the profiles root, stubs to stubs/, everything else - foreign profiles included - becomes an echo.
+     * @returns {Promise<Object>} the stored profile
+     */
+    async restoreProfile(profile) {
+        const stored = { ...profile };
+        await this.writeProfileFile(stored);
+        this.foreignRAM.delete(stored.id);
+        this.cache.invalidateSimilarities(stored.id);
+
+        console.log(`[ProfileManager] Restored profile: ${stored.id}`);
+        return stored;
+    }
+
+    /**
+     * Right-to-be-forgotten: remove the profile wherever it lives (anchor file included) and
+     * every trust link other profiles hold to it.
+     * @returns {Promise<{ profile: boolean, trustLinks: number }>}
+     */
+    async purgeProfile(profileId) {
+        let removed = this.foreignRAM.delete(profileId);
+        for (const dir of [this.profilesPath, this.echoesPath, this.stubsPath, this.foreignPath]) {
+            try {
+                await fs.unlink(path.join(dir, `${profileId}.json`));
+                removed = true;
+            } catch (error) {
+                // Not stored here
+            }
+        }
+        this.cache.invalidateProfile(profileId);
+        this.cache.invalidateSimilarities(profileId);
+
+        let trustLinks = 0;
+        for (const profile of await this.getAllProfiles()) {
+            const links = (profile.trustLinks || []).filter(link => link.profileId !== profileId);
+            if (links.length === (profile.trustLinks || []).length) continue;
+            trustLinks += profile.trustLinks.length - links.length;
+            profile.trustLinks = links;
+            if (this.foreignRAM.has(profile.id)) continue; // the RAM copy is the profile
+            await this.writeProfileFile(profile);
+        }
+
+        console.log(`[ProfileManager] Purged profile ${profileId} (${trustLinks} trust links to it removed)`);
+        return { profile: removed, trustLinks };
+    }
+
+    // Save a profile where its kind lives, without touching lastSeen (see updateProfile)
+    async writeProfileFile(profile) {
+        let filePath;
+        if (profile.anchor) {
+            filePath = path.join(this.profilesPath, `${profile.id}.json`);
+        } else if (profile.preloaded) {
+            filePath = path.join(this.stubsPath, `${profile.id}.json`);
+        } else {
+            filePath = path.join(this.echoesPath, `${profile.id}.json`);
+        }
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(profile, null, 2), 'utf8');
+        this.cache.invalidateProfile(profile.id);
+    }
+
     // ============= PROFILE ANALYTICS =============
 
     async getProfileAnalytics(profileId) {
@@ -1496,8 +1832,8 @@ class ProfileManager {
                 toneBaselineSize: Object.keys(profile.toneBaseline || {}).length,
                 lastSeen: profile.lastSeen,
                 created: profile.firstSeen || profile.patterns?.[0]?.event,
-                voiceHash: profile.voiceHash,
-                isAnchor: profileId === 'chris',
+                voiceFingerprint: summarizeFingerprint(profile.voiceHash),
+                isAnchor: !!profile.anchor,
                 isPreloaded: profile.preloaded || false
             };
 
@@ -1514,9 +1850,9 @@ class ProfileManager {
             
             const analytics = {
                 totalProfiles: allProfiles.length,
-                anchorProfiles: allProfiles.filter(p => p.id === 'chris').length,
-                echoProfiles: allProfiles.filter(p => !p.preloaded && p.id !== 'chris').length,
-                stubProfiles: allProfiles.filter(p => p.preloaded).length,
+                anchorProfiles: allProfiles.filter(p => p.anchor).length,
+                echoProfiles: allProfiles.filter(p => !p.preloaded && !p.anchor).length,
+                stubProfiles: allProfiles.filter(p => p.preloaded && !p.anchor).length,
                 foreignProfiles: this.foreignRAM.size,
                 totalInteractions: allProfiles.reduce((sum, p) => sum + (p.recurs || 0), 0),
                 avgInteractionsPerProfile: 0,
@@ -1680,6 +2016,26 @@ class ProfileManager {
         return false;
     }
     
+    async startMemoryConsolidation(consolidator) {
+        if (!this.backgroundServices) return false;
+        this.backgroundServices.setConsolidator(consolidator);
+        return await this.backgroundServices.startConsolidationService(false);
+    }
+    
+    async performConsolidation() {
+        return this.backgroundServices ? await this.backgroundServices.performConsolidation() : null;
+    }
+    
+    async startRetention(retentionManager) {
+        if (!this.backgroundServices) return false;
+        this.backgroundServices.setRetentionManager(retentionManager);
+        return await this.backgroundServices.startRetentionService(false);
+    }
+    
+    async performRetention() {
+        return this.backgroundServices ? await this.backgroundServices.performRetention() : null;
+    }
+    
     async performHealthCheck() {
         return this.backgroundServices ? await this.backgroundServices.performHealthCheck() : null;
     }
@@ -1693,4 +2049,13 @@ class ProfileManager {
     }
 }
 
+// Highest-scoring candidates first, capped so traces stay readable with many echoes
+function topCandidates(candidates, limit = 5) {
+    return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 module.exports = ProfileManager;
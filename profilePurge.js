@@ -0,0 +1,406 @@
+/**
+ * Profile Purge
+ * Right-to-be-forgotten: a hard delete of one profile across every store, ending in a
+ * deletion certificate.
+ *
+ *   removed    - profile file and trust links to it, clint.db rows (messages, telemetry,
+ *                episodes, facts, sessions, echo candidates), retracted-fact records,
+ *                profile-isolated memory, semantic memories, Chroma documents, post-response
+ *                reflections, open loops, ClintMemory's thread and person entry, legacy
+ *                sessions.json / raw_logs lines
+ *   anonymized - shared text that cannot be split per profile (journals, daily and automatic
+ *                reflections, digests, ClintMemory context snapshots): the profile's name and
+ *                id are replaced with "[removed]" - in prose only their exact stored forms, and
+ *                never when they are also common words ("Will", "Hope"); in JSON also wherever a
+ *                person field (speaker, profileId, people...) names the profile
+ *   rebuilt    - search index, semantic clusters (as memories leave them), profile database
+ *                indexes, trust graph and privacy guard caches
+ *
+ * Every step runs even if an earlier one fails; failures are listed in the certificate
+ * (status "partial") and a re-run picks up whatever is left. Certificates hold counts, never
+ * the removed content, and are kept in telemetry without a profile so they outlive the purge;
+ * each carries a sha256 digest of its body, checked when it is read back.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { RETRACTED_FACTS_KEY } = require('./memoryConsolidator');
+
+const CERTIFICATE_KIND = 'purge-certificate';
+const REDACTION = '[removed]';
+const MIN_NAME_LENGTH = 3; // shorter names would anonymize ordinary words
+
+// Names that are also everyday words: in prose "Will you..." or "Hope so" says nothing about the
+// profile, so these are only redacted where a person field holds them
+const COMMON_WORDS = new Set([
+    'will', 'hope', 'mark', 'grace', 'faith', 'joy', 'may', 'june', 'april', 'august', 'rose',
+    'bill', 'pat', 'sue', 'art', 'frank', 'rich', 'dawn', 'summer', 'autumn', 'ray', 'jack',
+    'max', 'chase', 'hunter', 'lily', 'ivy', 'iris', 'sky', 'river', 'storm', 'sunny', 'amber',
+    'ruby', 'pearl', 'penny', 'holly', 'rob', 'drew', 'gene', 'guy', 'don', 'bob', 'lee',
+    'dean', 'grant', 'wade', 'miles', 'reed', 'rusty', 'rocky', 'buck', 'cliff', 'glen', 'dale',
+    'robin', 'jay', 'hazel', 'olive', 'heather', 'violet', 'poppy', 'angel', 'justice', 'honor',
+    'brook', 'sage', 'clay', 'stone', 'forest', 'page', 'carol', 'sandy', 'misty', 'harmony'
+]);
+
+// JSON keys whose values (or, for maps like people_mentioned, whose keys) name a person
+const PERSON_FIELDS = new Set(['profileId', 'userId', 'speaker', 'person', 'author', 'name', 'participants', 'people', 'people_mentioned']);
+
+// Shared text stores, relative to the storage path
+const ANONYMIZED_DIRS = ['journal', 'daily_reflections', 'auto_reflections', 'digests', path.join('memory', 'context')];
+
+class ProfilePurgeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfilePurgeError';
+        this.status = status;
+    }
+}
+
+class ProfilePurge {
+    /**
+     * @param {Object} options
+     * @param {string} options.storagePath
+     * @param {ConversationStore} options.store
+     * @param {ProfileManager} options.profileManager
+     * @param {ProfileIsolatedMemory} [options.isolatedMemory]
+     * @param {IntelligentRetrieval} [options.retrieval]
+     * @param {KnowledgeSystem} [options.knowledgeSystem]
+     * @param {ClintMemory} [options.memory]
+     * @param {SearchIndex} [options.searchIndex]
+     * @param {TrustGraph} [options.trustGraph]
+     * @param {PrivacyGuard} [options.privacyGuard]
+     * @param {OpenLoopTracker} [options.openLoops]
+     * @param {Function} [options.protectedIds] - () => profile ids that may never be purged
+     */
+    constructor({ storagePath, store, profileManager, isolatedMemory = null, retrieval = null, knowledgeSystem = null, memory = null, searchIndex = null, trustGraph = null, privacyGuard = null, openLoops = null, protectedIds = () => [] }) {
+        this.storagePath = storagePath;
+        this.store = store;
+        this.profileManager = profileManager;
+        this.isolatedMemory = isolatedMemory;
+        this.retrieval = retrieval;
+        this.knowledgeSystem = knowledgeSystem;
+        this.memory = memory;
+        this.searchIndex = searchIndex;
+        this.trustGraph = trustGraph;
+        this.privacyGuard = privacyGuard;
+        this.openLoops = openLoops;
+        this.protectedIds = protectedIds;
+        this.running = new Set();
+    }
+
+    get semanticMemory() {
+        return this.retrieval ? this.retrieval.semanticMemory : null;
+    }
+
+    /**
+     * Purge a profile. Works on leftovers too: a profile whose file is already gone
+     * still has its rows, memories and files removed.
+     * @param {string} profileId
+     * @param {Object} [options]
+     * @param {string} [options.requestedBy] - username, for the certificate
+     * @param {string} [options.reason]
+     * @returns {Promise<Object>} the deletion certificate
+     */
+    async purge(profileId, { requestedBy = null, reason = null } = {}) {
+        if (!profileId || typeof profileId !== 'string') {
+            throw new ProfilePurgeError('profileId is required');
+        }
+        if ((this.protectedIds() || []).includes(profileId)) {
+            throw new ProfilePurgeError(`Profile ${profileId} is protected and cannot be purged`, 403);
+        }
+        if (this.store.getUserByProfileId(profileId)) {
+            throw new ProfilePurgeError(`Profile ${profileId} belongs to an account - delete the account first`, 409);
+        }
+        if (this.running.has(profileId)) {
+            throw new ProfilePurgeError(`A purge of ${profileId} is already running`, 409);
+        }
+
+        this.running.add(profileId);
+        try {
+            return await this.run(profileId, { requestedBy, reason });
+        } finally {
+            this.running.delete(profileId);
+        }
+    }
+
+    async run(profileId, { requestedBy, reason }) {
+        const startedAt = new Date().toISOString();
+        const profile = await this.profileManager.getProfile(profileId);
+        const names = redactableNames(profileId, profile);
+        const removed = {};
+        const anonymized = {};
+        const rebuilt = [];
+        const errors = [];
+
+        const step = async (name, action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.error(`[ProfilePurge] ${name} failed for ${profileId}:`, error.message);
+                errors.push({ step: name, error: error.message });
+            }
+        };
+
+        // Stores first, so the semantic copies of facts and messages go with them
+        await step('profile', async () => {
+            const result = await this.profileManager.purgeProfile(profileId);
+            removed.profile = result.profile ? 1 : 0;
+            removed.trustLinksToProfile = result.trustLinks;
+        });
+        await step('conversationStore', async () => {
+            Object.assign(removed, this.store.purgeProfile(profileId));
+            const retracted = this.store.getValue(RETRACTED_FACTS_KEY, []);
+            const kept = retracted.filter(fact => fact.profileId !== profileId);
+            removed.retractedFacts = retracted.length - kept.length;
+            if (removed.retractedFacts > 0) this.store.setValue(RETRACTED_FACTS_KEY, kept);
+        });
+        if (this.isolatedMemory) {
+            await step('isolatedMemory', async () => {
+                removed.isolatedMemory = await this.isolatedMemory.deleteProfileRecords(profileId);
+            });
+        }
+        if (this.semanticMemory) {
+            await step('semanticMemory', async () => {
+                await this.retrieval.initialize();
+                const ids = Array.from(this.semanticMemory.memoryIndex.values())
+                    .filter(memory => memory.metadata?.profileId === profileId)
+                    .map(memory => memory.id);
+                removed.semanticMemories = await this.semanticMemory.deleteMemories(ids);
+                rebuilt.push('semantic clusters');
+            });
+        }
+        if (this.knowledgeSystem && this.knowledgeSystem.collection) {
+            await step('knowledgeSystem', async () => {
+                removed.chromaDocuments = await this.knowledgeSystem.deleteUserDocuments(profileId);
+            });
+        }
+        await step('reflections', async () => {
+            removed.reflectionFiles = await this.removeReflections(profileId);
+        });
+        if (this.openLoops) {
+            await step('openLoops', async () => {
+                removed.openLoops = await this.openLoops.deleteProfileLoops(profileId);
+            });
+        }
+        if (this.memory) {
+            await step('clintMemory', async () => {
+                Object.assign(removed, await this.purgeClintMemory(profileId, names));
+            });
+        }
+        await step('legacyFiles', async () => {
+            Object.assign(removed, await this.purgeLegacyFiles(profileId));
+        });
+
+        // Shared text: journals and the like are about conversations, not filed per profile
+        await step('anonymize', async () => {
+            Object.assign(anonymized, await this.anonymizeSharedText(names));
+        });
+
+        await step('indexes', async () => {
+            if (this.searchIndex) {
+                await this.searchIndex.build();
+                rebuilt.push('search index');
+            }
+            if (await this.profileManager.buildDatabaseIndexes()) rebuilt.push('profile database indexes');
+            if (this.trustGraph) this.trustGraph.invalidate();
+            if (this.privacyGuard) this.privacyGuard.invalidate();
+        });
+
+        const body = {
+            id: `purge_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            profileId,
+            requestedBy,
+            reason,
+            startedAt,
+            completedAt: new Date().toISOString(),
+            status: errors.length === 0 ? 'complete' : 'partial',
+            removed,
+            anonymized,
+            rebuilt,
+            retained: ['audit log entries (administrative actions, including this purge)'],
+            errors
+        };
+        const certificate = { ...body, digest: digest(body) };
+
+        this.store.appendTelemetry(CERTIFICATE_KIND, { certificate });
+        console.log(`[ProfilePurge] Purged ${profileId} (${certificate.status}) - certificate ${certificate.id}`);
+        return certificate;
+    }
+
+    // Post-response reflections are one file each: reflection_<ts>_<profileId>.json
+    async removeReflections(profileId) {
+        const dir = path.join(this.storagePath, 'reflections');
+        const files = await fs.readdir(dir).catch(() => []);
+        let count = 0;
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const filePath = path.join(dir, file);
+            let owner = null;
+            try {
+                owner = JSON.parse(await fs.readFile(filePath, 'utf8')).profile;
+            } catch (error) {
+                owner = file.endsWith(`_${profileId}.json`) ? profileId : null;
+            }
+            if (owner !== profileId) continue;
+            await fs.unlink(filePath);
+            count++;
+        }
+        return count;
+    }
+
+    // Thread messages from the profile, and the person entry others' mentions of them built up
+    async purgeClintMemory(profileId, names) {
+        const layers = this.memory.layers || {};
+        const thread = layers.immediate || [];
+        const kept = thread.filter(message => message.profileId !== profileId);
+        layers.immediate = kept;
+
+        const people = layers.profile?.people_mentioned || {};
+        const lowered = new Set(names.map(name => name.toLowerCase()));
+        const persons = Object.keys(people).filter(person => lowered.has(person.toLowerCase()));
+        persons.forEach(person => delete people[person]);
+
+        const result = { clintMemoryThread: thread.length - kept.length, clintMemoryPeople: persons.length };
+        if (result.clintMemoryThread > 0 || result.clintMemoryPeople > 0) await this.memory.saveMemory();
+        return result;
+    }
+
+    // sessions.json and raw_logs were imported into clint.db once, but the files stay on disk
+    async purgeLegacyFiles(profileId) {
+        const result = { legacySessionMessages: 0, legacyTelemetryLines: 0 };
+
+        const sessionsPath = path.join(this.storagePath, 'sessions.json');
+        try {
+            const sessions = JSON.parse(await fs.readFile(sessionsPath, 'utf8'));
+            const messages = sessions.unified?.messages || [];
+            const kept = messages.filter(message => message.profileId !== profileId);
+            if (kept.length < messages.length) {
+                sessions.unified.messages = kept;
+                await fs.writeFile(sessionsPath, JSON.stringify(sessions, null, 2), 'utf8');
+                result.legacySessionMessages = messages.length - kept.length;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const logsPath = path.join(this.storagePath, 'raw_logs');
+        const logs = (await fs.readdir(logsPath).catch(() => [])).filter(f => /^telemetry_.*\.jsonl$/.test(f));
+        for (const file of logs) {
+            const filePath = path.join(logsPath, file);
+            const lines = (await fs.readFile(filePath, 'utf8')).split('\n');
+            const kept = lines.filter(line => {
+                try {
+                    return !line.trim() || JSON.parse(line).profileId !== profileId;
+                } catch (error) {
+                    return true;
+                }
+            });
+            if (kept.length === lines.length) continue;
+            await fs.writeFile(filePath, kept.join('\n'), 'utf8');
+            result.legacyTelemetryLines += lines.length - kept.length;
+        }
+
+        return result;
+    }
+
+    async anonymizeSharedText(names) {
+        const result = { files: 0, replacements: 0 };
+        if (names.length === 0) return result;
+
+        const named = new Set(names.map(name => name.toLowerCase()));
+        const proseNames = names.filter(name => !COMMON_WORDS.has(name.toLowerCase()));
+        const pattern = proseNames.length > 0 ? new RegExp(`\\b(${proseNames.map(escapeRegExp).join('|')})\\b`, 'g') : null;
+        for (const dir of ANONYMIZED_DIRS) {
+            const dirPath = path.join(this.storagePath, dir);
+            const files = await fs.readdir(dirPath).catch(() => []);
+            for (const file of files.filter(f => /\.(json|md|txt)$/.test(f))) {
+                const filePath = path.join(dirPath, file);
+                const text = await fs.readFile(filePath, 'utf8');
+                let replacements = 0;
+                const redact = () => {
+                    replacements++;
+                    return REDACTION;
+                };
+                const redactProse = value => (pattern ? value.replace(pattern, redact) : value);
+
+                let redacted;
+                const data = file.endsWith('.json') ? parseJson(text) : undefined;
+                if (data !== undefined) {
+                    const walk = (value, key) => {
+                        if (typeof value === 'string') {
+                            return PERSON_FIELDS.has(key) && named.has(value.toLowerCase()) ? redact() : redactProse(value);
+                        }
+                        if (Array.isArray(value)) return value.map(item => walk(item, key));
+                        if (!value || typeof value !== 'object') return value;
+                        return Object.fromEntries(Object.entries(value).map(([field, inner]) => [
+                            PERSON_FIELDS.has(key) && named.has(field.toLowerCase()) ? redact() : redactProse(field),
+                            walk(inner, field)
+                        ]));
+                    };
+                    redacted = JSON.stringify(walk(data, null), null, 2);
+                } else {
+                    redacted = redactProse(text);
+                }
+                if (replacements === 0) continue;
+                await fs.writeFile(filePath, redacted, 'utf8');
+                result.files++;
+                result.replacements += replacements;
+            }
+        }
+        return result;
+    }
+
+    // ============= CERTIFICATES =============
+
+    getCertificates({ profileId = null, limit = 50 } = {}) {
+        return this.store.getTelemetry({ kind: CERTIFICATE_KIND, newestFirst: true, limit: 10000 })
+            .map(entry => entry.certificate)
+            .filter(certificate => !profileId || certificate.profileId === profileId)
+            .slice(0, limit);
+    }
+
+    getCertificate(certificateId) {
+        const certificate = this.store.getTelemetry({ kind: CERTIFICATE_KIND, limit: 10000 })
+            .map(entry => entry.certificate)
+            .find(candidate => candidate.id === certificateId);
+        if (!certificate) return null;
+        const { digest: recorded, ...body } = certificate;
+        return { ...certificate, verified: recorded === digest(body) };
+    }
+}
+
+// ============= HELPERS =============
+
+/**
+ * Names the profile goes by: its id (when it is not a generated one), display name and
+ * earlier ids. Ids like foreign-<ts> never appear in prose, so they are left out.
+ */
+function redactableNames(profileId, profile) {
+    const candidates = [profileId, profile?.name, ...(profile?.previousIds || [])];
+    const names = new Set();
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string' || candidate.length < MIN_NAME_LENGTH) continue;
+        if (/^(foreign|echo)-\d+$/.test(candidate)) continue;
+        names.add(candidate);
+        names.add(candidate.charAt(0).toUpperCase() + candidate.slice(1));
+    }
+    return [...names];
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function digest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { ProfilePurge, ProfilePurgeError };
@@ -0,0 +1,343 @@
+/**
+ * Reflection Scheduler
+ * Decides when Clint reflects, from live signals instead of a turn count:
+ *
+ *   loop-risk       - loopRiskIndex (how many of his recent replies recycle the current one) is high or rising
+ *   low-integrity   - braidingIntegrityIndex (pre-response clarity braided with reply variety) stays below 0.7
+ *   poor-assessment - several recent self-assessments came out "poor"
+ *   idle            - the conversation has gone quiet after enough unreflected turns
+ *   daily           - the nightly reflection
+ *
+ * Every reflection passes the same gates: one at a time, a minimum gap between reflections,
+ * hourly and daily caps, a daily token budget and a per-profile cooldown. What fired (and why)
+ * is kept in clint.db so limits survive restarts; skipped decisions are not logged anywhere,
+ * so a stuck signal cannot flood telemetry.
+ */
+
+const STATE_KEY = 'reflection.scheduler';
+const MAX_HISTORY = 50;
+const SIGNAL_WINDOW = 5;
+
+const DEFAULT_LIMITS = {
+    minIntervalMs: 10 * 60 * 1000, // between any two reflections
+    maxPerHour: 2,
+    maxPerDay: 8,
+    dailyTokenBudget: 20000,
+    estimatedTokens: 1500, // charged when the reflection reports no usage (missing or 0 tokens)
+    profileCooldownMs: 2 * 60 * 60 * 1000
+};
+
+const DEFAULT_THRESHOLDS = {
+    loopRisk: 3, // loopRiskIndex at or above this fires; two rises in a row fire from 2
+    braidingIntegrity: 0.7,
+    poorAssessments: 3, // "poor" self-assessments among the last SIGNAL_WINDOW
+    minTurns: 3, // unreflected turns a signal needs before it may fire
+    idleMs: 20 * 60 * 1000,
+    idleMinTurns: 6
+};
+
+class ReflectionScheduler {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - state (history, budget, cooldowns) in kv
+     * @param {SessionManager} [options.sessionManager] - lastUserInputTime for idle detection
+     * @param {Function} options.reflect - async ({ profileId, trigger, reasons, signals }) => { usage? } - does the reflecting
+     * @param {Object} [options.limits] - overrides for DEFAULT_LIMITS
+     * @param {Object} [options.thresholds] - overrides for DEFAULT_THRESHOLDS
+     * @param {number} [options.idleCheckIntervalMs] - how often start() checks for idle conversations
+     * @param {boolean} [options.enabled] - false still computes signals and metrics but never reflects
+     */
+    constructor({ store, sessionManager = null, reflect, limits = {}, thresholds = {}, idleCheckIntervalMs = 5 * 60 * 1000, enabled = true }) {
+        this.store = store;
+        this.enabled = enabled;
+        this.sessionManager = sessionManager;
+        this.reflect = reflect;
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+        this.idleCheckIntervalMs = idleCheckIntervalMs;
+        this.idleTimer = null;
+
+        this.signals = new Map(); // profileId -> { lri, bii, clarity, assessments, turnsSinceReflection, lastTurnAt }
+        this.inFlight = null;
+        this.stats = { turnsRecorded: 0, fired: 0, skipped: {}, failed: 0 };
+    }
+
+    // ============= SIGNALS =============
+
+    /**
+     * Record one finished turn and reflect if its signals call for it (the reflection runs in
+     * the background - the reply is never held up).
+     * @param {string} profileId
+     * @param {Object} turn
+     * @param {string} turn.responseText - the reply just sent
+     * @param {string[]} [turn.recentResponses] - Clint's previous replies to this profile, oldest first
+     * @param {number} [turn.clarity] - pre-response monologue clarity (0-1)
+     * @param {Object} [turn.assessment] - the self-assessment of the reply ({ quality })
+     * @param {boolean} [turn.recursiveLoop] - the anti-recursion check fired this turn
+     * @returns {{ diagnosticMetrics: Object, decision: Object }}
+     */
+    recordTurn(profileId, { responseText = '', recentResponses = [], clarity = null, assessment = null, recursiveLoop = false } = {}) {
+        const state = this.profileSignals(profileId);
+        const diagnosticMetrics = computeDiagnosticMetrics({ responseText, recentResponses, clarityHistory: [...state.clarity, clarity], recursiveLoop });
+
+        push(state.lri, diagnosticMetrics.loopRiskIndex);
+        push(state.bii, diagnosticMetrics.braidingIntegrityIndex);
+        if (typeof clarity === 'number') push(state.clarity, clarity);
+        if (assessment?.quality) push(state.assessments, assessment.quality);
+        state.turnsSinceReflection++;
+        state.lastTurnAt = Date.now();
+        this.stats.turnsRecorded++;
+
+        const decision = this.evaluate(profileId);
+        if (decision.fire) {
+            this.fire(profileId, 'signals', decision.reasons).catch(() => {});
+        }
+        return { diagnosticMetrics, decision };
+    }
+
+    profileSignals(profileId) {
+        if (!this.signals.has(profileId)) {
+            this.signals.set(profileId, { lri: [], bii: [], clarity: [], assessments: [], turnsSinceReflection: 0, lastTurnAt: null });
+        }
+        return this.signals.get(profileId);
+    }
+
+    /**
+     * Which signals are raised for a profile and whether a reflection may run now.
+     * @returns {{ fire: boolean, reasons: string[], blockedBy: string|null, signals: Object }}
+     */
+    evaluate(profileId, { idle = false } = {}) {
+        const state = this.profileSignals(profileId);
+        const reasons = [];
+        const t = this.thresholds;
+
+        const lri = state.lri;
+        const latestLri = lri[lri.length - 1] || 0;
+        const rising = lri.length >= 3 && lri[lri.length - 3] < lri[lri.length - 2] && lri[lri.length - 2] < latestLri;
+        if (latestLri >= t.loopRisk || (rising && latestLri >= t.loopRisk - 1)) reasons.push('loop-risk');
+
+        const recentBii = state.bii.slice(-3);
+        if (recentBii.length === 3 && average(recentBii) < t.braidingIntegrity) reasons.push('low-integrity');
+
+        if (state.assessments.filter(quality => quality === 'poor').length >= t.poorAssessments) reasons.push('poor-assessment');
+        if (idle) reasons.push('idle');
+
+        const signals = {
+            loopRiskIndex: latestLri,
+            loopRiskRising: rising,
+            braidingIntegrityIndex: recentBii.length > 0 ? round(average(recentBii)) : null,
+            poorAssessments: state.assessments.filter(quality => quality === 'poor').length,
+            turnsSinceReflection: state.turnsSinceReflection
+        };
+
+        if (reasons.length === 0) return { fire: false, reasons, blockedBy: null, signals };
+        const minTurns = idle ? t.idleMinTurns : t.minTurns;
+        if (state.turnsSinceReflection < minTurns) return { fire: false, reasons, blockedBy: 'min-turns', signals };
+
+        const blockedBy = this.gate(profileId);
+        return { fire: !blockedBy, reasons, blockedBy, signals };
+    }
+
+    // ============= GATES =============
+
+    /**
+     * The first limit that stops a reflection for this profile right now, or null.
+     */
+    gate(profileId, now = Date.now()) {
+        if (!this.enabled) return 'disabled';
+        if (this.inFlight) return 'in-progress';
+
+        const state = this.loadState();
+        const fired = state.history.map(entry => Date.parse(entry.at));
+        const last = fired.length > 0 ? Math.max(...fired) : 0;
+        if (now - last < this.limits.minIntervalMs) return 'min-interval';
+        if (fired.filter(at => now - at < 60 * 60 * 1000).length >= this.limits.maxPerHour) return 'hourly-limit';
+        if (fired.filter(at => now - at < 24 * 60 * 60 * 1000).length >= this.limits.maxPerDay) return 'daily-limit';
+
+        const budget = this.budgetFor(state, now);
+        if (budget.used + this.limits.estimatedTokens > this.limits.dailyTokenBudget) return 'token-budget';
+
+        const lastForProfile = state.lastReflectionAt[profileId] ? Date.parse(state.lastReflectionAt[profileId]) : 0;
+        if (now - lastForProfile < this.limits.profileCooldownMs) return 'cooldown';
+        return null;
+    }
+
+    budgetFor(state, now = Date.now()) {
+        const day = new Date(now).toISOString().split('T')[0];
+        return state.budget.day === day ? state.budget : { day, used: 0 };
+    }
+
+    // ============= FIRING =============
+
+    /**
+     * Run one reflection if the gates allow it.
+     * @returns {Promise<Object|null>} the history entry, or null when skipped
+     */
+    async fire(profileId, trigger, reasons = []) {
+        const blockedBy = this.gate(profileId);
+        if (blockedBy) {
+            this.stats.skipped[blockedBy] = (this.stats.skipped[blockedBy] || 0) + 1;
+            return null;
+        }
+
+        const state = this.profileSignals(profileId);
+        const signals = this.evaluate(profileId).signals;
+        const entry = { profileId, trigger, reasons, signals, at: new Date().toISOString(), tokens: this.limits.estimatedTokens, status: 'running' };
+        this.inFlight = entry;
+        console.log(`[ReflectionScheduler] Reflecting for ${profileId} (${trigger}: ${reasons.join(', ') || 'scheduled'})`);
+
+        try {
+            const result = await this.reflect({ profileId, trigger, reasons, signals });
+            // Reported usage is charged as is; a report of nothing (missing or 0 tokens) keeps the estimate,
+            // so a reflection whose usage went unrecorded can't spend the budget for free
+            const usage = result?.usage;
+            const reported = usage ? (usage.promptTokens || 0) + (usage.completionTokens || 0) : 0;
+            if (reported > 0) {
+                entry.tokens = reported;
+            }
+            entry.status = 'complete';
+            this.stats.fired++;
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            this.stats.failed++;
+            console.error(`[ReflectionScheduler] Reflection for ${profileId} failed:`, error.message);
+        } finally {
+            this.inFlight = null;
+        }
+
+        // Failed reflections still count against the limits - a failing model must not be retried every turn
+        state.turnsSinceReflection = 0;
+        state.lri.length = 0;
+        state.bii.length = 0;
+        state.assessments.length = 0;
+        this.recordFired(entry);
+        return entry;
+    }
+
+    recordFired(entry) {
+        const state = this.loadState();
+        const budget = this.budgetFor(state, Date.parse(entry.at));
+        state.budget = { day: budget.day, used: budget.used + entry.tokens };
+        state.lastReflectionAt[entry.profileId] = entry.at;
+        state.history = [...state.history, entry].slice(-MAX_HISTORY);
+        this.store.setValue(STATE_KEY, state);
+    }
+
+    /**
+     * Reflect for profiles whose conversation has gone quiet (no user input for idleMs)
+     * after at least idleMinTurns unreflected turns. Reflections run one at a time.
+     */
+    async checkIdle(now = Date.now()) {
+        const lastInput = this.sessionManager?.lastUserInputTime || null;
+        const fired = [];
+        for (const [profileId, state] of this.signals) {
+            const lastActivity = Math.max(lastInput || 0, state.lastTurnAt || 0);
+            if (!state.lastTurnAt || now - lastActivity < this.thresholds.idleMs) continue;
+
+            const decision = this.evaluate(profileId, { idle: true });
+            if (!decision.fire) continue;
+            const entry = await this.fire(profileId, 'idle', decision.reasons);
+            if (entry) fired.push(entry);
+        }
+        return fired;
+    }
+
+    // The nightly reflection - same limits as every other reflection
+    async requestDaily(profileId = 'system') {
+        return await this.fire(profileId, 'daily', ['daily']);
+    }
+
+    start() {
+        if (this.idleTimer) return;
+        this.idleTimer = setInterval(() => {
+            this.checkIdle().catch(error => console.error('[ReflectionScheduler] Idle check failed:', error.message));
+        }, this.idleCheckIntervalMs);
+        if (this.idleTimer.unref) this.idleTimer.unref();
+    }
+
+    stop() {
+        if (this.idleTimer) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    // ============= STATUS =============
+
+    loadState() {
+        const saved = this.store.getValue(STATE_KEY, {});
+        return {
+            history: Array.isArray(saved.history) ? saved.history : [],
+            budget: saved.budget || { day: null, used: 0 },
+            lastReflectionAt: saved.lastReflectionAt || {}
+        };
+    }
+
+    getStatus() {
+        const state = this.loadState();
+        const budget = this.budgetFor(state);
+        const profiles = {};
+        for (const profileId of this.signals.keys()) {
+            const { signals, reasons, blockedBy } = this.evaluate(profileId);
+            profiles[profileId] = { ...signals, raised: reasons, blockedBy, lastReflectionAt: state.lastReflectionAt[profileId] || null };
+        }
+        return {
+            enabled: this.enabled,
+            limits: this.limits,
+            thresholds: this.thresholds,
+            running: this.inFlight,
+            tokenBudget: { day: budget.day, used: budget.used, remaining: Math.max(0, this.limits.dailyTokenBudget - budget.used) },
+            profiles,
+            recent: state.history.slice(-10).reverse(),
+            stats: this.stats
+        };
+    }
+}
+
+// ============= HELPERS =============
+
+/**
+ * Per-turn diagnostics for reflection and the reflection emitter:
+ * - loopRiskIndex: 0-5, how many of the last five replies share most of their words with this one
+ *   (+1 when the anti-recursion check fired)
+ * - braidingIntegrityIndex: 0-1, mean recent monologue clarity braided with how different this
+ *   reply is from the one most like it
+ */
+function computeDiagnosticMetrics({ responseText = '', recentResponses = [], clarityHistory = [], recursiveLoop = false }) {
+    const current = wordSet(responseText);
+    const overlaps = recentResponses.slice(-5).map(previous => jaccard(current, wordSet(previous)));
+    const loopRiskIndex = Math.min(5, overlaps.filter(overlap => overlap >= 0.3).length + (recursiveLoop ? 1 : 0));
+
+    const clarity = clarityHistory.filter(value => typeof value === 'number').slice(-SIGNAL_WINDOW);
+    const variety = 1 - (overlaps.length > 0 ? Math.max(...overlaps) : 0);
+    const braidingIntegrityIndex = round(0.6 * (clarity.length > 0 ? average(clarity) : 0.5) + 0.4 * variety);
+
+    return { loopRiskIndex, braidingIntegrityIndex };
+}
+
+function wordSet(text) {
+    return new Set((String(text || '').toLowerCase().match(/[a-z']{4,}/g) || []));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) if (b.has(word)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+function push(list, value) {
+    list.push(value);
+    if (list.length > SIGNAL_WINDOW) list.shift();
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { ReflectionScheduler, computeDiagnosticMetrics };
@@ -0,0 +1,455 @@
+/**
+ * Retention Manager
+ * How long Clint keeps what it learns about someone, by profile class:
+ *
+ *   primary / account / system - the instance's own people and Clint itself
+ *   echo                       - named recurring speakers (persisted echo and stub profiles)
+ *   visitor                    - unknown speakers (foreign profiles, and their leftovers once
+ *                                the profile itself has been dropped from RAM)
+ *
+ * Each class maps to a policy (single profiles can be assigned their own). A policy says, per
+ * kind of data, how long it is kept:
+ *
+ *   messages    - clint.db messages, profile-isolated memory, ClintMemory thread entries
+ *   summaries   - episodes, unpinned facts, Chroma personal memories
+ *   embeddings  - unpinned SemanticMemory entries
+ *   reflections - post-response reflection files and Chroma self-reflections
+ *   profile     - the profile itself; when it expires the whole profile is purged (with a certificate)
+ *
+ * Durations are "forever", "session" (until the session ends: no activity for the policy's
+ * sessionTimeout), "none" (removed on every run) or an age such as "12h" / "30d" - the age of
+ * the item, or for `profile` the time since the person was last active.
+ * The job runs from BackgroundServices; policies and assignments live in clint.db (kv).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONFIG_KEY = 'retention.config';
+const LAST_RUN_KEY = 'retention.lastRun';
+const PROFILE_CLASSES = ['primary', 'account', 'system', 'echo', 'visitor'];
+const DATA_KINDS = ['messages', 'summaries', 'embeddings', 'reflections', 'profile'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const EVERYTHING = Number.MAX_SAFE_INTEGER; // cutoff that removes every item
+
+const BUILT_IN_POLICIES = {
+    permanent: {
+        description: 'Everything is kept',
+        sessionTimeout: '1h',
+        keep: { messages: 'forever', summaries: 'forever', embeddings: 'forever', reflections: 'forever', profile: 'forever' }
+    },
+    '30-day': {
+        description: 'Items are kept for 30 days; the profile is purged after 30 days without contact',
+        sessionTimeout: '1h',
+        keep: { messages: '30d', summaries: '30d', embeddings: '30d', reflections: '30d', profile: '30d' }
+    },
+    'session-only': {
+        description: 'Kept while the conversation lasts, purged an hour after it ends',
+        sessionTimeout: '1h',
+        keep: { messages: 'session', summaries: 'session', embeddings: 'session', reflections: 'session', profile: 'session' }
+    },
+    ephemeral: {
+        description: 'Nothing is stored beyond the next retention run; the profile goes when the session ends',
+        sessionTimeout: '10m',
+        keep: { messages: 'none', summaries: 'none', embeddings: 'none', reflections: 'none', profile: 'session' }
+    }
+};
+
+const DEFAULT_CLASS_POLICIES = {
+    primary: 'permanent',
+    account: 'permanent',
+    system: 'permanent',
+    echo: 'permanent',
+    visitor: 'session-only'
+};
+
+class RetentionPolicyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RetentionPolicyError';
+        this.status = status;
+    }
+}
+
+class RetentionManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.storagePath
+     * @param {ConversationStore} options.store
+     * @param {ProfileManager} options.profileManager
+     * @param {ProfilePurge} options.profilePurge - expired profiles are purged through it
+     * @param {ProfileIsolatedMemory} [options.isolatedMemory]
+     * @param {IntelligentRetrieval} [options.retrieval]
+     * @param {KnowledgeSystem} [options.knowledgeSystem]
+     * @param {ClintMemory} [options.memory]
+     * @param {SearchIndex} [options.searchIndex]
+     * @param {string[]} [options.systemProfileIds] - Clint's own profiles (class "system")
+     */
+    constructor({ storagePath, store, profileManager, profilePurge, isolatedMemory = null, retrieval = null, knowledgeSystem = null, memory = null, searchIndex = null, systemProfileIds = [] }) {
+        this.storagePath = storagePath;
+        this.store = store;
+        this.profileManager = profileManager;
+        this.profilePurge = profilePurge;
+        this.isolatedMemory = isolatedMemory;
+        this.retrieval = retrieval;
+        this.knowledgeSystem = knowledgeSystem;
+        this.memory = memory;
+        this.searchIndex = searchIndex;
+        this.systemProfileIds = systemProfileIds;
+        this.running = false;
+    }
+
+    get semanticMemory() {
+        return this.retrieval ? this.retrieval.semanticMemory : null;
+    }
+
+    // ============= POLICIES & ASSIGNMENTS =============
+
+    getConfig() {
+        const saved = this.store.getValue(CONFIG_KEY, {});
+        return {
+            policies: saved.policies || {},
+            classes: { ...DEFAULT_CLASS_POLICIES, ...(saved.classes || {}) },
+            profiles: saved.profiles || {}
+        };
+    }
+
+    getPolicies() {
+        const { policies } = this.getConfig();
+        const all = {};
+        for (const [name, policy] of Object.entries(BUILT_IN_POLICIES)) all[name] = { ...policy, builtIn: true };
+        for (const [name, policy] of Object.entries(policies)) all[name] = { ...policy, builtIn: false };
+        return all;
+    }
+
+    describe() {
+        const config = this.getConfig();
+        return {
+            policies: this.getPolicies(),
+            classes: config.classes,
+            profiles: config.profiles,
+            profileClasses: PROFILE_CLASSES,
+            dataKinds: DATA_KINDS,
+            lastRun: this.store.getValue(LAST_RUN_KEY, null)
+        };
+    }
+
+    /**
+     * Create or replace a custom policy. Built-in policies cannot be changed.
+     * @param {string} name
+     * @param {{ description?, sessionTimeout?, keep: Object }} definition
+     */
+    setPolicy(name, { description = '', sessionTimeout = '1h', keep = {} } = {}) {
+        if (!/^[\w-]{1,40}$/.test(name || '')) throw new RetentionPolicyError('Policy names are 1-40 letters, digits, "-" or "_"');
+        if (BUILT_IN_POLICIES[name]) throw new RetentionPolicyError(`"${name}" is a built-in policy and cannot be changed`, 409);
+
+        const timeout = parseDuration(sessionTimeout, 'sessionTimeout');
+        if (timeout.kind !== 'age') throw new RetentionPolicyError('sessionTimeout must be an age such as "30m" or "2h"');
+        const normalized = {};
+        for (const kind of DATA_KINDS) {
+            const value = keep[kind] ?? 'forever';
+            const duration = parseDuration(value, `keep.${kind}`);
+            if (kind === 'profile' && duration.kind === 'none') {
+                throw new RetentionPolicyError('keep.profile cannot be "none" - use "session" to purge the profile when its session ends');
+            }
+            normalized[kind] = String(value);
+        }
+        const unknown = Object.keys(keep).filter(kind => !DATA_KINDS.includes(kind));
+        if (unknown.length > 0) throw new RetentionPolicyError(`Unknown data kinds: ${unknown.join(', ')} (expected ${DATA_KINDS.join(', ')})`);
+
+        const config = this.getConfig();
+        config.policies[name] = { description: String(description), sessionTimeout: String(sessionTimeout), keep: normalized };
+        this.saveConfig(config);
+        console.log(`[RetentionManager] Saved policy ${name}`);
+        return { name, ...config.policies[name], builtIn: false };
+    }
+
+    deletePolicy(name) {
+        if (BUILT_IN_POLICIES[name]) throw new RetentionPolicyError(`"${name}" is a built-in policy and cannot be deleted`, 409);
+        const config = this.getConfig();
+        if (!config.policies[name]) throw new RetentionPolicyError(`Policy ${name} not found`, 404);
+
+        const users = [
+            ...Object.entries(config.classes).filter(([, policy]) => policy === name).map(([profileClass]) => `class ${profileClass}`),
+            ...Object.entries(config.profiles).filter(([, policy]) => policy === name).map(([profileId]) => `profile ${profileId}`)
+        ];
+        if (users.length > 0) throw new RetentionPolicyError(`Policy ${name} is still assigned (${users.join(', ')})`, 409);
+
+        delete config.policies[name];
+        this.saveConfig(config);
+        return true;
+    }
+
+    /**
+     * Change which policy applies to profile classes and single profiles.
+     * @param {{ classes?: Object, profiles?: Object }} changes - profile entries set to null go back to their class policy
+     */
+    assign({ classes = {}, profiles = {} } = {}) {
+        const config = this.getConfig();
+        const policies = this.getPolicies();
+
+        for (const [profileClass, policy] of Object.entries(classes)) {
+            if (!PROFILE_CLASSES.includes(profileClass)) throw new RetentionPolicyError(`Unknown profile class "${profileClass}" (expected ${PROFILE_CLASSES.join(', ')})`);
+            if (!policies[policy]) throw new RetentionPolicyError(`Unknown policy "${policy}"`);
+            config.classes[profileClass] = policy;
+        }
+        for (const [profileId, policy] of Object.entries(profiles)) {
+            if (policy === null) {
+                delete config.profiles[profileId];
+                continue;
+            }
+            if (!policies[policy]) throw new RetentionPolicyError(`Unknown policy "${policy}"`);
+            config.profiles[profileId] = policy;
+        }
+
+        this.saveConfig(config);
+        return { classes: config.classes, profiles: config.profiles };
+    }
+
+    saveConfig(config) {
+        const classes = {};
+        for (const [profileClass, policy] of Object.entries(config.classes)) {
+            if (DEFAULT_CLASS_POLICIES[profileClass] !== policy) classes[profileClass] = policy;
+        }
+        this.store.setValue(CONFIG_KEY, { policies: config.policies, classes, profiles: config.profiles });
+    }
+
+    /**
+     * Which class a profile is in and the policy that applies to it.
+     * @param {string} profileId
+     * @param {Object|null} [profile] - already loaded profile (looked up otherwise)
+     */
+    async policyFor(profileId, profile = undefined) {
+        const loaded = profile === undefined ? await this.profileManager.getProfile(profileId) : profile;
+        const profileClass = this.classify(profileId, loaded);
+        const config = this.getConfig();
+        const policies = this.getPolicies();
+
+        const assigned = config.profiles[profileId];
+        const name = assigned && policies[assigned] ? assigned : config.classes[profileClass];
+        const policy = policies[name] || BUILT_IN_POLICIES.permanent;
+        return { profileId, profileClass, policyName: name, source: assigned && policies[assigned] ? 'profile' : 'class', policy };
+    }
+
+    classify(profileId, profile) {
+        if (this.systemProfileIds.includes(profileId) || profileId === 'default') return 'system';
+        if (profileId === this.profileManager.primaryProfileId) return 'primary';
+        if (this.store.getUserByProfileId(profileId) || profile?.anchor) return 'account';
+        if (profile && !this.profileManager.foreignRAM?.has(profileId)) return 'echo';
+        return 'visitor';
+    }
+
+    /**
+     * Inactivity after which a class's session ends (the visitor session timeout).
+     * @returns {number} ms
+     */
+    sessionTimeoutFor(profileClass) {
+        const name = this.getConfig().classes[profileClass];
+        const policy = this.getPolicies()[name] || BUILT_IN_POLICIES.permanent;
+        return parseDuration(policy.sessionTimeout, 'sessionTimeout').ms;
+    }
+
+    // ============= RETENTION JOB =============
+
+    /**
+     * Apply every profile's policy. With dryRun nothing is removed and the report says what would be.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun]
+     * @param {string} [options.profileId] - only this profile
+     */
+    async run({ dryRun = false, profileId = null } = {}) {
+        if (this.running) return { skipped: 'already running' };
+        this.running = true;
+
+        const report = { startedAt: new Date().toISOString(), finishedAt: null, dryRun, profiles: [], totals: {}, errors: [] };
+        try {
+            const targets = await this.collectTargets(profileId);
+            for (const target of targets) {
+                try {
+                    const result = await this.applyPolicy(target, { dryRun });
+                    if (result.purged || Object.values(result.removed).some(count => count > 0)) {
+                        report.profiles.push(result);
+                        for (const [kind, count] of Object.entries(result.removed)) {
+                            report.totals[kind] = (report.totals[kind] || 0) + count;
+                        }
+                    }
+                } catch (error) {
+                    console.error(`[RetentionManager] ${target.profileId} failed:`, error.message);
+                    report.errors.push({ profileId: target.profileId, error: error.message });
+                }
+            }
+
+            if (!dryRun && report.profiles.length > 0 && this.searchIndex) {
+                await this.searchIndex.build();
+            }
+        } finally {
+            this.running = false;
+        }
+
+        report.finishedAt = new Date().toISOString();
+        report.purged = report.profiles.filter(result => result.purged).length;
+        if (!dryRun) {
+            this.store.setValue(LAST_RUN_KEY, { ...report, profiles: report.profiles.slice(0, 100) });
+            if (report.profiles.length > 0) {
+                console.log(`[RetentionManager] Applied retention to ${report.profiles.length} profile(s), purged ${report.purged}`);
+            }
+        }
+        return report;
+    }
+
+    // Every profile with stored data: profile files, RAM visitors and ids only clint.db still knows
+    async collectTargets(profileId = null) {
+        const targets = new Map();
+        const sessions = new Map(this.store.getProfileSessions().map(session => [session.profileId, session]));
+
+        if (profileId) {
+            targets.set(profileId, { profileId, profile: await this.profileManager.getProfile(profileId) });
+        } else {
+            for (const profile of await this.profileManager.getAllProfiles()) {
+                targets.set(profile.id, { profileId: profile.id, profile });
+            }
+            for (const id of sessions.keys()) {
+                if (!targets.has(id)) targets.set(id, { profileId: id, profile: await this.profileManager.getProfile(id) });
+            }
+        }
+
+        for (const target of targets.values()) {
+            const lastSeen = [target.profile?.lastSeen, sessions.get(target.profileId)?.lastUpdate]
+                .map(value => (value ? new Date(value).getTime() : NaN))
+                .filter(Number.isFinite);
+            target.lastActivity = lastSeen.length > 0 ? Math.max(...lastSeen) : null;
+        }
+        return [...targets.values()];
+    }
+
+    async applyPolicy({ profileId, profile, lastActivity }, { dryRun = false } = {}) {
+        const { profileClass, policyName, policy } = await this.policyFor(profileId, profile);
+        const now = Date.now();
+        const sessionTimeout = parseDuration(policy.sessionTimeout, 'sessionTimeout').ms;
+        const sessionEnded = lastActivity === null || now - lastActivity > sessionTimeout;
+        const result = { profileId, profileClass, policy: policyName, lastActivity: lastActivity ? new Date(lastActivity).toISOString() : null, removed: {}, purged: null };
+
+        // The profile itself: purged whole (certificate included) once it expires
+        const profileKeep = parseDuration(policy.keep.profile, 'keep.profile');
+        const profileExpired = (profileKeep.kind === 'session' && sessionEnded)
+            || (profileKeep.kind === 'age' && (lastActivity === null || now - lastActivity > profileKeep.ms));
+        if (profileExpired) {
+            if (dryRun) {
+                result.purged = 'would purge';
+                return result;
+            }
+            const certificate = await this.profilePurge.purge(profileId, { requestedBy: 'retention', reason: `retention policy ${policyName}` });
+            result.purged = certificate.id;
+            return result;
+        }
+
+        const cutoff = kind => {
+            const duration = parseDuration(policy.keep[kind], `keep.${kind}`);
+            if (duration.kind === 'none') return EVERYTHING;
+            if (duration.kind === 'session') return sessionEnded ? EVERYTHING : null;
+            if (duration.kind === 'age') return now - duration.ms;
+            return null;
+        };
+        const messagesBefore = cutoff('messages');
+        const summariesBefore = cutoff('summaries');
+        const embeddingsBefore = cutoff('embeddings');
+        const reflectionsBefore = cutoff('reflections');
+
+        const stored = this.store.pruneProfile(profileId, { messagesBefore, summariesBefore, dryRun });
+        result.removed.messages = stored.messages;
+        result.removed.episodes = stored.episodes;
+        result.removed.facts = stored.facts;
+
+        if (messagesBefore !== null) {
+            if (this.isolatedMemory) {
+                result.removed.isolatedMemory = await this.isolatedMemory.pruneProfileRecords(profileId, messagesBefore, { dryRun });
+            }
+            result.removed.threadMessages = await this.pruneThread(profileId, messagesBefore, { dryRun });
+        }
+        if (embeddingsBefore !== null && this.semanticMemory) {
+            result.removed.semanticMemories = await this.pruneSemantic(profileId, embeddingsBefore, { dryRun });
+        }
+        if ((summariesBefore !== null || reflectionsBefore !== null) && this.knowledgeSystem && this.knowledgeSystem.collection) {
+            Object.assign(result.removed, await this.prunePersonal(profileId, { summariesBefore, reflectionsBefore, dryRun }));
+        }
+        if (reflectionsBefore !== null) {
+            result.removed.reflectionFiles = await this.pruneReflectionFiles(profileId, reflectionsBefore, { dryRun });
+        }
+        return result;
+    }
+
+    async pruneThread(profileId, before, { dryRun }) {
+        if (!this.memory || !Array.isArray(this.memory.layers?.immediate)) return 0;
+        const thread = this.memory.layers.immediate;
+        const kept = thread.filter(message => message.profileId !== profileId || new Date(message.timestamp).getTime() >= before);
+        const removed = thread.length - kept.length;
+        if (removed > 0 && !dryRun) {
+            this.memory.layers.immediate = kept;
+            await this.memory.saveMemory();
+        }
+        return removed;
+    }
+
+    async pruneSemantic(profileId, before, { dryRun }) {
+        await this.retrieval.initialize();
+        const ids = Array.from(this.semanticMemory.memoryIndex.values())
+            .filter(memory => memory.metadata?.profileId === profileId && !memory.metadata.pinned)
+            .filter(memory => new Date(memory.timestamp).getTime() < before)
+            .map(memory => memory.id);
+        if (dryRun || ids.length === 0) return ids.length;
+        return await this.semanticMemory.deleteMemories(ids);
+    }
+
+    // Chroma: personal memories count as summaries, self-reflections as reflections; pinned ones stay
+    async prunePersonal(profileId, { summariesBefore, reflectionsBefore, dryRun }) {
+        const expired = { personalMemories: [], reflections: [] };
+        for (const memory of await this.knowledgeSystem.listPersonalMemories(profileId, 100000)) {
+            if (memory.metadata.pinned) continue;
+            const isReflection = memory.metadata.type === 'full-self-reflection';
+            const before = isReflection ? reflectionsBefore : summariesBefore;
+            const time = new Date(memory.metadata.timestamp).getTime();
+            if (before === null || (Number.isFinite(time) && time >= before)) continue;
+            expired[isReflection ? 'reflections' : 'personalMemories'].push(memory.id);
+        }
+
+        const ids = [...expired.personalMemories, ...expired.reflections];
+        if (!dryRun && ids.length > 0) await this.knowledgeSystem.deletePersonalMemories(ids);
+        return { personalMemories: expired.personalMemories.length, reflections: expired.reflections.length };
+    }
+
+    async pruneReflectionFiles(profileId, before, { dryRun }) {
+        const dir = path.join(this.storagePath, 'reflections');
+        const files = (await fs.readdir(dir).catch(() => [])).filter(file => file.endsWith(`_${profileId}.json`));
+        let removed = 0;
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const reflection = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                if (reflection.profile !== profileId || new Date(reflection.timestamp).getTime() >= before) continue;
+            } catch (error) {
+                continue; // Unreadable - leave it for the purge
+            }
+            if (!dryRun) await fs.unlink(filePath);
+            removed++;
+        }
+        return removed;
+    }
+}
+
+// ============= HELPERS =============
+
+/**
+ * "forever" | "session" | "none" | "<n>m" | "<n>h" | "<n>d"
+ * @returns {{ kind: string, ms: number|null }}
+ */
+function parseDuration(value, field = 'duration') {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === 'forever' || text === 'session' || text === 'none') return { kind: text, ms: null };
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*([mhd])$/);
+    if (!match || Number(match[1]) <= 0) {
+        throw new RetentionPolicyError(`${field} must be "forever", "session", "none" or an age like "30m", "12h", "30d" (got "${value}")`);
+    }
+    return { kind: 'age', ms: Number(match[1]) * DURATION_UNITS[match[2]] };
+}
+
+module.exports = { RetentionManager, RetentionPolicyError, BUILT_IN_POLICIES, PROFILE_CLASSES };
@@ -0,0 +1,333 @@
+/**
+ * Search Index
+ * In-memory inverted index with BM25 scoring over stored messages, journals and reflections.
+ * Postings keep token positions so quoted phrases can be matched exactly.
+ *
+ * Query syntax:
+ *   fishing trip          - terms, scored with BM25 (any term may match)
+ *   "river trip"          - phrase, must appear verbatim (after tokenization)
+ *   -work  -"bad day"     - exclude documents containing a term or phrase
+ *   sender:user           - field filters: sender:, profile:, before:, after:
+ *   after:2025-01-01 before:yesterday
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_FILTERS = new Set(['sender', 'profile', 'before', 'after']);
+
+class SearchIndex {
+    constructor(storagePath, conversationStore) {
+        this.storagePath = storagePath;
+        this.store = conversationStore;
+        this.journalPath = path.join(storagePath, 'journal');
+        this.reflectionsPath = path.join(storagePath, 'reflections');
+
+        this.documents = new Map(); // docId -> { id, source, text, sender, profileId, timestamp, length }
+        this.postings = new Map();  // term -> Map(docId -> positions[])
+        this.totalLength = 0;
+        this.built = false;
+
+        // New messages are indexed as the store appends them
+        if (this.store) {
+            this.store.on('messages', messages => messages.forEach(message => this.addMessage(message)));
+        }
+    }
+
+    /**
+     * (Re)build the index from everything on disk.
+     */
+    async build() {
+        const started = Date.now();
+        this.documents.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+
+        if (this.store) {
+            this.store.forEachMessage(message => this.addMessage(message));
+        }
+        await this.indexJournals();
+        await this.indexReflections();
+
+        this.built = true;
+        console.log(`[SearchIndex] Indexed ${this.documents.size} documents (${this.postings.size} terms) in ${Date.now() - started}ms`);
+    }
+
+    async indexJournals() {
+        let files = [];
+        try {
+            files = (await fs.readdir(this.journalPath)).filter(f => /^journal_.*\.json$/.test(f));
+        } catch (error) {
+            return; // No journals yet
+        }
+
+        for (const file of files) {
+            try {
+                const entries = JSON.parse(await fs.readFile(path.join(this.journalPath, file), 'utf8'));
+                (Array.isArray(entries) ? entries : [entries]).forEach((entry, index) => {
+                    this.addJournalEntry(entry, `${file}#${index}`);
+                });
+            } catch (error) {
+                console.warn(`[SearchIndex] Skipping journal ${file}:`, error.message);
+            }
+        }
+    }
+
+    async indexReflections() {
+        let files = [];
+        try {
+            files = (await fs.readdir(this.reflectionsPath)).filter(f => f.endsWith('.json'));
+        } catch (error) {
+            return; // No reflections yet
+        }
+
+        for (const file of files) {
+            try {
+                const reflection = JSON.parse(await fs.readFile(path.join(this.reflectionsPath, file), 'utf8'));
+                this.addReflection(reflection, file);
+            } catch (error) {
+                console.warn(`[SearchIndex] Skipping reflection ${file}:`, error.message);
+            }
+        }
+    }
+
+    addMessage(message) {
+        if (!message || !message.text) return;
+        this.addDocument({
+            id: `message:${message.id}`,
+            source: 'message',
+            text: message.text,
+            sender: message.sender || null,
+            profileId: message.profileId || null,
+            timestamp: message.timestamp
+        });
+    }
+
+    addJournalEntry(entry, key) {
+        if (!entry || !entry.content) return;
+        this.addDocument({
+            id: `journal:${key}`,
+            source: 'journal',
+            text: entry.content,
+            sender: 'clint',
+            profileId: entry.profileId || null,
+            timestamp: entry.date
+        });
+    }
+
+    addReflection(reflection, key) {
+        if (!reflection) return;
+        const text = [reflection.tension_observed, reflection.stance_taken, reflection.pattern_note, reflection.carry_forward]
+            .filter(part => typeof part === 'string' && part.trim())
+            .join('\n');
+        if (!text) return;
+        this.addDocument({
+            id: `reflection:${key}`,
+            source: 'reflection',
+            text,
+            sender: 'clint',
+            profileId: reflection.profile || null,
+            timestamp: reflection.timestamp
+        });
+    }
+
+    addDocument(doc) {
+        if (this.documents.has(doc.id)) this.removeDocument(doc.id);
+
+        const tokens = tokenize(doc.text);
+        const timestamp = doc.timestamp ? new Date(doc.timestamp).getTime() : null;
+        this.documents.set(doc.id, { ...doc, timestamp: Number.isFinite(timestamp) ? timestamp : null, length: tokens.length });
+        this.totalLength += tokens.length;
+
+        tokens.forEach((term, position) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            const posting = this.postings.get(term);
+            if (!posting.has(doc.id)) posting.set(doc.id, []);
+            posting.get(doc.id).push(position);
+        });
+    }
+
+    removeDocument(docId) {
+        const doc = this.documents.get(docId);
+        if (!doc) return false;
+
+        for (const term of new Set(tokenize(doc.text))) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(docId);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+        this.totalLength -= doc.length;
+        this.documents.delete(docId);
+        return true;
+    }
+
+    /**
+     * Parse a query string into scored terms, required phrases, exclusions and field filters.
+     */
+    parseQuery(query) {
+        const parsed = { terms: [], phrases: [], excludeTerms: [], excludePhrases: [], filters: {}, text: '' };
+        const freeText = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const [, negate, field, quoted, bare] = match;
+            const fieldName = field ? field.toLowerCase() : null;
+
+            if (fieldName && FIELD_FILTERS.has(fieldName) && !negate) {
+                const value = quoted ?? bare;
+                if (fieldName === 'before' || fieldName === 'after') {
+                    const date = parseDateFilter(value, fieldName);
+                    if (date) parsed.filters[fieldName] = date;
+                } else {
+                    parsed.filters[fieldName] = value.toLowerCase();
+                }
+                continue;
+            }
+
+            // Unknown "field:" prefixes are just part of the text
+            const raw = fieldName && !FIELD_FILTERS.has(fieldName) ? `${field}:${quoted ?? bare}` : (quoted ?? bare);
+            const tokens = tokenize(raw);
+            if (tokens.length === 0) continue;
+
+            if (quoted !== undefined) {
+                (negate ? parsed.excludePhrases : parsed.phrases).push(tokens);
+                if (!negate) freeText.push(raw);
+            } else if (negate) {
+                parsed.excludeTerms.push(...tokens);
+            } else {
+                parsed.terms.push(...tokens);
+                freeText.push(raw);
+            }
+        }
+
+        parsed.text = freeText.join(' ');
+        return parsed;
+    }
+
+    /**
+     * BM25 search.
+     * @param {string|Object} query - raw query string or parseQuery() output
+     * @param {Object} options
+     * @param {number} [options.limit]
+     * @param {string[]} [options.sources] - restrict to 'message' | 'journal' | 'reflection'
+     * @param {string[][]} [options.requireAny] - each group needs at least one substring match (topics, people)
+     * @returns {Array<{ id, source, text, sender, profileId, timestamp, score, matchType, matchedTerms }>}
+     */
+    search(query, { limit = 20, sources = null, requireAny = [], filters = {} } = {}) {
+        const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+        const effectiveFilters = { ...parsed.filters, ...filters };
+        const scoredTerms = [...new Set([...parsed.terms, ...parsed.phrases.flat()])];
+        if (scoredTerms.length === 0 && parsed.phrases.length === 0) return [];
+
+        const docCount = this.documents.size || 1;
+        const avgLength = this.totalLength / docCount || 1;
+        const scores = new Map();
+        const matched = new Map();
+
+        for (const term of scoredTerms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+            for (const [docId, positions] of posting) {
+                const doc = this.documents.get(docId);
+                const tf = positions.length;
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+                scores.set(docId, (scores.get(docId) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+                if (!matched.has(docId)) matched.set(docId, []);
+                matched.get(docId).push(term);
+            }
+        }
+
+        const results = [];
+        for (const [docId, score] of scores) {
+            const doc = this.documents.get(docId);
+            if (sources && !sources.includes(doc.source)) continue;
+            if (!this.matchesFilters(doc, effectiveFilters)) continue;
+            if (!parsed.phrases.every(phrase => this.containsPhrase(docId, phrase))) continue;
+            if (parsed.excludeTerms.some(term => this.postings.get(term)?.has(docId))) continue;
+            if (parsed.excludePhrases.some(phrase => this.containsPhrase(docId, phrase))) continue;
+            if (!matchesRequireAny(doc.text, requireAny)) continue;
+
+            results.push({
+                id: doc.id,
+                source: doc.source,
+                text: doc.text,
+                sender: doc.sender,
+                profileId: doc.profileId,
+                timestamp: doc.timestamp ? new Date(doc.timestamp).toISOString() : null,
+                score,
+                matchType: parsed.phrases.length > 0 ? 'phrase' : 'keyword',
+                matchedTerms: matched.get(docId)
+            });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    matchesFilters(doc, filters) {
+        if (filters.sender && (doc.sender || '').toLowerCase() !== filters.sender) return false;
+        if (filters.profile && (doc.profileId || '').toLowerCase() !== filters.profile) return false;
+        if (filters.after && !(doc.timestamp && doc.timestamp >= new Date(filters.after).getTime())) return false;
+        if (filters.before && !(doc.timestamp && doc.timestamp < new Date(filters.before).getTime())) return false;
+        return true;
+    }
+
+    containsPhrase(docId, phrase) {
+        const starts = this.postings.get(phrase[0])?.get(docId);
+        if (!starts) return false;
+        return starts.some(start => phrase.every((term, offset) =>
+            offset === 0 || (this.postings.get(term)?.get(docId) || []).includes(start + offset)
+        ));
+    }
+
+    getStats() {
+        const bySource = {};
+        for (const doc of this.documents.values()) {
+            bySource[doc.source] = (bySource[doc.source] || 0) + 1;
+        }
+        return {
+            built: this.built,
+            documents: this.documents.size,
+            terms: this.postings.size,
+            averageLength: this.documents.size ? +(this.totalLength / this.documents.size).toFixed(1) : 0,
+            bySource
+        };
+    }
+}
+
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || [])
+        .map(token => token.replace(/'s$/, ''));
+}
+
+// before:/after: accept ISO dates plus today / yesterday / Nd (days ago)
+function parseDateFilter(value, field) {
+    const lower = value.toLowerCase();
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    if (lower === 'today') return startOfToday;
+    if (lower === 'yesterday') return new Date(startOfToday.getTime() - 24 * 60 * 60 * 1000);
+    const relative = lower.match(/^(\d+)d$/);
+    if (relative) return new Date(startOfToday.getTime() - parseInt(relative[1], 10) * 24 * 60 * 60 * 1000);
+
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+        console.warn(`[SearchIndex] Ignoring unparseable ${field}: "${value}"`);
+        return null;
+    }
+    return parsed;
+}
+
+function matchesRequireAny(text, groups) {
+    const lower = text.toLowerCase();
+    return groups.every(group => !group || group.length === 0 ||
+        group.some(term => lower.includes(String(term).toLowerCase())));
+}
+
+module.exports = { SearchIndex, tokenize };
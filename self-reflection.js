@@ -13,6 +13,29 @@ const MIRROR_CONFIG = {
     CORRECTION_DIGESTION_TURNS: 5 // Turns to wait before applying new corrections
 };
 
+// ============= USER LOOP CONFIGURATION =============
+// Open loops about a person (unanswered questions, promised follow-ups) - surfaced in the greeting
+const USER_LOOP_CONFIG = {
+    REPLY_WINDOW_MS: 30 * 60 * 1000, // A question Clint asked counts as answered by a reply within this window
+    RESURFACE_AFTER_MS: 12 * 60 * 60 * 1000, // Don't offer the same follow-up again within this window
+    MAX_OPEN_PER_PROFILE: 20, // Oldest open loops expire beyond this
+    MAX_AGE_DAYS: 21, // Open loops older than this expire
+    MIN_SHARED_TERMS: 2 // A later message resolves a loop sharing this many of its terms (one, for loops of up to three)
+};
+
+const LOOP_STOPWORDS = new Set([
+    'about', 'again', 'also', 'been', 'being', 'could', 'does', 'doing', 'feel', 'feels', 'from', 'have', 'just',
+    'know', 'like', 'make', 'more', 'part', 'really', 'right', 'should', 'some', 'still', 'that', 'their', 'them',
+    'then', 'there', 'these', 'they', 'thing', 'think', 'this', 'those', 'what', 'when', 'where', 'which', 'while',
+    'will', 'with', 'would', 'your', 'you', 'yours', 'the', 'and', 'for', 'are', 'was', 'were', 'how', 'why',
+    'did', 'not', 'but', 'can', 'now', 'our', 'out', 'his', 'her', 'she', 'him', 'its', 'who', 'has', 'had',
+    'let', 'get', 'got', 'tell', 'today', 'tonight', 'tomorrow', 'week', 'weekend', 'next', 'later', 'soon',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'going', 'gonna', 'back'
+]);
+const UPCOMING_PATTERN = /\b(tomorrow|tonight|later today|next (week|month)|this (weekend|afternoon|evening)|on (monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i;
+const USER_PROMISE_PATTERN = /\b(i'?ll|i will|i'm going to|gonna)\s+(let you know|tell you|update you|get back to you|report back|fill you in)\b/i;
+const CLINT_PROMISE_PATTERN = /\b(i'?ll|i will)\s+(ask|check (in|back)|follow up|circle back)\b/i;
+
 // ============= ATTENTION SCHEMA MODELING =============
 
 class AttentionSchemaModeler {
@@ -602,6 +625,29 @@ Generate a thoughtful, self-aware answer that:
 
 // ============= OPEN LOOP TRACKER =============
 
+class OpenLoopError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OpenLoopError';
+        this.status = status;
+    }
+}
+
+// Content words of a loop or message, for matching later messages against open loops
+function loopTerms(text) {
+    const words = (text || '').toLowerCase().match(/[a-z][a-z']{2,}/g) || [];
+    return [...new Set(words.map(word => word.replace(/'s$/, '')).filter(word => !LOOP_STOPWORDS.has(word)))];
+}
+
+// Sentences with stage directions ("(Boots settle on gravel.)") removed
+function loopSentences(text) {
+    return (text || '')
+        .replace(/\([^)]*\)/g, ' ')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
 class OpenLoopTracker {
     constructor(storagePath) {
         this.storagePath = storagePath;
@@ -676,6 +722,7 @@ class OpenLoopTracker {
     async revisitOpenLoops(currentSnapshot) {
         const revisitableLoops = this.openLoops.filter(loop => 
             loop.status === 'OPEN' && 
+            !this.isUserLoop(loop) && 
             this.shouldRevisit(loop, currentSnapshot)
         );
         
@@ -734,14 +781,251 @@ class OpenLoopTracker {
     }
     
     getActiveOpenLoops() {
-        return this.openLoops.filter(loop => loop.status === 'OPEN');
+        return this.openLoops.filter(loop => loop.status === 'OPEN' && !this.isUserLoop(loop));
     }
     
     getOpenLoopsByUrgency() {
-        return this.openLoops
-            .filter(loop => loop.status === 'OPEN')
+        return this.getActiveOpenLoops()
             .sort((a, b) => b.urgency_score - a.urgency_score);
     }
+    
+    // ============= USER LOOPS =============
+    // Self-questions above stay internal; loops with a profileId are about a person and can reach them
+    
+    isUserLoop(loop) {
+        return !!loop.profileId;
+    }
+    
+    /**
+     * Turn hook: resolve the profile's loops this message answers, then open new ones from the exchange.
+     * @returns {Promise<{resolved: Object[], opened: Object[]}>}
+     */
+    async trackUserTurn(profileId, userMessage, clintResponse, now = Date.now()) {
+        if (!profileId) return { resolved: [], opened: [] };
+        
+        this.expireUserLoops(now);
+        const resolved = this.resolveFromMessage(profileId, userMessage, now);
+        const opened = this.detectUserLoops(userMessage, clintResponse)
+            .map(candidate => this.addUserLoop(profileId, candidate, now))
+            .filter(Boolean);
+        
+        if (resolved.length > 0 || opened.length > 0) {
+            await this.saveOpenLoops();
+        }
+        return { resolved, opened };
+    }
+    
+    // Promised follow-ups the user made or Clint offered, and the question Clint left with the user
+    detectUserLoops(userMessage, clintResponse) {
+        const candidates = [];
+        
+        for (const sentence of loopSentences(userMessage)) {
+            if (sentence.endsWith('?')) continue;
+            const promised = USER_PROMISE_PATTERN.test(sentence);
+            const upcoming = UPCOMING_PATTERN.test(sentence) && /\b(i|i'm|i've|my|we|we're)\b/i.test(sentence);
+            if (promised || upcoming) {
+                candidates.push({
+                    kind: 'promised-follow-up',
+                    source: 'user',
+                    question: sentence,
+                    urgency: upcoming ? 0.8 : 0.7
+                });
+            }
+        }
+        
+        // "I'll check back on how it went" says nothing by itself - the loop is about what the user said
+        const replySentences = loopSentences(clintResponse);
+        const topic = loopSentences(userMessage).find(sentence => loopTerms(sentence).length > 0);
+        if (topic && replySentences.some(sentence => CLINT_PROMISE_PATTERN.test(sentence))) {
+            candidates.push({ kind: 'promised-follow-up', source: 'clint', question: topic, urgency: 0.7 });
+        }
+        
+        // Only the closing question is left with the user; earlier ones are rhetorical more often than not
+        const lastSentence = replySentences[replySentences.length - 1] || '';
+        if (lastSentence.endsWith('?') && /\byou(r)?\b/i.test(lastSentence) && loopTerms(lastSentence).length >= 2) {
+            candidates.push({ kind: 'unanswered-question', source: 'clint', question: lastSentence, urgency: 0.5, awaitingReply: true });
+        }
+        
+        return candidates;
+    }
+    
+    // Opens a loop unless the profile already has an open one on the same terms
+    addUserLoop(profileId, { kind, source, question, urgency, awaitingReply = false }, now = Date.now()) {
+        const terms = loopTerms(question);
+        if (terms.length === 0) return null;
+        
+        const duplicate = this.getUserLoops(profileId, { status: 'OPEN' })
+            .find(loop => loop.kind === kind && this.sharesTerms(loop, terms));
+        if (duplicate) return null;
+        
+        const loop = {
+            id: crypto.randomUUID(),
+            profileId,
+            kind,
+            source,
+            question,
+            terms,
+            created_timestamp: new Date(now).toISOString(),
+            status: 'OPEN',
+            urgency_score: urgency,
+            awaiting_reply: awaitingReply,
+            snoozed_until: null,
+            last_surfaced: null,
+            surface_count: 0,
+            resolution: null
+        };
+        this.openLoops.push(loop);
+        
+        const open = this.getUserLoops(profileId, { status: 'OPEN' });
+        for (const stale of open.slice(0, Math.max(0, open.length - USER_LOOP_CONFIG.MAX_OPEN_PER_PROFILE))) {
+            this.settle(stale, 'EXPIRED', { by: 'limit' }, now);
+        }
+        
+        console.log(`[OpenLoopTracker] Opened ${kind} loop for ${profileId}: ${question.substring(0, 50)}...`);
+        return loop;
+    }
+    
+    // A reply right after Clint's question answers it; otherwise enough shared terms do
+    resolveFromMessage(profileId, message, now = Date.now()) {
+        const text = (message || '').trim();
+        if (!text) return [];
+        
+        const terms = loopTerms(text);
+        const isQuestion = text.endsWith('?');
+        const resolved = [];
+        
+        for (const loop of this.getUserLoops(profileId, { status: 'OPEN' })) {
+            let answered = false;
+            if (loop.awaiting_reply) {
+                const age = now - new Date(loop.created_timestamp).getTime();
+                answered = age <= USER_LOOP_CONFIG.REPLY_WINDOW_MS && !isQuestion;
+                loop.awaiting_reply = false;
+            }
+            // "What should I wear to the interview tomorrow?" is not news about the interview
+            const stillAhead = loop.kind === 'promised-follow-up' && (isQuestion || UPCOMING_PATTERN.test(text));
+            if (!answered && !stillAhead && this.sharesTerms(loop, terms)) {
+                answered = true;
+            }
+            if (answered) {
+                this.settle(loop, 'RESOLVED', { by: 'answer', excerpt: text.substring(0, 200) }, now);
+                resolved.push(loop);
+                console.log(`[OpenLoopTracker] Resolved ${loop.kind} loop for ${profileId}: ${loop.question.substring(0, 50)}...`);
+            }
+        }
+        return resolved;
+    }
+    
+    sharesTerms(loop, terms) {
+        const loopTermCount = (loop.terms || []).length;
+        const shared = (loop.terms || []).filter(term => terms.includes(term)).length;
+        return shared > 0 && shared >= Math.min(USER_LOOP_CONFIG.MIN_SHARED_TERMS, Math.ceil(loopTermCount / 3));
+    }
+    
+    expireUserLoops(now = Date.now()) {
+        const maxAge = USER_LOOP_CONFIG.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        for (const loop of this.openLoops) {
+            if (this.isUserLoop(loop) && loop.status === 'OPEN' && now - new Date(loop.created_timestamp).getTime() > maxAge) {
+                this.settle(loop, 'EXPIRED', { by: 'age' }, now);
+            }
+        }
+    }
+    
+    settle(loop, status, resolution, now = Date.now()) {
+        loop.status = status;
+        loop.awaiting_reply = false;
+        loop.resolution = { ...resolution, at: new Date(now).toISOString() };
+    }
+    
+    /**
+     * Gentle follow-ups for the greeting: open, not snoozed, not offered recently.
+     * Offered loops are stamped so a reloaded page doesn't ask the same thing again.
+     */
+    async getFollowUps(profileId, { limit = 2, now = Date.now() } = {}) {
+        this.expireUserLoops(now);
+        const due = this.getUserLoops(profileId, { status: 'OPEN' })
+            .filter(loop => !loop.awaiting_reply)
+            .filter(loop => !loop.snoozed_until || new Date(loop.snoozed_until).getTime() <= now)
+            .filter(loop => !loop.last_surfaced || now - new Date(loop.last_surfaced).getTime() >= USER_LOOP_CONFIG.RESURFACE_AFTER_MS)
+            .sort((a, b) => b.urgency_score - a.urgency_score || new Date(b.created_timestamp) - new Date(a.created_timestamp))
+            .slice(0, limit);
+        
+        if (due.length === 0) return [];
+        for (const loop of due) {
+            loop.last_surfaced = new Date(now).toISOString();
+            loop.surface_count++;
+        }
+        await this.saveOpenLoops();
+        
+        return due.map(loop => ({
+            id: loop.id,
+            kind: loop.kind,
+            question: loop.question,
+            prompt: this.followUpPrompt(loop),
+            created: loop.created_timestamp
+        }));
+    }
+    
+    followUpPrompt(loop) {
+        if (loop.kind === 'unanswered-question') {
+            return `Last time I asked: "${loop.question}" Still sitting with that, or has it settled?`;
+        }
+        if (loop.source === 'clint') {
+            return `You told me: "${loop.question}" I said I'd come back to it - where has it landed?`;
+        }
+        return `You mentioned: "${loop.question}" How did that turn out?`;
+    }
+    
+    getUserLoops(profileId, { status = null } = {}) {
+        return this.openLoops.filter(loop =>
+            loop.profileId === profileId && (!status || loop.status === status)
+        );
+    }
+    
+    findUserLoop(profileId, loopId) {
+        const loop = this.openLoops.find(entry => entry.id === loopId && entry.profileId === profileId);
+        if (!loop) throw new OpenLoopError(`Open loop ${loopId} not found for ${profileId}`, 404);
+        return loop;
+    }
+    
+    // Hide a loop from follow-ups until `until` (ISO date) or for `minutes`
+    async snoozeLoop(profileId, loopId, { until = null, minutes = null } = {}) {
+        const loop = this.findUserLoop(profileId, loopId);
+        if (loop.status !== 'OPEN') throw new OpenLoopError(`Open loop ${loopId} is already ${loop.status.toLowerCase()}`, 409);
+        
+        let untilMs;
+        if (until) {
+            untilMs = new Date(until).getTime();
+        } else if (minutes !== null && minutes !== undefined) {
+            untilMs = Date.now() + Number(minutes) * 60 * 1000;
+        }
+        if (!Number.isFinite(untilMs) || untilMs <= Date.now()) {
+            throw new OpenLoopError('Provide a future "until" date or a positive number of "minutes"');
+        }
+        
+        loop.snoozed_until = new Date(untilMs).toISOString();
+        await this.saveOpenLoops();
+        return loop;
+    }
+    
+    async closeLoop(profileId, loopId, { reason = null } = {}) {
+        const loop = this.findUserLoop(profileId, loopId);
+        if (loop.status !== 'OPEN') throw new OpenLoopError(`Open loop ${loopId} is already ${loop.status.toLowerCase()}`, 409);
+        
+        this.settle(loop, 'CLOSED', { by: 'user', reason });
+        await this.saveOpenLoops();
+        return loop;
+    }
+    
+    // Profile purge: drop every loop about the profile
+    async deleteProfileLoops(profileId) {
+        const kept = this.openLoops.filter(loop => loop.profileId !== profileId);
+        const removed = this.openLoops.length - kept.length;
+        if (removed > 0) {
+            this.openLoops = kept;
+            await this.saveOpenLoops();
+        }
+        return removed;
+    }
 }
 
 // ============= THE MIRROR (MAIN SYSTEM) =============
@@ -770,6 +1054,9 @@ class SelfReflectionSystem {
         this.activeCorrections = [];
         this.correctionsPath = path.join(storagePath, 'active_corrections.json');
         
+        // ReflectionScheduler - decides from live signals when processReflection runs
+        this.scheduler = null;
+        
         this.initialize();
     }
     
@@ -829,15 +1116,15 @@ class SelfReflectionSystem {
         }
     }
     
+    setScheduler(scheduler) {
+        this.scheduler = scheduler;
+    }
+    
     async processTurn(message, clintResponse, telemetry, identityState) {
         this.turnCount++;
         
-        // Check if reflection is needed
-        if (this.shouldTriggerReflection()) {
-            console.log(`[SelfReflection] Triggering reflection at turn ${this.turnCount}`);
-            await this.processReflection(message, clintResponse, telemetry, identityState);
-            this.lastReflectionTurn = this.turnCount;
-        }
+        // Reflections are no longer triggered here - ReflectionScheduler runs processReflection
+        // when loop risk, integrity, self-assessment or idle signals call for it
         
         // Always check for through-line generation
         await this.checkThroughLineGeneration();
@@ -846,10 +1133,9 @@ class SelfReflectionSystem {
         await this.saveState();
     }
     
-    shouldTriggerReflection() {
-        // DISABLED: 50-turn snapshot system is redundant with real-time pattern detection
-        // Real-time systems now handle drift detection and pattern awareness
-        return false;
+    // Whether the scheduler would reflect for this profile now (the 50-turn snapshot trigger is gone)
+    shouldTriggerReflection(profileId = 'default') {
+        return this.scheduler ? this.scheduler.evaluate(profileId).fire : false;
     }
     
     getCurrentTurn() {
@@ -867,10 +1153,11 @@ class SelfReflectionSystem {
     getReflectionStatus() {
         return {
             current_turn: this.turnCount,
-            next_reflection_in: this.getTurnsUntilNextReflection(),
+            next_reflection_in: this.scheduler ? 'signal-driven' : this.getTurnsUntilNextReflection(),
             active_open_loops: this.getActiveOpenLoops().length,
             last_reflection_turn: this.lastReflectionTurn,
-            reflection_system: "active"
+            reflection_system: "active",
+            scheduler: this.scheduler ? this.scheduler.getStatus() : null
         };
     }
     
@@ -904,6 +1191,9 @@ class SelfReflectionSystem {
                 console.log(`[Mirror] Correction generated: ${correction.correction.substring(0, 50)}...`);
             }
             
+            this.lastReflectionTurn = this.turnCount;
+            await this.saveState();
+            
         } catch (error) {
             console.error('[Mirror] Error processing reflection:', error);
         }
@@ -1156,5 +1446,7 @@ STATUS: ${answer.status}
 module.exports = {
     SelfReflectionSystem,
     CorrectionGenerator,
-    MIRROR_CONFIG
+    OpenLoopError,
+    MIRROR_CONFIG,
+    USER_LOOP_CONFIG
 };
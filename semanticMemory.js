@@ -6,15 +6,19 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { OpenAI } = require('openai');
+const { HnswIndex } = require('./hnswIndex');
+
+// embeddings.json files written before vectors were versioned came from the OpenAI route
+const LEGACY_EMBEDDING_VERSION = 'openai:text-embedding-3-small';
 
 class SemanticMemory {
-    constructor(storagePath, openaiClient) {
+    constructor(storagePath, llmProvider) {
         this.storagePath = storagePath;
         this.memoryPath = path.join(storagePath, 'semantic_memory');
         this.embeddingsPath = path.join(this.memoryPath, 'embeddings.json');
         this.clustersPath = path.join(this.memoryPath, 'clusters.json');
-        this.openai = openaiClient;
+        this.annIndexPath = path.join(this.memoryPath, 'hnsw_index.json');
+        this.llm = llmProvider; // LLMProvider - embeddings use its 'embedding' route
         
         // Memory storage
         this.embeddings = new Map(); // memory_id -> embedding vector
@@ -22,8 +26,22 @@ class SemanticMemory {
         this.clusters = new Map(); // cluster_id -> cluster object
         this.temporalIndex = new Map(); // timestamp -> memory_ids
         
+        // Embedding versioning - vectors from different providers/models are never compared,
+        // and switching provider re-embeds the stored memories in the background
+        this.embeddingVersion = null; // version every stored vector matches, once fully migrated
+        this.reembedState = { running: false, from: null, to: null, total: 0, done: 0, failed: 0, startedAt: null, finishedAt: null };
+        this.reembedSaveEvery = 25;
+        this.reembedMaxConsecutiveFailures = 5;
+        
+        // Approximate nearest-neighbour index - below annMinMemories an exact scan is as fast
+        this.annIndex = null;
+        this.annMinMemories = 5000;
+        this.annCandidateFactor = 4; // over-fetch, since final ranking also weighs recency and keywords
+        this.annClusterNeighbors = 10;
+        this.annSaveDelayMs = 5000;
+        this.annSaveTimer = null;
+        
         // Configuration
-        this.embeddingModel = 'text-embedding-3-small';
         this.maxTokens = 8191; // OpenAI embedding limit
         this.clusterThreshold = 0.7; // Similarity threshold for clustering
         this.maxClusters = 50;
@@ -53,8 +71,14 @@ class SemanticMemory {
             // Load existing data
             await this.loadEmbeddings();
             await this.loadClusters();
+            await this.loadAnnIndex();
             
             console.log('[SemanticMemory] Initialized with', this.embeddings.size, 'embeddings and', this.clusters.size, 'clusters');
+            
+            // Not awaited - search works on already-migrated memories while this runs
+            this.reembedStale().catch(error => {
+                console.error('[SemanticMemory] Background re-embed failed:', error.message);
+            });
         } catch (error) {
             console.error('[SemanticMemory] Initialization error:', error.message);
         }
@@ -67,8 +91,11 @@ class SemanticMemory {
         try {
             const memoryId = this.generateMemoryId(memory);
             
-            // Generate embedding
-            const embedding = await this.generateEmbedding(memory.text);
+            // Generate embedding (memories restored from a profile archive bring theirs when it is still current)
+            const embeddingVersion = this.currentEmbeddingVersion();
+            const embedding = Array.isArray(memory.embedding) && memory.embeddingVersion === embeddingVersion
+                ? memory.embedding
+                : await this.generateEmbedding(memory.text);
             
             // Store in memory index
             const memoryObject = {
@@ -78,11 +105,13 @@ class SemanticMemory {
                 type: memory.type || 'conversation',
                 metadata: memory.metadata || {},
                 embedding: embedding,
+                embeddingVersion,
                 clusterId: null
             };
             
             this.memoryIndex.set(memoryId, memoryObject);
             this.embeddings.set(memoryId, embedding);
+            this.indexMemory(memoryObject);
             
             // Add to temporal index
             const timeKey = this.getTimeKey(memoryObject.timestamp);
@@ -107,7 +136,93 @@ class SemanticMemory {
     }
 
     /**
-     * Generate embedding for text using OpenAI
+     * Change a memory's text and/or metadata. New text is re-embedded and re-clustered.
+     * @returns {Promise<Object|null>} the updated memory, or null if it does not exist
+     */
+    async updateMemory(memoryId, { text, metadata } = {}) {
+        const memory = this.memoryIndex.get(memoryId);
+        if (!memory) return null;
+
+        if (metadata) {
+            memory.metadata = { ...memory.metadata, ...metadata };
+        }
+
+        if (typeof text === 'string' && text !== memory.text) {
+            memory.embeddingVersion = this.currentEmbeddingVersion();
+            memory.embedding = await this.generateEmbedding(text);
+            memory.text = text;
+            this.embeddings.set(memoryId, memory.embedding);
+            if (this.annIndex) this.annIndex.remove(memoryId);
+            this.indexMemory(memory);
+
+            this.detachFromCluster(memory);
+            await this.clusterMemory(memory);
+            await this.saveClusters();
+        }
+
+        await this.saveEmbeddings();
+        return memory;
+    }
+
+    /**
+     * Remove a memory from every index (embeddings, clusters, temporal, ANN).
+     * @returns {Promise<boolean>}
+     */
+    async deleteMemory(memoryId) {
+        return (await this.deleteMemories([memoryId])) > 0;
+    }
+
+    /**
+     * Remove several memories, saving once (profile purges).
+     * @returns {Promise<number>} memories removed
+     */
+    async deleteMemories(memoryIds) {
+        let removed = 0;
+        for (const memoryId of memoryIds) {
+            const memory = this.memoryIndex.get(memoryId);
+            if (!memory) continue;
+
+            this.memoryIndex.delete(memoryId);
+            this.embeddings.delete(memoryId);
+            if (this.annIndex && this.annIndex.remove(memoryId)) {
+                this.scheduleAnnIndexSave();
+            }
+
+            const timeKey = this.getTimeKey(memory.timestamp);
+            const sameDay = (this.temporalIndex.get(timeKey) || []).filter(id => id !== memoryId);
+            if (sameDay.length > 0) {
+                this.temporalIndex.set(timeKey, sameDay);
+            } else {
+                this.temporalIndex.delete(timeKey);
+            }
+
+            this.detachFromCluster(memory);
+            removed++;
+        }
+
+        if (removed > 0) {
+            await this.saveEmbeddings();
+            await this.saveClusters();
+        }
+        return removed;
+    }
+
+    detachFromCluster(memory) {
+        const cluster = memory.clusterId && this.clusters.get(memory.clusterId);
+        memory.clusterId = null;
+        if (!cluster) return;
+
+        cluster.memoryIds = cluster.memoryIds.filter(id => id !== memory.id);
+        if (cluster.memoryIds.length === 0) {
+            this.clusters.delete(cluster.id);
+        } else {
+            cluster.centroid = this.updateCentroid(cluster);
+            cluster.updated = new Date();
+        }
+    }
+
+    /**
+     * Generate embedding for text via the LLM provider's embedding route
      */
     async generateEmbedding(text) {
         try {
@@ -115,12 +230,7 @@ class SemanticMemory {
             const truncatedText = text.length > this.maxTokens ? 
                 text.substring(0, this.maxTokens) : text;
             
-            const response = await this.openai.embeddings.create({
-                model: this.embeddingModel,
-                input: truncatedText
-            });
-            
-            return response.data[0].embedding;
+            return await this.llm.embed(truncatedText, { subsystem: 'embedding' });
             
         } catch (error) {
             console.error('[SemanticMemory] Error generating embedding:', error.message);
@@ -128,6 +238,144 @@ class SemanticMemory {
         }
     }
 
+    /**
+     * Version of the vectors generateEmbedding() currently produces (provider:model)
+     */
+    currentEmbeddingVersion() {
+        return typeof this.llm.embeddingVersion === 'function' ? this.llm.embeddingVersion('embedding') : 'unknown';
+    }
+
+    /**
+     * Re-embed every memory whose vector came from a different provider/model.
+     * Runs in the background after initialize(); progress is saved every few memories,
+     * so an interrupted run picks up where it stopped on the next start.
+     */
+    async reembedStale() {
+        if (this.reembedState.running) return this.reembedState;
+
+        const target = this.currentEmbeddingVersion();
+        const stale = Array.from(this.memoryIndex.values()).filter(memory => memory.embeddingVersion !== target);
+        if (stale.length === 0) {
+            if (this.embeddingVersion !== target && this.memoryIndex.size > 0) {
+                this.embeddingVersion = target;
+                await this.saveEmbeddings();
+            }
+            return this.reembedState;
+        }
+
+        const from = [...new Set(stale.map(memory => memory.embeddingVersion))].join(', ');
+        this.reembedState = { running: true, from, to: target, total: stale.length, done: 0, failed: 0, startedAt: new Date().toISOString(), finishedAt: null };
+        console.log(`[SemanticMemory] Re-embedding ${stale.length} memories: ${from} -> ${target}`);
+
+        let consecutiveFailures = 0;
+        for (const memory of stale) {
+            try {
+                const embedding = await this.generateEmbedding(memory.text);
+                memory.embedding = embedding;
+                memory.embeddingVersion = target;
+                this.embeddings.set(memory.id, embedding);
+                this.indexMemory(memory);
+                this.reembedState.done++;
+                consecutiveFailures = 0;
+            } catch (error) {
+                this.reembedState.failed++;
+                if (++consecutiveFailures >= this.reembedMaxConsecutiveFailures) {
+                    console.error(`[SemanticMemory] Re-embed stopped after ${consecutiveFailures} failures in a row, will retry on next start`);
+                    break;
+                }
+            }
+
+            if (this.reembedState.done > 0 && this.reembedState.done % this.reembedSaveEvery === 0) {
+                await this.saveEmbeddings();
+            }
+        }
+
+        // Centroids are only meaningful once every member is in the new space
+        const complete = this.reembedState.done === stale.length;
+        if (complete) {
+            this.embeddingVersion = target;
+            for (const cluster of this.clusters.values()) {
+                cluster.centroid = this.updateCentroid(cluster);
+                cluster.embeddingVersion = target;
+            }
+            await this.saveClusters();
+        }
+        await this.saveEmbeddings();
+
+        this.reembedState.running = false;
+        this.reembedState.finishedAt = new Date().toISOString();
+        console.log(`[SemanticMemory] Re-embed ${complete ? 'complete' : 'incomplete'}: ${this.reembedState.done}/${stale.length} memories (${this.reembedState.failed} failed)`);
+        return this.reembedState;
+    }
+
+    /**
+     * Load the HNSW graph saved next to embeddings.json and add whatever it is missing.
+     * A graph built for another embedding version is discarded; re-embedding refills it.
+     */
+    async loadAnnIndex() {
+        const version = this.currentEmbeddingVersion();
+        const vectorFor = id => {
+            const memory = this.memoryIndex.get(id);
+            return memory && memory.embeddingVersion === version ? memory.embedding : null;
+        };
+        
+        try {
+            const data = JSON.parse(await fs.readFile(this.annIndexPath, 'utf8'));
+            if (data.embeddingVersion === version) {
+                this.annIndex = HnswIndex.fromJSON(data, vectorFor);
+            } else {
+                console.log(`[SemanticMemory] ANN index was built for ${data.embeddingVersion}, rebuilding for ${version}`);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('[SemanticMemory] Could not load ANN index, rebuilding:', error.message);
+            }
+        }
+        if (!this.annIndex) {
+            this.annIndex = new HnswIndex({ embeddingVersion: version });
+        }
+        
+        // Memories added since the last save (the save is debounced, so a crash can lose a few)
+        let added = 0;
+        for (const memory of this.memoryIndex.values()) {
+            if (!this.annIndex.has(memory.id) && vectorFor(memory.id)) {
+                this.annIndex.add(memory.id, memory.embedding);
+                added++;
+            }
+        }
+        if (added > 0 || this.annIndex.dropped) {
+            this.scheduleAnnIndexSave();
+        }
+        console.log(`[SemanticMemory] ANN index: ${this.annIndex.size} vectors (${added} added, ${this.annIndex.dropped || 0} dropped)`);
+    }
+    
+    indexMemory(memory) {
+        if (!this.annIndex || memory.embeddingVersion !== this.annIndex.embeddingVersion) return;
+        this.annIndex.add(memory.id, memory.embedding);
+        this.scheduleAnnIndexSave();
+    }
+    
+    useAnnIndex(version) {
+        return !!this.annIndex && this.annIndex.embeddingVersion === version && this.annIndex.size >= this.annMinMemories;
+    }
+    
+    scheduleAnnIndexSave() {
+        if (this.annSaveTimer) return;
+        this.annSaveTimer = setTimeout(() => {
+            this.annSaveTimer = null;
+            this.saveAnnIndex();
+        }, this.annSaveDelayMs);
+        this.annSaveTimer.unref();
+    }
+    
+    async saveAnnIndex() {
+        try {
+            await fs.writeFile(this.annIndexPath, JSON.stringify(this.annIndex));
+        } catch (error) {
+            console.error('[SemanticMemory] Error saving ANN index:', error.message);
+        }
+    }
+
     /**
      * Calculate cosine similarity between two vectors
      */
@@ -158,8 +406,17 @@ class SemanticMemory {
             let bestCluster = null;
             let bestSimilarity = 0;
             
+            // Only clusters holding the memory's nearest neighbours are worth comparing against
+            let candidateClusters = this.clusters;
+            if (this.useAnnIndex(memory.embeddingVersion)) {
+                const nearby = this.annIndex.search(memory.embedding, this.annClusterNeighbors, { filter: id => id !== memory.id });
+                const clusterIds = new Set(nearby.map(n => this.memoryIndex.get(n.id)?.clusterId).filter(id => id && this.clusters.has(id)));
+                candidateClusters = new Map([...clusterIds].map(id => [id, this.clusters.get(id)]));
+            }
+            
             // Find most similar cluster
-            for (const [clusterId, cluster] of this.clusters) {
+            for (const [clusterId, cluster] of candidateClusters) {
+                if (cluster.embeddingVersion !== memory.embeddingVersion) continue;
                 if (cluster.centroid && cluster.memoryIds.length > 0) {
                     const similarity = this.cosineSimilarity(memory.embedding, cluster.centroid);
                     if (similarity > bestSimilarity && similarity > this.clusterThreshold) {
@@ -186,6 +443,7 @@ class SemanticMemory {
                     id: clusterId,
                     memoryIds: [memory.id],
                     centroid: memory.embedding.slice(), // Copy the embedding
+                    embeddingVersion: memory.embeddingVersion,
                     keywords: this.extractKeywords(memory.text),
                     created: new Date(),
                     updated: new Date(),
@@ -306,19 +564,33 @@ class SemanticMemory {
             } = options;
             
             // Generate query embedding
+            const queryVersion = this.currentEmbeddingVersion();
             const queryEmbedding = await this.generateEmbedding(query);
             
-            // Search all memories
-            const results = [];
+            // Apply filters
+            const passesFilters = memory => !!memory &&
+                (!typeFilter || memory.type === typeFilter) &&
+                (!temporalFilter || this.matchesTemporalFilter(memory.timestamp, temporalFilter)) &&
+                memory.embeddingVersion === queryVersion; // not re-embedded yet
+            
+            // Candidates from the ANN index once it is worth it, otherwise score every memory
+            let candidates;
+            if (this.useAnnIndex(queryVersion)) {
+                candidates = this.annIndex
+                    .search(queryEmbedding, Math.max(maxResults * this.annCandidateFactor, 50), {
+                        filter: id => passesFilters(this.memoryIndex.get(id))
+                    })
+                    .map(({ id, similarity }) => ({ memory: this.memoryIndex.get(id), similarity }));
+            } else {
+                candidates = [];
+                for (const memory of this.memoryIndex.values()) {
+                    if (!passesFilters(memory)) continue;
+                    candidates.push({ memory, similarity: this.cosineSimilarity(queryEmbedding, memory.embedding) });
+                }
+            }
             
-            for (const [memoryId, memory] of this.memoryIndex) {
-                // Apply filters
-                if (typeFilter && memory.type !== typeFilter) continue;
-                if (temporalFilter && !this.matchesTemporalFilter(memory.timestamp, temporalFilter)) continue;
-                
-                // Calculate similarity
-                const similarity = this.cosineSimilarity(queryEmbedding, memory.embedding);
-                
+            const results = [];
+            for (const { memory, similarity } of candidates) {
                 if (similarity >= minSimilarity) {
                     results.push({
                         memory,
@@ -545,9 +817,15 @@ class SemanticMemory {
             this.embeddings = new Map(Object.entries(parsed.embeddings || {}));
             this.memoryIndex = new Map(Object.entries(parsed.memoryIndex || {}));
             this.temporalIndex = new Map(Object.entries(parsed.temporalIndex || {}));
+            this.embeddingVersion = parsed.embeddingVersion || LEGACY_EMBEDDING_VERSION;
+            
+            for (const memory of this.memoryIndex.values()) {
+                memory.embeddingVersion = memory.embeddingVersion || this.embeddingVersion;
+            }
             
         } catch (error) {
             // File doesn't exist yet, start fresh
+            this.embeddingVersion = this.currentEmbeddingVersion();
             console.log('[SemanticMemory] No existing embeddings found, starting fresh');
         }
     }
@@ -558,6 +836,7 @@ class SemanticMemory {
     async saveEmbeddings() {
         try {
             const data = {
+                embeddingVersion: this.embeddingVersion,
                 embeddings: Object.fromEntries(this.embeddings),
                 memoryIndex: Object.fromEntries(this.memoryIndex),
                 temporalIndex: Object.fromEntries(this.temporalIndex),
@@ -580,6 +859,9 @@ class SemanticMemory {
             const parsed = JSON.parse(data);
             
             this.clusters = new Map(Object.entries(parsed.clusters || {}));
+            for (const cluster of this.clusters.values()) {
+                cluster.embeddingVersion = cluster.embeddingVersion || this.embeddingVersion || LEGACY_EMBEDDING_VERSION;
+            }
             
         } catch (error) {
             // File doesn't exist yet, start fresh
@@ -608,13 +890,23 @@ class SemanticMemory {
      * Get memory statistics
      */
     getStats() {
+        const embeddingVersion = this.currentEmbeddingVersion();
         return {
             totalMemories: this.memoryIndex.size,
             totalClusters: this.clusters.size,
             averageClusterSize: this.clusters.size > 0 ? 
                 Array.from(this.clusters.values()).reduce((sum, cluster) => sum + cluster.memoryIds.length, 0) / this.clusters.size : 0,
             memoryTypes: this.getMemoryTypeDistribution(),
-            temporalRange: this.getTemporalRange()
+            temporalRange: this.getTemporalRange(),
+            embeddingVersion,
+            staleEmbeddings: Array.from(this.memoryIndex.values())
+                .filter(memory => memory.embeddingVersion !== embeddingVersion).length,
+            reembed: { ...this.reembedState },
+            annIndex: this.annIndex ? {
+                ...this.annIndex.getStats(),
+                active: this.useAnnIndex(embeddingVersion),
+                minMemories: this.annMinMemories
+            } : null
         };
     }
 
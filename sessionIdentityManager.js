@@ -1,15 +1,19 @@
 /**
  * Session Identity Manager - Simplified Two-Profile System
  * 
- * Manages session identity for:
- * - chris: Permanent, persistent profile
- * - visitor: Temporary, rotating profile (1-hour timeout)
+ * Manages session identity for unauthenticated (single-user) mode:
+ * - primary: Permanent, persistent profile (primaryProfileId)
+ * - visitor: Temporary, rotating profile (ends after visitorTimeout without activity; the
+ *   visitor retention policy's session timeout, 1 hour by default)
+ *
+ * With accounts enabled the login decides the profile and this only tracks sessions.
  */
 
 class SessionIdentityManager {
-    constructor() {
+    constructor({ primaryProfileId = null, visitorTimeout = 60 * 60 * 1000 } = {}) {
+        this.primaryProfileId = primaryProfileId;
         this.sessions = new Map(); // deviceId -> session data
-        this.visitorTimeout = 60 * 60 * 1000; // 1 hour in milliseconds
+        this.visitorTimeout = visitorTimeout; // ms
         this.visitorCleanupTimer = null;
         
         // Start visitor cleanup timer
@@ -22,21 +26,23 @@ class SessionIdentityManager {
      * Detect if user is correcting their identity
      */
     detectCorrection(message, deviceId) {
+        const primary = this.primaryProfileId;
+        if (!primary) return null;
         const lowerMessage = message.toLowerCase();
         
         // Check for explicit corrections
-        if (lowerMessage.includes('i am chris') || lowerMessage.includes('i\'m chris')) {
-            return { type: 'correction', identity: 'chris' };
+        if (lowerMessage.includes(`i am ${primary}`) || lowerMessage.includes(`i'm ${primary}`)) {
+            return { type: 'correction', identity: primary };
         }
         
-        if (lowerMessage.includes('i am not chris') || lowerMessage.includes('i\'m not chris')) {
+        if (lowerMessage.includes(`i am not ${primary}`) || lowerMessage.includes(`i'm not ${primary}`)) {
             return { type: 'negative' };
         }
         
         // Check for name claims
         const nameMatch = message.match(/i am ([a-zA-Z]+)/i);
-        if (nameMatch && nameMatch[1].toLowerCase() === 'chris') {
-            return { type: 'correction', identity: 'chris' };
+        if (nameMatch && nameMatch[1].toLowerCase() === primary) {
+            return { type: 'correction', identity: primary };
         }
         
         return null;
@@ -155,7 +161,7 @@ class SessionIdentityManager {
         let cleanedCount = 0;
         
         for (const [deviceId, session] of this.sessions.entries()) {
-            // Only clean up visitor sessions, never chris
+            // Only clean up visitor sessions, never the primary or account sessions
             if (session.identity === 'visitor' && 
                 now - session.lastActivity > this.visitorTimeout) {
                 this.sessions.delete(deviceId);
@@ -18,8 +18,8 @@ class SimplifiedProfileSystem {
         return { success: true };
     }
 
-    switchToChris() {
-        this.activeProfile = 'chris';
+    switchToProfile(profileId) {
+        this.activeProfile = profileId;
     }
 }
 
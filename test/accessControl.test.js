@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AccessControl } = require('../accessControl');
+
+const accessControl = new AccessControl({ store: { appendAudit: () => {} }, enforce: true });
+const authOff = new AccessControl({ store: { appendAudit: () => {} }, enforce: false });
+
+const ROLES = ['owner', 'admin', 'user', 'robot', 'anonymous'];
+const STAFF = ['owner', 'admin'];
+
+// Every caller is signed in as profile "alice"; [method, path under /api, roles let through]
+const CASES = [
+    ['POST', '/admin/services/stop', ['owner']],
+    ['DELETE', '/admin/profile/chris', STAFF],
+    ['POST', '/admin/profiles/bulk-delete', STAFF],
+    ['POST', '/admin/profiles/merge', STAFF],
+    ['POST', '/admin/profiles/import-archive', STAFF],
+    ['POST', '/admin/profiles/chris/purge', STAFF],
+    ['POST', '/admin/retention/run', STAFF],
+    ['POST', '/admin/memory/force-cleanup', STAFF],
+    ['POST', '/admin/cache/clear', STAFF],
+    ['POST', '/admin/database/optimize-storage', STAFF],
+    ['POST', '/admin/sessions/abc/reset', STAFF],
+    ['POST', '/admin/echo-candidates/echo-1/merge', STAFF],
+    ['POST', '/admin/echo-candidates/echo-1/approve', STAFF],
+    ['DELETE', '/admin/trust-network/links', STAFF],
+    ['PUT', '/admin/retention/policies/visitor', STAFF],
+    ['POST', '/admin/consolidation/run', STAFF],
+    ['GET', '/admin/profiles/chris/archive', STAFF],
+    ['GET', '/admin/audit', STAFF],
+    ['GET', '/admin/profiles', STAFF],
+    ['POST', '/admin/profiles/rename', STAFF],
+    ['GET', '/auth/users', STAFF],
+    ['PATCH', '/auth/users/3', STAFF],
+    ['DELETE', '/memories/chris/fact:12', STAFF],
+    ['DELETE', '/memories/alice/fact:12', ['owner', 'admin', 'user', 'robot']],
+    ['GET', '/memories/chris', STAFF],
+    ['GET', '/memories/alice', ['owner', 'admin', 'user', 'robot']],
+    ['POST', '/open-loops/chris/loop-1/close', STAFF],
+    ['POST', '/open-loops/alice/loop-1/snooze', ['owner', 'admin', 'user', 'robot']],
+    ['GET', '/open-loops/chris', STAFF],
+    ['GET', '/open-loops/alice', ['owner', 'admin', 'user', 'robot']],
+    ['GET', '/robot/status', ['owner', 'admin', 'user', 'robot']],
+    ['POST', '/robot-command', ['owner', 'admin', 'robot']],
+    ['GET', '/frontier/status', ['owner', 'admin', 'user']],
+    ['POST', '/exploration/start', STAFF],
+    ['POST', '/knowledge-add', STAFF],
+    ['POST', '/identity-evolution/rollback', STAFF],
+    ['POST', '/reload-config', STAFF],
+    ['GET', '/debug-conversations', STAFF],
+    ['POST', '/profile-system/replay', STAFF]
+];
+
+function userFor(role) {
+    return role === 'anonymous' ? null : { id: 1, username: 'alice', profileId: 'alice', role };
+}
+
+function allowed(role, method, routePath) {
+    const rule = accessControl.ruleFor(method, routePath);
+    return !rule || accessControl.allows(userFor(role), rule, routePath);
+}
+
+// Runs the middleware the way Express would and returns the status it answered with (200 = passed on)
+function statusFor(role, method, routePath, control = accessControl) {
+    let status = 200;
+    const req = { method, path: routePath, user: userFor(role), query: {}, body: {} };
+    const res = {
+        locals: {},
+        on: () => {},
+        status(code) {
+            status = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    control.middleware()(req, res, () => {});
+    return status;
+}
+
+test('every route rule has a case below', () => {
+    const covered = new Set(CASES.map(([method, routePath]) => `/${accessControl.ruleFor(method, routePath).path.source}/`));
+    const missing = AccessControl.describe().routes.map(route => route.path).filter(routePath => !covered.has(routePath));
+    assert.deepStrictEqual(missing, []);
+});
+
+for (const [method, routePath, roles] of CASES) {
+    test(`${method} ${routePath} is open to ${roles.join(', ')} only`, () => {
+        const granted = ROLES.filter(role => allowed(role, method, routePath));
+        assert.deepStrictEqual(granted, roles);
+    });
+}
+
+test('a route no rule covers only needs a login', () => {
+    assert.strictEqual(accessControl.ruleFor('POST', '/chat-with-memory'), null);
+});
+
+test('changing the case of the path does not get around a rule', () => {
+    assert.strictEqual(statusFor('user', 'DELETE', '/admin/profile/chris'), 403);
+    assert.strictEqual(statusFor('user', 'DELETE', '/ADMIN/profile/chris'), 403);
+    assert.strictEqual(statusFor('user', 'GET', '/Memories/chris'), 403);
+    assert.strictEqual(statusFor('user', 'POST', '/Open-Loops/chris/loop-1/close'), 403);
+    assert.strictEqual(statusFor('user', 'GET', '/Memories/alice'), 200);
+});
+
+test('a trailing slash still hits the route\'s own rule', () => {
+    assert.strictEqual(accessControl.ruleFor('POST', '/admin/services/stop/').permission, 'services:control');
+    assert.strictEqual(statusFor('admin', 'POST', '/admin/services/stop/'), 403);
+    assert.strictEqual(statusFor('user', 'GET', '/memories/chris/'), 403);
+    assert.strictEqual(statusFor('owner', 'POST', '/admin/services/stop/'), 200);
+});
+
+test('with auth off the destructive routes are refused to everyone', () => {
+    assert.strictEqual(statusFor('anonymous', 'DELETE', '/admin/profile/chris', authOff), 403);
+    assert.strictEqual(statusFor('anonymous', 'POST', '/admin/profiles/merge', authOff), 403);
+    assert.strictEqual(statusFor('anonymous', 'POST', '/Admin/Services/Stop/', authOff), 403);
+    assert.strictEqual(statusFor('anonymous', 'GET', '/admin/profiles', authOff), 200);
+    assert.strictEqual(statusFor('anonymous', 'GET', '/memories/chris', authOff), 200);
+});
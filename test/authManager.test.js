@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AccessControl } = require('../accessControl');
+const { AuthManager } = require('../authManager');
+const { tempStore } = require('./helpers');
+
+function setup(t, options = {}) {
+    const { store } = tempStore(t, 'clint-auth-');
+    const accessControl = new AccessControl({ store, enforce: true });
+    return { store, auth: new AuthManager({ store, accessControl, ...options }) };
+}
+
+test('two racing first registrations produce one owner', async (t) => {
+    const { auth } = setup(t);
+
+    const results = await Promise.allSettled([
+        auth.register({ username: 'alice', password: 'correct horse' }),
+        auth.register({ username: 'bobby', password: 'battery staple' })
+    ]);
+
+    const owners = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    assert.strictEqual(owners.length, 1);
+    assert.strictEqual(owners[0].value.role, 'owner');
+    assert.strictEqual(refused[0].reason.status, 403);
+});
+
+test('with open registration the loser of the race becomes a user', async (t) => {
+    const { auth } = setup(t, { allowRegistration: true });
+
+    const users = await Promise.all([
+        auth.register({ username: 'alice', password: 'correct horse' }),
+        auth.register({ username: 'bobby', password: 'battery staple' })
+    ]);
+
+    assert.deepStrictEqual(users.map(user => user.role).sort(), ['owner', 'user']);
+});
+
+test('only the first account can be created as owner', (t) => {
+    const { store } = setup(t);
+
+    const first = store.createUser({ username: 'alice', profileId: 'alice', passwordHash: 'x', role: 'owner' });
+    const second = store.createUser({ username: 'bob', profileId: 'bob', passwordHash: 'x', role: 'owner' });
+
+    assert.ok(first > 0);
+    assert.strictEqual(second, null);
+    assert.strictEqual(store.countUsers(), 1);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChatPipeline } = require('../orchestrators/chatPipeline');
+
+async function debugOutput(output) {
+    const pipeline = new ChatPipeline([{ name: 'stage', run: async () => output }]);
+    const { trace } = await pipeline.run({}, { debug: true });
+    return trace[0].output;
+}
+
+test('an object reached twice is copied both times in the debug trace', async () => {
+    const profile = { id: 'alice', name: 'Alice' };
+
+    const output = await debugOutput({ profile, candidates: [profile, { id: 'bob' }] });
+
+    assert.deepStrictEqual(output, { profile, candidates: [profile, { id: 'bob' }] });
+});
+
+test('a real cycle is cut, and maps, sets and functions come out JSON-safe', async () => {
+    const node = { id: 'root', children: [] };
+    node.children.push({ id: 'child', parent: node });
+
+    const output = await debugOutput({ node, seen: new Set(['a']), byId: new Map([['a', 1]]), format: () => 'x' });
+
+    assert.deepStrictEqual(output, {
+        node: { id: 'root', children: [{ id: 'child', parent: '[Circular]' }] },
+        seen: ['a'],
+        byId: { a: 1 }
+    });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SearchIndex } = require('../searchIndex');
+const { ClaimVerifier } = require('../claimVerifier');
+const { PrivacyGuard } = require('../privacyGuard');
+const { createHttpResponder, createSentenceGate } = require('../chatTransport');
+const { tempStore } = require('./helpers');
+
+// SSE responder over a fake response that records the events it writes
+function sseResponder() {
+    const events = [];
+    const res = {
+        status: () => res,
+        setHeader: () => {},
+        flushHeaders: () => {},
+        on: () => {},
+        end: () => {},
+        write: (chunk) => {
+            const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+            events.push({ event, ...JSON.parse(data) });
+        }
+    };
+    const responder = createHttpResponder({ body: { stream: true }, query: {}, headers: {} }, res);
+    return { responder, events };
+}
+
+// Feeds a reply in small model-sized deltas
+function streamInto(gate, reply) {
+    for (const token of reply.match(/.{1,6}/gs)) gate.push(token);
+    return gate.end();
+}
+
+// The chat pipeline's default reply gates: claim verification and the privacy guard, both in rewrite mode
+function defaultGates(t) {
+    const { dir, store } = tempStore(t, 'clint-transport-');
+    store.insertFact({ profileId: 'bob', kind: 'person', subject: 'Sarah', statement: 'Sarah is recovering from knee surgery in Denver' });
+    const verifier = new ClaimVerifier({ store, searchIndex: new SearchIndex(dir, store), mode: 'rewrite' });
+    const profileManager = { primaryProfileId: 'owner', getAllProfiles: async () => [{ id: 'owner' }, { id: 'alice' }, { id: 'bob' }] };
+    const guard = new PrivacyGuard({ store, profileManager, mode: 'rewrite' });
+    return async (sentence) => {
+        const claims = await verifier.checkClaims(sentence, { profileId: 'alice' });
+        const leaks = await guard.findLeaks(sentence, { viewerId: 'alice' });
+        return claims.every(claim => claim.label === 'supported') && leaks.length === 0;
+    };
+}
+
+test('with the default reply gates a clean reply still streams sentence by sentence', async (t) => {
+    const { responder, events } = sseResponder();
+    const gate = createSentenceGate({ emit: text => responder.token(text), check: defaultGates(t) });
+
+    const reply = 'Morning. The trail is dry today. Take water anyway!';
+    const { sent, held } = await streamInto(gate, reply);
+
+    const tokens = events.filter(entry => entry.event === 'token').map(entry => entry.text);
+    assert.ok(tokens.length > 1);
+    assert.deepStrictEqual(tokens, ['Morning. ', 'The trail is dry today. ', 'Take water anyway!']);
+    assert.strictEqual(sent, reply);
+    assert.strictEqual(held, false);
+});
+
+test('a sentence the gates would change never streams, nor anything after it', async (t) => {
+    const { responder, events } = sseResponder();
+    const gate = createSentenceGate({ emit: text => responder.token(text), check: defaultGates(t) });
+
+    const { sent, held } = await streamInto(gate,
+        'Hope your week is going well. Sarah is recovering from knee surgery in Denver. Remember when we rode horses across Montana?');
+
+    assert.strictEqual(sent, 'Hope your week is going well. ');
+    assert.strictEqual(held, true);
+    assert.ok(events.every(entry => !/Sarah|Montana/.test(entry.text)));
+});
+
+test('a failing check holds the rest of the reply back', async () => {
+    const emitted = [];
+    const gate = createSentenceGate({
+        emit: text => emitted.push(text),
+        check: async (sentence) => {
+            if (sentence.startsWith('Two')) throw new Error('index unavailable');
+            return true;
+        }
+    });
+
+    const { held } = await streamInto(gate, 'One.\nTwo. Three.');
+
+    assert.deepStrictEqual(emitted, ['One.\n']);
+    assert.strictEqual(held, true);
+});
+
+test('the SSE responder sends a replacement before the final event', () => {
+    const { responder, events } = sseResponder();
+
+    responder.token('Hello. ');
+    responder.replace('Hi there.');
+    responder.send({ response: 'Hi there.' });
+
+    assert.deepStrictEqual(events.map(entry => entry.event), ['token', 'replace', 'done']);
+    assert.strictEqual(events[1].text, 'Hi there.');
+});
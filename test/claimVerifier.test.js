@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SearchIndex } = require('../searchIndex');
+const { ClaimVerifier, isMemoryTestQuestion } = require('../claimVerifier');
+const { tempStore } = require('./helpers');
+
+function setup(t, mode = 'rewrite') {
+    const { dir, store } = tempStore(t, 'clint-claims-');
+    const searchIndex = new SearchIndex(dir, store);
+    return { store, verifier: new ClaimVerifier({ store, searchIndex, mode }) };
+}
+
+test('a recollection the user stated is supported and kept', async (t) => {
+    const { store, verifier } = setup(t);
+    store.appendMessage({ sender: 'user', text: 'My dog Rufus chased the mail truck down the canyon road.' }, { profileId: 'alice' });
+
+    const reply = 'Remember when Rufus chased the mail truck down the canyon road? Good dog.';
+    const { responseText, report } = await verifier.verifyResponse(reply, { profileId: 'alice', record: false });
+
+    assert.strictEqual(report.counts.supported, 1);
+    assert.strictEqual(report.action, 'none');
+    assert.strictEqual(responseText, reply);
+});
+
+test('an invented shared memory is rewritten out of the reply', async (t) => {
+    const { verifier } = setup(t);
+
+    const reply = 'Good question. Remember when we rode horses across the Montana badlands at dawn?';
+    const { responseText, report } = await verifier.verifyResponse(reply, { profileId: 'alice', record: false });
+
+    assert.strictEqual(report.counts.unsupported, 1);
+    assert.strictEqual(report.action, 'rewritten');
+    assert.strictEqual(responseText, 'Good question.');
+});
+
+test('another profile\'s messages are not evidence', async (t) => {
+    const { store, verifier } = setup(t);
+    store.appendMessage({ sender: 'user', text: 'My dog Rufus chased the mail truck down the canyon road.' }, { profileId: 'bob' });
+
+    const { report } = await verifier.verifyResponse('Remember when Rufus chased the mail truck down the canyon road?', { profileId: 'alice', record: false });
+
+    assert.strictEqual(report.counts.unsupported, 1);
+});
+
+test('flag mode reports but leaves the text alone', async (t) => {
+    const { verifier } = setup(t, 'flag');
+
+    const reply = 'Remember when we rode horses across the Montana badlands at dawn?';
+    const { responseText, report } = await verifier.verifyResponse(reply, { profileId: 'alice', record: false });
+
+    assert.strictEqual(report.action, 'flagged');
+    assert.strictEqual(responseText, reply);
+});
+
+test('asking the user whether they remember is not a claim', () => {
+    assert.ok(isMemoryTestQuestion('Do you remember the time we went fishing?'));
+    assert.ok(!isMemoryTestQuestion('Remember when we went fishing?'));
+});
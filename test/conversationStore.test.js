@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempStore } = require('./helpers');
+
+const timestamp = '2026-01-05T10:00:00.000Z';
+
+test('the same message is stored once per profile', (t) => {
+    const { store } = tempStore(t);
+
+    assert.strictEqual(store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'alice' }), 1);
+    assert.strictEqual(store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'alice' }), 0);
+    assert.strictEqual(store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'bob' }), 1);
+    assert.strictEqual(store.countMessages(), 2);
+});
+
+test('moving a profile keeps the target\'s copy of a shared message', (t) => {
+    const { store } = tempStore(t);
+    store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'alice' });
+    store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'echo-1' });
+    store.appendMessage({ sender: 'user', text: 'see you later', timestamp }, { profileId: 'echo-1' });
+
+    const moved = store.reassignProfile('echo-1', 'alice');
+
+    assert.strictEqual(moved.messages, 1);
+    assert.strictEqual(store.appendMessage({ sender: 'user', text: 'see you later', timestamp }, { profileId: 'alice' }), 0);
+});
+
+test('a merge deletes the duplicates it leaves behind and re-points what cited them', (t) => {
+    const { store } = tempStore(t);
+    store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'alice' });
+    store.appendMessage({ sender: 'user', text: 'good morning', timestamp }, { profileId: 'echo-1' });
+    const idOf = (profileId) => store.getRecentMessages({ profileId })[0].id;
+    const [keptId, staleId] = [idOf('alice'), idOf('echo-1')];
+    const episode = { day: '2026-01-05', title: 'Greetings', summary: 'Said hello', start: timestamp, end: timestamp };
+    const keptEpisode = store.upsertEpisode({ ...episode, profileId: 'alice', messageIds: [keptId] });
+    const staleEpisode = store.upsertEpisode({ ...episode, profileId: 'echo-1', messageIds: [staleId] });
+    const factId = store.insertFact({ profileId: 'echo-1', kind: 'habit', subject: 'mornings', statement: 'Says good morning', sourceMessageIds: [staleId], episodeIds: [staleEpisode] });
+
+    const moved = store.reassignProfile('echo-1', 'alice');
+
+    assert.strictEqual(moved.duplicateMessages, 1);
+    assert.strictEqual(moved.duplicateEpisodes, 1);
+    assert.strictEqual(store.getRecentMessages({ profileId: 'echo-1' }).length, 0);
+    assert.strictEqual(store.getEpisodes({ profileId: 'echo-1' }).length, 0);
+    const fact = store.getFact(factId);
+    assert.deepStrictEqual([fact.profileId, fact.sourceMessageIds, fact.episodeIds], ['alice', [keptId], [keptEpisode]]);
+});
+
+test('messages come back with their row id', (t) => {
+    const { store } = tempStore(t);
+    const inserted = [];
+    store.on('messages', messages => inserted.push(...messages));
+    store.appendMessage({ sender: 'user', text: 'good morning', timestamp, id: 'client-7' }, { profileId: 'alice' });
+
+    const [row] = inserted;
+    assert.ok(Number.isInteger(row.id));
+    assert.strictEqual(store.getRecentMessages({ profileId: 'alice' })[0].id, row.id);
+    assert.strictEqual(store.queryMessages({ sender: 'user' })[0].id, row.id);
+});
+
+test('a client-supplied message id is kept as clientId', (t) => {
+    const { store } = tempStore(t);
+    store.appendMessage({ id: 'msg-42', sender: 'user', text: 'good morning', timestamp }, { profileId: 'alice' });
+
+    const [message] = store.getRecentMessages({ profileId: 'alice' });
+
+    assert.strictEqual(typeof message.id, 'number');
+    assert.strictEqual(message.clientId, 'msg-42');
+});
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversationStore } = require('../conversationStore');
+
+// Scratch data directory, removed when the test finishes
+function tempDir(t, prefix = 'clint-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// ConversationStore in its own scratch directory; the database is closed before the directory goes
+function tempStore(t, prefix = 'clint-store-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    const store = new ConversationStore(dir);
+    t.after(() => {
+        store.db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { dir, store };
+}
+
+module.exports = { tempDir, tempStore };
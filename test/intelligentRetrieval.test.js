@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IntelligentRetrieval } = require('../intelligentRetrieval');
+const { tempDir } = require('./helpers');
+
+const memory = (id, profileId, text) => ({ id, text, type: 'conversation', timestamp: '2026-01-05T10:00:00.000Z', metadata: { profileId } });
+
+// Semantic memory holds both profiles' memories; the keyword index records the filters it was asked for
+function setup(t) {
+    const retrieval = new IntelligentRetrieval(tempDir(t, 'clint-retrieval-'), null, null, null);
+    const bobNote = memory('m3', 'bob', 'Bob is saving for a boat');
+    retrieval.semanticMemory = {
+        parseTemporalReference: () => null,
+        semanticSearch: async () => [
+            { memory: memory('m1', 'alice', 'Alice wants a sailing holiday'), similarity: 0.9, relevanceScore: 0.9, relatedMemories: [bobNote, memory('m4', 'alice', 'Alice grew up by the sea')] },
+            { memory: memory('m2', 'bob', 'Bob thinks sailing is dull'), similarity: 0.8, relevanceScore: 0.8, relatedMemories: [] }
+        ]
+    };
+    retrieval.searchIndex = {
+        searched: [],
+        search(query, options) { this.searched.push(options.filters); return []; }
+    };
+    retrieval.initialized = true;
+    return retrieval;
+}
+
+test('a profile-scoped search only returns that profile\'s memories', async (t) => {
+    const retrieval = setup(t);
+
+    const scoped = await retrieval.retrieveContext('sailing', { profileId: 'alice' });
+    const texts = scoped.fragments.map(fragment => fragment.text);
+    assert.ok(texts.includes('Alice wants a sailing holiday'));
+    assert.ok(texts.includes('Alice grew up by the sea'));
+    assert.ok(texts.every(text => !text.startsWith('Bob')));
+    assert.ok(scoped.fragments.every(fragment => (fragment.relatedMemories || []).every(related => related.metadata.profileId === 'alice')));
+    assert.deepStrictEqual(retrieval.searchIndex.searched, [{ sender: 'user', profile: 'alice' }]);
+});
+
+test('an unscoped search still covers every profile', async (t) => {
+    const retrieval = setup(t);
+
+    const results = await retrieval.retrieveContext('sailing');
+    const texts = results.fragments.map(fragment => fragment.text);
+    assert.ok(texts.includes('Bob thinks sailing is dull'));
+    assert.deepStrictEqual(retrieval.searchIndex.searched, [{ sender: 'user' }]);
+});
+
+test('smartSearch passes the profile scope through', async (t) => {
+    const retrieval = setup(t);
+
+    const results = await retrieval.smartSearch('anything related to sailing', { profileId: 'bob' });
+    assert.deepStrictEqual(results.fragments.map(fragment => fragment.text), ['Bob thinks sailing is dull']);
+});
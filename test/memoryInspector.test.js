@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryInspector } = require('../memoryInspector');
+const { RETRACTED_FACTS_KEY } = require('../memoryConsolidator');
+const { tempStore } = require('./helpers');
+
+// ClintMemory's people and topics are shared; facts and patterns belong to one profile
+function setup(t) {
+    const { store } = tempStore(t, 'clint-inspector-');
+    const memory = {
+        layers: {
+            profile: { people_mentioned: { Sarah: { mention_count: 4, last_mentioned: '2026-01-05T10:00:00.000Z' } } },
+            patterns: { topics: { work: { count: 3 } } }
+        },
+        saves: 0,
+        async saveMemory() { this.saves++; }
+    };
+    const profileManager = { getProfile: async () => null, updateProfile: async () => {} };
+    const factId = store.insertFact({ profileId: 'alice', kind: 'preference', subject: 'tea', statement: 'Alice drinks green tea every morning' });
+    return { store, memory, factId, inspector: new MemoryInspector({ memory, profileManager, store }) };
+}
+
+test('shared people and topics are only listed for the global memory', async (t) => {
+    const { inspector, factId } = setup(t);
+
+    const own = await inspector.list('alice');
+    assert.deepStrictEqual(own.items.map(item => item.source), ['fact']);
+
+    const global = await inspector.list('alice', { includeShared: true });
+    assert.deepStrictEqual(global.items.map(item => item.id).sort(), [`fact:${factId}`, 'person:Sarah', 'topic:work']);
+});
+
+test('editing a shared person without the global memory is refused', async (t) => {
+    const { inspector, memory } = setup(t);
+
+    await assert.rejects(inspector.remove('alice', 'person:Sarah'), { status: 403 });
+    await assert.rejects(inspector.update('alice', 'person:Sarah', { text: 'Sara' }), { status: 403 });
+    await assert.rejects(inspector.setPinned('alice', 'topic:work', true), { status: 403 });
+    assert.ok(memory.layers.profile.people_mentioned.Sarah);
+    assert.strictEqual(memory.saves, 0);
+});
+
+test('the global memory can forget a shared person', async (t) => {
+    const { inspector, memory } = setup(t);
+
+    const { removed } = await inspector.remove('alice', 'person:Sarah', { includeShared: true });
+
+    assert.deepStrictEqual(removed, ['person:Sarah']);
+    assert.strictEqual(memory.layers.profile.people_mentioned.Sarah, undefined);
+    assert.strictEqual(memory.saves, 1);
+});
+
+test('forgetting a fact deletes it and keeps consolidation from learning it again', async (t) => {
+    const { inspector, store, factId } = setup(t);
+
+    const { removed } = await inspector.remove('alice', `fact:${factId}`);
+
+    assert.deepStrictEqual(removed, [`fact:${factId}`]);
+    assert.strictEqual(store.getFacts({ profileId: 'alice' }).length, 0);
+    assert.strictEqual(store.getValue(RETRACTED_FACTS_KEY, [])[0].statement, 'Alice drinks green tea every morning');
+});
+
+test('another profile\'s fact cannot be reached through your own profile', async (t) => {
+    const { inspector, factId } = setup(t);
+
+    await assert.rejects(inspector.remove('bob', `fact:${factId}`), { status: 404 });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SelfReflectionSystem, USER_LOOP_CONFIG } = require('../self-reflection');
+const { tempDir } = require('./helpers');
+
+// The chat pipeline hands the tracker the active profile id as a plain string
+async function setup(t) {
+    const selfReflection = new SelfReflectionSystem(tempDir(t, 'clint-loops-'), null, null, null);
+    await selfReflection.initialize();
+    await selfReflection.openLoopTracker.loadOpenLoops();
+    return { tracker: selfReflection.openLoopTracker };
+}
+
+const INTERVIEW = "I have a job interview at the bakery on Friday. I'll let you know how it goes.";
+
+test('a chat turn with a promise opens a loop for that profile only', async (t) => {
+    const { tracker } = await setup(t);
+
+    const { opened } = await tracker.trackUserTurn('alice', INTERVIEW, '(Nods.) Walk in steady. Bread people respect early risers.');
+
+    assert.ok(opened.length > 0);
+    assert.ok(tracker.getUserLoops('alice', { status: 'OPEN' }).some(loop => loop.kind === 'promised-follow-up'));
+    assert.strictEqual(tracker.getUserLoops('bob').length, 0);
+});
+
+test('Clint\'s closing question waits for the reply and the reply answers it', async (t) => {
+    const { tracker } = await setup(t);
+    const now = Date.now();
+
+    const { opened } = await tracker.trackUserTurn('alice', 'Work has been grinding me down lately.',
+        'That weight adds up. What part of your workday drains you the most?', now);
+    const question = opened.find(loop => loop.kind === 'unanswered-question');
+    assert.ok(question);
+    assert.strictEqual(question.awaiting_reply, true);
+
+    const { resolved } = await tracker.trackUserTurn('alice', 'Probably the meetings, honestly.', 'Meetings eat the day.', now + 60 * 1000);
+    assert.deepStrictEqual(resolved.map(loop => loop.id), [question.id]);
+});
+
+test('an unanswered question is left open once the reply window has passed', async (t) => {
+    const { tracker } = await setup(t);
+    const now = Date.now();
+
+    await tracker.trackUserTurn('alice', 'Work has been grinding me down lately.',
+        'That weight adds up. What part of your workday drains you the most?', now);
+    const { resolved } = await tracker.trackUserTurn('alice', 'Anyway, the weather is nice.', 'It is.', now + USER_LOOP_CONFIG.REPLY_WINDOW_MS + 1000);
+
+    assert.strictEqual(resolved.length, 0);
+    assert.strictEqual(tracker.getUserLoops('alice', { status: 'OPEN' }).length, 1);
+});
+
+test('open loops come back as greeting follow-ups, but not twice in a row', async (t) => {
+    const { tracker } = await setup(t);
+    const now = Date.now();
+    await tracker.trackUserTurn('alice', INTERVIEW, 'Walk in steady.', now);
+
+    const followUps = await tracker.getFollowUps('alice', { now: now + 60 * 60 * 1000 });
+    assert.ok(followUps.length > 0);
+    assert.match(followUps[0].prompt, /bakery/);
+
+    assert.deepStrictEqual(await tracker.getFollowUps('alice', { now: now + 2 * 60 * 60 * 1000 }), []);
+    assert.deepStrictEqual(await tracker.getFollowUps('bob', { now: now + 60 * 60 * 1000 }), []);
+});
+
+test('news about the promised thing resolves it; a question about it does not', async (t) => {
+    const { tracker } = await setup(t);
+    const now = Date.now();
+    await tracker.trackUserTurn('alice', INTERVIEW, 'Walk in steady.', now);
+
+    const asked = await tracker.trackUserTurn('alice', 'What should I wear to the bakery interview?', 'Clean and plain.', now + 1000);
+    assert.strictEqual(asked.resolved.length, 0);
+
+    const told = await tracker.trackUserTurn('alice', 'The bakery interview went well and they hired me!', 'Good.', now + 2 * 24 * 60 * 60 * 1000);
+    assert.ok(told.resolved.some(loop => loop.kind === 'promised-follow-up'));
+});
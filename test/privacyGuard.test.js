@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PrivacyGuard } = require('../privacyGuard');
+const { tempStore } = require('./helpers');
+
+// Bob told Clint about his sister; Alice must not hear it back
+function setup(t, mode = 'redact') {
+    const { store } = tempStore(t, 'clint-privacy-');
+    store.insertFact({ profileId: 'bob', kind: 'person', subject: 'Sarah', statement: 'Sarah is recovering from knee surgery in Denver' });
+    const profileManager = {
+        primaryProfileId: 'owner',
+        getAllProfiles: async () => [{ id: 'owner' }, { id: 'alice' }, { id: 'bob' }]
+    };
+    return { guard: new PrivacyGuard({ store, profileManager, mode }) };
+}
+
+const LEAKY_REPLY = 'Hope your week is going well. Sarah is recovering from knee surgery in Denver.';
+
+test('another profile\'s private fact is taken out of the reply', async (t) => {
+    const { guard } = setup(t);
+
+    const { responseText, report } = await guard.guardResponse(LEAKY_REPLY, { viewerId: 'alice', record: false });
+
+    assert.strictEqual(report.action, 'redacted');
+    assert.deepStrictEqual(report.owners, ['bob']);
+    assert.strictEqual(responseText, 'Hope your week is going well.');
+});
+
+test('the owner of the fact hears it back unchanged', async (t) => {
+    const { guard } = setup(t);
+
+    const { responseText, report } = await guard.guardResponse(LEAKY_REPLY, { viewerId: 'bob', record: false });
+
+    assert.strictEqual(report.action, 'none');
+    assert.strictEqual(responseText, LEAKY_REPLY);
+});
+
+test('terms the viewer brought up themselves are not a leak', async (t) => {
+    const { guard } = setup(t);
+
+    const leaks = await guard.findLeaks(LEAKY_REPLY, {
+        viewerId: 'alice',
+        userMessage: 'How is Sarah doing after her knee surgery in Denver?'
+    });
+
+    assert.strictEqual(leaks.length, 0);
+});
+
+test('flag mode records the leak without changing the reply', async (t) => {
+    const { guard } = setup(t, 'flag');
+
+    const { responseText, report } = await guard.guardResponse(LEAKY_REPLY, { viewerId: 'alice', record: false });
+
+    assert.strictEqual(report.action, 'flagged');
+    assert.strictEqual(responseText, LEAKY_REPLY);
+});
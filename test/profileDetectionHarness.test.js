@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProfileDetectionHarness } = require('../profileDetectionHarness');
+
+// A detector that answers from a fixed table, so the scores below follow from the transcript alone
+function harnessFor(decisions) {
+    const profileManager = {
+        primaryProfileId: 'chris',
+        checkProfile: async (message) => ({ confidence: 0.9, signals: [], thresholds: {}, ...decisions[message] })
+    };
+    return new ProfileDetectionHarness({ profileManager });
+}
+
+const TRANSCRIPT = [
+    '{"message": "is the server build done?", "expected": "chris"}',
+    '{"message": "morning, coffee first", "expected": "chris"}',
+    '# Sarah visiting',
+    '{"message": "hi, I\'m Sarah", "expected": "sarah"}',
+    '{"message": "who are you?", "expected": "foreign"}',
+    '',
+    '{"message": "restart the ollama service", "expected": "api"}'
+].join('\n');
+
+const DECISIONS = {
+    'is the server build done?': { profileId: 'chris', branch: 'primary' },
+    'morning, coffee first': { profileId: 'sarah', branch: 'known' },
+    'hi, I\'m Sarah': { profileId: 'sarah', branch: 'known' },
+    'who are you?': { profileId: 'echo-1', branch: 'foreign-new' },
+    'restart the ollama service': { profileId: 'chris', branch: 'primary' }
+};
+
+test('the corpus parser skips comments and blank lines and reports bad lines', () => {
+    const { cases, errors } = ProfileDetectionHarness.parseCorpus(`${TRANSCRIPT}\nnot json\n{"message": "no label"}`);
+
+    assert.strictEqual(cases.length, 5);
+    assert.strictEqual(cases[2].line, 4);
+    assert.deepStrictEqual(errors.map(error => error.line), [8, 9]);
+    assert.match(errors[1].error, /expected is required/);
+});
+
+test('a replay counts every case into the confusion matrix', async () => {
+    const { cases } = ProfileDetectionHarness.parseCorpus(TRANSCRIPT);
+    const report = await harnessFor(DECISIONS).replay(cases);
+
+    assert.strictEqual(report.total, 5);
+    assert.strictEqual(report.correct, 3);
+    assert.strictEqual(report.accuracy, 0.6);
+    assert.deepStrictEqual(report.confusion, {
+        chris: { chris: 1, sarah: 1 },
+        sarah: { sarah: 1 },
+        foreign: { foreign: 1 },
+        api: { chris: 1 }
+    });
+    assert.deepStrictEqual(report.branches, { primary: 2, known: 2, 'foreign-new': 1 });
+});
+
+test('precision and recall follow from the confusion matrix', async () => {
+    const { cases } = ProfileDetectionHarness.parseCorpus(TRANSCRIPT);
+    const { labels } = await harnessFor(DECISIONS).replay(cases);
+
+    assert.deepStrictEqual(labels.chris, { support: 2, predicted: 2, truePositives: 1, precision: 0.5, recall: 0.5, f1: 0.5 });
+    assert.deepStrictEqual(labels.sarah, { support: 1, predicted: 2, truePositives: 1, precision: 0.5, recall: 1, f1: 0.667 });
+    assert.deepStrictEqual(labels.foreign, { support: 1, predicted: 1, truePositives: 1, precision: 1, recall: 1, f1: 1 });
+    assert.deepStrictEqual(labels.api, { support: 1, predicted: 0, truePositives: 0, precision: null, recall: 0, f1: null });
+});
+
+test('only the misses come back with their trace unless all are asked for', async () => {
+    const { cases } = ProfileDetectionHarness.parseCorpus(TRANSCRIPT);
+    const harness = harnessFor(DECISIONS);
+
+    const misses = await harness.replay(cases);
+    assert.deepStrictEqual(misses.cases.map(entry => [entry.line, entry.predicted]), [[2, 'sarah'], [7, 'chris']]);
+    assert.strictEqual((await harness.replay(cases, { traces: 'all' })).cases.length, 5);
+    await assert.rejects(harness.replay([]), /no cases/);
+});
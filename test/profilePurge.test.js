@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ProfilePurge, ProfilePurgeError } = require('../profilePurge');
+const { tempStore } = require('./helpers');
+
+const timestamp = '2026-01-05T10:00:00.000Z';
+
+// Only the store and the shared text files are real; the profile manager is a stand-in
+function setup(t, { profile = { name: 'Will' }, protectedIds = [] } = {}) {
+    const { dir, store } = tempStore(t, 'clint-purge-');
+    const profileManager = {
+        getProfile: async () => profile,
+        purgeProfile: async () => ({ profile: !!profile, trustLinks: 0 }),
+        buildDatabaseIndexes: async () => false
+    };
+    const write = (relative, content) => {
+        const file = path.join(dir, relative);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2), 'utf8');
+        return () => fs.readFileSync(file, 'utf8');
+    };
+    const purge = new ProfilePurge({ storagePath: dir, store, profileManager, protectedIds: () => protectedIds });
+    return { store, purge, write };
+}
+
+test('a purge removes the profile\'s rows and records a verifiable certificate', async (t) => {
+    const { store, purge } = setup(t);
+    store.appendMessage({ sender: 'user', text: 'morning', timestamp }, { profileId: 'will' });
+    store.appendMessage({ sender: 'user', text: 'morning', timestamp }, { profileId: 'alice' });
+    store.insertFact({ profileId: 'will', kind: 'preference', subject: 'tea', statement: 'Drinks tea' });
+
+    const certificate = await purge.purge('will', { requestedBy: 'owner' });
+
+    assert.strictEqual(certificate.status, 'complete');
+    assert.strictEqual(certificate.removed.messages, 1);
+    assert.strictEqual(certificate.removed.facts, 1);
+    assert.strictEqual(store.getRecentMessages({ profileId: 'will' }).length, 0);
+    assert.strictEqual(store.getRecentMessages({ profileId: 'alice' }).length, 1);
+    assert.strictEqual(purge.getCertificate(certificate.id).verified, true);
+});
+
+test('protected profiles and profiles with an account are refused', async (t) => {
+    const { store, purge } = setup(t, { protectedIds: ['chris'] });
+    store.createUser({ username: 'alice', profileId: 'alice', passwordHash: 'x' });
+
+    await assert.rejects(purge.purge('chris'), error => error instanceof ProfilePurgeError && error.status === 403);
+    await assert.rejects(purge.purge('alice'), error => error instanceof ProfilePurgeError && error.status === 409);
+});
+
+test('a name that is also a common word is only redacted where a person field holds it', async (t) => {
+    const { purge, write } = setup(t);
+    const journal = write('journal/2026-01-05.md', 'Will you call tomorrow? I will. Hope so - mark the date.');
+    const reflection = write('daily_reflections/2026-01-05.json', {
+        summary: 'We will talk again.',
+        automaticReflections: [{ speaker: 'Will', text: 'Hope the week goes well' }],
+        people_mentioned: { Will: { mention_count: 2 }, Sarah: { mention_count: 1 } }
+    });
+
+    const certificate = await purge.purge('will');
+
+    assert.strictEqual(journal(), 'Will you call tomorrow? I will. Hope so - mark the date.');
+    const redacted = JSON.parse(reflection());
+    assert.strictEqual(redacted.summary, 'We will talk again.');
+    assert.deepStrictEqual(redacted.automaticReflections, [{ speaker: '[removed]', text: 'Hope the week goes well' }]);
+    assert.deepStrictEqual(Object.keys(redacted.people_mentioned), ['[removed]', 'Sarah']);
+    assert.deepStrictEqual(certificate.anonymized, { files: 1, replacements: 2 });
+});
+
+test('other names are redacted in their stored forms only', async (t) => {
+    const { purge, write } = setup(t, { profile: { name: 'Theodora', previousIds: ['teddy'] } });
+    const digest = write('digests/journal_2026-01-05.md', 'Theodora and Teddy met Theo; theodora was late.');
+
+    await purge.purge('theodora');
+
+    assert.strictEqual(digest(), '[removed] and [removed] met Theo; [removed] was late.');
+});
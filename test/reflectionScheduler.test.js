@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReflectionScheduler } = require('../reflectionScheduler');
+const { tempStore } = require('./helpers');
+
+// No rate limits unless a test sets them, so each test exercises one gate
+const OPEN_LIMITS = { minIntervalMs: 0, maxPerHour: 100, maxPerDay: 100, profileCooldownMs: 0 };
+
+function setup(t, { reflect = async () => ({ usage: { promptTokens: 0, completionTokens: 0 } }), limits = {} } = {}) {
+    const { store } = tempStore(t, 'clint-scheduler-');
+    return { scheduler: new ReflectionScheduler({ store, reflect, limits: { ...OPEN_LIMITS, ...limits } }) };
+}
+
+test('the budget is charged what the reflection reports it used', async (t) => {
+    const { scheduler } = setup(t, { reflect: async () => ({ usage: { promptTokens: 700, completionTokens: 120 } }) });
+
+    const entry = await scheduler.fire('alice', 'signals', ['loop-risk']);
+
+    assert.strictEqual(entry.tokens, 820);
+    assert.strictEqual(scheduler.getStatus().tokenBudget.used, 820);
+});
+
+test('the estimate is charged when the reflection reports 0 usage', async (t) => {
+    const { scheduler } = setup(t, { limits: { estimatedTokens: 1500 } });
+
+    const entry = await scheduler.fire('alice', 'signals', ['loop-risk']);
+
+    assert.strictEqual(entry.tokens, 1500);
+    assert.strictEqual(scheduler.getStatus().tokenBudget.used, 1500);
+});
+
+test('the estimate is charged when no usage is reported', async (t) => {
+    const { scheduler } = setup(t, { reflect: async () => null, limits: { estimatedTokens: 1500 } });
+
+    const entry = await scheduler.fire('alice', 'signals', ['loop-risk']);
+
+    assert.strictEqual(entry.tokens, 1500);
+});
+
+test('reflections stop once the daily token budget is spent', async (t) => {
+    const { scheduler } = setup(t, {
+        reflect: async () => ({ usage: { promptTokens: 4000, completionTokens: 1000 } }),
+        limits: { dailyTokenBudget: 6000, estimatedTokens: 1500 }
+    });
+
+    assert.ok(await scheduler.fire('alice', 'signals', ['loop-risk']));
+    assert.strictEqual(scheduler.gate('alice'), 'token-budget');
+    assert.strictEqual(await scheduler.fire('alice', 'signals', ['loop-risk']), null);
+});
+
+test('rate limits and the per-profile cooldown hold reflections back', async (t) => {
+    const { scheduler } = setup(t, { limits: { minIntervalMs: 10 * 60 * 1000 } });
+
+    await scheduler.fire('alice', 'signals', ['loop-risk']);
+    assert.strictEqual(scheduler.gate('bob'), 'min-interval');
+
+    const cooled = setup(t, { limits: { profileCooldownMs: 60 * 60 * 1000 } });
+    await cooled.scheduler.fire('alice', 'signals', ['loop-risk']);
+    assert.strictEqual(cooled.scheduler.gate('alice'), 'cooldown');
+    assert.strictEqual(cooled.scheduler.gate('bob'), null);
+});
+
+test('repeated replies raise loop risk for that profile and fire after the minimum turns', async (t) => {
+    const reflected = [];
+    const { scheduler } = setup(t, {
+        reflect: async ({ profileId, reasons }) => {
+            reflected.push({ profileId, reasons });
+            return { usage: { promptTokens: 0, completionTokens: 0 } };
+        }
+    });
+
+    const reply = 'Hold the line and keep walking the trail, one step at a time.';
+    const history = [];
+    let decision;
+    for (let turn = 0; turn < 6 && !decision?.fire; turn++) {
+        ({ decision } = scheduler.recordTurn('alice', { responseText: reply, recentResponses: [...history] }));
+        history.push(reply);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.ok(decision.fire);
+    assert.ok(decision.reasons.includes('loop-risk'));
+    assert.deepStrictEqual(reflected.map(entry => entry.profileId), ['alice']);
+    assert.deepStrictEqual([...scheduler.signals.keys()], ['alice']);
+});
+
+test('a disabled scheduler never reflects', async (t) => {
+    const { scheduler } = setup(t);
+    scheduler.enabled = false;
+
+    assert.strictEqual(await scheduler.fire('alice', 'signals', ['loop-risk']), null);
+    assert.strictEqual(scheduler.gate('alice'), 'disabled');
+});
@@ -0,0 +1,301 @@
+/**
+ * Trust Graph
+ * Directed trust between profiles, built from each profile's `trustLinks`
+ * ({ profileId, relationship, strength, lastInteraction }). A link from A to B means
+ * A trusts B; links without a profileId describe a profile's relationship to Clint
+ * (e.g. an anchor's `primary_user`) and are not part of the graph.
+ *
+ *   decay       - a link loses half its strength every `halfLifeDays` (per relationship type)
+ *                 without contact; stored strengths are settled (`settledAt`) when a profile's links are written
+ *   propagation - trust reaches people two or three steps away, damped at every extra hop
+ *   sharing     - what Clint may pass on about A to B depends on A's own link to B: its
+ *                 relationship type and current strength. Trust through others never unlocks it
+ *
+ * Clint's trust in someone is the tier trust they already have, raised when a voucher - the
+ * primary profile, or with auth on the owner/admin accounts - trusts them directly or
+ * through people it trusts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each relationship type lets Clint share about the one who trusts, with the one trusted
+const RELATIONSHIP_TYPES = {
+    family: { halfLifeDays: 365, shares: ['personal', 'everyday', 'work'] },
+    partner: { halfLifeDays: 365, shares: ['personal', 'everyday', 'work'] },
+    friend: { halfLifeDays: 120, shares: ['everyday'] },
+    colleague: { halfLifeDays: 60, shares: ['work'] },
+    acquaintance: { halfLifeDays: 30, shares: [] }
+};
+
+const RELATIONSHIP_ALIASES = {
+    wife: 'partner', husband: 'partner', girlfriend: 'partner', boyfriend: 'partner', spouse: 'partner',
+    mom: 'family', mother: 'family', dad: 'family', father: 'family', brother: 'family', sister: 'family',
+    son: 'family', daughter: 'family', parent: 'family', child: 'family', cousin: 'family',
+    'best friend': 'friend', buddy: 'friend', coworker: 'colleague', 'co-worker': 'colleague',
+    boss: 'colleague', teammate: 'colleague', neighbor: 'acquaintance'
+};
+
+// Personal memory types (knowledgeSystem `memoryType`) by how private they are
+const MEMORY_SCOPES = {
+    personal: ['story', 'relationship', 'reflection', 'health', 'family', 'secret', 'full-self-reflection'],
+    work: ['work', 'project', 'technical']
+};
+
+const MAX_HOPS = 3;
+const HOP_DAMPING = 0.6;
+const SHARE_THRESHOLD = 0.4;
+const VOUCH_CAP = 0.9; // only the vouchers themselves get full trust
+const MIN_LINK_STRENGTH = 0.05;
+const MAX_LINKS_PER_PROFILE = 50;
+const GRAPH_TTL_MS = 30 * 1000;
+
+function relationshipType(relationship) {
+    const key = String(relationship || '').toLowerCase().trim();
+    if (RELATIONSHIP_TYPES[key]) return key;
+    return RELATIONSHIP_ALIASES[key] || 'acquaintance';
+}
+
+function memoryScope(memoryType) {
+    const type = String(memoryType || '').toLowerCase();
+    if (MEMORY_SCOPES.personal.includes(type)) return 'personal';
+    if (MEMORY_SCOPES.work.includes(type)) return 'work';
+    return 'everyday';
+}
+
+/**
+ * Strength of a link right now, after decay since it was last settled (or its last interaction).
+ */
+function effectiveStrength(link, now = Date.now()) {
+    const strength = Number(link?.strength) || 0;
+    const since = Date.parse(link?.settledAt || link?.lastInteraction || link?.created || '');
+    if (!Number.isFinite(since)) return strength;
+    const days = Math.max(0, now - since) / DAY_MS;
+    const { halfLifeDays } = RELATIONSHIP_TYPES[relationshipType(link.relationship)];
+    return strength * Math.pow(0.5, days / halfLifeDays);
+}
+
+/**
+ * Settle decay into stored strengths before a write, drop links that have faded out
+ * and keep the strongest MAX_LINKS_PER_PROFILE. Clint-relationship links are kept as they are.
+ * @param {Object[]} links
+ * @param {number} [now]
+ */
+function settleLinks(links, now = Date.now()) {
+    const own = [];
+    const graph = [];
+    for (const link of links || []) {
+        if (!link.profileId) {
+            own.push(link);
+            continue;
+        }
+        const strength = effectiveStrength(link, now);
+        if (strength < MIN_LINK_STRENGTH) continue;
+        graph.push({ ...link, strength: round(strength), settledAt: new Date(now).toISOString() });
+    }
+    graph.sort((a, b) => b.strength - a.strength);
+    return [...own, ...graph.slice(0, MAX_LINKS_PER_PROFILE)];
+}
+
+class TrustGraph {
+    /**
+     * @param {Object} options
+     * @param {ProfileManager} options.profileManager
+     * @param {Function} [options.vouchers] - () => profile ids whose trust Clint adopts (default: the primary profile)
+     */
+    constructor({ profileManager, vouchers = null }) {
+        this.profileManager = profileManager;
+        this.vouchers = vouchers || (() => [profileManager.primaryProfileId]);
+        this.graph = null;
+        this.builtAt = 0;
+    }
+
+    invalidate() {
+        this.graph = null;
+    }
+
+    // Adjacency map: from -> [{ to, relationship, type, strength, stored, lastInteraction }]
+    async load() {
+        if (this.graph && Date.now() - this.builtAt < GRAPH_TTL_MS) return this.graph;
+
+        const now = Date.now();
+        const graph = new Map();
+        const profiles = await this.profileManager.getAllProfiles();
+        for (const profile of profiles) {
+            const edges = [];
+            for (const link of profile.trustLinks || []) {
+                if (!link.profileId || link.profileId === profile.id) continue;
+                const strength = effectiveStrength(link, now);
+                if (strength < MIN_LINK_STRENGTH) continue;
+                edges.push({
+                    to: link.profileId,
+                    relationship: link.relationship || null,
+                    type: relationshipType(link.relationship),
+                    strength: round(strength),
+                    stored: link.strength,
+                    lastInteraction: link.lastInteraction || null
+                });
+            }
+            graph.set(profile.id, edges);
+        }
+
+        this.graph = graph;
+        this.builtAt = now;
+        return graph;
+    }
+
+    /**
+     * Strongest trust path from one profile to another (product of link strengths,
+     * damped by HOP_DAMPING for every hop after the first).
+     * @returns {Promise<{ strength: number, hops: number, path: string[], relationship: string|null }>}
+     */
+    async trustBetween(fromId, toId) {
+        const none = { strength: 0, hops: 0, path: [], relationship: null };
+        if (!fromId || !toId) return none;
+        if (fromId === toId) return { strength: 1, hops: 0, path: [fromId], relationship: null };
+
+        const graph = await this.load();
+        let best = none;
+        // Depth-limited search; `relationship` is the last link's (how the target is known)
+        const walk = (node, strength, path) => {
+            const hops = path.length - 1;
+            if (hops >= MAX_HOPS) return;
+            for (const edge of graph.get(node) || []) {
+                if (path.includes(edge.to)) continue;
+                const next = strength * edge.strength * (hops > 0 ? HOP_DAMPING : 1);
+                if (next <= best.strength) continue;
+                const nextPath = [...path, edge.to];
+                if (edge.to === toId) {
+                    best = { strength: round(next), hops: hops + 1, path: nextPath, relationship: edge.relationship };
+                } else {
+                    walk(edge.to, next, nextPath);
+                }
+            }
+        };
+        walk(fromId, 1, [fromId]);
+        return best;
+    }
+
+    /**
+     * May Clint share a memory about `subjectId` with `viewerId`? Only the subject's own,
+     * direct link to the viewer counts.
+     * @param {string} scope - 'personal' | 'everyday' | 'work' (see memoryScope)
+     */
+    async canShare(subjectId, viewerId, scope = 'everyday') {
+        if (subjectId === viewerId) return { allowed: true, reason: 'self' };
+
+        const graph = await this.load();
+        const links = (graph.get(subjectId) || []).filter(edge => edge.to === viewerId);
+        if (links.length === 0) return { allowed: false, reason: 'no-link' };
+
+        const allowing = links.filter(edge => RELATIONSHIP_TYPES[edge.type].shares.includes(scope));
+        if (allowing.length === 0) {
+            return { allowed: false, reason: 'relationship', relationship: links[0].relationship };
+        }
+        const strongest = allowing.sort((a, b) => b.strength - a.strength)[0];
+        if (strongest.strength < SHARE_THRESHOLD) {
+            return { allowed: false, reason: 'faded', relationship: strongest.relationship, strength: strongest.strength };
+        }
+        return { allowed: true, reason: 'trusted', relationship: strongest.relationship, strength: strongest.strength };
+    }
+
+    /**
+     * Clint's trust in a profile: the tier level, raised (up to VOUCH_CAP) by the strongest
+     * voucher's trust in them.
+     * @param {string} profileId
+     * @param {Object} [options]
+     * @param {number} [options.baseLevel] - tier trust from the profile-tier stage
+     */
+    async trustLevelFor(profileId, { baseLevel = 0.3 } = {}) {
+        const vouchers = (this.vouchers() || []).filter(Boolean);
+        if (!profileId || profileId === 'default' || vouchers.includes(profileId)) {
+            return { level: baseLevel, base: baseLevel, vouch: null };
+        }
+
+        let vouch = null;
+        for (const voucher of vouchers) {
+            const trust = await this.trustBetween(voucher, profileId);
+            if (trust.strength > 0 && (!vouch || trust.strength > vouch.strength)) vouch = trust;
+        }
+        return {
+            level: round(Math.max(baseLevel, Math.min(vouch ? vouch.strength : 0, VOUCH_CAP))),
+            base: baseLevel,
+            vouch
+        };
+    }
+
+    /**
+     * People this profile is linked to, with what Clint may share about each of them
+     * with this profile (for the profile prompt and the admin API).
+     */
+    async sharingFor(viewerId) {
+        const graph = await this.load();
+        const people = [];
+        for (const [subjectId, edges] of graph) {
+            if (subjectId === viewerId) continue;
+            const edge = edges.filter(e => e.to === viewerId).sort((a, b) => b.strength - a.strength)[0];
+            if (!edge) continue;
+            people.push({
+                profileId: subjectId,
+                relationship: edge.relationship,
+                strength: edge.strength,
+                shares: edge.strength >= SHARE_THRESHOLD ? RELATIONSHIP_TYPES[edge.type].shares : []
+            });
+        }
+        return people.sort((a, b) => b.strength - a.strength);
+    }
+
+    /**
+     * Everything the graph knows about one profile.
+     */
+    async describe(profileId, { baseLevel = 0.3 } = {}) {
+        const graph = await this.load();
+        const incoming = [];
+        for (const [from, edges] of graph) {
+            for (const edge of edges) {
+                if (edge.to === profileId) incoming.push({ from, ...edge });
+            }
+        }
+
+        const reachable = [];
+        for (const other of graph.keys()) {
+            if (other === profileId) continue;
+            const trust = await this.trustBetween(profileId, other);
+            if (trust.strength > 0) reachable.push({ profileId: other, ...trust });
+        }
+
+        return {
+            profileId,
+            trust: await this.trustLevelFor(profileId, { baseLevel }),
+            outgoing: graph.get(profileId) || [],
+            incoming,
+            reachable: reachable.sort((a, b) => b.strength - a.strength),
+            sharing: await this.sharingFor(profileId)
+        };
+    }
+
+    static describeRules() {
+        return {
+            relationshipTypes: RELATIONSHIP_TYPES,
+            aliases: RELATIONSHIP_ALIASES,
+            memoryScopes: MEMORY_SCOPES,
+            maxHops: MAX_HOPS,
+            hopDamping: HOP_DAMPING,
+            shareThreshold: SHARE_THRESHOLD,
+            vouchCap: VOUCH_CAP,
+            minLinkStrength: MIN_LINK_STRENGTH
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    TrustGraph,
+    RELATIONSHIP_TYPES,
+    relationshipType,
+    memoryScope,
+    effectiveStrength,
+    settleLinks
+};
@@ -2,7 +2,7 @@
  * User Context Isolation - Simplified Two-Profile System
  * 
  * Manages user-specific context for:
- * - chris: Permanent, persistent context
+ * - primary/account profiles: Permanent, persistent context
  * - visitor: Temporary, shared context
  */
 
@@ -135,7 +135,7 @@ class UserContextIsolation {
         let cleanedCount = 0;
         
         for (const [profileId, context] of this.userContexts.entries()) {
-            // Only clean up visitor contexts, never chris
+            // Only clean up visitor contexts, never primary or account contexts
             if (profileId === 'visitor' && 
                 now - context.lastUpdate > maxAge) {
                 this.userContexts.delete(profileId);
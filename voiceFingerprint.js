@@ -0,0 +1,280 @@
+/**
+ * Voice Fingerprint
+ * Stylometric fingerprint of how someone writes, kept in a profile's `voiceHash` field.
+ * What people talk about changes from message to message; how they write mostly doesn't:
+ *
+ *   functionWords   - rates of "the", "just", "like", "i"... (topic-independent word choice)
+ *   punctuation     - commas, ellipses, exclamation marks, emoji, lowercase "i", ALL-CAPS words...
+ *   sentenceLengths - distribution of words per sentence over a few buckets
+ *   ngrams          - most frequent character trigrams (spelling, contractions, slang)
+ *
+ * Fingerprints hold raw counts so they can be updated one message at a time; once a
+ * fingerprint has seen MAX_TOKENS words its counts are halved, so recent writing
+ * outweighs how someone wrote months ago.
+ */
+
+const crypto = require('crypto');
+
+const FINGERPRINT_VERSION = 1;
+
+const FUNCTION_WORDS = [
+    'the', 'a', 'an', 'and', 'but', 'or', 'so', 'because', 'if', 'then', 'than',
+    'of', 'to', 'in', 'on', 'at', 'for', 'with', 'about', 'from', 'by', 'as', 'into',
+    'that', 'this', 'these', 'those', 'it', 'its', 'is', 'was', 'be', 'been', 'are', 'were', 'am',
+    'have', 'has', 'had', 'do', 'does', 'did', 'not', 'no', 'just', 'really', 'very', 'pretty',
+    'like', 'i', 'me', 'my', 'you', 'your', 'we', 'our', 'they', 'what', 'which', 'who', 'how', 'why',
+    'there', 'here', 'all', 'some', 'any', 'can', 'could', 'would', 'should', 'will', 'gonna', 'wanna',
+    'yeah', 'ok', 'okay', 'well', 'actually', 'maybe', 'kinda', 'though', 'still', 'also', 'too'
+];
+const FUNCTION_WORD_SET = new Set(FUNCTION_WORDS);
+
+// Punctuation and writing habits, counted per message
+const PUNCTUATION_MARKS = {
+    comma: /,/g,
+    period: /(?<!\.)\.(?!\.)/g,
+    ellipsis: /\.{2,}|…/g,
+    exclamation: /!/g,
+    question: /\?/g,
+    semicolon: /;/g,
+    colon: /:(?![/\d])/g,
+    dash: /\s[-–—]\s|—/g,
+    quote: /["“”]/g,
+    apostrophe: /[a-z]['’][a-z]/gi,
+    parenthesis: /\(/g,
+    emoji: /\p{Extended_Pictographic}/gu,
+    lowercaseI: /(?:^|\s)i(?=[\s'’,.!?]|$)/g,
+    capsWord: /\b[A-Z]{2,}\b/g,
+    lowercaseStart: /(?:^|[.!?]\s+)[a-z]/g
+};
+
+// Words per sentence: 1-4, 5-9, 10-19, 20-34, 35+
+const SENTENCE_BUCKETS = [5, 10, 20, 35];
+const MAX_NGRAMS = 300;
+const MAX_TOKENS = 6000;
+
+// Evidence needed before a comparison means anything
+const MIN_INPUT_TOKENS = 6;
+const MIN_PROFILE_SAMPLES = 3;
+const MIN_PROFILE_TOKENS = 40;
+
+const FEATURE_WEIGHTS = {
+    functionWords: 0.35,
+    ngrams: 0.3,
+    punctuation: 0.2,
+    sentenceLengths: 0.15
+};
+
+function createFingerprint() {
+    return {
+        version: FINGERPRINT_VERSION,
+        samples: 0,
+        tokens: 0,
+        sentences: 0,
+        functionWords: {},
+        punctuation: {},
+        sentenceLengths: new Array(SENTENCE_BUCKETS.length + 1).fill(0),
+        ngrams: {},
+        digest: null,
+        updatedAt: null
+    };
+}
+
+// Legacy voice hashes were opaque strings; anything that isn't a current fingerprint starts over
+function isFingerprint(value) {
+    return !!value && typeof value === 'object' && value.version === FINGERPRINT_VERSION;
+}
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+(?:['’][a-z]+)?/g) || []).map(token => token.replace('’', "'"));
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?…])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Fingerprint of a single message (what checkProfile compares against stored profiles).
+ * @param {string} text
+ */
+function fingerprintText(text) {
+    return updateFingerprint(createFingerprint(), text);
+}
+
+/**
+ * Fold one message into a fingerprint (mutates and returns it).
+ * @param {Object|null} fingerprint - existing fingerprint; legacy or missing values start fresh
+ * @param {string} text
+ */
+function updateFingerprint(fingerprint, text) {
+    const fp = isFingerprint(fingerprint) ? fingerprint : createFingerprint();
+    if (!text || typeof text !== 'string') return fp;
+
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return fp;
+
+    for (const token of tokens) {
+        const word = token.replace(/'.*$/, '');
+        if (FUNCTION_WORD_SET.has(word)) {
+            fp.functionWords[word] = (fp.functionWords[word] || 0) + 1;
+        }
+    }
+
+    for (const [mark, pattern] of Object.entries(PUNCTUATION_MARKS)) {
+        const count = (text.match(pattern) || []).length;
+        if (count > 0) fp.punctuation[mark] = (fp.punctuation[mark] || 0) + count;
+    }
+    if (!/[.!?…)]\s*$/.test(text.trim())) {
+        fp.punctuation.noFinalPunctuation = (fp.punctuation.noFinalPunctuation || 0) + 1;
+    }
+
+    const sentences = splitSentences(text);
+    for (const sentence of sentences) {
+        const length = tokenize(sentence).length;
+        if (length === 0) continue;
+        const bucket = SENTENCE_BUCKETS.findIndex(limit => length < limit);
+        fp.sentenceLengths[bucket === -1 ? SENTENCE_BUCKETS.length : bucket]++;
+        fp.sentences++;
+    }
+
+    const normalized = ` ${text.toLowerCase().replace(/\s+/g, ' ').trim()} `;
+    for (let i = 0; i + 3 <= normalized.length; i++) {
+        const gram = normalized.substring(i, i + 3);
+        fp.ngrams[gram] = (fp.ngrams[gram] || 0) + 1;
+    }
+    pruneNgrams(fp);
+
+    fp.samples++;
+    fp.tokens += tokens.length;
+    if (fp.tokens > MAX_TOKENS) decay(fp);
+
+    fp.digest = digest(fp);
+    fp.updatedAt = new Date().toISOString();
+    return fp;
+}
+
+/**
+ * Similarity of two fingerprints, 0..1, or null when either side has too little text to judge.
+ * `a` may be a single message; `b` should be the accumulated profile fingerprint.
+ * @returns {{ score: number, features: Object }|null}
+ */
+function compareFingerprints(a, b) {
+    if (!isFingerprint(a) || !isFingerprint(b)) return null;
+    if (!hasEvidence(a, { minSamples: 1, minTokens: MIN_INPUT_TOKENS }) ||
+        !hasEvidence(b, { minSamples: MIN_PROFILE_SAMPLES, minTokens: MIN_PROFILE_TOKENS })) {
+        return null;
+    }
+
+    const features = {
+        functionWords: rateSimilarity(a.functionWords, a.tokens, b.functionWords, b.tokens),
+        punctuation: rateSimilarity(a.punctuation, a.tokens, b.punctuation, b.tokens),
+        sentenceLengths: distributionSimilarity(a.sentenceLengths, b.sentenceLengths),
+        ngrams: cosine(a.ngrams, b.ngrams)
+    };
+    const score = Object.entries(FEATURE_WEIGHTS)
+        .reduce((sum, [feature, weight]) => sum + features[feature] * weight, 0);
+
+    return {
+        score: round(score),
+        features: Object.fromEntries(Object.entries(features).map(([k, v]) => [k, round(v)]))
+    };
+}
+
+function hasEvidence(fp, { minSamples = MIN_PROFILE_SAMPLES, minTokens = MIN_PROFILE_TOKENS } = {}) {
+    return isFingerprint(fp) && fp.samples >= minSamples && fp.tokens >= minTokens;
+}
+
+// Compact view for analytics and admin endpoints
+function summarizeFingerprint(fp) {
+    if (!isFingerprint(fp)) return null;
+    const top = (counts, n) => Object.entries(counts).sort((x, y) => y[1] - x[1]).slice(0, n).map(([key]) => key);
+    return {
+        digest: fp.digest,
+        samples: fp.samples,
+        tokens: Math.round(fp.tokens),
+        ready: hasEvidence(fp),
+        topFunctionWords: top(fp.functionWords, 8),
+        punctuationPerWord: Object.fromEntries(Object.entries(fp.punctuation)
+            .map(([mark, count]) => [mark, round(count / Math.max(fp.tokens, 1))])),
+        avgWordsPerSentence: fp.sentences > 0 ? round(fp.tokens / fp.sentences) : null,
+        updatedAt: fp.updatedAt
+    };
+}
+
+// Bray-Curtis similarity of per-word rates; two texts that never use a feature agree on it
+function rateSimilarity(countsA, totalA, countsB, totalB) {
+    const keys = new Set([...Object.keys(countsA), ...Object.keys(countsB)]);
+    let diff = 0;
+    let sum = 0;
+    for (const key of keys) {
+        const rateA = (countsA[key] || 0) / Math.max(totalA, 1);
+        const rateB = (countsB[key] || 0) / Math.max(totalB, 1);
+        diff += Math.abs(rateA - rateB);
+        sum += rateA + rateB;
+    }
+    return sum === 0 ? 1 : 1 - diff / sum;
+}
+
+function distributionSimilarity(a, b) {
+    const totalA = a.reduce((sum, n) => sum + n, 0);
+    const totalB = b.reduce((sum, n) => sum + n, 0);
+    if (totalA === 0 || totalB === 0) return totalA === totalB ? 1 : 0;
+    const distance = a.reduce((sum, n, i) => sum + Math.abs(n / totalA - (b[i] || 0) / totalB), 0);
+    return 1 - distance / 2;
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [key, value] of Object.entries(a)) {
+        normA += value * value;
+        if (b[key]) dot += value * b[key];
+    }
+    for (const value of Object.values(b)) normB += value * value;
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// Keep the most frequent trigrams; rare ones are mostly topic words that won't recur
+function pruneNgrams(fp) {
+    const entries = Object.entries(fp.ngrams);
+    if (entries.length <= MAX_NGRAMS) return;
+    fp.ngrams = Object.fromEntries(entries.sort((x, y) => y[1] - x[1]).slice(0, MAX_NGRAMS));
+}
+
+function decay(fp) {
+    const halve = (counts) => {
+        for (const key of Object.keys(counts)) {
+            counts[key] /= 2;
+            if (counts[key] < 0.5) delete counts[key];
+        }
+    };
+    halve(fp.functionWords);
+    halve(fp.punctuation);
+    halve(fp.ngrams);
+    fp.sentenceLengths = fp.sentenceLengths.map(n => n / 2);
+    fp.tokens /= 2;
+    fp.sentences /= 2;
+}
+
+// Short stable label for logs; changes as the fingerprint drifts
+function digest(fp) {
+    const rates = (counts) => Object.keys(counts).sort().map(key => `${key}:${Math.round(counts[key] / Math.max(fp.tokens, 1) * 100)}`).join(',');
+    return crypto.createHash('sha1')
+        .update(`${rates(fp.functionWords)}|${rates(fp.punctuation)}|${fp.sentenceLengths.map(n => Math.round(n / Math.max(fp.sentences, 1) * 10)).join(',')}`)
+        .digest('hex')
+        .substring(0, 12);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    createFingerprint,
+    fingerprintText,
+    updateFingerprint,
+    compareFingerprints,
+    hasEvidence,
+    isFingerprint,
+    summarizeFingerprint
+};